@@ -0,0 +1,57 @@
+/**
+ * Доступ к настройкам в веб-интерфейсе: бот выдает ссылку ?user=<id>&token=<токен>
+ *
+ * Токен: <срок действия, unix-секунды>.<HMAC-SHA256 от "id.срок" на ключе из SESSION_SECRET>
+ * Ссылка действует ACCESS_TOKEN_TTL_DAYS дней, новую бот присылает по /status
+ */
+
+const crypto = require('crypto');
+
+const ACCESS_TOKEN_TTL_DAYS = 30;
+const KEY_LABEL = 'telegram-scout-bot:access';
+
+function sign(telegramUserId, expiresAt) {
+    if (!process.env.SESSION_SECRET) {
+        throw new Error('SESSION_SECRET не задан: он нужен для ссылок на настройки');
+    }
+    return crypto.createHmac('sha256', `${KEY_LABEL}:${process.env.SESSION_SECRET}`)
+        .update(`${telegramUserId}.${expiresAt}`)
+        .digest('base64url');
+}
+
+/**
+ * Токен доступа к настройкам пользователя (telegram_user_id)
+ */
+function createAccessToken(telegramUserId, now = Date.now()) {
+    const expiresAt = Math.floor(now / 1000) + ACCESS_TOKEN_TTL_DAYS * 24 * 60 * 60;
+    return `${expiresAt}.${sign(String(telegramUserId), expiresAt)}`;
+}
+
+/**
+ * Проверяет, что токен выдан этому пользователю и не истек
+ */
+function verifyAccessToken(telegramUserId, token, now = Date.now()) {
+    const match = typeof token === 'string' && token.match(/^(\d+)\.([\w-]+)$/);
+    if (!match || Number(match[1]) * 1000 <= now) {
+        return false;
+    }
+
+    const expected = Buffer.from(sign(String(telegramUserId), match[1]));
+    const actual = Buffer.from(match[2]);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Ссылка на настройки пользователя в веб-интерфейсе
+ */
+function buildSettingsUrl(telegramUserId) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    return `${baseUrl}?user=${telegramUserId}&token=${createAccessToken(telegramUserId)}`;
+}
+
+module.exports = {
+    ACCESS_TOKEN_TTL_DAYS,
+    createAccessToken,
+    verifyAccessToken,
+    buildSettingsUrl
+};
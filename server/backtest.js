@@ -0,0 +1,199 @@
+/**
+ * Бэктест ключевых слов: отчет по истории сообщений чатов
+ * Сообщения прогоняются через KeywordMatcher без отправки уведомлений
+ */
+
+const { buildMessageLink, truncateText } = require('./keywords');
+
+// Ограничения, чтобы не упереться в flood limits Telegram
+const DEFAULT_MESSAGES_PER_CHAT = 200;
+const MAX_MESSAGES_PER_CHAT = 1000;
+const MAX_DAYS = 30;
+
+const SAMPLES_PER_KEYWORD = 3;
+
+// Шумное слово: срабатывает на заметную долю всех сообщений или почти только слабыми совпадениями
+const NOISY_MIN_HITS = 5;
+const NOISY_HIT_SHARE = 0.05;
+const NOISY_MAX_AVG_SCORE = 40;
+
+/**
+ * Проверяет параметры бэктеста: limit - сообщений на чат, days - глубина в днях
+ * Возвращает { limit, days } или бросает Error
+ */
+function normalizeBacktestOptions({ limit, days } = {}) {
+    const parsedLimit = limit === undefined || limit === null || limit === '' ? null : Number(limit);
+    const parsedDays = days === undefined || days === null || days === '' ? null : Number(days);
+
+    if (parsedLimit !== null && (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_MESSAGES_PER_CHAT)) {
+        throw new Error(`Количество сообщений должно быть от 1 до ${MAX_MESSAGES_PER_CHAT}`);
+    }
+    if (parsedDays !== null && (!Number.isInteger(parsedDays) || parsedDays < 1 || parsedDays > MAX_DAYS)) {
+        throw new Error(`Количество дней должно быть от 1 до ${MAX_DAYS}`);
+    }
+
+    return {
+        // С ограничением по дням тоже не берем больше MAX_MESSAGES_PER_CHAT с одного чата
+        limit: parsedLimit ?? (parsedDays ? MAX_MESSAGES_PER_CHAT : DEFAULT_MESSAGES_PER_CHAT),
+        days: parsedDays
+    };
+}
+
+/**
+ * Накопитель отчета по одному профилю
+ */
+function createProfileReport(profile) {
+    return {
+        profileId: profile.id,
+        name: profile.name,
+        minScore: profile.min_score || 0,
+        messagesChecked: 0,
+        matchedMessages: 0,
+        belowMinScore: 0,
+        excludedMessages: 0,
+        keywords: profile.keywords.map(keyword => ({
+            keyword,
+            hits: 0,
+            scoreSum: 0,
+            vetoes: 0,
+            samples: []
+        }))
+    };
+}
+
+/**
+ * Учитывает результат analyze() для одного сообщения
+ */
+function addBacktestResult(profileReport, result, message) {
+    profileReport.messagesChecked++;
+
+    const byKeyword = new Map(profileReport.keywords.map(k => [k.keyword, k]));
+
+    if (result.excludedBy.length > 0) {
+        profileReport.excludedMessages++;
+        for (const detail of result.excludedBy) {
+            const stats = byKeyword.get(detail.keyword);
+            if (stats) stats.vetoes++;
+        }
+        return;
+    }
+
+    if (result.belowMinScore) {
+        profileReport.belowMinScore++;
+    }
+    if (result.matched) {
+        profileReport.matchedMessages++;
+    }
+
+    for (const detail of result.matchDetails) {
+        const stats = byKeyword.get(detail.keyword);
+        if (!stats) continue;
+
+        stats.hits++;
+        stats.scoreSum += detail.score;
+        if (stats.samples.length < SAMPLES_PER_KEYWORD) {
+            stats.samples.push({
+                text: truncateText(message.text, 200),
+                matchedWord: detail.matchedWord,
+                matchType: detail.matchType,
+                score: detail.score,
+                chatTitle: message.chatTitle,
+                date: message.date,
+                link: buildMessageLink(message.chatId, message.messageId)
+            });
+        }
+    }
+}
+
+/**
+ * Итоговый отчет профиля: частота срабатываний, шумные и молчащие слова
+ */
+function finalizeProfileReport(profileReport) {
+    const total = profileReport.messagesChecked;
+
+    const keywords = profileReport.keywords.map(({ scoreSum, ...stats }) => ({
+        ...stats,
+        share: total > 0 ? stats.hits / total : 0,
+        avgScore: stats.hits > 0 ? Math.round(scoreSum / stats.hits) : 0
+    }));
+
+    const noisy = [];
+    for (const stats of keywords) {
+        if (stats.hits < NOISY_MIN_HITS) continue;
+        if (stats.share >= NOISY_HIT_SHARE) {
+            noisy.push({ keyword: stats.keyword, hits: stats.hits, reason: `срабатывает на ${Math.round(stats.share * 100)}% сообщений` });
+        } else if (stats.avgScore <= NOISY_MAX_AVG_SCORE) {
+            noisy.push({ keyword: stats.keyword, hits: stats.hits, reason: `в основном слабые совпадения (средний балл ${stats.avgScore})` });
+        }
+    }
+
+    return {
+        ...profileReport,
+        keywords: keywords.sort((a, b) => b.hits - a.hits),
+        noisy,
+        // Исключения, которые ни разу не сработали, тоже "молчат", но это нормально - их не показываем
+        silent: keywords.filter(k => k.hits === 0 && k.vetoes === 0 && !/^[-!]/.test(k.keyword)).map(k => k.keyword)
+    };
+}
+
+/**
+ * Текст отчета для бота (без Markdown: ключевые слова могут содержать любые символы)
+ */
+function formatBacktestReport(report) {
+    const period = report.options.days
+        ? `за ${report.options.days} дн. (не больше ${report.options.limit} на чат)`
+        : `последние ${report.options.limit} на чат`;
+
+    const lines = [
+        '📊 Бэктест ключевых слов',
+        `Проверено сообщений: ${report.messagesScanned} из ${report.chatsScanned} чатов, ${period}`
+    ];
+
+    if (report.stoppedByFloodWait) {
+        lines.push(`⚠️ Остановлено: Telegram ограничил запросы на ${report.stoppedByFloodWait} с, отчет неполный`);
+    }
+    if (report.chatErrors.length > 0) {
+        lines.push(`⚠️ Не удалось прочитать чатов: ${report.chatErrors.length}`);
+    }
+    report.folderErrors.forEach(f => lines.push(`⚠️ Папка "${f.folder}": ${f.error}`));
+
+    for (const profile of report.profiles) {
+        lines.push('', `📂 ${profile.name}: совпало ${profile.matchedMessages} из ${profile.messagesChecked}`);
+        if (profile.excludedMessages > 0) {
+            lines.push(`🚫 Отброшено исключениями: ${profile.excludedMessages}`);
+        }
+        if (profile.belowMinScore > 0) {
+            lines.push(`📉 Ниже порога релевантности ${profile.minScore}: ${profile.belowMinScore}`);
+        }
+
+        const hitKeywords = profile.keywords.filter(k => k.hits > 0 || k.vetoes > 0);
+        for (const stats of hitKeywords.slice(0, 15)) {
+            const count = stats.vetoes > 0 ? `отбросило ${stats.vetoes}` : `${stats.hits} (ср. балл ${stats.avgScore})`;
+            lines.push(`• ${stats.keyword} — ${count}`);
+            const sample = stats.samples[0];
+            if (sample) {
+                lines.push(`   └ «${truncateText(sample.text, 80)}» ${sample.link}`);
+            }
+        }
+
+        if (profile.noisy.length > 0) {
+            lines.push('🔊 Шумные:');
+            profile.noisy.forEach(n => lines.push(`• ${n.keyword} — ${n.reason}`));
+        }
+        if (profile.silent.length > 0) {
+            lines.push(`🔇 Ни разу не сработали: ${profile.silent.join(', ')}`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    MAX_MESSAGES_PER_CHAT,
+    MAX_DAYS,
+    normalizeBacktestOptions,
+    createProfileReport,
+    addBacktestResult,
+    finalizeProfileReport,
+    formatBacktestReport
+};
@@ -1,5 +1,68 @@
 const TelegramBot = require('node-telegram-bot-api');
 const database = require('./database');
+const { KeywordMatcher, parseKeywords, validateKeywords, formatKeywordErrors, escapeMarkdown, truncateText } = require('./keywords');
+const { MAX_MESSAGES_PER_CHAT, MAX_DAYS, normalizeBacktestOptions } = require('./backtest');
+const { MAX_GROUPS_PER_USER, parseSynonymGroups, formatSynonymGroups } = require('./synonyms');
+const { normalizeDeliverySettings, isDigestDue, groupDigestItems, formatDigestGroup, describeDelivery } = require('./digest');
+const { normalizeScheduleSettings, isQuietTime, describeSchedule } = require('./schedule');
+const { escapeHtml, normalizeTemplateSettings, renderTemplatePreview, formatPlaceholdersHelp } = require('./templates');
+const {
+    LEAD_ACTIONS,
+    LEADS_PAGE_SIZE,
+    getSnoozeUntil,
+    buildLeadKeyboard,
+    describeLeadAction,
+    formatLeadReminder,
+    formatLeadsList,
+    buildLeadsListKeyboard
+} = require('./leads');
+
+const {
+    MAX_TARGETS_PER_USER,
+    parseRoute,
+    selectTargets,
+    describeRoute,
+    formatTargetsList,
+    getTargetOwnerError,
+    describeTargetError
+} = require('./targets');
+const {
+    MAX_REPLY_TEMPLATES,
+    normalizeReplyText,
+    renderReplyTemplate,
+    describeReplyError,
+    formatReplyPrompt,
+    formatReplyTemplates
+} = require('./replies');
+const { SendRateLimiter, classifySendError, getSendRetryDelay, describeSendError } = require('./outbox');
+const { BOT_HISTORY_LIMIT, normalizeHistoryFilters, formatHistoryList } = require('./history');
+const { MAX_EXPORT_ROWS, normalizeExportOptions, parseExportArgs, buildExport } = require('./export');
+const { buildSettingsUrl } = require('./access');
+
+const TEMPLATE_NAMES = { compact: 'компактный', detailed: 'подробный', custom: 'свой' };
+
+// Очередь уведомлений: сколько сообщений забирать за раз и сколько ждать лимита чата на месте
+// (дольше - сообщение возвращается в очередь до нужного времени)
+const OUTBOX_BATCH_SIZE = 50;
+const OUTBOX_MAX_INLINE_WAIT_MS = 3000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Клавиатура без кнопки "Написать автору" (Telegram отклоняет ее, если автор скрыл профиль)
+function withoutUserButton(keyboard) {
+    return {
+        inline_keyboard: keyboard.inline_keyboard.filter(row => !row.some(btn => btn.url?.startsWith('tg://user')))
+    };
+}
+
+// Личный чат пользователя с ботом: id чата совпадает с id пользователя
+// Ввод по запросу бота (ключевые слова, синонимы, /test, ответы и шаблоны) принимается только здесь -
+// в группах бот видит сообщения, адресованные не ему
+function isOwnPrivateChat(chat, userId) {
+    return chat.type === 'private' && String(chat.id) === String(userId);
+}
+
+const PRIVATE_INPUT_HINT = 'Продолжите в личном чате с ботом';
 
 // ID администратора (твой Telegram ID)
 const ADMIN_ID = process.env.ADMIN_TELEGRAM_ID || '278263484';
@@ -8,7 +71,23 @@ class NotificationBot {
     constructor(token) {
         this.bot = new TelegramBot(token, { polling: true });
         this.monitor = null; // Будет установлен позже
-        this.awaitingKeywords = new Map(); // Для отслеживания ожидания ввода ключевых слов
+        this.awaitingKeywords = new Map(); // userId -> profileId, для отслеживания ожидания ввода ключевых слов
+        this.awaitingSynonyms = new Set(); // userId, ожидаем ввод групп синонимов
+        this.awaitingTest = new Set(); // userId, ожидаем текст для /test
+        this.awaitingReply = new Map(); // userId -> { leadId, mode }, ожидаем текст ответа автору
+        this.awaitingReplyTemplate = new Set(); // userId, ожидаем текст нового шаблона ответа
+        this.processingDigests = false; // защита от параллельного запуска processDigests
+        this.processingLeads = false; // защита от параллельного запуска processSnoozedLeads
+        this.processingOutbox = false; // защита от параллельного запуска processOutbox по таймеру
+        this.rateLimiter = new SendRateLimiter(); // лимиты Bot API для очереди уведомлений
+        this.username = null; // username бота - в этот чат пересылаются оригиналы сообщений
+        this.botId = null; // ID бота - для проверки его прав в группах и каналах
+        this.bot.getMe()
+            .then(me => {
+                this.username = me.username;
+                this.botId = me.id;
+            })
+            .catch(error => console.error('[Bot] getMe failed:', error.message));
         this.setupHandlers();
     }
 
@@ -24,6 +103,12 @@ class NotificationBot {
             const username = msg.from.username;
             
             console.log(`[Bot] /start from user ${userId} (${username}), chatId: ${chatId}`);
+
+            // В группе /start не должен перенаправлять личные уведомления - группы подключаются через /target
+            if (msg.chat.type !== 'private') {
+                await this.bot.sendMessage(chatId, 'Чтобы получать уведомления в этот чат, отправьте /target');
+                return;
+            }
             
             // Сохраняем всех кто нажал /start для статистики
             await database.botUsers.upsert(
@@ -68,6 +153,8 @@ class NotificationBot {
 /status - проверить статус мониторинга
 /update - обновить список чатов из папки
 /keywords - изменить ключевые слова
+/profiles - профили мониторинга
+/synonyms - свои синонимы
 /stop - остановить мониторинг
 /help - показать справку
 
@@ -83,12 +170,16 @@ class NotificationBot {
             if (baseUrl && !baseUrl.includes('localhost')) {
                 replyOptions.reply_markup = {
                     inline_keyboard: [
-                        [{ text: '⚙️ Настроить мониторинг', url: `${baseUrl}?user=${userId}` }]
+                        [{ text: '⚙️ Настроить мониторинг', url: buildSettingsUrl(userId) }]
                     ]
                 };
             }
 
             await this.bot.sendMessage(chatId, welcomeMessage, replyOptions);
+
+            if (existingUser) {
+                await this.restoreDelivery(existingUser, chatId);
+            }
         });
 
         // Обработка команды /admin (только для администратора)
@@ -149,18 +240,30 @@ class NotificationBot {
                 return;
             }
 
-            const settings = await database.monitors.getByUserId(user.id);
+            const profiles = await database.monitors.getAllByUserId(user.id);
             const chatsCount = await database.chats.count(user.id);
+            const targetsCount = await database.targets.count(user.id);
+            const outbox = await database.outbox.countByStatus(user.id);
+            const queued = (outbox.pending || 0) + (outbox.sending || 0);
 
             const statusEmoji = user.is_active ? '✅' : '⏸️';
             const statusText = user.is_active ? 'Активен' : 'Остановлен';
 
+            const profilesList = profiles.length > 0
+                ? profiles.map(p => `${p.is_active ? '🟢' : '⚪️'} *${p.name}* — папка "${p.folder_name}", ключевых слов: ${p.keywords.length}`).join('\n')
+                : 'Не настроены';
+
             let message = `
 ${statusEmoji} *Статус мониторинга:* ${statusText}
 
-📁 *Папка:* ${settings?.folder_name || 'Не выбрана'}
+📂 *Профили:*
+${profilesList}
+
 💬 *Чатов в мониторинге:* ${chatsCount}
-🔑 *Ключевые слова:* ${settings?.keywords?.join(', ') || 'Не заданы'}
+
+🔔 *Доставка:* ${describeDelivery(user)}
+📣 *Получатели:* ${targetsCount > 0 ? `${targetsCount} (/targets)` : 'личный чат'}${queued > 0 ? `\n⏳ *В очереди отправки:* ${queued}` : ''}${outbox.dead ? `\n⚠️ *Не доставлено за неделю:* ${outbox.dead}` : ''}
+🌙 *Расписание:* ${escapeMarkdown(describeSchedule(user))}
 
 📅 *Создан:* ${new Date(user.created_at).toLocaleDateString('ru-RU')}
             `;
@@ -168,11 +271,11 @@ ${statusEmoji} *Статус мониторинга:* ${statusText}
             await this.bot.sendMessage(chatId, message, {
                 parse_mode: 'Markdown',
                 reply_markup: {
-                    inline_keyboard: user.is_active ? [
-                        [{ text: '⏹️ Остановить мониторинг', callback_data: 'stop_monitoring' }]
-                    ] : [
-                        [{ text: '▶️ Запустить мониторинг', callback_data: 'start_monitoring' }],
-                        [{ text: '⚙️ Настройки', url: `${process.env.BASE_URL || 'http://localhost:3000'}?user=${userId}` }]
+                    inline_keyboard: [
+                        user.is_active
+                            ? [{ text: '⏹️ Остановить мониторинг', callback_data: 'stop_monitoring' }]
+                            : [{ text: '▶️ Запустить мониторинг', callback_data: 'start_monitoring' }],
+                        [{ text: '⚙️ Настройки', url: buildSettingsUrl(userId) }]
                     ]
                 }
             });
@@ -223,13 +326,25 @@ ${statusEmoji} *Статус мониторинга:* ${statusText}
 • Максимум 50 чатов в мониторинге
 • Только групповые чаты (не личные)
 • Только новые сообщения (не история)
-• Бот не отправляет сообщения в чаты
+• Бот не пишет в чаты сам: с вашего аккаунта уходят только ответы по кнопке «Ответить»
 
 *Команды:*
 /start - начать работу
 /status - статус мониторинга
 /update - обновить список чатов из папки
 /keywords - изменить ключевые слова
+/profiles - профили мониторинга (вкл/выкл)
+/synonyms - свой словарь синонимов
+/test - проверить ключевые слова на примере текста
+/backtest - прогнать ключевые слова по истории чатов
+/digest - дайджест вместо уведомления на каждое совпадение
+/schedule - тихие часы, дни недели и часовой пояс
+/template - шаблон уведомлений
+/leads - открытые лиды (необработанные уведомления)
+/history - поиск по истории совпадений
+/export - выгрузка совпадений в XLSX, CSV или JSON
+/replies - шаблоны ответов автору
+/targets - куда приходят уведомления: группы, каналы, темы
 /stop - остановить мониторинг
 /help - эта справка
 
@@ -264,13 +379,14 @@ ${statusEmoji} *Статус мониторинга:* ${statusText}
                 return;
             }
 
-            const settings = await database.monitors.getByUserId(user.id);
-            if (!settings) {
-                await this.bot.sendMessage(chatId, '❌ Настройки мониторинга не найдены.');
+            const profiles = await database.monitors.getActiveByUserId(user.id);
+            if (profiles.length === 0) {
+                await this.bot.sendMessage(chatId, '❌ Нет активных профилей мониторинга. Включите профиль через /profiles.');
                 return;
             }
 
-            await this.bot.sendMessage(chatId, `🔄 Обновляю список чатов из папки "${settings.folder_name}"...`);
+            const foldersList = [...new Set(profiles.map(p => p.folder_name))].map(f => `"${f}"`).join(', ');
+            await this.bot.sendMessage(chatId, `🔄 Обновляю список чатов из папок ${foldersList}...`);
 
             try {
                 // Перезапускаем мониторинг - это обновит список чатов из папки
@@ -279,7 +395,7 @@ ${statusEmoji} *Статус мониторинга:* ${statusText}
                 if (result.success) {
                     const chatsCount = await database.chats.count(user.id);
                     await this.bot.sendMessage(chatId, 
-                        `✅ Список чатов обновлён!\n\n📁 Папка: ${settings.folder_name}\n💬 Чатов в мониторинге: ${chatsCount}`,
+                        `✅ Список чатов обновлён!\n\n📂 Активных профилей: ${profiles.length}\n📁 Папки: ${foldersList}\n💬 Чатов в мониторинге: ${chatsCount}`,
                         { parse_mode: 'Markdown' }
                     );
                 } else {
@@ -309,211 +425,1845 @@ ${statusEmoji} *Статус мониторинга:* ${statusText}
                 return;
             }
 
-            const settings = await database.monitors.getByUserId(user.id);
-            if (!settings) {
+            const profiles = await database.monitors.getAllByUserId(user.id);
+            if (profiles.length === 0) {
                 await this.bot.sendMessage(chatId, '❌ Настройки мониторинга не найдены.');
                 return;
             }
 
-            const keywordsList = settings.keywords?.length > 0 
-                ? settings.keywords.map((k, i) => `${i + 1}. \`${k}\``).join('\n')
-                : '_Не заданы_';
+            const profilesBlock = profiles.map(profile => {
+                const keywordsList = profile.keywords?.length > 0 
+                    ? profile.keywords.map((k, i) => `${i + 1}. \`${k}\``).join('\n')
+                    : '_Не заданы_';
+                return `📂 *${profile.name}*${profile.is_active ? '' : ' (выключен)'}\n${keywordsList}`;
+            }).join('\n\n');
 
             const message = `
 🔑 *Текущие ключевые слова:*
 
-${keywordsList}
+${profilesBlock}
 
 *Форматы поиска:*
 • \`слово\` — умный поиск (стемминг, синонимы)
 • \`"точная фраза"\` — только точное совпадение
 • \`[все слова]\` — все слова должны быть в тексте
-
-Чтобы изменить, нажмите кнопку ниже и отправьте новый список слов (каждое с новой строки или через запятую).
+• \`[все слова]~5\` — все слова не дальше 5 слов друг от друга
+• \`-слово\` или \`!"фраза"\` — исключение: сообщение с ним не придёт
+• \`(a OR b) AND NOT c\` — правило с операторами AND, OR, NOT и скобками
+• \`/шаблон/i\` — регулярное выражение (найденный фрагмент покажется в уведомлении)
+• \`слово >=50\` — слово засчитывается, только если его балл релевантности не ниже 50
+• \`слово #срочно\` — срочное: уведомление сразу, даже в тихие часы и в режиме дайджеста
+
+Чтобы изменить, нажмите кнопку профиля ниже и отправьте новый список слов (каждое с новой строки или через запятую).
             `;
 
+            // Кнопка редактирования для каждого профиля
+            const editButtons = profiles.map(profile => [{
+                text: profiles.length > 1 ? `✏️ ${profile.name}` : '✏️ Изменить ключевые слова',
+                callback_data: `edit_keywords:${profile.id}`
+            }]);
+
             await this.bot.sendMessage(chatId, message, {
                 parse_mode: 'Markdown',
                 reply_markup: {
                     inline_keyboard: [
-                        [{ text: '✏️ Изменить ключевые слова', callback_data: 'edit_keywords' }],
+                        ...editButtons,
                         [{ text: '❌ Отмена', callback_data: 'cancel_keywords' }]
                     ]
                 }
             });
         });
 
-        // Обработка ввода новых ключевых слов
-        this.bot.on('message', async (msg) => {
-            // Пропускаем команды
-            if (msg.text?.startsWith('/')) return;
-            
+        // Обработка команды /profiles - список профилей с переключателями
+        this.bot.onText(/\/profiles/, async (msg) => {
             const chatId = msg.chat.id;
             const userId = msg.from.id.toString();
-            
-            // Проверяем, ожидаем ли мы ввод ключевых слов от этого пользователя
-            if (!this.awaitingKeywords.has(userId)) return;
-            
+
             const user = await database.users.getByTelegramId(userId);
-            if (!user) return;
             
-            const text = msg.text?.trim();
-            if (!text) {
-                await this.bot.sendMessage(chatId, '❌ Пустое сообщение. Отправьте ключевые слова или /keywords для отмены.');
+            if (!user) {
+                await this.bot.sendMessage(chatId, 
+                    '❌ Мониторинг не настроен.\n\nИспользуйте веб-интерфейс для первоначальной настройки.',
+                    { parse_mode: 'Markdown' }
+                );
                 return;
             }
+
+            await this.sendProfilesList(chatId, user);
+        });
+
+        // Обработка команды /synonyms - пользовательский словарь синонимов
+        this.bot.onText(/\/synonyms/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id.toString();
+
+            const user = await database.users.getByTelegramId(userId);
             
-            // Парсим ключевые слова (разделители: новая строка или запятая)
-            let keywords = text
-                .split(/[\n,]+/)
-                .map(k => k.trim())
-                .filter(k => k.length > 0);
-            
-            if (keywords.length === 0) {
-                await this.bot.sendMessage(chatId, '❌ Не удалось распознать ключевые слова. Попробуйте снова.');
+            if (!user) {
+                await this.bot.sendMessage(chatId, 
+                    '❌ Мониторинг не настроен.\n\nИспользуйте веб-интерфейс для первоначальной настройки.',
+                    { parse_mode: 'Markdown' }
+                );
                 return;
             }
-            
-            // Ограничение на количество
-            if (keywords.length > 50) {
-                await this.bot.sendMessage(chatId, `⚠️ Слишком много ключевых слов (${keywords.length}). Максимум: 50. Сокращаю список.`);
-                keywords = keywords.slice(0, 50);
-            }
-            
-            try {
-                // Обновляем в базе данных
-                await database.monitors.updateKeywords(user.id, keywords);
-                
-                // Убираем из режима ожидания
-                this.awaitingKeywords.delete(userId);
-                
-                const keywordsList = keywords.map((k, i) => `${i + 1}. \`${k}\``).join('\n');
-                
+
+            await this.sendSynonymsList(chatId, user);
+        });
+
+        // Обработка команды /test - проверка ключевых слов на примере текста
+        this.bot.onText(/^\/test(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id.toString();
+            const text = match[1]?.trim();
+
+            if (!text) {
+                if (!isOwnPrivateChat(msg.chat, userId)) {
+                    await this.bot.sendMessage(chatId, `🧪 ${PRIVATE_INPUT_HINT} или отправьте /test с текстом здесь.`);
+                    return;
+                }
+                this.awaitingTest.add(userId);
                 await this.bot.sendMessage(chatId, 
-                    `✅ *Ключевые слова обновлены!*\n\n${keywordsList}\n\nВсего: ${keywords.length} слов/фраз`,
+                    `🧪 *Проверка ключевых слов*\n\nОтправьте пример сообщения — я проверю его по ключевым словам ваших включённых профилей.\n\nЧтобы проверить другой список, отправьте ключевые слова, строку \`---\` и текст:\n\`дизайнер, -junior\`\n\`---\`\n\`Ищу дизайнера в команду\`\n\nДля отмены отправьте /test`,
                     { parse_mode: 'Markdown' }
                 );
-                
-                console.log(`[Bot] Keywords updated for user ${user.id}: ${keywords.length} keywords`);
-                
+                return;
+            }
+
+            this.awaitingTest.delete(userId);
+            await this.handleTestInput(chatId, userId, text);
+        });
+
+        // Обработка команды /backtest [N | Nd] - проверка ключевых слов по истории чатов
+        this.bot.onText(/^\/backtest(?:@\w+)?(?:\s+(\S+))?/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id.toString();
+
+            const user = await database.users.getByTelegramId(userId);
+            if (!user) {
+                await this.bot.sendMessage(chatId, 
+                    '❌ Мониторинг не настроен.\n\nИспользуйте веб-интерфейс для первоначальной настройки.'
+                );
+                return;
+            }
+
+            // "7d" - за 7 дней, "300" - последние 300 сообщений каждого чата
+            const arg = match[1]?.toLowerCase();
+            const daysArg = arg && /^(\d+)(d|д)$/.exec(arg);
+            let options;
+            try {
+                options = normalizeBacktestOptions(daysArg ? { days: daysArg[1] } : { limit: arg });
             } catch (error) {
-                console.error('[Bot] Error updating keywords:', error);
-                await this.bot.sendMessage(chatId, `❌ Ошибка сохранения: ${error.message}`);
+                await this.bot.sendMessage(chatId, 
+                    `❌ ${error.message}\n\nПримеры: /backtest 300 — последние 300 сообщений каждого чата (до ${MAX_MESSAGES_PER_CHAT}), /backtest 7d — за 7 дней (до ${MAX_DAYS})`
+                );
+                return;
+            }
+
+            const result = await this.monitor.startBacktest(user.id, options);
+            if (!result.success) {
+                await this.bot.sendMessage(chatId, `❌ ${result.error}`);
+                return;
             }
+
+            const period = options.days ? `за ${options.days} дн.` : `последние ${options.limit} сообщений каждого чата`;
+            await this.bot.sendMessage(chatId, 
+                `⏳ Бэктест запущен: ${period}.\n\nИстория читается с паузами, чтобы не упереться в лимиты Telegram, — это может занять несколько минут. Уведомления по найденным сообщениям не отправляются, отчёт придёт сюда.`
+            );
         });
 
-        // Обработка callback кнопок
-        this.bot.on('callback_query', async (query) => {
-            const chatId = query.message.chat.id;
-            const userId = query.from.id.toString();
-            const data = query.data;
+        // Обработка команды /digest [off | 30m | 09:30] - режим доставки уведомлений
+        this.bot.onText(/^\/digest(?:@\w+)?(?:\s+(\S+))?/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id.toString();
 
-            // Обработка редактирования ключевых слов
-            if (data === 'edit_keywords') {
-                this.awaitingKeywords.set(userId, true);
-                await this.bot.answerCallbackQuery(query.id);
+            const user = await database.users.getByTelegramId(userId);
+            if (!user) {
                 await this.bot.sendMessage(chatId, 
-                    `✏️ *Введите новые ключевые слова*\n\nОтправьте список слов/фраз, каждое с новой строки или через запятую.\n\n*Примеры форматов:*\n• \`маркетинг\` — умный поиск\n• \`"GTM"\` — точное совпадение\n• \`[head of marketing]\` — все слова обязательны\n\nДля отмены отправьте /keywords`,
-                    { parse_mode: 'Markdown' }
+                    '❌ Мониторинг не настроен.\n\nИспользуйте веб-интерфейс для первоначальной настройки.'
                 );
                 return;
             }
 
-            if (data === 'cancel_keywords') {
-                this.awaitingKeywords.delete(userId);
-                await this.bot.answerCallbackQuery(query.id, { text: 'Отменено' });
-                await this.bot.deleteMessage(chatId, query.message.message_id).catch(() => {});
+            const arg = match[1]?.toLowerCase();
+            if (!arg) {
+                await this.sendDeliverySettings(chatId, user);
                 return;
             }
 
-            if (data === 'noop') {
-                await this.bot.answerCallbackQuery(query.id);
+            // "off" - сразу, "30m" или "30" - каждые 30 минут, "09:30" - раз в день
+            let changes;
+            if (arg === 'off') {
+                changes = { mode: 'immediate' };
+            } else if (arg.includes(':')) {
+                changes = { mode: 'daily', time: arg };
+            } else {
+                changes = { mode: 'batch', interval: arg.replace(/(m|м|мин)$/, '') };
+            }
+
+            await this.updateDelivery(chatId, user, changes);
+        });
+
+        // Обработка команды /schedule [quiet 23:00-08:00 | days пн-пт | tz Europe/Moscow] - расписание доставки
+        this.bot.onText(/^\/schedule(?:@\w+)?(?:\s+(\S+)(?:\s+([\s\S]+))?)?$/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id.toString();
+
+            const user = await database.users.getByTelegramId(userId);
+            if (!user) {
+                await this.bot.sendMessage(chatId, 
+                    '❌ Мониторинг не настроен.\n\nИспользуйте веб-интерфейс для первоначальной настройки.'
+                );
                 return;
             }
 
-            if (data === 'stop_monitoring') {
-                const user = await database.users.getByTelegramId(userId);
-                if (user && this.monitor) {
-                    await this.monitor.stopMonitoring(user.id);
-                    await this.bot.answerCallbackQuery(query.id, {
-                        text: 'Мониторинг остановлен'
-                    });
-                    await this.bot.sendMessage(chatId, '⏹️ Мониторинг остановлен.');
-                }
+            const action = match[1]?.toLowerCase();
+            const value = match[2]?.trim() || '';
+            if (!action) {
+                await this.sendScheduleSettings(chatId, user);
+                return;
             }
 
-            if (data === 'start_monitoring') {
-                const user = await database.users.getByTelegramId(userId);
-                if (user && this.monitor) {
-                    const result = await this.monitor.startMonitoring(user.id);
-                    if (result.success) {
-                        await this.bot.answerCallbackQuery(query.id, {
-                            text: 'Мониторинг запущен!'
-                        });
-                        await this.bot.sendMessage(chatId, 
-                            `▶️ Мониторинг запущен!\n\nОтслеживается чатов: ${result.chatsCount}`
-                        );
-                    } else {
-                        await this.bot.answerCallbackQuery(query.id, {
-                            text: 'Ошибка запуска'
-                        });
-                        await this.bot.sendMessage(chatId, 
-                            `❌ Ошибка запуска: ${result.error}\n\nПроверьте настройки.`
-                        );
-                    }
-                }
+            let changes;
+            if (action === 'quiet') {
+                const [quietStart, quietEnd] = value.toLowerCase() === 'off' ? ['', ''] : value.split(/\s*-\s*/);
+                changes = { quietStart, quietEnd: quietEnd ?? '' };
+            } else if (action === 'days') {
+                changes = { days: value };
+            } else if (action === 'tz') {
+                changes = { timezone: value };
+            } else {
+                await this.sendScheduleSettings(chatId, user);
+                return;
             }
 
-            // Обработка блокировки автора
-            if (data.startsWith('block_author:')) {
-                const parts = data.split(':');
-                const authorId = parts[1];
-                const authorName = parts[2] || 'Неизвестный';
+            let settings;
+            try {
+                settings = normalizeScheduleSettings(changes, user);
+            } catch (error) {
+                await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+                return;
+            }
 
-                const user = await database.users.getByTelegramId(userId);
-                if (user) {
-                    const success = await database.blockedAuthors.add(user.id, authorId, authorName);
-                    
-                    if (success) {
-                        await this.bot.answerCallbackQuery(query.id, {
-                            text: `Автор ${authorName} заблокирован`,
-                            show_alert: true
-                        });
-                        
-                        // Редактируем сообщение, убираем кнопку
-                        try {
-                            await this.bot.editMessageReplyMarkup(
-                                { inline_keyboard: [[{ text: '🚷 Автор заблокирован', callback_data: 'noop' }]] },
-                                { chat_id: chatId, message_id: query.message.message_id }
-                            );
-                        } catch (e) {
-                            // Игнорируем ошибки редактирования
-                        }
-                        
-                        const blockedCount = await database.blockedAuthors.count(user.id);
-                        await this.bot.sendMessage(chatId, 
-                            `🚷 *Автор заблокирован*\n\nВы больше не будете получать уведомления от пользователя *${authorName}* (ID: \`${authorId}\`).\n\nВсего заблокировано авторов: ${blockedCount}`,
-                            { parse_mode: 'Markdown' }
-                        );
-                    } else {
-                        await this.bot.answerCallbackQuery(query.id, {
-                            text: 'Автор уже заблокирован',
-                            show_alert: false
-                        });
-                    }
-                }
+            await database.users.updateSchedule(user.id, settings);
+            console.log(`[Bot] Schedule updated for user ${user.id}:`, JSON.stringify(settings));
+            await this.sendScheduleSettings(chatId, await database.users.getById(user.id));
+        });
+
+        // Обработка команды /template [compact | detailed | свой шаблон] - вид уведомлений
+        this.bot.onText(/^\/template(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id.toString();
+
+            const user = await database.users.getByTelegramId(userId);
+            if (!user) {
+                await this.bot.sendMessage(chatId, 
+                    '❌ Мониторинг не настроен.\n\nИспользуйте веб-интерфейс для первоначальной настройки.'
+                );
+                return;
             }
 
-            // Пустая кнопка (noop)
-            if (data === 'noop') {
-                await this.bot.answerCallbackQuery(query.id);
+            const arg = match[1]?.trim();
+            if (!arg) {
+                await this.sendTemplateSettings(chatId, user);
+                return;
             }
+
+            const changes = ['compact', 'detailed'].includes(arg.toLowerCase())
+                ? { template: arg.toLowerCase() }
+                : { template: 'custom', customTemplate: arg };
+            await this.updateTemplate(chatId, user, changes);
         });
 
-        // Логирование ошибок
-        this.bot.on('polling_error', (error) => {
-            console.error('Bot polling error:', error.message);
+        // Обработка команды /leads - открытые лиды
+        this.bot.onText(/^\/leads(?:@\w+)?$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id.toString();
+
+            const user = await database.users.getByTelegramId(userId);
+            if (!user) {
+                await this.bot.sendMessage(chatId, 
+                    '❌ Мониторинг не настроен.\n\nИспользуйте веб-интерфейс для первоначальной настройки.'
+                );
+                return;
+            }
+
+            await this.sendLeadsList(chatId, user);
+        });
+
+        // Обработка команды /history [запрос] - поиск по истории совпадений
+        this.bot.onText(/^\/history(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id.toString();
+
+            const user = await database.users.getByTelegramId(userId);
+            if (!user) {
+                await this.bot.sendMessage(chatId, 
+                    '❌ Мониторинг не настроен.\n\nИспользуйте веб-интерфейс для первоначальной настройки.'
+                );
+                return;
+            }
+
+            try {
+                const query = match[1]?.trim() || null;
+                const filters = normalizeHistoryFilters({ q: query, pageSize: BOT_HISTORY_LIMIT });
+                const { rows, total } = await database.matches.search(user.id, filters);
+                await this.bot.sendMessage(chatId, formatHistoryList(rows, total, query, user.timezone), {
+                    parse_mode: 'HTML',
+                    disable_web_page_preview: true
+                });
+            } catch (error) {
+                console.error('Error in /history:', error);
+                await this.bot.sendMessage(chatId, '❌ Не удалось выполнить поиск. Попробуйте позже.');
+            }
         });
+
+        // Обработка команды /export [csv|xlsx|json] [7d|2026-10-01..2026-10-15] [слово] - выгрузка совпадений файлом
+        this.bot.onText(/^\/export(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id.toString();
+
+            const user = await database.users.getByTelegramId(userId);
+            if (!user) {
+                await this.bot.sendMessage(chatId, 
+                    '❌ Мониторинг не настроен.\n\nИспользуйте веб-интерфейс для первоначальной настройки.'
+                );
+                return;
+            }
+
+            let options;
+            try {
+                options = normalizeExportOptions(parseExportArgs(match[1]));
+            } catch (error) {
+                await this.bot.sendMessage(chatId,
+                    `❌ ${error.message}\n\nПример: <code>/export csv 7d дизайн</code> или <code>/export xlsx 2026-10-01..2026-10-15</code>`,
+                    { parse_mode: 'HTML' }
+                );
+                return;
+            }
+
+            try {
+                const { rows, total } = await database.matches.search(user.id, options.filters);
+                if (rows.length === 0) {
+                    await this.bot.sendMessage(chatId, '📭 За этот период совпадений нет.');
+                    return;
+                }
+
+                const file = buildExport(rows, options.format, user.timezone);
+                const truncated = total > rows.length ? ` (первые ${MAX_EXPORT_ROWS} из ${total})` : '';
+                await this.bot.sendDocument(
+                    chatId,
+                    file.buffer,
+                    { caption: `📤 Совпадения: ${rows.length}${truncated}` },
+                    { filename: file.filename, contentType: file.contentType }
+                );
+            } catch (error) {
+                console.error('Error in /export:', error);
+                await this.bot.sendMessage(chatId, '❌ Не удалось выгрузить совпадения. Попробуйте позже.');
+            }
+        });
+
+        // Обработка команды /replies - шаблоны ответов автору
+        this.bot.onText(/^\/replies(?:@\w+)?$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id.toString();
+
+            const user = await database.users.getByTelegramId(userId);
+            if (!user) {
+                await this.bot.sendMessage(chatId, 
+                    '❌ Мониторинг не настроен.\n\nИспользуйте веб-интерфейс для первоначальной настройки.'
+                );
+                return;
+            }
+
+            await this.sendReplyTemplatesList(chatId, user);
+        });
+
+        // Обработка команды /targets - получатели уведомлений
+        this.bot.onText(/^\/targets(?:@\w+)?$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id.toString();
+
+            const user = await database.users.getByTelegramId(userId);
+            if (!user) {
+                await this.bot.sendMessage(chatId, 
+                    '❌ Мониторинг не настроен.\n\nИспользуйте веб-интерфейс для первоначальной настройки.'
+                );
+                return;
+            }
+
+            await this.sendTargetsList(chatId, user);
+        });
+
+        // Обработка команды /target [@канал | -100...] - подключить этот чат (группу, тему форума) или канал
+        this.bot.onText(/^\/target(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from?.id.toString();
+
+            const user = userId ? await database.users.getByTelegramId(userId) : null;
+            if (!user) {
+                await this.bot.sendMessage(chatId, '❌ Сначала настройте мониторинг: напишите боту /start в личные сообщения.');
+                return;
+            }
+
+            const channel = match[1];
+            if (channel) {
+                await this.connectTarget(chatId, user, { chatId: channel, threadId: null });
+                return;
+            }
+
+            // В теме форума уведомления пойдут в эту тему
+            const threadId = msg.is_topic_message ? msg.message_thread_id : null;
+            await this.connectTarget(chatId, user, { chatId, threadId });
+        });
+
+        // Обработка команды /route N <правило> - какие совпадения получает получатель N из /targets
+        this.bot.onText(/^\/route(?:@\w+)?(?:\s+(\d+)(?:\s+([\s\S]+))?)?$/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id.toString();
+
+            const user = await database.users.getByTelegramId(userId);
+            if (!user) {
+                await this.bot.sendMessage(chatId, 
+                    '❌ Мониторинг не настроен.\n\nИспользуйте веб-интерфейс для первоначальной настройки.'
+                );
+                return;
+            }
+
+            const targets = await database.targets.getByUserId(user.id);
+            const target = targets[parseInt(match[1]) - 1];
+            if (!target || !match[2]) {
+                await this.bot.sendMessage(chatId,
+                    '❌ Укажите номер получателя из /targets и правило, например:\n' +
+                    '`/route 1 profile Продажи`\n`/route 1 keywords дизайнер, figma`\n`/route 1 all`',
+                    { parse_mode: 'Markdown' }
+                );
+                return;
+            }
+
+            let changes;
+            try {
+                changes = parseRoute(match[2], await database.monitors.getAllByUserId(user.id));
+            } catch (error) {
+                await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+                return;
+            }
+
+            await database.targets.updateRoute(user.id, target.id, {
+                profileId: changes.profileId !== undefined ? changes.profileId : target.profile_id,
+                keywords: changes.keywords !== undefined ? changes.keywords : target.keywords
+            });
+            console.log(`[Bot] Route of target ${target.id} updated for user ${user.id}:`, JSON.stringify(changes));
+            await this.sendTargetsList(chatId, user);
+        });
+
+        // Бота добавили в группу или канал - предлагаем владельцу подключить чат как получателя
+        this.bot.on('my_chat_member', async (update) => {
+            try {
+                const { chat, from, new_chat_member: member } = update;
+
+                // Личный чат: пользователь заблокировал бота (kicked) или разблокировал (member)
+                if (chat.type === 'private') {
+                    const user = await database.users.getByTelegramId(from.id.toString());
+                    if (!user) return;
+                    if (member.status === 'kicked') {
+                        await database.users.setDeliveryError(user.id, 'blocked');
+                        console.log(`[Bot] User ${user.id} blocked the bot`);
+                    } else if (member.status === 'member') {
+                        await database.users.updateBotChatId(user.telegram_user_id, chat.id.toString());
+                        await this.restoreDelivery(user, chat.id);
+                    }
+                    return;
+                }
+
+                if (!['member', 'administrator'].includes(member.status)) return;
+
+                const user = await database.users.getByTelegramId(from.id.toString());
+                if (!user?.bot_chat_id) return;
+
+                const hint = chat.is_forum
+                    ? '\n\nЧтобы получать уведомления в отдельной теме, отправьте /target в этой теме.'
+                    : '';
+                await this.bot.sendMessage(user.bot_chat_id,
+                    `Бот добавлен в «${escapeHtml(chat.title)}». Отправлять туда уведомления?${hint}`,
+                    {
+                        parse_mode: 'HTML',
+                        reply_markup: {
+                            inline_keyboard: [[{ text: '➕ Подключить', callback_data: `target_add:${chat.id}` }]]
+                        }
+                    }
+                );
+            } catch (error) {
+                console.error('[Bot] Error handling my_chat_member:', error.message);
+            }
+        });
+
+        // Обработка ввода новых ключевых слов
+        this.bot.on('message', async (msg) => {
+            // Пропускаем команды
+            if (msg.text?.startsWith('/')) return;
+
+            // Пропускаем пересланные оригиналы сообщений (их пересылает в этот чат аккаунт пользователя)
+            if (msg.forward_date || msg.forward_origin) return;
+            
+            // Ожидаемый ввод принимаем только в личном чате владельца
+            if (!msg.from || !isOwnPrivateChat(msg.chat, msg.from.id)) return;
+
+            const chatId = msg.chat.id;
+            const userId = msg.from.id.toString();
+
+            if (this.awaitingReply.has(userId)) {
+                const { leadId, mode } = this.awaitingReply.get(userId);
+                await this.handleReplyInput(chatId, userId, leadId, mode, msg.text?.trim());
+                return;
+            }
+
+            if (this.awaitingReplyTemplate.has(userId)) {
+                await this.handleReplyTemplateInput(chatId, userId, msg.text?.trim());
+                return;
+            }
+            
+            // Текст для /test
+            if (this.awaitingTest.has(userId)) {
+                this.awaitingTest.delete(userId);
+                await this.handleTestInput(chatId, userId, msg.text?.trim());
+                return;
+            }
+            
+            // Ввод групп синонимов
+            if (this.awaitingSynonyms.has(userId)) {
+                await this.handleSynonymsInput(chatId, userId, msg.text?.trim());
+                return;
+            }
+            
+            // Проверяем, ожидаем ли мы ввод ключевых слов от этого пользователя
+            if (!this.awaitingKeywords.has(userId)) return;
+            
+            const user = await database.users.getByTelegramId(userId);
+            if (!user) return;
+            
+            const text = msg.text?.trim();
+            if (!text) {
+                await this.bot.sendMessage(chatId, '❌ Пустое сообщение. Отправьте ключевые слова или /keywords для отмены.');
+                return;
+            }
+            
+            // Парсим ключевые слова (разделители: новая строка, запятая, точка с запятой; внутри /регулярок/ не делим)
+            let keywords = parseKeywords(text);
+            
+            if (keywords.length === 0) {
+                await this.bot.sendMessage(chatId, '❌ Не удалось распознать ключевые слова. Попробуйте снова.');
+                return;
+            }
+            
+            // Ограничение на количество
+            if (keywords.length > 50) {
+                await this.bot.sendMessage(chatId, `⚠️ Слишком много ключевых слов (${keywords.length}). Максимум: 50. Сокращаю список.`);
+                keywords = keywords.slice(0, 50);
+            }
+            
+            // Проверяем синтаксис правил AND/OR/NOT, пользователь остается в режиме ввода
+            const keywordErrors = validateKeywords(keywords);
+            if (keywordErrors.length > 0) {
+                await this.bot.sendMessage(chatId, `❌ ${formatKeywordErrors(keywordErrors)}\n\nИсправьте и отправьте список снова.`);
+                return;
+            }
+            
+            // Профиль, ключевые слова которого редактируются
+            const profile = await database.monitors.getById(this.awaitingKeywords.get(userId));
+            if (!profile || profile.user_id !== user.id) {
+                this.awaitingKeywords.delete(userId);
+                await this.bot.sendMessage(chatId, '❌ Профиль не найден. Откройте /keywords заново.');
+                return;
+            }
+            
+            try {
+                // Обновляем в базе данных
+                await database.monitors.updateKeywordsById(profile.id, keywords);
+                
+                // Убираем из режима ожидания
+                this.awaitingKeywords.delete(userId);
+                
+                const keywordsList = keywords.map((k, i) => `${i + 1}. \`${k}\``).join('\n');
+                
+                await this.bot.sendMessage(chatId, 
+                    `✅ *Ключевые слова профиля "${profile.name}" обновлены!*\n\n${keywordsList}\n\nВсего: ${keywords.length} слов/фраз`,
+                    { parse_mode: 'Markdown' }
+                );
+                
+                console.log(`[Bot] Keywords updated for user ${user.id}, profile ${profile.id}: ${keywords.length} keywords`);
+                
+            } catch (error) {
+                console.error('[Bot] Error updating keywords:', error);
+                await this.bot.sendMessage(chatId, `❌ Ошибка сохранения: ${error.message}`);
+            }
+        });
+
+        // Обработка callback кнопок
+        this.bot.on('callback_query', async (query) => {
+            const chatId = query.message.chat.id;
+            const userId = query.from.id.toString();
+            const data = query.data;
+
+            // Обработка редактирования ключевых слов
+            if (data.startsWith('edit_keywords:')) {
+                if (!isOwnPrivateChat(query.message.chat, userId)) {
+                    await this.bot.answerCallbackQuery(query.id, { text: PRIVATE_INPUT_HINT, show_alert: true });
+                    return;
+                }
+                this.awaitingKeywords.set(userId, parseInt(data.split(':')[1]));
+                await this.bot.answerCallbackQuery(query.id);
+                await this.bot.sendMessage(chatId, 
+                    `✏️ *Введите новые ключевые слова*\n\nОтправьте список слов/фраз, каждое с новой строки или через запятую.\n\n*Примеры форматов:*\n• \`маркетинг\` — умный поиск\n• \`"GTM"\` — точное совпадение\n• \`[head of marketing]\` — все слова обязательны\n• \`[ищу дизайнер]~5\` — все слова рядом (не дальше 5 слов)\n• \`-бесплатно\`, \`!"стажёр"\` — исключения\n• \`(дизайнер OR designer) AND NOT junior\` — правило (операторы заглавными)\n• \`/бюджет\\s*\\d+\\s*k/i\` — регулярное выражение\n• \`дизайнер #срочно\` — срочное, приходит и в тихие часы\n\nДля отмены отправьте /keywords`,
+                    { parse_mode: 'Markdown' }
+                );
+                return;
+            }
+
+            if (data === 'cancel_keywords') {
+                this.awaitingKeywords.delete(userId);
+                await this.bot.answerCallbackQuery(query.id, { text: 'Отменено' });
+                await this.bot.deleteMessage(chatId, query.message.message_id).catch(() => {});
+                return;
+            }
+
+            if (data === 'noop') {
+                await this.bot.answerCallbackQuery(query.id);
+                return;
+            }
+
+            // Синонимы: добавление, удаление, экспорт
+            if (data === 'add_synonyms') {
+                if (!isOwnPrivateChat(query.message.chat, userId)) {
+                    await this.bot.answerCallbackQuery(query.id, { text: PRIVATE_INPUT_HINT, show_alert: true });
+                    return;
+                }
+                this.awaitingSynonyms.add(userId);
+                await this.bot.answerCallbackQuery(query.id);
+                await this.bot.sendMessage(chatId, 
+                    `➕ *Отправьте группы синонимов*\n\nПо одной группе на строку, слова через запятую:\n\`квартира, жильё, апартаменты\`\n\`юрист, адвокат, нотариус\`\n\nМожно вставить JSON, выгруженный через экспорт.\n\nДля отмены отправьте /synonyms`,
+                    { parse_mode: 'Markdown' }
+                );
+                return;
+            }
+
+            if (data.startsWith('del_synonyms:')) {
+                const user = await database.users.getByTelegramId(userId);
+                if (user) {
+                    await database.synonyms.remove(user.id, parseInt(data.split(':')[1]));
+                    this.monitor?.resetKeywordMatcher(user.id);
+                    await this.bot.answerCallbackQuery(query.id, { text: 'Группа удалена' });
+                    await this.bot.deleteMessage(chatId, query.message.message_id).catch(() => {});
+                    await this.sendSynonymsList(chatId, user);
+                }
+                return;
+            }
+
+            if (data.startsWith('export_synonyms:')) {
+                const user = await database.users.getByTelegramId(userId);
+                if (user) {
+                    const format = data.split(':')[1] === 'csv' ? 'csv' : 'json';
+                    const groups = await database.synonyms.getByUserId(user.id);
+                    await this.bot.answerCallbackQuery(query.id);
+                    await this.bot.sendDocument(
+                        chatId,
+                        Buffer.from(formatSynonymGroups(groups.map(g => g.words), format)),
+                        { caption: `📤 Словарь синонимов: ${groups.length} групп` },
+                        { filename: `synonyms.${format}`, contentType: format === 'csv' ? 'text/csv' : 'application/json' }
+                    );
+                }
+                return;
+            }
+
+            // Режим доставки и группировка дайджеста из /digest
+            if (data.startsWith('delivery:') || data.startsWith('digest_group:') || data.startsWith('attach_media:')) {
+                const user = await database.users.getByTelegramId(userId);
+                if (!user) return;
+
+                const [action, mode, interval] = data.split(':');
+                const changes = {
+                    delivery: { mode, interval: interval || undefined },
+                    digest_group: { groupBy: mode },
+                    attach_media: { attachMedia: mode }
+                }[action];
+
+                await this.bot.answerCallbackQuery(query.id);
+                await this.bot.deleteMessage(chatId, query.message.message_id).catch(() => {});
+                await this.updateDelivery(chatId, user, changes);
+                return;
+            }
+
+            if (data.startsWith('template:')) {
+                const user = await database.users.getByTelegramId(userId);
+                if (!user) return;
+
+                await this.bot.answerCallbackQuery(query.id);
+                await this.bot.deleteMessage(chatId, query.message.message_id).catch(() => {});
+                await this.updateTemplate(chatId, user, { template: data.split(':')[1] });
+                return;
+            }
+
+            // Статус лида: кнопки под уведомлением (lead:<action>) и в списке /leads (lead:<action>:<id>)
+            // Под уведомлением в общей группе кнопки может нажать любой участник
+            if (data.startsWith('lead:')) {
+                const [, action, leadId] = data.split(':');
+                const status = LEAD_ACTIONS[action];
+                if (!status) return;
+
+                const fromList = leadId !== undefined;
+                let user;
+                let lead;
+                if (fromList) {
+                    user = await database.users.getByTelegramId(userId);
+                    lead = user ? await database.leads.getById(user.id, parseInt(leadId)) : null;
+                } else {
+                    lead = await database.leads.getByBotMessage(chatId, query.message.message_id);
+                    user = lead ? await database.users.getById(lead.user_id) : null;
+                }
+                if (!lead || !user) {
+                    await this.bot.answerCallbackQuery(query.id, { text: 'Лид не найден — уведомление устарело' });
+                    return;
+                }
+
+                const snoozedUntil = status === 'snoozed' ? getSnoozeUntil(action, user.timezone) : null;
+                const updated = await database.leads.setStatus(user.id, lead.id, status, snoozedUntil);
+                await this.bot.answerCallbackQuery(query.id, {
+                    text: describeLeadAction(action, snoozedUntil, user.timezone)
+                });
+
+                await this.updateLeadMessages(updated, user.timezone);
+                if (fromList) {
+                    await this.sendLeadsList(chatId, user, query.message.message_id);
+                }
+                return;
+            }
+
+            // Ответ автору с аккаунта пользователя: reply:dm / reply:chat под уведомлением
+            // Отвечать может только владелец, даже если уведомление пришло в общую группу; текст спрашиваем в личном чате
+            if (data.startsWith('reply:')) {
+                const mode = data.split(':')[1];
+                const lead = await database.leads.getByBotMessage(chatId, query.message.message_id);
+                const user = lead ? await database.users.getById(lead.user_id) : null;
+                if (!lead || !user) {
+                    await this.bot.answerCallbackQuery(query.id, { text: 'Лид не найден — уведомление устарело' });
+                    return;
+                }
+                if (String(user.telegram_user_id) !== userId) {
+                    await this.bot.answerCallbackQuery(query.id, { text: 'Ответить может только владелец мониторинга', show_alert: true });
+                    return;
+                }
+                if (!user.bot_chat_id) {
+                    await this.bot.answerCallbackQuery(query.id, { text: 'Сначала отправьте /start боту в личном чате', show_alert: true });
+                    return;
+                }
+
+                const isBotChat = String(chatId) === String(user.bot_chat_id);
+                await this.bot.answerCallbackQuery(query.id, isBotChat ? {} : { text: 'Напишите ответ в личном чате с ботом' });
+                await this.startReply(user, lead, mode);
+                return;
+            }
+
+            if (data.startsWith('reply_tpl:')) {
+                const reply = this.awaitingReply.get(userId);
+                const user = await database.users.getByTelegramId(userId);
+                const template = user ? await database.replyTemplates.getById(user.id, parseInt(data.split(':')[1])) : null;
+                if (!reply || !template) {
+                    await this.bot.answerCallbackQuery(query.id, { text: 'Ответ уже отправлен или отменен' });
+                    return;
+                }
+
+                const lead = await database.leads.getById(user.id, reply.leadId);
+                await this.bot.answerCallbackQuery(query.id);
+                await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: query.message.message_id }).catch(() => {});
+                await this.handleReplyInput(chatId, userId, reply.leadId, reply.mode, lead ? renderReplyTemplate(template.text, lead) : template.text);
+                return;
+            }
+
+            if (data === 'reply_cancel') {
+                this.awaitingReply.delete(userId);
+                await this.bot.answerCallbackQuery(query.id, { text: 'Отменено' });
+                await this.bot.deleteMessage(chatId, query.message.message_id).catch(() => {});
+                return;
+            }
+
+            // Шаблоны ответов из /replies: добавление и удаление
+            if (data === 'add_reply_tpl') {
+                if (!isOwnPrivateChat(query.message.chat, userId)) {
+                    await this.bot.answerCallbackQuery(query.id, { text: PRIVATE_INPUT_HINT, show_alert: true });
+                    return;
+                }
+                this.awaitingReplyTemplate.add(userId);
+                await this.bot.answerCallbackQuery(query.id);
+                await this.bot.sendMessage(chatId, 
+                    '➕ <b>Отправьте текст шаблона</b>\n\n<code>{name}</code> заменится на имя автора, <code>{chat}</code> — на название чата:\n<i>Здравствуйте, {name}! Увидел ваше сообщение в «{chat}», готов помочь.</i>\n\nДля отмены отправьте /replies',
+                    { parse_mode: 'HTML' }
+                );
+                return;
+            }
+
+            if (data.startsWith('del_reply_tpl:')) {
+                const user = await database.users.getByTelegramId(userId);
+                if (user) {
+                    await database.replyTemplates.remove(user.id, parseInt(data.split(':')[1]));
+                    await this.bot.answerCallbackQuery(query.id, { text: 'Шаблон удален' });
+                    await this.bot.deleteMessage(chatId, query.message.message_id).catch(() => {});
+                    await this.sendReplyTemplatesList(chatId, user);
+                }
+                return;
+            }
+
+            // Получатели уведомлений: подключение после добавления бота в чат, удаление и проверка из /targets
+            if (data.startsWith('target_add:') || data.startsWith('target_del:') || data.startsWith('target_test:')) {
+                const user = await database.users.getByTelegramId(userId);
+                if (!user) return;
+
+                const [action, arg] = data.split(':');
+                if (action === 'target_add') {
+                    await this.bot.answerCallbackQuery(query.id);
+                    await this.connectTarget(chatId, user, { chatId: arg, threadId: null });
+                    return;
+                }
+
+                const target = await database.targets.getById(user.id, parseInt(arg));
+                if (!target) {
+                    await this.bot.answerCallbackQuery(query.id, { text: 'Получатель не найден' });
+                    return;
+                }
+
+                if (action === 'target_del') {
+                    await database.targets.remove(user.id, target.id);
+                    await this.bot.answerCallbackQuery(query.id, { text: `«${target.title}» больше не получает уведомления` });
+                    await this.sendTargetsList(chatId, user, query.message.message_id);
+                    return;
+                }
+
+                try {
+                    await this.bot.sendMessage(target.chat_id, '🔔 Проверка: сюда приходят уведомления Scout Bot', target.thread_id ? { message_thread_id: target.thread_id } : {});
+                    await this.bot.answerCallbackQuery(query.id, { text: `✅ «${target.title}»: сообщение отправлено` });
+                } catch (error) {
+                    await this.bot.answerCallbackQuery(query.id, {
+                        text: `❌ «${target.title}»: ${describeTargetError(error)}`,
+                        show_alert: true
+                    });
+                }
+                return;
+            }
+
+            if (data === 'digest_send_now') {
+                const user = await database.users.getByTelegramId(userId);
+                if (!user) return;
+
+                const queued = await this.sendDigest(user);
+                await this.bot.answerCallbackQuery(query.id, {
+                    text: queued > 0 ? `Отправляю совпадений: ${queued}` : 'Очередь пуста'
+                });
+                return;
+            }
+
+            // Включение/выключение профиля из /profiles
+            if (data.startsWith('toggle_profile:')) {
+                const user = await database.users.getByTelegramId(userId);
+                const profile = await database.monitors.getById(parseInt(data.split(':')[1]));
+                if (!user || !profile || profile.user_id !== user.id) {
+                    await this.bot.answerCallbackQuery(query.id, { text: 'Профиль не найден' });
+                    return;
+                }
+
+                await database.monitors.setActiveById(profile.id, !profile.is_active);
+                await this.bot.answerCallbackQuery(query.id, {
+                    text: profile.is_active ? `Профиль "${profile.name}" выключен` : `Профиль "${profile.name}" включён`
+                });
+
+                // Перезапускаем мониторинг, чтобы обновить списки чатов профилей
+                if (user.is_active && this.monitor) {
+                    const activeProfiles = await database.monitors.getActiveByUserId(user.id);
+                    if (activeProfiles.length > 0) {
+                        await this.monitor.startMonitoring(user.id);
+                    } else {
+                        await this.monitor.stopMonitoring(user.id);
+                    }
+                }
+
+                await this.bot.deleteMessage(chatId, query.message.message_id).catch(() => {});
+                await this.sendProfilesList(chatId, await database.users.getById(user.id));
+                return;
+            }
+
+            if (data === 'stop_monitoring') {
+                const user = await database.users.getByTelegramId(userId);
+                if (user && this.monitor) {
+                    await this.monitor.stopMonitoring(user.id);
+                    await this.bot.answerCallbackQuery(query.id, {
+                        text: 'Мониторинг остановлен'
+                    });
+                    await this.bot.sendMessage(chatId, '⏹️ Мониторинг остановлен.');
+                }
+            }
+
+            if (data === 'start_monitoring') {
+                const user = await database.users.getByTelegramId(userId);
+                if (user && this.monitor) {
+                    const result = await this.monitor.startMonitoring(user.id);
+                    if (result.success) {
+                        await this.bot.answerCallbackQuery(query.id, {
+                            text: 'Мониторинг запущен!'
+                        });
+                        await this.bot.sendMessage(chatId, 
+                            `▶️ Мониторинг запущен!\n\nОтслеживается чатов: ${result.chatsCount}`
+                        );
+                    } else {
+                        await this.bot.answerCallbackQuery(query.id, {
+                            text: 'Ошибка запуска'
+                        });
+                        await this.bot.sendMessage(chatId, 
+                            `❌ Ошибка запуска: ${result.error}\n\nПроверьте настройки.`
+                        );
+                    }
+                }
+            }
+
+            // Обработка блокировки автора
+            // Блокировать может только владелец уведомления, даже если оно пришло в общую группу
+            if (data.startsWith('block_author:')) {
+                const parts = data.split(':');
+                const authorId = parts[1];
+                const authorName = parts[2] || 'Неизвестный';
+
+                const lead = await database.leads.getByBotMessage(chatId, query.message.message_id);
+                const user = lead ? await database.users.getById(lead.user_id) : null;
+                if (!lead || !user) {
+                    await this.bot.answerCallbackQuery(query.id, { text: 'Лид не найден — уведомление устарело' });
+                    return;
+                }
+                if (String(user.telegram_user_id) !== userId) {
+                    await this.bot.answerCallbackQuery(query.id, { text: 'Заблокировать автора может только владелец мониторинга', show_alert: true });
+                    return;
+                }
+
+                const success = await database.blockedAuthors.add(user.id, authorId, authorName);
+                
+                if (success) {
+                    await this.bot.answerCallbackQuery(query.id, {
+                        text: `Автор ${authorName} заблокирован`,
+                        show_alert: true
+                    });
+                    
+                    // Редактируем сообщение, убираем кнопку
+                    try {
+                        await this.bot.editMessageReplyMarkup(
+                            { inline_keyboard: [[{ text: '🚷 Автор заблокирован', callback_data: 'noop' }]] },
+                            { chat_id: chatId, message_id: query.message.message_id }
+                        );
+                    } catch (e) {
+                        // Игнорируем ошибки редактирования
+                    }
+                    
+                    const blockedCount = await database.blockedAuthors.count(user.id);
+                    await this.bot.sendMessage(chatId, 
+                        `🚷 *Автор заблокирован*\n\nВы больше не будете получать уведомления от пользователя *${authorName}* (ID: \`${authorId}\`).\n\nВсего заблокировано авторов: ${blockedCount}`,
+                        { parse_mode: 'Markdown' }
+                    );
+                } else {
+                    await this.bot.answerCallbackQuery(query.id, {
+                        text: 'Автор уже заблокирован',
+                        show_alert: false
+                    });
+                }
+            }
+
+            // Пустая кнопка (noop)
+            if (data === 'noop') {
+                await this.bot.answerCallbackQuery(query.id);
+            }
+        });
+
+        // Логирование ошибок
+        this.bot.on('polling_error', (error) => {
+            console.error('Bot polling error:', error.message);
+        });
+    }
+
+    /**
+     * Отправляет словарь синонимов пользователя с кнопками управления
+     */
+    async sendSynonymsList(chatId, user) {
+        this.awaitingSynonyms.delete(user.telegram_user_id);
+        const groups = await database.synonyms.getByUserId(user.id);
+
+        const list = groups.length > 0
+            ? groups.map((g, i) => `${i + 1}. ${g.words.join(', ')}`).join('\n')
+            : 'Пока пусто. Встроенный словарь покрывает только IT и маркетинг.';
+
+        await this.bot.sendMessage(chatId, `📚 Ваши синонимы (${groups.length}/${MAX_GROUPS_PER_USER}):\n\n${list}`, {
+            reply_markup: {
+                inline_keyboard: [
+                    [{ text: '➕ Добавить группы', callback_data: 'add_synonyms' }],
+                    ...groups.slice(0, 20).map((g, i) => [{
+                        text: `🗑 ${i + 1}. ${g.words.slice(0, 3).join(', ')}`.substring(0, 60),
+                        callback_data: `del_synonyms:${g.id}`
+                    }]),
+                    [
+                        { text: '📤 JSON', callback_data: 'export_synonyms:json' },
+                        { text: '📤 CSV', callback_data: 'export_synonyms:csv' }
+                    ]
+                ]
+            }
+        });
+    }
+
+    /**
+     * Шаблоны ответов автору с кнопками добавления и удаления
+     */
+    async sendReplyTemplatesList(chatId, user) {
+        this.awaitingReplyTemplate.delete(user.telegram_user_id);
+        const templates = await database.replyTemplates.getByUserId(user.id);
+
+        const keyboard = templates.map((t, i) => [{
+            text: `🗑 ${i + 1}. ${t.text.replace(/\s+/g, ' ')}`.substring(0, 60),
+            callback_data: `del_reply_tpl:${t.id}`
+        }]);
+        if (templates.length < MAX_REPLY_TEMPLATES) {
+            keyboard.unshift([{ text: '➕ Добавить шаблон', callback_data: 'add_reply_tpl' }]);
+        }
+
+        await this.bot.sendMessage(chatId, formatReplyTemplates(templates), {
+            parse_mode: 'HTML',
+            reply_markup: { inline_keyboard: keyboard }
+        });
+    }
+
+    /**
+     * Сохраняет шаблон ответа, присланный сообщением
+     */
+    async handleReplyTemplateInput(chatId, userId, text) {
+        const user = await database.users.getByTelegramId(userId);
+        if (!user) return;
+
+        let templateText;
+        try {
+            templateText = normalizeReplyText(text);
+        } catch (error) {
+            await this.bot.sendMessage(chatId, `❌ ${error.message}. Отправьте текст шаблона или /replies для отмены.`);
+            return;
+        }
+
+        if (await database.replyTemplates.count(user.id) >= MAX_REPLY_TEMPLATES) {
+            this.awaitingReplyTemplate.delete(userId);
+            await this.bot.sendMessage(chatId, `❌ Максимум ${MAX_REPLY_TEMPLATES} шаблонов ответов.`);
+            return;
+        }
+
+        await database.replyTemplates.add(user.id, templateText);
+        console.log(`[Bot] Reply template added for user ${user.id}`);
+        await this.bot.sendMessage(chatId, '✅ Шаблон сохранен');
+        await this.sendReplyTemplatesList(chatId, user);
+    }
+
+    /**
+     * Спрашивает текст ответа автору лида в личном чате владельца
+     */
+    async startReply(user, lead, mode) {
+        if (mode === 'dm' && !lead.author_id) {
+            await this.bot.sendMessage(user.bot_chat_id, '❌ Автор сообщения неизвестен — ответьте в чате.');
+            return;
+        }
+
+        this.awaitingReply.set(user.telegram_user_id, { leadId: lead.id, mode });
+        const templates = await database.replyTemplates.getByUserId(user.id);
+        const prompt = formatReplyPrompt(lead, mode, templates);
+        await this.bot.sendMessage(user.bot_chat_id, prompt.text, {
+            parse_mode: 'HTML',
+            reply_markup: prompt.keyboard
+        });
+    }
+
+    /**
+     * Отправляет ответ автору с аккаунта пользователя и отмечает лид обработанным
+     * При ограничении частоты или ошибке Telegram режим ввода сбрасывается - ответ можно начать заново кнопкой
+     */
+    async handleReplyInput(chatId, userId, leadId, mode, text) {
+        const user = await database.users.getByTelegramId(userId);
+        if (!user) return;
+
+        let replyText;
+        try {
+            replyText = normalizeReplyText(text);
+        } catch (error) {
+            await this.bot.sendMessage(chatId, `❌ ${error.message}. Отправьте текст ответа или нажмите «Отмена».`);
+            return;
+        }
+
+        this.awaitingReply.delete(userId);
+        const lead = await database.leads.getById(user.id, leadId);
+        if (!lead) {
+            await this.bot.sendMessage(chatId, '❌ Лид не найден — уведомление устарело.');
+            return;
+        }
+
+        try {
+            await this.monitor.sendReply(user.id, lead, mode, replyText);
+        } catch (error) {
+            console.error(`[Bot] Reply failed for user ${user.id}, lead ${lead.id}:`, error.message);
+            await this.bot.sendMessage(chatId, `❌ Ответ не отправлен: ${describeReplyError(error)}`);
+            return;
+        }
+
+        const where = mode === 'dm' ? `в личные сообщения (${lead.author_name || 'автор'})` : `в чат «${lead.chat_title || 'Неизвестный чат'}»`;
+        await this.bot.sendMessage(chatId, `✅ Ответ отправлен ${where}. Лид отмечен обработанным.`);
+
+        if (lead.status !== 'handled') {
+            const updated = await database.leads.setStatus(user.id, lead.id, 'handled', null);
+            await this.updateLeadMessages(updated, user.timezone);
+        }
+    }
+
+    /**
+     * Добавляет группы синонимов, присланные сообщением (строки или JSON)
+     */
+    async handleSynonymsInput(chatId, userId, text) {
+        const user = await database.users.getByTelegramId(userId);
+        if (!user) return;
+
+        if (!text) {
+            await this.bot.sendMessage(chatId, '❌ Пустое сообщение. Отправьте группы синонимов или /synonyms для отмены.');
+            return;
+        }
+
+        let groups;
+        try {
+            groups = parseSynonymGroups(text);
+        } catch (error) {
+            await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+            return;
+        }
+
+        if (groups.length === 0) {
+            await this.bot.sendMessage(chatId, '❌ В каждой группе должно быть минимум два слова. Попробуйте снова.');
+            return;
+        }
+
+        const existing = await database.synonyms.count(user.id);
+        if (existing + groups.length > MAX_GROUPS_PER_USER) {
+            await this.bot.sendMessage(chatId, `❌ Максимум ${MAX_GROUPS_PER_USER} групп синонимов (сейчас ${existing}).`);
+            return;
+        }
+
+        for (const group of groups) {
+            await database.synonyms.add(user.id, group);
+        }
+        this.monitor?.resetKeywordMatcher(user.id);
+
+        console.log(`[Bot] Synonyms added for user ${user.id}: ${groups.length} groups`);
+        await this.bot.sendMessage(chatId, `✅ Добавлено групп синонимов: ${groups.length}`);
+        await this.sendSynonymsList(chatId, user);
+    }
+
+    /**
+     * Проверяет пример текста по ключевым словам: своим списком (до строки ---) или по включённым профилям
+     */
+    async handleTestInput(chatId, userId, text) {
+        if (!text) {
+            await this.bot.sendMessage(chatId, '❌ Пустое сообщение. Отправьте /test и текст для проверки.');
+            return;
+        }
+
+        const user = await database.users.getByTelegramId(userId);
+        const keywordMatcher = user && this.monitor
+            ? await this.monitor.getKeywordMatcher(user.id)
+            : new KeywordMatcher();
+
+        // Свой список ключевых слов: "слова\n---\nтекст"
+        const separator = /^\s*---\s*$/m.exec(text);
+        if (separator) {
+            const keywords = parseKeywords(text.slice(0, separator.index));
+            const sample = text.slice(separator.index + separator[0].length).trim();
+
+            if (keywords.length === 0 || !sample) {
+                await this.bot.sendMessage(chatId, '❌ Укажите ключевые слова до строки --- и текст после неё.');
+                return;
+            }
+
+            const keywordErrors = validateKeywords(keywords);
+            if (keywordErrors.length > 0) {
+                await this.bot.sendMessage(chatId, `❌ ${formatKeywordErrors(keywordErrors)}`);
+                return;
+            }
+
+            const result = keywordMatcher.analyze(sample, { keywords, explain: true });
+            await this.bot.sendMessage(chatId, truncateText(this.formatTestResult('🧪 Ваш список', result), 4000));
+            return;
+        }
+
+        if (!user) {
+            await this.bot.sendMessage(chatId, '❌ Мониторинг не настроен. Укажите ключевые слова, строку --- и текст, чтобы проверить свой список.');
+            return;
+        }
+
+        const profiles = await database.monitors.getActiveByUserId(user.id);
+        if (profiles.length === 0) {
+            await this.bot.sendMessage(chatId, '❌ Нет включённых профилей. Включите профиль в /profiles или укажите свой список ключевых слов.');
+            return;
+        }
+
+        const sections = profiles.map(profile => {
+            const result = keywordMatcher.analyze(text, {
+                keywords: profile.keywords,
+                minScore: profile.min_score || 0,
+                explain: true
+            });
+            return this.formatTestResult(`📂 ${profile.name}`, result);
+        });
+
+        await this.bot.sendMessage(chatId, truncateText(sections.join('\n\n'), 4000));
+    }
+
+    /**
+     * Текст результата проверки ключевых слов (без Markdown: ключевые слова могут содержать любые символы)
+     */
+    formatTestResult(title, result) {
+        const lines = [`${title}: ${result.matched ? `✅ совпало, балл ${result.score}/100` : '❌ не совпало'}`];
+
+        if (result.belowMinScore) {
+            lines.push(`Балл ${result.score} ниже порога профиля ${result.minScore}`);
+        }
+
+        if (result.excludedBy.length > 0) {
+            lines.push('', '🚫 Отброшено исключениями:');
+            result.excludedBy.forEach(d => lines.push(`• ${d.keyword} — найдено: ${d.matchedWord}`));
+        } else if (result.matchDetails.length > 0) {
+            lines.push('', '🔑 Совпадения:');
+            result.matchDetails.forEach(d => {
+                const distance = d.distance !== undefined ? `, расстояние ${d.distance}` : '';
+                lines.push(`• ${d.keyword} — ${d.matchType}, найдено: ${d.matchedWord}, балл ${d.score}${distance}`);
+            });
+        }
+
+        if (result.notMatched.length > 0) {
+            lines.push('', '⚪️ Не совпали:');
+            result.notMatched.forEach(d => lines.push(`• ${d.keyword} — ${d.reason}`));
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Отправляет список профилей с кнопками включения/выключения
+     */
+    async sendProfilesList(chatId, user) {
+        const profiles = await database.monitors.getAllByUserId(user.id);
+
+        if (profiles.length === 0) {
+            await this.bot.sendMessage(chatId, '📂 Профилей пока нет. Создайте первый через веб-интерфейс.');
+            return;
+        }
+
+        const lines = [];
+        for (const profile of profiles) {
+            const chatsCount = await database.chats.countByProfile(profile.id);
+            lines.push(`${profile.is_active ? '🟢' : '⚪️'} *${profile.name}*\n   📁 ${profile.folder_name} · 💬 ${chatsCount} · 🔑 ${profile.keywords.length}${profile.min_score ? ` · 📊 ≥${profile.min_score}` : ''}`);
+        }
+
+        await this.bot.sendMessage(chatId, `📂 *Профили мониторинга:*\n\n${lines.join('\n\n')}`, {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [
+                    ...profiles.map(profile => [{
+                        text: profile.is_active ? `⏸ Выключить «${profile.name}»` : `▶️ Включить «${profile.name}»`,
+                        callback_data: `toggle_profile:${profile.id}`
+                    }]),
+                    [{ text: '➕ Новый профиль', url: buildSettingsUrl(user.telegram_user_id) }]
+                ]
+            }
+        });
+    }
+
+    /**
+     * Отправляет текущий режим доставки с кнопками переключения
+     */
+    async sendDeliverySettings(chatId, user) {
+        const pending = await database.digests.count(user.id);
+        const groupByKeyword = user.digest_group_by === 'keyword';
+
+        const lines = [
+            `🔔 *Доставка уведомлений:* ${describeDelivery(user)}`,
+            '',
+            'Дайджест собирает совпадения и присылает одну сводку по каждому чату или ключевому слову со ссылками на сообщения.',
+            '',
+            'Медиа (фото, документы, голосовые) можно получать вместе с уведомлением: пересылкой через ваш аккаунт или загрузкой ботом. В дайджестах — только ссылки.',
+            '',
+            'Команды: `/digest 30m` — каждые 30 минут, `/digest 09:30` — раз в день (по вашему часовому поясу, см. /schedule), `/digest off` — сразу'
+        ];
+        if (pending > 0) {
+            lines.push('', `📬 В очереди: ${pending}`);
+        }
+
+        const buttons = [
+            [
+                { text: `${user.delivery_mode === 'immediate' ? '✅ ' : ''}⚡ Сразу`, callback_data: 'delivery:immediate' },
+                { text: `${user.delivery_mode === 'batch' ? '✅ ' : ''}🕐 Каждые ${user.digest_interval} мин`, callback_data: `delivery:batch:${user.digest_interval}` }
+            ],
+            [
+                { text: `${user.delivery_mode === 'daily' ? '✅ ' : ''}📅 Раз в день в ${user.digest_time}`, callback_data: 'delivery:daily' }
+            ],
+            [
+                { text: groupByKeyword ? '🔑 Группировка: по словам' : '💬 Группировка: по чатам', callback_data: `digest_group:${groupByKeyword ? 'chat' : 'keyword'}` }
+            ]
+        ];
+        const attachNext = { off: 'forward', forward: 'upload', upload: 'off' }[user.attach_media] || 'forward';
+        const attachLabel = { off: 'выкл', forward: 'пересылка', upload: 'загрузка ботом' }[user.attach_media] || 'выкл';
+        buttons.push([{ text: `📎 Медиа: ${attachLabel}`, callback_data: `attach_media:${attachNext}` }]);
+        if (pending > 0) {
+            buttons.push([{ text: '📤 Отправить сейчас', callback_data: 'digest_send_now' }]);
+        }
+
+        await this.bot.sendMessage(chatId, lines.join('\n'), {
+            parse_mode: 'Markdown',
+            reply_markup: { inline_keyboard: buttons }
+        });
+    }
+
+    /**
+     * Отправляет расписание доставки и подсказку по командам
+     */
+    async sendScheduleSettings(chatId, user) {
+        const lines = [
+            `🌙 Расписание: ${describeSchedule(user)}`,
+            isQuietTime(user) ? '😴 Сейчас тихое время: совпадения копятся и придут сводкой, когда окно откроется.' : '🔔 Сейчас уведомления приходят.',
+            '',
+            'Ключевые слова с пометкой #срочно (например, "дизайнер #срочно") приходят всегда.',
+            '',
+            'Команды:',
+            '/schedule quiet 23:00-08:00 — тихие часы (/schedule quiet off — выключить)',
+            '/schedule days пн-пт — дни, в которые приходят уведомления (все — каждый день)',
+            '/schedule tz Europe/Moscow — часовой пояс (или смещение: +3)'
+        ];
+
+        await this.bot.sendMessage(chatId, lines.join('\n'));
+    }
+
+    /**
+     * Отправляет текущий шаблон уведомлений с предпросмотром (HTML)
+     */
+    async sendTemplateSettings(chatId, user) {
+        const help = [
+            `✉️ <b>Шаблон уведомлений:</b> ${TEMPLATE_NAMES[user.notification_template] || TEMPLATE_NAMES.detailed}`,
+            '',
+            'Свой шаблон: /template и текст с плейсхолдерами. Можно использовать теги &lt;b&gt;, &lt;i&gt;, &lt;u&gt;, &lt;s&gt;, &lt;code&gt;, &lt;a href="{link}"&gt;.',
+            '',
+            escapeHtml(formatPlaceholdersHelp()),
+            '',
+            '<b>Предпросмотр:</b>'
+        ].join('\n');
+
+        const buttons = ['compact', 'detailed']
+            .filter(name => name !== user.notification_template)
+            .map(name => [{ text: `Выбрать ${TEMPLATE_NAMES[name]}`, callback_data: `template:${name}` }]);
+        if (user.custom_template && user.notification_template !== 'custom') {
+            buttons.push([{ text: `Вернуть ${TEMPLATE_NAMES.custom}`, callback_data: 'template:custom' }]);
+        }
+
+        await this.bot.sendMessage(chatId, `${help}\n\n${renderTemplatePreview(user)}`, {
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+            reply_markup: { inline_keyboard: buttons }
+        });
+    }
+
+    /**
+     * Меняет шаблон уведомлений и показывает предпросмотр
+     */
+    async updateTemplate(chatId, user, changes) {
+        let settings;
+        try {
+            settings = normalizeTemplateSettings(changes, user);
+        } catch (error) {
+            await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+            return;
+        }
+
+        await database.users.updateTemplate(user.id, settings);
+        console.log(`[Bot] Template updated for user ${user.id}: ${settings.template}`);
+        await this.sendTemplateSettings(chatId, await database.users.getById(user.id));
+    }
+
+    /**
+     * Меняет режим доставки (неуказанные поля берутся из текущих настроек)
+     */
+    async updateDelivery(chatId, user, changes) {
+        let settings;
+        try {
+            settings = normalizeDeliverySettings(changes, user);
+        } catch (error) {
+            await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+            return;
+        }
+
+        await database.users.updateDelivery(user.id, settings);
+        console.log(`[Bot] Delivery updated for user ${user.id}:`, JSON.stringify(settings));
+        await this.sendDeliverySettings(chatId, await database.users.getById(user.id));
+    }
+
+    /**
+     * Отправляет дайджесты, время которых подошло (вызывается по таймеру из index.js)
+     */
+    async processDigests() {
+        if (this.processingDigests) return;
+        this.processingDigests = true;
+
+        try {
+            const users = await database.digests.getPendingUsers();
+            for (const user of users) {
+                // В тихие часы ничего не отправляем: очередь уйдет, когда окно откроется
+                if (isQuietTime(user) || !isDigestDue(user, user.oldest_at)) continue;
+                try {
+                    await this.sendDigest(user);
+                } catch (error) {
+                    console.error(`[Digest] Failed to queue digest for user ${user.id}:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.error('[Digest] Error processing digests:', error);
+        } finally {
+            this.processingDigests = false;
+        }
+    }
+
+    /**
+     * Отправляет всю очередь пользователя через outbox: каждому получателю - одна сводка на чат или ключевое слово
+     * Получатели выбираются по правилам, как для обычных уведомлений; недоступный личный чат - сводка ждет /start (held)
+     * Статус в истории и notifications_sent обновляются при доставке (deliverOutboxItem)
+     * Возвращает число совпадений в очереди дайджеста
+     */
+    async sendDigest(user) {
+        const items = await database.digests.getByUserId(user.id);
+        if (items.length === 0) return 0;
+
+        const targets = await database.targets.getByUserId(user.id);
+        const isUnavailable = (target) => !target.chatId ||
+            (user.delivery_error === 'blocked' && String(target.chatId) === String(user.bot_chat_id));
+
+        // Совпадения по получателям; held - совпадения, у которых нет ни одного доступного получателя
+        const destinations = new Map();
+        const held = [];
+        for (const item of items) {
+            const selected = selectTargets(targets, user, { profileIds: item.profile_ids, matchedKeywords: item.matched_keywords });
+            if (selected.length === 0) {
+                selected.push({ chatId: null, threadId: null });
+            }
+            for (const target of selected) {
+                const key = `${target.chatId}:${target.threadId}`;
+                if (!destinations.has(key)) {
+                    destinations.set(key, { target, items: [] });
+                }
+                destinations.get(key).items.push(item);
+            }
+            if (selected.every(isUnavailable)) {
+                held.push(item);
+            }
+        }
+
+        for (const { target, items: targetItems } of destinations.values()) {
+            const status = isUnavailable(target) ? 'held' : 'pending';
+            for (const group of groupDigestItems(targetItems, user.digest_group_by)) {
+                for (const message of formatDigestGroup(group, user.timezone)) {
+                    await database.outbox.add(user.id, null, target, message.text, null, status, message.items);
+                }
+            }
+        }
+
+        await database.digests.removeByIds(user.id, items.map(item => item.id));
+        await database.notifications.setDeliveryStatusByMessages(user.id, items.filter(item => !held.includes(item)), 'queued');
+        await database.notifications.setDeliveryStatusByMessages(user.id, held, 'held');
+
+        console.log(`[Digest] ✓ Queued ${items.length} matches for user ${user.id} (${destinations.size} recipients)`);
+        await this.processOutbox();
+        return items.length;
+    }
+
+    /**
+     * Список открытых лидов; messageId - обновить уже отправленный список вместо нового сообщения
+     */
+    async sendLeadsList(chatId, user, messageId = null) {
+        const leads = await database.leads.getOpen(user.id, LEADS_PAGE_SIZE);
+        const counts = await database.leads.countByStatus(user.id);
+        const text = formatLeadsList(leads, { open: counts.open || 0, snoozed: counts.snoozed || 0 }, user.timezone);
+        const options = {
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+            reply_markup: buildLeadsListKeyboard(leads)
+        };
+
+        if (messageId) {
+            try {
+                await this.bot.editMessageText(text, { ...options, chat_id: chatId, message_id: messageId });
+            } catch (e) {
+                // Список не изменился или сообщение удалено
+            }
+            return;
+        }
+        await this.bot.sendMessage(chatId, text, options);
+    }
+
+    /**
+     * Обновляет кнопки под всеми сообщениями с уведомлением по текущему статусу лида
+     */
+    async updateLeadMessages(lead, timezone) {
+        const keyboard = buildLeadKeyboard(lead, timezone);
+        for (const message of await database.leads.getMessages(lead.id)) {
+            const target = { chat_id: message.chat_id, message_id: message.message_id };
+            try {
+                await this.bot.editMessageReplyMarkup(keyboard, target);
+            } catch (error) {
+                // Уведомление могло уйти без кнопки "Написать автору" (BUTTON_USER_INVALID) - повторяем без нее
+                if (!error.message.includes('BUTTON_USER_INVALID')) continue;
+                try {
+                    await this.bot.editMessageReplyMarkup(withoutUserButton(keyboard), target);
+                } catch (e) {
+                    // Игнорируем ошибки редактирования
+                }
+            }
+        }
+    }
+
+    /**
+     * Напоминает об отложенных лидах, время которых подошло (вызывается по таймеру из index.js)
+     * Напоминание приходит ответом на каждое уведомление, кнопки статуса переезжают под него
+     * Лиды из дайджеста (без сообщения с уведомлением) напоминают о себе в личном чате
+     */
+    async processSnoozedLeads() {
+        if (this.processingLeads) return;
+        this.processingLeads = true;
+
+        try {
+            const leads = await database.leads.getDueSnoozed();
+            for (const lead of leads) {
+                // В тихие часы напоминание ждет, пока окно откроется
+                if (isQuietTime(lead)) continue;
+                try {
+                    const previous = await database.leads.getMessages(lead.id);
+                    const destinations = previous.length > 0
+                        ? previous.map(m => ({ chatId: m.chat_id, threadId: m.thread_id, replyTo: m.message_id }))
+                        : [{ chatId: lead.bot_chat_id, threadId: null, replyTo: null }].filter(d => d.chatId);
+                    const keyboard = buildLeadKeyboard({ ...lead, status: 'open' }, lead.timezone);
+
+                    const sentMessages = [];
+                    for (const destination of destinations) {
+                        try {
+                            const sent = await this.sendAlert(destination, formatLeadReminder(lead), keyboard, {
+                                reply_to_message_id: destination.replyTo || undefined,
+                                allow_sending_without_reply: true
+                            });
+                            sentMessages.push({ chatId: destination.chatId, threadId: destination.threadId, messageId: sent.message_id });
+                        } catch (error) {
+                            console.error(`[Leads] Failed to remind about lead ${lead.id} in ${destination.chatId}:`, error.message);
+                        }
+                    }
+                    if (sentMessages.length === 0) continue;
+
+                    // Под старыми уведомлениями остается только отметка, что напоминание отправлено
+                    for (const message of previous) {
+                        try {
+                            await this.bot.editMessageReplyMarkup(
+                                { inline_keyboard: [[{ text: '⏰ Напоминание отправлено', callback_data: 'noop' }]] },
+                                { chat_id: message.chat_id, message_id: message.message_id }
+                            );
+                        } catch (e) {
+                            // Игнорируем ошибки редактирования
+                        }
+                    }
+
+                    await database.leads.reopenWithMessages(lead.id, sentMessages);
+                } catch (error) {
+                    console.error(`[Leads] Failed to remind about lead ${lead.id}:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.error('[Leads] Error processing snoozed leads:', error);
+        } finally {
+            this.processingLeads = false;
+        }
+    }
+
+    /**
+     * Личный чат снова доступен (/start или бот разблокирован): снимает ошибку доставки
+     * и отправляет уведомления, отложенные, пока бот был заблокирован или не знал чат (дайджест уйдет по таймеру)
+     */
+    async restoreDelivery(user, chatId) {
+        const released = await database.outbox.releaseHeld(user.id, chatId);
+        if (!user.delivery_error && released === 0) return;
+
+        await database.users.setDeliveryError(user.id, null);
+        console.log(`[Bot] Delivery restored for user ${user.id}, held notifications: ${released}`);
+
+        if (released > 0) {
+            await this.sendMessage(chatId, `📬 Пока уведомления не доходили, накопилось совпадений: ${released}. Отправляю.`);
+            this.processOutbox();
+        }
+    }
+
+    /**
+     * Отправляет уведомления из очереди outbox, время которых подошло (вызывается по таймеру из index.js)
+     */
+    async processOutbox() {
+        if (this.processingOutbox) return;
+        this.processingOutbox = true;
+
+        try {
+            let batch;
+            do {
+                batch = await database.outbox.claim(OUTBOX_BATCH_SIZE);
+                for (const item of batch) {
+                    await this.deliverOutboxItem(item);
+                }
+            } while (batch.length === OUTBOX_BATCH_SIZE);
+        } catch (error) {
+            console.error('[Outbox] Error processing queue:', error);
+        } finally {
+            this.processingOutbox = false;
+        }
+    }
+
+    /**
+     * Сразу отправляет сообщения одного уведомления (вызывается монитором после постановки в очередь)
+     * Возвращает доставленные [{ chatId, threadId, messageId }]; остальные доставит processOutbox
+     */
+    async deliverNotification(notificationId) {
+        const delivered = [];
+        for (const item of await database.outbox.claim(OUTBOX_BATCH_SIZE, notificationId)) {
+            const sent = await this.deliverOutboxItem(item);
+            if (sent) delivered.push(sent);
+        }
+        return delivered;
+    }
+
+    /**
+     * Одна попытка доставки из очереди с учетом лимитов Bot API
+     * Успех - sent, кнопки лида привязываются к сообщению и считается notifications_sent
+     * Статус доставки в истории совпадений повторяет результат (sent, held, failed)
+     * 429 - ждем retry_after, сеть и 5xx - повтор с экспоненциальной задержкой, 400/403 и конец попыток - dead
+     * Бот заблокирован пользователем - held до /start, ошибка записывается пользователю
+     */
+    async deliverOutboxItem(item) {
+        const target = { chatId: item.chat_id, threadId: item.thread_id };
+
+        const delay = this.rateLimiter.getDelay(item.chat_id);
+        if (delay > OUTBOX_MAX_INLINE_WAIT_MS) {
+            await database.outbox.reschedule(item.id, Math.ceil(delay / 1000), null, false);
+            return null;
+        }
+        if (delay > 0) {
+            await sleep(delay);
+        }
+
+        try {
+            this.rateLimiter.record(item.chat_id);
+            const sent = await this.sendAlert(target, item.text, item.reply_markup || { inline_keyboard: [] });
+
+            await database.outbox.markSent(item.id, sent.message_id);
+            if (item.notification_id) {
+                await database.leads.addMessage(item.notification_id, { ...target, messageId: sent.message_id });
+                await database.notifications.setDeliveryStatus(item.notification_id, 'sent');
+            }
+            if (item.digest_items) {
+                await database.notifications.setDeliveryStatusByMessages(item.user_id, item.digest_items, 'sent');
+            }
+            // Сводка дайджеста считается по числу совпадений в ней
+            await database.stats.increment('notifications_sent', item.digest_items ? item.digest_items.length : 1);
+            console.log(`[Outbox] ✓ Notification ${item.id} sent to ${item.chat_id}${item.thread_id ? ` (topic ${item.thread_id})` : ''}`);
+            return { ...target, messageId: sent.message_id };
+        } catch (error) {
+            const reason = describeSendError(error);
+            const { action, seconds } = classifySendError(error);
+            const retryIn = action === 'retry' ? getSendRetryDelay(item.attempts + 1) : null;
+
+            if (action === 'wait') {
+                this.rateLimiter.block(item.chat_id, seconds);
+                await database.outbox.reschedule(item.id, seconds, reason, false);
+                console.log(`[Outbox] 429 for ${item.chat_id}, retry after ${seconds}s`);
+            } else if (action === 'hold') {
+                await database.outbox.hold(item.id, reason);
+                await database.users.setDeliveryError(item.user_id, 'blocked');
+                await this.setOutboxItemStatus(item, 'held');
+                console.log(`[Outbox] User ${item.user_id} blocked the bot, notification ${item.id} held until /start`);
+            } else if (retryIn !== null) {
+                await database.outbox.reschedule(item.id, retryIn, reason);
+                console.log(`[Outbox] Notification ${item.id} failed (attempt ${item.attempts + 1}), retry in ${retryIn}s: ${reason}`);
+            } else {
+                await database.outbox.markDead(item.id, reason);
+                await this.setOutboxItemStatus(item, 'failed');
+                console.error(`[Outbox] Notification ${item.id} to ${item.chat_id} not delivered: ${reason}`);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Статус доставки в истории совпадений для сообщения из очереди: уведомление или сводка дайджеста
+     */
+    async setOutboxItemStatus(item, status) {
+        if (item.notification_id) {
+            await database.notifications.setDeliveryStatus(item.notification_id, status);
+        }
+        if (item.digest_items) {
+            await database.notifications.setDeliveryStatusByMessages(item.user_id, item.digest_items, status);
+        }
+    }
+
+    /**
+     * Отправляет уведомление получателю ({ chatId, threadId }) с кнопками
+     * Если Telegram не принимает кнопку "Написать автору" (BUTTON_USER_INVALID), отправляет без нее
+     */
+    async sendAlert(target, text, keyboard, extraOptions = {}) {
+        const options = {
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+            ...extraOptions
+        };
+        if (target.threadId) {
+            options.message_thread_id = target.threadId;
+        }
+        if (keyboard.inline_keyboard.length > 0) {
+            options.reply_markup = keyboard;
+        }
+
+        try {
+            return await this.sendMessage(target.chatId, text, options);
+        } catch (error) {
+            if (!error.message.includes('BUTTON_USER_INVALID') && !error.message.includes('BUTTON_URL_INVALID')) {
+                throw error;
+            }
+            console.log(`[Bot] Retrying without user button...`);
+            const fallbackKeyboard = withoutUserButton(keyboard);
+            if (fallbackKeyboard.inline_keyboard.length > 0) {
+                options.reply_markup = fallbackKeyboard;
+            } else {
+                delete options.reply_markup;
+            }
+            return await this.sendMessage(target.chatId, text, options);
+        }
+    }
+
+    /**
+     * Список получателей с кнопками проверки и удаления; messageId - обновить уже отправленный список
+     */
+    async sendTargetsList(chatId, user, messageId = null) {
+        const targets = await database.targets.getByUserId(user.id);
+        const profiles = await database.monitors.getAllByUserId(user.id);
+        const text = formatTargetsList(targets, profiles);
+        const options = {
+            parse_mode: 'HTML',
+            reply_markup: {
+                inline_keyboard: targets.map((target, i) => [
+                    { text: `✉️ Проверить ${i + 1}`, callback_data: `target_test:${target.id}` },
+                    { text: `🗑 Удалить ${i + 1}`, callback_data: `target_del:${target.id}` }
+                ])
+            }
+        };
+
+        if (messageId) {
+            try {
+                await this.bot.editMessageText(text, { ...options, chat_id: chatId, message_id: messageId });
+            } catch (e) {
+                // Список не изменился или сообщение удалено
+            }
+            return;
+        }
+        await this.bot.sendMessage(chatId, text, options);
+    }
+
+    /**
+     * Проверяет, что бот может писать получателю, и отправляет туда проверочное сообщение
+     * Владелец (ownerTelegramId) должен иметь доступ к чату: свой личный чат, участник группы, администратор канала
+     * Возвращает { chatId, threadId, chatType, title } или бросает Error с понятным описанием
+     */
+    async verifyTarget(chatId, threadId, ownerTelegramId) {
+        try {
+            const chat = await this.bot.getChat(chatId);
+
+            // Telegram отвечает ошибкой на пользователя, которого никогда не было в чате - это тоже "не участник"
+            const owner = chat.type === 'private' ? null : await this.bot.getChatMember(chat.id, ownerTelegramId).catch(() => null);
+            const ownerError = getTargetOwnerError(chat, ownerTelegramId, owner);
+            if (ownerError) {
+                throw new Error(ownerError);
+            }
+
+            if (chat.type !== 'private' && this.botId) {
+                const member = await this.bot.getChatMember(chat.id, this.botId);
+                if (['left', 'kicked'].includes(member.status)) {
+                    throw new Error('бот не состоит в этом чате');
+                }
+                if (chat.type === 'channel' && (member.status !== 'administrator' || member.can_post_messages === false)) {
+                    throw new Error('сделайте бота администратором канала с правом публиковать сообщения');
+                }
+                if (member.status === 'restricted' && !member.can_send_messages) {
+                    throw new Error('у бота нет права отправлять сообщения');
+                }
+            }
+
+            // Проверочное сообщение: права могут быть ограничены и на уровне темы или медленного режима
+            await this.bot.sendMessage(chat.id, '✅ Сюда будут приходить уведомления Scout Bot', threadId ? { message_thread_id: threadId } : {});
+
+            return {
+                chatId: String(chat.id),
+                threadId: threadId || null,
+                chatType: chat.type,
+                title: chat.title || [chat.first_name, chat.last_name].filter(Boolean).join(' ') || chat.username || String(chat.id)
+            };
+        } catch (error) {
+            throw new Error(describeTargetError(error));
+        }
+    }
+
+    /**
+     * Подключает получателя уведомлений и сообщает результат в replyChatId
+     */
+    async connectTarget(replyChatId, user, { chatId, threadId }) {
+        if (await database.targets.count(user.id) >= MAX_TARGETS_PER_USER) {
+            await this.bot.sendMessage(replyChatId, `❌ Можно подключить не больше ${MAX_TARGETS_PER_USER} получателей. Удалите лишние в /targets`);
+            return null;
+        }
+
+        let verified;
+        try {
+            verified = await this.verifyTarget(chatId, threadId, user.telegram_user_id);
+        } catch (error) {
+            await this.bot.sendMessage(replyChatId, `❌ Не удалось подключить получателя: ${error.message}`);
+            return null;
+        }
+
+        const target = await database.targets.add(user.id, verified);
+        console.log(`[Bot] Delivery target ${target.chat_id}/${target.thread_id} added for user ${user.id}`);
+
+        // Подтверждение - в личный чат, чтобы не шуметь в группе
+        const targets = await database.targets.getByUserId(user.id);
+        const number = targets.findIndex(t => t.id === target.id) + 1;
+        await this.bot.sendMessage(user.bot_chat_id || replyChatId,
+            `✅ <b>${escapeHtml(target.title)}</b> получает уведомления (${escapeHtml(describeRoute(target))}).\n\n` +
+            `Настроить правило: <code>/route ${number} profile Название</code> или <code>/route ${number} keywords слово, слово</code>\n` +
+            'Все получатели: /targets',
+            { parse_mode: 'HTML' }
+        );
+        return target;
+    }
+
+    /**
+     * Отправка медиа (оригинал сообщения из чата) в подходящем виде
+     */
+    async sendMedia(chatId, { kind, buffer, fileName, mimeType }, options = {}) {
+        const fileOptions = { filename: fileName, contentType: mimeType };
+        switch (kind) {
+            case 'photo':
+                return this.bot.sendPhoto(chatId, buffer, options, fileOptions);
+            case 'voice':
+                return this.bot.sendVoice(chatId, buffer, options, fileOptions);
+            case 'video_note':
+                return this.bot.sendVideoNote(chatId, buffer, options, fileOptions);
+            case 'video':
+                return this.bot.sendVideo(chatId, buffer, options, fileOptions);
+            case 'audio':
+                return this.bot.sendAudio(chatId, buffer, options, fileOptions);
+            default:
+                return this.bot.sendDocument(chatId, buffer, options, fileOptions);
+        }
     }
 
     /**
@@ -0,0 +1,189 @@
+/**
+ * Дайджесты: вместо уведомления на каждое совпадение - сводка раз в N минут или раз в день
+ * Совпадения копятся в таблице digest_queue и переживают перезапуск сервера
+ */
+
+const { buildMessageLink, truncateText } = require('./keywords');
+const { DEFAULT_TIMEZONE, normalizeTime, timeToMinutes, getLocalTime } = require('./schedule');
+const { escapeHtml } = require('./templates');
+
+// immediate - сразу, batch - раз в digest_interval минут, daily - раз в день в digest_time
+const DELIVERY_MODES = ['immediate', 'batch', 'daily'];
+// Сводка по каждому чату или по каждому ключевому слову
+const DIGEST_GROUP_BY = ['chat', 'keyword'];
+// Оригинал сообщения с медиа: off - только текст, forward - пересылка через аккаунт пользователя, upload - загрузка ботом
+const ATTACH_MEDIA_MODES = ['off', 'forward', 'upload'];
+
+const MIN_DIGEST_INTERVAL = 5;
+const MAX_DIGEST_INTERVAL = 12 * 60;
+
+// Лимит Telegram - 4096 символов, оставляем запас на заголовок
+const MAX_DIGEST_MESSAGE_LENGTH = 3800;
+const DIGEST_ITEM_TEXT_LENGTH = 150;
+
+/**
+ * Проверяет настройки доставки: mode, interval (минуты), time (ЧЧ:ММ), groupBy, attachMedia
+ * Возвращает { mode, interval, time, groupBy, attachMedia } или бросает Error
+ */
+function normalizeDeliverySettings({ mode, interval, time, groupBy, attachMedia } = {}, current = {}) {
+    const result = {
+        mode: mode ?? current.delivery_mode ?? 'immediate',
+        interval: interval === undefined || interval === null || interval === '' ? current.digest_interval ?? 60 : Number(interval),
+        time: time || current.digest_time || '09:00',
+        groupBy: groupBy ?? current.digest_group_by ?? 'chat',
+        attachMedia: attachMedia ?? current.attach_media ?? 'off'
+    };
+
+    if (!DELIVERY_MODES.includes(result.mode)) {
+        throw new Error('Режим доставки: immediate, batch или daily');
+    }
+    if (!Number.isInteger(result.interval) || result.interval < MIN_DIGEST_INTERVAL || result.interval > MAX_DIGEST_INTERVAL) {
+        throw new Error(`Интервал дайджеста должен быть от ${MIN_DIGEST_INTERVAL} до ${MAX_DIGEST_INTERVAL} минут`);
+    }
+    result.time = normalizeTime(result.time);
+    if (!result.time) {
+        throw new Error('Время дайджеста в формате ЧЧ:ММ, например 09:30');
+    }
+    if (!DIGEST_GROUP_BY.includes(result.groupBy)) {
+        throw new Error('Группировка дайджеста: chat или keyword');
+    }
+    if (!ATTACH_MEDIA_MODES.includes(result.attachMedia)) {
+        throw new Error('Вложения: off, forward или upload');
+    }
+
+    return result;
+}
+
+/**
+ * Пора ли отправлять накопленное: oldestAt - время самого старого совпадения в очереди
+ * batch: самое старое совпадение ждет interval минут (за это время подтягиваются остальные)
+ * daily: в очереди есть совпадения до последнего наступившего digest_time (в часовом поясе пользователя)
+ */
+function isDigestDue(user, oldestAt, now = new Date()) {
+    const oldest = new Date(oldestAt);
+
+    if (user.delivery_mode === 'batch') {
+        return now - oldest >= user.digest_interval * 60 * 1000;
+    }
+
+    if (user.delivery_mode === 'daily') {
+        const scheduledMinutes = timeToMinutes(user.digest_time);
+        const local = getLocalTime(now, user.timezone);
+        const oldestLocal = getLocalTime(oldest, user.timezone);
+
+        // Последний наступивший digest_time: сегодня или вчера (местные даты)
+        let scheduledDate = local.dateKey;
+        if (local.minutes < scheduledMinutes) {
+            const yesterday = new Date(`${local.dateKey}T00:00:00Z`);
+            yesterday.setUTCDate(yesterday.getUTCDate() - 1);
+            scheduledDate = yesterday.toISOString().slice(0, 10);
+        }
+
+        return oldestLocal.dateKey < scheduledDate ||
+            (oldestLocal.dateKey === scheduledDate && oldestLocal.minutes < scheduledMinutes);
+    }
+
+    // Переключились на immediate, а в очереди что-то осталось - отправляем сразу
+    return true;
+}
+
+/**
+ * Ключевое слово с наибольшим баллом - по нему совпадение попадает в группу
+ */
+function topKeyword(item) {
+    const best = item.match_details.reduce((top, d) => (d.score ?? 0) > (top?.score ?? -1) ? d : top, null);
+    return best?.keyword || item.matched_keywords[0] || '—';
+}
+
+/**
+ * Группирует элементы очереди по чату или ключевому слову, группы - по убыванию числа совпадений
+ */
+function groupDigestItems(items, groupBy = 'chat') {
+    const groups = new Map();
+    for (const item of items) {
+        const key = groupBy === 'keyword' ? topKeyword(item) : item.chat_id;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                title: groupBy === 'keyword' ? key : item.chat_title || 'Неизвестный чат',
+                groupBy,
+                items: []
+            });
+        }
+        groups.get(key).items.push(item);
+    }
+    return [...groups.values()].sort((a, b) => b.items.length - a.items.length);
+}
+
+/**
+ * Строка совпадения в дайджесте (HTML)
+ */
+function formatDigestItem(item, groupBy, timezone) {
+    const link = buildMessageLink(item.chat_id, item.message_id);
+    const time = new Date(item.created_at).toLocaleTimeString('ru-RU', {
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone: timezone || DEFAULT_TIMEZONE
+    });
+    // В группе по чату показываем слово, в группе по слову - чат
+    const context = groupBy === 'keyword'
+        ? escapeHtml(item.chat_title || 'Неизвестный чат')
+        : `"${escapeHtml(topKeyword(item))}"`;
+    const score = item.score !== null && item.score !== undefined ? ` · 📊 ${item.score}` : '';
+
+    return `• ${time} <b>${escapeHtml(item.author_name || 'Неизвестно')}</b> · ${context}${score}\n` +
+        `   ${escapeHtml(truncateText(item.message_text.replace(/\s+/g, ' '), DIGEST_ITEM_TEXT_LENGTH))} <a href="${escapeHtml(link)}">→</a>`;
+}
+
+/**
+ * Сообщения дайджеста для одной группы; длинные группы делятся на несколько сообщений
+ * Возвращает [{ text, items }] - items: совпадения, вошедшие в сообщение
+ */
+function formatDigestGroup(group, timezone) {
+    const icon = group.groupBy === 'keyword' ? '🔑' : '💬';
+    const header = `📬 <b>Дайджест</b> · ${icon} <b>${escapeHtml(group.title)}</b> — ${group.items.length}`;
+
+    const messages = [];
+    let current = { text: header, items: [] };
+    for (const item of group.items) {
+        const line = formatDigestItem(item, group.groupBy, timezone);
+        if (current.text.length + line.length + 2 > MAX_DIGEST_MESSAGE_LENGTH && current.items.length > 0) {
+            messages.push(current);
+            current = { text: `${header} (продолжение)`, items: [] };
+        }
+        current.text += `\n\n${line}`;
+        current.items.push(item);
+    }
+    messages.push(current);
+
+    return messages;
+}
+
+/**
+ * Описание режима доставки для /status, /digest и веб-интерфейса
+ */
+function describeDelivery(user) {
+    const groupBy = user.digest_group_by === 'keyword' ? 'по ключевым словам' : 'по чатам';
+    switch (user.delivery_mode) {
+        case 'batch':
+            return `дайджест каждые ${user.digest_interval} мин, ${groupBy}`;
+        case 'daily':
+            return `дайджест раз в день в ${user.digest_time}, ${groupBy}`;
+        default: {
+            const attach = { forward: ', медиа пересылаются', upload: ', медиа прикладываются ботом' }[user.attach_media] || '';
+            return `сразу, по одному уведомлению${attach}`;
+        }
+    }
+}
+
+module.exports = {
+    DELIVERY_MODES,
+    DIGEST_GROUP_BY,
+    ATTACH_MEDIA_MODES,
+    MIN_DIGEST_INTERVAL,
+    MAX_DIGEST_INTERVAL,
+    normalizeDeliverySettings,
+    isDigestDue,
+    groupDigestItems,
+    formatDigestGroup,
+    describeDelivery
+};
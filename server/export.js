@@ -0,0 +1,330 @@
+/**
+ * Экспорт истории совпадений в CSV, XLSX и JSON (веб-загрузка и /export в боте)
+ * XLSX собирается без внешних библиотек: минимальная книга из одного листа в ZIP-архиве
+ */
+
+const zlib = require('zlib');
+const { buildMessageLink } = require('./keywords');
+const { DEFAULT_TIMEZONE } = require('./schedule');
+const { normalizeHistoryFilters } = require('./history');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+const DEFAULT_EXPORT_FORMAT = 'xlsx';
+const MAX_EXPORT_ROWS = 10000;
+// /export без периода - за последние дни
+const BOT_EXPORT_DEFAULT_DAYS = 30;
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    json: 'application/json'
+};
+
+const STATUS_NAMES = { open: 'открыт', handled: 'обработан', snoozed: 'отложен', irrelevant: 'не актуален' };
+const DELIVERY_NAMES = { queued: 'в очереди', sent: 'доставлено', digest: 'дайджест', held: 'ждет /start', failed: 'не доставлено' };
+
+// Колонки таблицы: заголовок и значение из строки sent_notifications
+// userText - текст из Telegram, в CSV он не должен превращаться в формулу
+const COLUMNS = [
+    { title: 'Дата', value: (row, timezone) => formatExportDate(row.sent_at, timezone) },
+    { title: 'Чат', value: row => row.chat_title || '', userText: true },
+    { title: 'ID чата', value: row => row.chat_id },
+    { title: 'Автор', value: row => row.author_name || '', userText: true },
+    { title: 'Username', value: row => row.author_username ? `@${row.author_username}` : '' },
+    { title: 'ID автора', value: row => row.author_id || '' },
+    { title: 'Сообщение', value: row => row.message_text || '', userText: true },
+    { title: 'Ключевые слова', value: row => row.matched_keywords.join(', '), userText: true },
+    { title: 'Релевантность', value: row => row.score ?? '', numeric: true },
+    { title: 'Статус', value: row => STATUS_NAMES[row.status] || row.status || '' },
+    { title: 'Доставка', value: row => DELIVERY_NAMES[row.delivery_status] || '' },
+    { title: 'Ссылка', value: row => buildMessageLink(row.chat_id, row.message_id) }
+];
+
+/**
+ * Параметры экспорта из query-параметров: format, from, to, chatId, keyword, q, status
+ * Возвращает { format, filters } или бросает Error
+ */
+function normalizeExportOptions(params = {}) {
+    const format = String(params.format || DEFAULT_EXPORT_FORMAT).toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Формат экспорта: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const { page, pageSize, ...filters } = normalizeHistoryFilters({
+        q: params.q,
+        from: params.from,
+        to: params.to,
+        chatId: params.chatId,
+        keyword: params.keyword,
+        status: params.status,
+        deliveryStatus: params.deliveryStatus
+    });
+    return { format, filters: { ...filters, limit: MAX_EXPORT_ROWS, offset: 0 } };
+}
+
+/**
+ * Аргументы /export: формат, период (7d или 2026-10-01..2026-10-15) и ключевое слово
+ * Например: /export csv 7d дизайн
+ */
+function parseExportArgs(text, now = new Date()) {
+    const params = { format: DEFAULT_EXPORT_FORMAT };
+    const rest = [];
+    let hasPeriod = false;
+
+    for (const token of String(text || '').trim().split(/\s+/).filter(Boolean)) {
+        const days = token.match(/^(\d+)d$/i);
+        const range = token.match(/^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})?$/);
+        if (EXPORT_FORMATS.includes(token.toLowerCase())) {
+            params.format = token.toLowerCase();
+        } else if (days) {
+            params.from = new Date(now.getTime() - parseInt(days[1]) * 24 * 60 * 60 * 1000).toISOString();
+            hasPeriod = true;
+        } else if (range) {
+            params.from = range[1];
+            params.to = range[2];
+            hasPeriod = true;
+        } else {
+            rest.push(token);
+        }
+    }
+
+    if (!hasPeriod) {
+        params.from = new Date(now.getTime() - BOT_EXPORT_DEFAULT_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    }
+    if (rest.length > 0) {
+        params.keyword = rest.join(' ');
+    }
+    return params;
+}
+
+/**
+ * Дата совпадения в часовом поясе пользователя: 2026-10-19 14:05
+ */
+function formatExportDate(date, timezone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone || DEFAULT_TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(new Date(date)).map(p => [p.type, p.value]));
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+}
+
+/**
+ * Файл экспорта: { buffer, filename, contentType }
+ * rows - строки sent_notifications (parseMatchRow)
+ */
+function buildExport(rows, format, timezone, now = new Date()) {
+    const filename = `matches-${formatExportDate(now, timezone).slice(0, 10)}.${format}`;
+    let buffer;
+
+    if (format === 'json') {
+        buffer = Buffer.from(JSON.stringify(rows.map(row => ({
+            createdAt: new Date(row.sent_at).toISOString(),
+            chatId: row.chat_id,
+            chatTitle: row.chat_title,
+            messageId: row.message_id,
+            link: buildMessageLink(row.chat_id, row.message_id),
+            authorId: row.author_id,
+            authorName: row.author_name,
+            authorUsername: row.author_username,
+            text: row.message_text,
+            score: row.score,
+            matchedKeywords: row.matched_keywords,
+            matchDetails: row.match_details,
+            status: row.status,
+            deliveryStatus: row.delivery_status
+        })), null, 2));
+    } else {
+        const table = [
+            COLUMNS.map(c => c.title),
+            ...rows.map(row => COLUMNS.map(c => c.value(row, timezone)))
+        ];
+        buffer = format === 'csv' ? buildCsv(table) : buildXlsx(table);
+    }
+
+    return { buffer, filename, contentType: CONTENT_TYPES[format] };
+}
+
+/**
+ * CSV с BOM (Excel иначе не узнает UTF-8); формулы в ячейках отключаются апострофом
+ */
+function buildCsv(table) {
+    const cell = (value, c) => {
+        let text = String(value ?? '');
+        if (COLUMNS[c].userText && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return Buffer.from('\uFEFF' + table.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n');
+}
+
+/**
+ * Книга XLSX из одного листа: строки как inline-строки, числовые колонки - числами
+ */
+function buildXlsx(table) {
+    const xml = (value) => String(value ?? '')
+        // Управляющие символы запрещены в XML 1.0
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+    const columnName = (index) => {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    };
+
+    const sheetRows = table.map((row, r) => {
+        const cells = row.map((value, c) => {
+            const ref = `${columnName(c)}${r + 1}`;
+            if (r > 0 && COLUMNS[c].numeric && value !== '') {
+                return `<c r="${ref}"><v>${Number(value)}</v></c>`;
+            }
+            const style = r === 0 ? ' s="1"' : '';
+            return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${xml(value)}</t></is></c>`;
+        });
+        return `<row r="${r + 1}">${cells.join('')}</row>`;
+    });
+
+    const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    return buildZip([
+        {
+            name: '[Content_Types].xml',
+            data: header + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: header + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: header + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                '<sheets><sheet name="Совпадения" sheetId="1" r:id="rId1"/></sheets>' +
+                '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: header + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            // Два стиля: обычный и жирный для заголовка
+            name: 'xl/styles.xml',
+            data: header + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                '</styleSheet>'
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            data: header + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+                `<sheetData>${sheetRows.join('')}</sheetData>` +
+                '</worksheet>'
+        }
+    ]);
+}
+
+// Таблица CRC-32 для ZIP
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * ZIP-архив (deflate) из файлов [{ name, data }]
+ */
+function buildZip(files) {
+    const locals = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.from(file.data, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // версия для распаковки
+        local.writeUInt16LE(0x0800, 6); // имена в UTF-8
+        local.writeUInt16LE(8, 8); // deflate
+        local.writeUInt16LE(0, 10); // время
+        local.writeUInt16LE(0x21, 12); // дата: 1980-01-01
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+        locals.push(local, name, compressed);
+
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(20, 4);
+        entry.writeUInt16LE(20, 6);
+        entry.writeUInt16LE(0x0800, 8);
+        entry.writeUInt16LE(8, 10);
+        entry.writeUInt16LE(0, 12);
+        entry.writeUInt16LE(0x21, 14);
+        entry.writeUInt32LE(crc, 16);
+        entry.writeUInt32LE(compressed.length, 20);
+        entry.writeUInt32LE(data.length, 24);
+        entry.writeUInt16LE(name.length, 28);
+        entry.writeUInt32LE(offset, 42);
+        central.push(entry, name);
+
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralSize = central.reduce((sum, b) => sum + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, ...central, end]);
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    MAX_EXPORT_ROWS,
+    normalizeExportOptions,
+    parseExportArgs,
+    buildExport
+};
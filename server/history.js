@@ -0,0 +1,155 @@
+/**
+ * История совпадений: каждое найденное сообщение хранится в sent_notifications столько дней, сколько выбрал пользователь
+ * Полнотекстовый поиск по тексту, автору и чату (Postgres, словоформы русского и английского)
+ */
+
+const { buildMessageLink, truncateText } = require('./keywords');
+const { DEFAULT_TIMEZONE } = require('./schedule');
+const { escapeHtml } = require('./templates');
+
+const DEFAULT_HISTORY_DAYS = 30;
+const MIN_HISTORY_DAYS = 1;
+const MAX_HISTORY_DAYS = 365;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const BOT_HISTORY_LIMIT = 10;
+const HISTORY_TEXT_LENGTH = 150;
+
+// Статус доставки совпадения
+const DELIVERY_STATUS_NAMES = {
+    queued: '⏳ в очереди',
+    sent: '✅ доставлено',
+    digest: '📬 в дайджесте',
+    held: '⛔ ждет /start',
+    failed: '⚠️ не доставлено'
+};
+
+const LEAD_STATUSES = ['open', 'handled', 'snoozed', 'irrelevant'];
+
+/**
+ * Срок хранения истории в днях; бросает Error
+ */
+function normalizeHistoryDays(value) {
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < MIN_HISTORY_DAYS || days > MAX_HISTORY_DAYS) {
+        throw new Error(`Срок хранения истории — от ${MIN_HISTORY_DAYS} до ${MAX_HISTORY_DAYS} дней`);
+    }
+    return days;
+}
+
+/**
+ * Фильтры поиска из query-параметров: q, from, to (ГГГГ-ММ-ДД), chatId, keyword, status, deliveryStatus, page, pageSize
+ * Возвращает { q, from, to, chatId, keyword, status, deliveryStatus, limit, offset, page, pageSize } или бросает Error
+ */
+function normalizeHistoryFilters(params = {}) {
+    const text = (value) => {
+        const trimmed = String(value ?? '').trim();
+        return trimmed || null;
+    };
+    const date = (value, name) => {
+        if (!text(value)) return null;
+        const parsed = new Date(text(value));
+        if (Number.isNaN(parsed.getTime())) {
+            throw new Error(`Некорректная дата "${name}"`);
+        }
+        return parsed;
+    };
+
+    const filters = {
+        q: text(params.q),
+        from: date(params.from, 'с'),
+        to: date(params.to, 'по'),
+        chatId: text(params.chatId),
+        keyword: text(params.keyword),
+        status: text(params.status),
+        deliveryStatus: text(params.deliveryStatus)
+    };
+
+    // Дата "по" включает весь день
+    if (filters.to && /^\d{4}-\d{2}-\d{2}$/.test(text(params.to))) {
+        filters.to.setUTCDate(filters.to.getUTCDate() + 1);
+    }
+    if (filters.status && !LEAD_STATUSES.includes(filters.status)) {
+        throw new Error(`Статус: ${LEAD_STATUSES.join(', ')}`);
+    }
+    if (filters.deliveryStatus && !DELIVERY_STATUS_NAMES[filters.deliveryStatus]) {
+        throw new Error(`Статус доставки: ${Object.keys(DELIVERY_STATUS_NAMES).join(', ')}`);
+    }
+
+    const page = params.page === undefined || params.page === '' ? 1 : Number(params.page);
+    const pageSize = params.pageSize === undefined || params.pageSize === '' ? DEFAULT_PAGE_SIZE : Number(params.pageSize);
+    if (!Number.isInteger(page) || page < 1) {
+        throw new Error('Номер страницы должен быть положительным числом');
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        throw new Error(`Размер страницы — от 1 до ${MAX_PAGE_SIZE}`);
+    }
+
+    return { ...filters, page, pageSize, limit: pageSize, offset: (page - 1) * pageSize };
+}
+
+/**
+ * Совпадение из строки sent_notifications для API
+ */
+function formatMatch(row) {
+    return {
+        id: row.id,
+        chatId: row.chat_id,
+        chatTitle: row.chat_title,
+        messageId: row.message_id,
+        link: buildMessageLink(row.chat_id, row.message_id),
+        authorId: row.author_id,
+        authorName: row.author_name,
+        authorUsername: row.author_username,
+        text: row.message_text,
+        score: row.score,
+        matchedKeywords: row.matched_keywords,
+        matchDetails: row.match_details,
+        status: row.status,
+        deliveryStatus: row.delivery_status,
+        createdAt: row.sent_at
+    };
+}
+
+/**
+ * Результаты /history (HTML)
+ */
+function formatHistoryList(rows, total, query, timezone) {
+    const title = query ? `🗂 <b>История: «${escapeHtml(query)}»</b>` : '🗂 <b>История совпадений</b>';
+    const hint = query ? '' : '\n\nПоиск по тексту, автору и чату: <code>/history дизайнер логотип</code>';
+    if (rows.length === 0) {
+        return `${title}\n\n${query ? 'Ничего не найдено.' : 'Совпадений пока нет.'}${hint}`;
+    }
+
+    const lines = rows.map(row => {
+        const time = new Date(row.sent_at).toLocaleString('ru-RU', {
+            timeZone: timezone || DEFAULT_TIMEZONE,
+            day: '2-digit',
+            month: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        const link = buildMessageLink(row.chat_id, row.message_id);
+        const keywords = row.matched_keywords.length > 0 ? ` · 🔑 ${escapeHtml(row.matched_keywords.join(', '))}` : '';
+        const delivery = DELIVERY_STATUS_NAMES[row.delivery_status] || '';
+        return `${time} <b>${escapeHtml(row.author_name || 'Неизвестно')}</b> · ${escapeHtml(row.chat_title || 'Неизвестный чат')}${keywords}\n` +
+            `   ${escapeHtml(truncateText((row.message_text || '').replace(/\s+/g, ' '), HISTORY_TEXT_LENGTH))} <a href="${escapeHtml(link)}">→</a>` +
+            (delivery ? `\n   ${delivery}` : '');
+    });
+
+    const more = total > rows.length ? `\n\nПоказаны ${rows.length} из ${total}, самые новые. Полный поиск и фильтры — в веб-интерфейсе.` : '';
+    return `${title} — ${total}\n\n${lines.join('\n\n')}${more}${hint}`;
+}
+
+module.exports = {
+    DEFAULT_HISTORY_DAYS,
+    MIN_HISTORY_DAYS,
+    MAX_HISTORY_DAYS,
+    BOT_HISTORY_LIMIT,
+    DELIVERY_STATUS_NAMES,
+    normalizeHistoryDays,
+    normalizeHistoryFilters,
+    formatMatch,
+    formatHistoryList
+};
@@ -7,7 +7,24 @@ const { v4: uuidv4 } = require('uuid');
 const database = require('./database');
 const NotificationBot = require('./bot');
 const TelegramMonitor = require('./monitor');
-const { parseKeywords } = require('./keywords');
+const { KeywordMatcher, parseKeywords, validateKeywords, formatKeywordErrors } = require('./keywords');
+const { normalizeBacktestOptions } = require('./backtest');
+const { normalizeDeliverySettings, describeDelivery } = require('./digest');
+const { normalizeScheduleSettings, isQuietTime, describeSchedule } = require('./schedule');
+const { PLACEHOLDERS, PRESETS, normalizeTemplateSettings, renderTemplatePreview } = require('./templates');
+const { MAX_TARGETS_PER_USER, normalizeRouteKeywords, describeRoute } = require('./targets');
+const {
+    MAX_WEBHOOKS_PER_USER,
+    MAX_ATTEMPTS,
+    generateWebhookSecret,
+    normalizeWebhookUrl,
+    sendTestWebhook,
+    processWebhookQueue
+} = require('./webhooks');
+const { MAX_GROUPS_PER_USER, parseSynonymLine, parseSynonymGroups, formatSynonymGroups } = require('./synonyms');
+const { MIN_HISTORY_DAYS, MAX_HISTORY_DAYS, normalizeHistoryDays, normalizeHistoryFilters, formatMatch } = require('./history');
+const { MAX_EXPORT_ROWS, normalizeExportOptions, buildExport } = require('./export');
+const { verifyAccessToken } = require('./access');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -19,7 +36,7 @@ app.use(express.static(path.join(__dirname, '..', 'client')));
 // CORS для локальной разработки
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, X-Access-Token');
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
     if (req.method === 'OPTIONS') {
         return res.sendStatus(200);
@@ -95,6 +112,32 @@ async function restoreAuthSession(sessionId) {
     return null;
 }
 
+/**
+ * Минимальный балл релевантности профиля: целое 0..100 или null, если значение некорректно
+ * Пустое значение - 0 (уведомлять о любом совпадении)
+ */
+function parseMinScore(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    const minScore = Number(value);
+    if (!Number.isInteger(minScore) || minScore < 0 || minScore > 100) return null;
+    return minScore;
+}
+
+/**
+ * Доступ к данным пользователя :userId только по токену из ссылки бота
+ * (заголовок X-Access-Token или ?token= для скачивания файлов)
+ */
+function requireUserAccess(req, res, next) {
+    const token = req.get('X-Access-Token') || req.query.token;
+    if (!verifyAccessToken(req.params.userId, token)) {
+        return res.status(401).json({ 
+            success: false, 
+            error: 'Ссылка недействительна или устарела: откройте настройки заново из бота (/status)' 
+        });
+    }
+    next();
+}
+
 // ============ API Routes ============
 
 /**
@@ -380,7 +423,7 @@ app.get('/api/folders/:folderName/chats', async (req, res) => {
  */
 app.post('/api/monitoring/start', async (req, res) => {
     try {
-        const { sessionId, folderName, keywords } = req.body;
+        const { sessionId, folderName, keywords, profileName } = req.body;
 
         if (!sessionId || !folderName || !keywords) {
             return res.status(400).json({ 
@@ -389,6 +432,14 @@ app.post('/api/monitoring/start', async (req, res) => {
             });
         }
 
+        const minScore = parseMinScore(req.body.minScore);
+        if (minScore === null) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Минимальный балл должен быть целым числом от 0 до 100' 
+            });
+        }
+
         // Пробуем получить из памяти или восстановить из БД
         const authData = await restoreAuthSession(sessionId);
         if (!authData || !authData.user || !authData.sessionString) {
@@ -412,6 +463,16 @@ app.post('/api/monitoring/start', async (req, res) => {
             });
         }
 
+        // Проверяем синтаксис правил AND/OR/NOT
+        const keywordErrors = validateKeywords(keywordsList);
+        if (keywordErrors.length > 0) {
+            return res.status(400).json({ 
+                success: false, 
+                error: formatKeywordErrors(keywordErrors),
+                keywordErrors
+            });
+        }
+
         // Проверяем, есть ли уже пользователь в системе
         let user = await database.users.getByTelegramId(authData.user.id);
         
@@ -440,12 +501,16 @@ app.post('/api/monitoring/start', async (req, res) => {
             });
         }
 
-        // Удаляем старые настройки мониторинга
-        await database.monitors.delete(user.id);
-        await database.chats.deleteByUserId(user.id);
-
-        // Создаем новые настройки
-        await database.monitors.create(user.id, folderName, keywordsList);
+        // Создаем или обновляем профиль с этим названием (остальные профили пользователя не трогаем)
+        const name = profileName?.trim() || 'Основной';
+        const existingProfile = await database.monitors.getByName(user.id, name);
+        if (existingProfile) {
+            await database.monitors.updateById(existingProfile.id, name, folderName, keywordsList);
+            await database.monitors.updateMinScoreById(existingProfile.id, minScore);
+            await database.monitors.setActiveById(existingProfile.id, true);
+        } else {
+            await database.monitors.create(user.id, folderName, keywordsList, name, minScore);
+        }
 
         // Запускаем мониторинг
         const monitorResult = await monitor.startMonitoring(user.id);
@@ -464,6 +529,8 @@ app.post('/api/monitoring/start', async (req, res) => {
         res.json({ 
             success: true, 
             chatsCount: monitorResult.chatsCount,
+            profilesCount: monitorResult.profilesCount,
+            keywordsCount: keywordsList.length,
             message: 'Мониторинг успешно запущен!'
         });
 
@@ -528,6 +595,8 @@ app.get('/api/monitoring/status/:userId', async (req, res) => {
 
         const settings = await database.monitors.getByUserId(user.id);
         const chatsCount = await database.chats.count(user.id);
+        const profiles = await database.monitors.getAllByUserId(user.id);
+        const outbox = await database.outbox.countByStatus(user.id);
 
         res.json({ 
             success: true,
@@ -535,7 +604,28 @@ app.get('/api/monitoring/status/:userId', async (req, res) => {
             isActive: !!user.is_active,
             folderName: settings?.folder_name,
             keywords: settings?.keywords,
-            chatsCount
+            chatsCount,
+            // Очередь уведомлений: ожидают отправки, отложены до /start (held) и не доставлены (dead) за последнюю неделю
+            outbox: {
+                pending: (outbox.pending || 0) + (outbox.sending || 0),
+                held: outbox.held || 0,
+                dead: outbox.dead || 0
+            },
+            // Уведомления не доходят: бот заблокирован (blocked) или пользователь не отправил боту /start (no_chat)
+            deliveryError: user.delivery_error ? {
+                reason: user.delivery_error,
+                since: user.delivery_error_at,
+                queuedDigests: await database.digests.count(user.id)
+            } : null,
+            botUsername: bot.username,
+            profiles: profiles.map(p => ({
+                id: p.id,
+                name: p.name,
+                folderName: p.folder_name,
+                keywords: p.keywords,
+                minScore: p.min_score || 0,
+                isActive: !!p.is_active
+            }))
         });
 
     } catch (error) {
@@ -547,6 +637,271 @@ app.get('/api/monitoring/status/:userId', async (req, res) => {
     }
 });
 
+// ============ Профили мониторинга ============
+
+/**
+ * Находит профиль и проверяет, что он принадлежит пользователю
+ */
+async function getOwnedProfile(telegramUserId, profileId) {
+    const user = await database.users.getByTelegramId(telegramUserId);
+    if (!user) {
+        return { user: null, profile: null };
+    }
+
+    const profile = await database.monitors.getById(parseInt(profileId));
+    if (!profile || profile.user_id !== user.id) {
+        return { user, profile: null };
+    }
+
+    return { user, profile };
+}
+
+/**
+ * Перезапускает мониторинг, чтобы подхватить изменения профилей (списки чатов)
+ */
+async function refreshMonitoring(user) {
+    if (!user.is_active) {
+        return { success: true };
+    }
+    return monitor.startMonitoring(user.id);
+}
+
+/**
+ * Список профилей пользователя
+ */
+app.get('/api/profiles/:userId', async (req, res) => {
+    try {
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        const profiles = await database.monitors.getAllByUserId(user.id);
+        const result = [];
+        for (const profile of profiles) {
+            result.push({
+                id: profile.id,
+                name: profile.name,
+                folderName: profile.folder_name,
+                keywords: profile.keywords,
+                minScore: profile.min_score || 0,
+                isActive: !!profile.is_active,
+                chatsCount: await database.chats.countByProfile(profile.id)
+            });
+        }
+
+        res.json({ 
+            success: true, 
+            profiles: result 
+        });
+
+    } catch (error) {
+        console.error('Error in get profiles:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Создание профиля
+ */
+app.post('/api/profiles/:userId', async (req, res) => {
+    try {
+        const { name, folderName, keywords } = req.body;
+
+        if (!name || !folderName || !keywords) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Необходимо указать name, folderName и keywords' 
+            });
+        }
+
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        const minScore = parseMinScore(req.body.minScore);
+        if (minScore === null) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Минимальный балл должен быть целым числом от 0 до 100' 
+            });
+        }
+
+        if (await database.monitors.getByName(user.id, name.trim())) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Профиль "${name.trim()}" уже существует` 
+            });
+        }
+
+        const keywordsList = parseKeywords(keywords);
+        if (keywordsList.length === 0) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Необходимо указать хотя бы одно ключевое слово' 
+            });
+        }
+
+        // Проверяем синтаксис правил AND/OR/NOT
+        const keywordErrors = validateKeywords(keywordsList);
+        if (keywordErrors.length > 0) {
+            return res.status(400).json({ 
+                success: false, 
+                error: formatKeywordErrors(keywordErrors),
+                keywordErrors
+            });
+        }
+
+        const profileId = await database.monitors.create(user.id, folderName, keywordsList, name.trim(), minScore);
+        const monitorResult = await refreshMonitoring(user);
+
+        res.json({ 
+            success: monitorResult.success, 
+            profileId,
+            error: monitorResult.error
+        });
+
+    } catch (error) {
+        console.error('Error in create profile:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Изменение профиля
+ */
+app.put('/api/profiles/:userId/:profileId', async (req, res) => {
+    try {
+        const { user, profile } = await getOwnedProfile(req.params.userId, req.params.profileId);
+        if (!profile) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Профиль не найден' 
+            });
+        }
+
+        const name = req.body.name?.trim() || profile.name;
+        const folderName = req.body.folderName || profile.folder_name;
+        const keywordsList = req.body.keywords !== undefined ? parseKeywords(req.body.keywords) : profile.keywords;
+        const minScore = req.body.minScore !== undefined ? parseMinScore(req.body.minScore) : profile.min_score;
+        if (minScore === null) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Минимальный балл должен быть целым числом от 0 до 100' 
+            });
+        }
+        if (keywordsList.length === 0) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Необходимо указать хотя бы одно ключевое слово' 
+            });
+        }
+
+        // Проверяем синтаксис правил AND/OR/NOT
+        const keywordErrors = validateKeywords(keywordsList);
+        if (keywordErrors.length > 0) {
+            return res.status(400).json({ 
+                success: false, 
+                error: formatKeywordErrors(keywordErrors),
+                keywordErrors
+            });
+        }
+
+        await database.monitors.updateById(profile.id, name, folderName, keywordsList);
+        await database.monitors.updateMinScoreById(profile.id, minScore);
+        const monitorResult = await refreshMonitoring(user);
+
+        res.json(monitorResult);
+
+    } catch (error) {
+        console.error('Error in update profile:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Включение/выключение профиля
+ */
+app.post('/api/profiles/:userId/:profileId/toggle', async (req, res) => {
+    try {
+        const { user, profile } = await getOwnedProfile(req.params.userId, req.params.profileId);
+        if (!profile) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Профиль не найден' 
+            });
+        }
+
+        const isActive = req.body.isActive !== undefined ? !!req.body.isActive : !profile.is_active;
+        await database.monitors.setActiveById(profile.id, isActive);
+
+        // Если выключили последний профиль - останавливаем мониторинг целиком
+        const activeProfiles = await database.monitors.getActiveByUserId(user.id);
+        const monitorResult = activeProfiles.length > 0
+            ? await refreshMonitoring(user)
+            : await monitor.stopMonitoring(user.id);
+
+        res.json({ 
+            ...monitorResult, 
+            isActive 
+        });
+
+    } catch (error) {
+        console.error('Error in toggle profile:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Удаление профиля
+ */
+app.delete('/api/profiles/:userId/:profileId', async (req, res) => {
+    try {
+        const { user, profile } = await getOwnedProfile(req.params.userId, req.params.profileId);
+        if (!profile) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Профиль не найден' 
+            });
+        }
+
+        await database.monitors.deleteById(profile.id);
+
+        const activeProfiles = await database.monitors.getActiveByUserId(user.id);
+        const monitorResult = activeProfiles.length > 0
+            ? await refreshMonitoring(user)
+            : await monitor.stopMonitoring(user.id);
+
+        res.json(monitorResult);
+
+    } catch (error) {
+        console.error('Error in delete profile:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
 /**
  * Диагностика сессии пользователя
  */
@@ -571,46 +926,1280 @@ app.get('/api/diagnose/:userId', async (req, res) => {
     }
 });
 
-// Главная страница
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, '..', 'client', 'index.html'));
-});
+// ============ Доставка уведомлений ============
 
-// Health check для Railway
-app.get('/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
+/**
+ * Настройки доставки пользователя для ответа API
+ */
+async function getDeliveryResponse(user) {
+    return {
+        mode: user.delivery_mode,
+        interval: user.digest_interval,
+        time: user.digest_time,
+        groupBy: user.digest_group_by,
+        attachMedia: user.attach_media,
+        description: describeDelivery(user),
+        pendingCount: await database.digests.count(user.id)
+    };
+}
 
-// Периодическая очистка
-setInterval(async () => {
+/**
+ * Режим доставки: сразу, дайджест каждые N минут или раз в день
+ */
+app.get('/api/delivery/:userId', async (req, res) => {
     try {
-        // Очищаем старые auth сессии
-        await database.auth.cleanup();
-        
-        // Очищаем старые уведомления
-        await database.notifications.cleanup();
-        
-        // Очищаем хеши сообщений старше 24 часов (без этого таблица росла бесконечно)
-        await database.messageHashes.cleanup();
-        
-        // Очищаем просроченные клиенты авторизации (старше 30 минут)
-        const now = Date.now();
-        for (const [sessionId, data] of authClients) {
-            if (now - data.createdAt > 30 * 60 * 1000) {
-                if (data.client) {
-                    data.client.disconnect().catch(() => {});
-                }
-                authClients.delete(sessionId);
-            }
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
         }
 
-        // Логируем использование памяти для мониторинга утечек
-        const mem = process.memoryUsage();
-        console.log(`[Memory] RSS: ${Math.round(mem.rss / 1024 / 1024)}MB, Heap: ${Math.round(mem.heapUsed / 1024 / 1024)}/${Math.round(mem.heapTotal / 1024 / 1024)}MB, External: ${Math.round(mem.external / 1024 / 1024)}MB`);
-    } catch (e) {
-        console.error('Cleanup error:', e);
+        res.json({ 
+            success: true, 
+            delivery: await getDeliveryResponse(user) 
+        });
+
+    } catch (error) {
+        console.error('Error in get delivery:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
     }
-}, 5 * 60 * 1000); // каждые 5 минут
+});
+
+/**
+ * Изменение режима доставки: mode (immediate | batch | daily), interval (минуты), time (ЧЧ:ММ), groupBy (chat | keyword),
+ * attachMedia (off | forward | upload) - прикладывать ли оригинал сообщения с медиа
+ */
+app.put('/api/delivery/:userId', async (req, res) => {
+    try {
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        let settings;
+        try {
+            settings = normalizeDeliverySettings(req.body, user);
+        } catch (error) {
+            return res.status(400).json({ 
+                success: false, 
+                error: error.message 
+            });
+        }
+
+        await database.users.updateDelivery(user.id, settings);
+
+        res.json({ 
+            success: true, 
+            delivery: await getDeliveryResponse(await database.users.getById(user.id)) 
+        });
+
+    } catch (error) {
+        console.error('Error in update delivery:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Расписание пользователя для ответа API
+ */
+function getScheduleResponse(user) {
+    return {
+        timezone: user.timezone,
+        quietStart: user.quiet_start,
+        quietEnd: user.quiet_end,
+        days: user.active_days,
+        description: describeSchedule(user),
+        isQuietNow: isQuietTime(user)
+    };
+}
+
+/**
+ * Расписание доставки: часовой пояс, тихие часы и дни недели
+ */
+app.get('/api/schedule/:userId', async (req, res) => {
+    try {
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        res.json({ 
+            success: true, 
+            schedule: getScheduleResponse(user) 
+        });
+
+    } catch (error) {
+        console.error('Error in get schedule:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Изменение расписания: timezone, quietStart/quietEnd (ЧЧ:ММ, пустые - без тихих часов), days ("12345" или "пн-пт")
+ */
+app.put('/api/schedule/:userId', async (req, res) => {
+    try {
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        let settings;
+        try {
+            settings = normalizeScheduleSettings(req.body, user);
+        } catch (error) {
+            return res.status(400).json({ 
+                success: false, 
+                error: error.message 
+            });
+        }
+
+        await database.users.updateSchedule(user.id, settings);
+
+        res.json({ 
+            success: true, 
+            schedule: getScheduleResponse(await database.users.getById(user.id)) 
+        });
+
+    } catch (error) {
+        console.error('Error in update schedule:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// ============ Получатели уведомлений ============
+
+/**
+ * Получатели пользователя и профили (для правил маршрутизации) для ответа API
+ */
+async function getTargetsResponse(user) {
+    const targets = await database.targets.getByUserId(user.id);
+    const profiles = await database.monitors.getAllByUserId(user.id);
+    return {
+        targets: targets.map(target => ({
+            id: target.id,
+            chatId: target.chat_id,
+            threadId: target.thread_id || null,
+            chatType: target.chat_type,
+            title: target.title,
+            profileId: target.profile_id,
+            keywords: target.keywords,
+            route: describeRoute(target, profiles)
+        })),
+        profiles: profiles.map(p => ({ id: p.id, name: p.name })),
+        maxTargets: MAX_TARGETS_PER_USER
+    };
+}
+
+/**
+ * Получатели уведомлений: группы, каналы, темы форумов (без них - личный чат с ботом)
+ */
+app.get('/api/targets/:userId', async (req, res) => {
+    try {
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        res.json({ 
+            success: true, 
+            ...await getTargetsResponse(user) 
+        });
+
+    } catch (error) {
+        console.error('Error in get targets:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Подключение получателя: chatId (ID или @username канала), threadId - тема форума
+ * Бот проверяет свои права и отправляет туда проверочное сообщение
+ */
+app.post('/api/targets/:userId', async (req, res) => {
+    try {
+        const { chatId, threadId } = req.body;
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        if (!chatId || !/^(-?\d+|@\w{4,})$/.test(String(chatId).trim())) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Укажите ID чата (-100...) или @username канала' 
+            });
+        }
+        if (await database.targets.count(user.id) >= MAX_TARGETS_PER_USER) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Можно подключить не больше ${MAX_TARGETS_PER_USER} получателей` 
+            });
+        }
+
+        let verified;
+        try {
+            verified = await bot.verifyTarget(String(chatId).trim(), parseInt(threadId) || null, user.telegram_user_id);
+        } catch (error) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Не удалось подключить получателя: ${error.message}` 
+            });
+        }
+
+        await database.targets.add(user.id, verified);
+
+        res.json({ 
+            success: true, 
+            ...await getTargetsResponse(user) 
+        });
+
+    } catch (error) {
+        console.error('Error in add target:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Правило получателя: profileId (null - любой профиль), keywords (пустой список - любые слова)
+ */
+app.put('/api/targets/:userId/:targetId', async (req, res) => {
+    try {
+        const { profileId, keywords } = req.body;
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        const target = await database.targets.getById(user.id, parseInt(req.params.targetId));
+        if (!target) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Получатель не найден' 
+            });
+        }
+
+        const profile = profileId ? await database.monitors.getById(parseInt(profileId)) : null;
+        if (profileId && (!profile || profile.user_id !== user.id)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Профиль не найден' 
+            });
+        }
+
+        let routeKeywords;
+        try {
+            routeKeywords = keywords === undefined ? target.keywords : normalizeRouteKeywords(keywords);
+        } catch (error) {
+            return res.status(400).json({ 
+                success: false, 
+                error: error.message 
+            });
+        }
+
+        await database.targets.updateRoute(user.id, target.id, {
+            profileId: profile ? profile.id : null,
+            keywords: routeKeywords
+        });
+
+        res.json({ 
+            success: true, 
+            ...await getTargetsResponse(user) 
+        });
+
+    } catch (error) {
+        console.error('Error in update target:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Отключение получателя
+ */
+app.delete('/api/targets/:userId/:targetId', async (req, res) => {
+    try {
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        await database.targets.remove(user.id, parseInt(req.params.targetId));
+
+        res.json({ 
+            success: true, 
+            ...await getTargetsResponse(user) 
+        });
+
+    } catch (error) {
+        console.error('Error in delete target:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// ============ Вебхуки ============
+
+const WEBHOOK_LOG_LIMIT = 50;
+
+/**
+ * Вебхуки, секрет и журнал доставок для ответа API
+ * Секрет целиком отдается только сразу после создания (revealSecret), дальше - последние 4 символа
+ */
+async function getWebhooksResponse(user, { revealSecret = false } = {}) {
+    const webhooks = await database.webhooks.getByUserId(user.id);
+    const deliveries = await database.webhookDeliveries.getByUserId(user.id, WEBHOOK_LOG_LIMIT);
+    return {
+        webhooks: webhooks.map(w => ({ id: w.id, url: w.url, isActive: w.is_active, createdAt: w.created_at })),
+        secret: revealSecret ? user.webhook_secret : null,
+        secretHint: user.webhook_secret ? `…${user.webhook_secret.slice(-4)}` : null,
+        maxAttempts: MAX_ATTEMPTS,
+        deliveries: deliveries.map(d => ({
+            id: d.id,
+            webhookId: d.webhook_id,
+            url: d.url,
+            event: d.event,
+            status: d.status,
+            attempts: d.attempts,
+            nextAttemptAt: d.status === 'pending' ? d.next_attempt_at : null,
+            statusCode: d.last_status_code,
+            error: d.last_error,
+            durationMs: d.duration_ms,
+            createdAt: d.created_at,
+            deliveredAt: d.delivered_at,
+            payload: JSON.parse(d.payload)
+        }))
+    };
+}
+
+/**
+ * Вебхуки пользователя, подсказка секрета подписи и журнал последних доставок
+ */
+app.get('/api/webhooks/:userId', requireUserAccess, async (req, res) => {
+    try {
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        res.json({ 
+            success: true, 
+            ...await getWebhooksResponse(user) 
+        });
+
+    } catch (error) {
+        console.error('Error in get webhooks:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Добавление вебхука: url. Секрет подписи создается при первом вебхуке и возвращается один раз
+ */
+app.post('/api/webhooks/:userId', requireUserAccess, async (req, res) => {
+    try {
+        let user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        let url;
+        try {
+            url = normalizeWebhookUrl(req.body.url);
+        } catch (error) {
+            return res.status(400).json({ 
+                success: false, 
+                error: error.message 
+            });
+        }
+        if (await database.webhooks.count(user.id) >= MAX_WEBHOOKS_PER_USER) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Можно добавить не больше ${MAX_WEBHOOKS_PER_USER} вебхуков` 
+            });
+        }
+
+        const createSecret = !user.webhook_secret;
+        if (createSecret) {
+            await database.users.updateWebhookSecret(user.id, generateWebhookSecret());
+            user = await database.users.getById(user.id);
+        }
+        await database.webhooks.add(user.id, url);
+
+        res.json({ 
+            success: true, 
+            ...await getWebhooksResponse(user, { revealSecret: createSecret }) 
+        });
+
+    } catch (error) {
+        console.error('Error in add webhook:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Новый секрет подписи (старые подписи перестают проходить проверку), возвращается один раз
+ */
+app.post('/api/webhooks/:userId/secret', requireUserAccess, async (req, res) => {
+    try {
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        await database.users.updateWebhookSecret(user.id, generateWebhookSecret());
+
+        res.json({ 
+            success: true, 
+            ...await getWebhooksResponse(await database.users.getById(user.id), { revealSecret: true }) 
+        });
+
+    } catch (error) {
+        console.error('Error in regenerate webhook secret:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Изменение вебхука: url, isActive
+ */
+app.put('/api/webhooks/:userId/:webhookId', requireUserAccess, async (req, res) => {
+    try {
+        const { url, isActive } = req.body;
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        const webhook = await database.webhooks.getById(user.id, parseInt(req.params.webhookId));
+        if (!webhook) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Вебхук не найден' 
+            });
+        }
+
+        let newUrl = webhook.url;
+        if (url !== undefined) {
+            try {
+                newUrl = normalizeWebhookUrl(url);
+            } catch (error) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        }
+
+        await database.webhooks.update(user.id, webhook.id, {
+            url: newUrl,
+            isActive: isActive === undefined ? webhook.is_active : !!isActive
+        });
+
+        res.json({ 
+            success: true, 
+            ...await getWebhooksResponse(user) 
+        });
+
+    } catch (error) {
+        console.error('Error in update webhook:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Удаление вебхука (вместе с его очередью и журналом)
+ */
+app.delete('/api/webhooks/:userId/:webhookId', requireUserAccess, async (req, res) => {
+    try {
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        await database.webhooks.remove(user.id, parseInt(req.params.webhookId));
+
+        res.json({ 
+            success: true, 
+            ...await getWebhooksResponse(user) 
+        });
+
+    } catch (error) {
+        console.error('Error in delete webhook:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Проверочная доставка: отправляет пример совпадения (event = test) и возвращает код ответа
+ */
+app.post('/api/webhooks/:userId/:webhookId/test', requireUserAccess, async (req, res) => {
+    try {
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        const webhook = await database.webhooks.getById(user.id, parseInt(req.params.webhookId));
+        if (!webhook) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Вебхук не найден' 
+            });
+        }
+
+        const result = await sendTestWebhook(user.id, webhook.id);
+
+        res.json({ 
+            success: true, 
+            result,
+            ...await getWebhooksResponse(user) 
+        });
+
+    } catch (error) {
+        console.error('Error in test webhook:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Повторная отправка доставки из журнала (только для failed)
+ */
+app.post('/api/webhooks/:userId/deliveries/:deliveryId/retry', requireUserAccess, async (req, res) => {
+    try {
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        if (!await database.webhookDeliveries.requeue(user.id, parseInt(req.params.deliveryId))) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Повторить можно только неудавшуюся доставку' 
+            });
+        }
+        await processWebhookQueue();
+
+        res.json({ 
+            success: true, 
+            ...await getWebhooksResponse(user) 
+        });
+
+    } catch (error) {
+        console.error('Error in retry webhook delivery:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// ============ История совпадений ============
+
+/**
+ * Поиск по истории совпадений
+ * Query: q (полнотекстовый запрос), from, to, chatId, keyword, status, deliveryStatus, page, pageSize
+ */
+app.get('/api/matches/:userId', requireUserAccess, async (req, res) => {
+    try {
+        let filters;
+        try {
+            filters = normalizeHistoryFilters(req.query);
+        } catch (e) {
+            return res.status(400).json({ 
+                success: false, 
+                error: e.message 
+            });
+        }
+
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        const { rows, total } = await database.matches.search(user.id, filters);
+        const chats = await database.matches.getChats(user.id);
+
+        res.json({ 
+            success: true, 
+            matches: rows.map(formatMatch),
+            total,
+            page: filters.page,
+            pageSize: filters.pageSize,
+            chats: chats.map(c => ({ id: c.chat_id, title: c.chat_title, count: parseInt(c.count) })),
+            historyDays: user.history_days,
+            minHistoryDays: MIN_HISTORY_DAYS,
+            maxHistoryDays: MAX_HISTORY_DAYS
+        });
+
+    } catch (error) {
+        console.error('Error in search matches:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Выгрузка истории совпадений файлом (format=csv|xlsx|json)
+ * Фильтры те же, что у поиска: from, to, chatId, keyword, q, status; не больше MAX_EXPORT_ROWS строк
+ */
+app.get('/api/matches/:userId/export', requireUserAccess, async (req, res) => {
+    try {
+        let options;
+        try {
+            options = normalizeExportOptions(req.query);
+        } catch (e) {
+            return res.status(400).json({ 
+                success: false, 
+                error: e.message 
+            });
+        }
+
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        const { rows, total } = await database.matches.search(user.id, options.filters);
+        const file = buildExport(rows, options.format, user.timezone);
+
+        res.type(file.contentType);
+        res.attachment(file.filename);
+        res.set('X-Total-Count', String(total));
+        if (total > MAX_EXPORT_ROWS) {
+            res.set('X-Export-Truncated', 'true');
+        }
+        res.send(file.buffer);
+
+    } catch (error) {
+        console.error('Error in export matches:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Срок хранения истории: days. Старые совпадения удаляются при очистке
+ */
+app.put('/api/matches/:userId/retention', requireUserAccess, async (req, res) => {
+    try {
+        let days;
+        try {
+            days = normalizeHistoryDays(req.body.days);
+        } catch (e) {
+            return res.status(400).json({ 
+                success: false, 
+                error: e.message 
+            });
+        }
+
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        await database.users.updateHistoryDays(user.id, days);
+
+        res.json({ 
+            success: true, 
+            historyDays: days 
+        });
+
+    } catch (error) {
+        console.error('Error in update history retention:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// ============ Шаблон уведомлений ============
+
+/**
+ * Шаблон пользователя для ответа API (preview - HTML в формате Telegram на примере сообщения)
+ */
+function getTemplateResponse(user) {
+    return {
+        template: user.notification_template,
+        customTemplate: user.custom_template,
+        preview: renderTemplatePreview(user),
+        presets: PRESETS,
+        placeholders: PLACEHOLDERS
+    };
+}
+
+/**
+ * Текущий шаблон уведомлений, пресеты и список плейсхолдеров
+ */
+app.get('/api/template/:userId', async (req, res) => {
+    try {
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        res.json({ 
+            success: true, 
+            template: getTemplateResponse(user) 
+        });
+
+    } catch (error) {
+        console.error('Error in get template:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Выбор шаблона: template (compact | detailed | custom), customTemplate - свой шаблон с плейсхолдерами
+ */
+app.put('/api/template/:userId', async (req, res) => {
+    try {
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        let settings;
+        try {
+            settings = normalizeTemplateSettings(req.body, user);
+        } catch (error) {
+            return res.status(400).json({ 
+                success: false, 
+                error: error.message 
+            });
+        }
+
+        await database.users.updateTemplate(user.id, settings);
+
+        res.json({ 
+            success: true, 
+            template: getTemplateResponse(await database.users.getById(user.id)) 
+        });
+
+    } catch (error) {
+        console.error('Error in update template:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// ============ Проверка ключевых слов ============
+
+// Максимальная длина проверяемого текста (как у сообщения Telegram)
+const MAX_TEST_TEXT_LENGTH = 4096;
+
+/**
+ * Проверка ключевых слов на примере текста без запуска мониторинга
+ * Если указан userId, учитывается словарь синонимов пользователя
+ */
+app.post('/api/keywords/test', async (req, res) => {
+    try {
+        const { text, keywords, userId } = req.body;
+
+        if (!text || !keywords) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Необходимо указать text и keywords' 
+            });
+        }
+
+        if (text.length > MAX_TEST_TEXT_LENGTH) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Текст длиннее ${MAX_TEST_TEXT_LENGTH} символов` 
+            });
+        }
+
+        const minScore = parseMinScore(req.body.minScore);
+        if (minScore === null) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Минимальный балл должен быть целым числом от 0 до 100' 
+            });
+        }
+
+        const keywordsList = Array.isArray(keywords)
+            ? keywords.map(k => String(k).trim()).filter(k => k.length > 0)
+            : parseKeywords(keywords);
+        if (keywordsList.length === 0) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Необходимо указать хотя бы одно ключевое слово' 
+            });
+        }
+
+        const keywordErrors = validateKeywords(keywordsList);
+        if (keywordErrors.length > 0) {
+            return res.status(400).json({ 
+                success: false, 
+                error: formatKeywordErrors(keywordErrors),
+                keywordErrors
+            });
+        }
+
+        let keywordMatcher;
+        if (userId) {
+            const user = await database.users.getByTelegramId(userId);
+            if (!user) {
+                return res.status(404).json({ 
+                    success: false, 
+                    error: 'Пользователь не найден' 
+                });
+            }
+            // Отдельный экземпляр: таймаут регулярки при проверке не должен отключать ее в мониторинге
+            const groups = await database.synonyms.getByUserId(user.id);
+            keywordMatcher = new KeywordMatcher({ synonymGroups: groups.map(g => g.words) });
+        } else {
+            keywordMatcher = new KeywordMatcher();
+        }
+
+        const { originalText, ...result } = keywordMatcher.analyze(text, {
+            keywords: keywordsList,
+            minScore,
+            explain: true
+        });
+
+        res.json({ 
+            success: true, 
+            keywords: keywordsList,
+            result 
+        });
+
+    } catch (error) {
+        console.error('Error in test keywords:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// ============ Бэктест ============
+
+/**
+ * Запуск бэктеста по истории чатов: limit сообщений на чат и/или days дней, profileId - один профиль
+ */
+app.post('/api/backtest/:userId', requireUserAccess, async (req, res) => {
+    try {
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        let options;
+        try {
+            options = normalizeBacktestOptions(req.body);
+        } catch (error) {
+            return res.status(400).json({ 
+                success: false, 
+                error: error.message 
+            });
+        }
+
+        const result = await monitor.startBacktest(user.id, {
+            ...options,
+            profileId: req.body.profileId ? parseInt(req.body.profileId) : null
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Error in start backtest:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Состояние и отчет последнего бэктеста
+ */
+app.get('/api/backtest/:userId', requireUserAccess, async (req, res) => {
+    try {
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        res.json({ 
+            success: true, 
+            backtest: monitor.getBacktest(user.id) 
+        });
+
+    } catch (error) {
+        console.error('Error in get backtest:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// ============ Синонимы ============
+
+/**
+ * Словарь синонимов пользователя
+ */
+app.get('/api/synonyms/:userId', async (req, res) => {
+    try {
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        const groups = await database.synonyms.getByUserId(user.id);
+
+        res.json({ 
+            success: true, 
+            groups: groups.map(g => ({ id: g.id, words: g.words }))
+        });
+
+    } catch (error) {
+        console.error('Error in get synonyms:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Добавление группы синонимов
+ */
+app.post('/api/synonyms/:userId', async (req, res) => {
+    try {
+        const { words } = req.body;
+        const group = Array.isArray(words) ? parseSynonymLine(words.join(',')) : parseSynonymLine(words || '');
+
+        if (!group) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Группа должна содержать минимум два слова' 
+            });
+        }
+
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        if (await database.synonyms.count(user.id) >= MAX_GROUPS_PER_USER) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Максимум ${MAX_GROUPS_PER_USER} групп синонимов` 
+            });
+        }
+
+        const id = await database.synonyms.add(user.id, group);
+        monitor.resetKeywordMatcher(user.id);
+
+        res.json({ 
+            success: true, 
+            group: { id, words: group }
+        });
+
+    } catch (error) {
+        console.error('Error in add synonyms:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Удаление группы синонимов
+ */
+app.delete('/api/synonyms/:userId/:groupId', async (req, res) => {
+    try {
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        await database.synonyms.remove(user.id, parseInt(req.params.groupId));
+        monitor.resetKeywordMatcher(user.id);
+
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Error in delete synonyms:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Экспорт словаря синонимов (format=json|csv)
+ */
+app.get('/api/synonyms/:userId/export', async (req, res) => {
+    try {
+        const format = req.query.format === 'csv' ? 'csv' : 'json';
+
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        const groups = await database.synonyms.getByUserId(user.id);
+
+        res.type(format === 'csv' ? 'text/csv' : 'application/json');
+        res.attachment(`synonyms.${format}`);
+        res.send(formatSynonymGroups(groups.map(g => g.words), format));
+
+    } catch (error) {
+        console.error('Error in export synonyms:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+/**
+ * Импорт словаря синонимов (JSON или CSV); replace=true заменяет текущий словарь
+ */
+app.post('/api/synonyms/:userId/import', async (req, res) => {
+    try {
+        const { data, format, replace } = req.body;
+
+        const user = await database.users.getByTelegramId(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Пользователь не найден' 
+            });
+        }
+
+        let groups;
+        try {
+            groups = parseSynonymGroups(data, format);
+        } catch (parseError) {
+            return res.status(400).json({ 
+                success: false, 
+                error: parseError.message 
+            });
+        }
+
+        if (replace) {
+            await database.synonyms.replaceAll(user.id, groups);
+        } else {
+            const existing = await database.synonyms.count(user.id);
+            if (existing + groups.length > MAX_GROUPS_PER_USER) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: `Максимум ${MAX_GROUPS_PER_USER} групп синонимов (сейчас ${existing})` 
+                });
+            }
+            for (const group of groups) {
+                await database.synonyms.add(user.id, group);
+            }
+        }
+        monitor.resetKeywordMatcher(user.id);
+
+        res.json({ 
+            success: true, 
+            imported: groups.length 
+        });
+
+    } catch (error) {
+        console.error('Error in import synonyms:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// Главная страница
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'client', 'index.html'));
+});
+
+// Health check для Railway
+app.get('/health', (req, res) => {
+    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// Периодическая очистка
+setInterval(async () => {
+    try {
+        // Очищаем старые auth сессии
+        await database.auth.cleanup();
+        
+        // Очищаем старые уведомления
+        await database.notifications.cleanup();
+        
+        // Очищаем хеши сообщений старше 24 часов (без этого таблица росла бесконечно)
+        await database.messageHashes.cleanup();
+
+        // Очищаем журнал доставок вебхуков старше 7 дней
+        await database.webhookDeliveries.cleanup();
+
+        // Очищаем доставленные уведомления из очереди и забываем неактивные чаты ограничителя
+        await database.outbox.cleanup();
+        bot.rateLimiter.prune();
+        
+        // Очищаем просроченные клиенты авторизации (старше 30 минут)
+        const now = Date.now();
+        for (const [sessionId, data] of authClients) {
+            if (now - data.createdAt > 30 * 60 * 1000) {
+                if (data.client) {
+                    data.client.disconnect().catch(() => {});
+                }
+                authClients.delete(sessionId);
+            }
+        }
+
+        // Логируем использование памяти для мониторинга утечек
+        const mem = process.memoryUsage();
+        console.log(`[Memory] RSS: ${Math.round(mem.rss / 1024 / 1024)}MB, Heap: ${Math.round(mem.heapUsed / 1024 / 1024)}/${Math.round(mem.heapTotal / 1024 / 1024)}MB, External: ${Math.round(mem.external / 1024 / 1024)}MB`);
+    } catch (e) {
+        console.error('Cleanup error:', e);
+    }
+}, 5 * 60 * 1000); // каждые 5 минут
+
+// Отправка дайджестов: очередь хранится в БД, поэтому после перезапуска отправка продолжится
+setInterval(() => bot.processDigests(), 60 * 1000);
+
+// Очередь уведомлений: повторы после 429 и сетевых ошибок, доставка оставшегося после перезапуска
+setInterval(() => bot.processOutbox(), 5 * 1000);
+
+// Напоминания об отложенных лидах
+setInterval(() => bot.processSnoozedLeads(), 60 * 1000);
+
+// Повторные попытки доставки вебхуков: очередь в БД, после перезапуска доставка продолжится
+setInterval(() => processWebhookQueue().catch(error => console.error('[Webhook] Error processing queue:', error)), 60 * 1000);
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
@@ -631,7 +2220,6 @@ process.on('SIGINT', async () => {
 async function startServer() {
     // Инициализируем базу данных
     await database.initDatabase();
-    console.log('📦 Database initialized');
     
     app.listen(PORT, async () => {
         console.log(`🚀 Server running on port ${PORT}`);
@@ -1,10 +1,56 @@
 /**
  * Улучшенный модуль для анализа сообщений на соответствие ключевым словам
- * Включает: fuzzy matching, стемминг, синонимы, N-граммы
+ * Включает: fuzzy matching, стемминг (Snowball RU/EN), синонимы, N-граммы, правила AND/OR/NOT, регулярки
  */
 
+const { parseQuery, isQuery, QueryParseError } = require('./query');
+const { findRegexEnd, parseRegexKeyword, compileSafeRegex, execSafeRegex } = require('./regex');
+
+// Вес типа совпадения для оценки релевантности (0..1)
+const MATCH_WEIGHTS = {
+    'exact (strict)': 1,
+    exact: 1,
+    regex: 1,
+    prefix: 0.8,
+    stem: 0.8,
+    synonym: 0.6,
+    ngram: 0.5,
+    fuzzy: 0.4,
+    pattern: 0.5
+};
+
+// Балл одного ключевого слова: KEYWORD_SCORE * вес, плюс бонус за каждое дополнительное найденное слово фразы
+const KEYWORD_SCORE = 70;
+const PHRASE_WORD_BONUS = 5;
+const MAX_PHRASE_BONUS = 10;
+
+// Бонус за каждое дополнительное совпавшее ключевое слово и его максимум
+const EXTRA_KEYWORD_BONUS = 10;
+const MAX_EXTRA_KEYWORDS_BONUS = 20;
+
+// Бонус за близость совпадений: максимален для соседних слов, убывает до нуля к PROXIMITY_WINDOW словам
+const PROXIMITY_BONUS = 10;
+const PROXIMITY_WINDOW = 15;
+
+// Порог для отдельного ключевого слова: "дизайнер >=80"
+const KEYWORD_THRESHOLD_REGEX = /^(.*\S)\s+>=\s*(\d{1,3})$/;
+
+// Срочное ключевое слово (уведомление приходит и в тихие часы): "дизайнер #срочно"
+const URGENT_REGEX = /^(.*\S)\s+#(?:срочно|urgent)$/i;
+
+// Все слова рядом: "[ищу дизайнер]~5"
+const PROXIMITY_REGEX = /^\[(.+)\]~(\d{1,3})$/;
+
+// На сколько отключается регулярка, превысившая время выполнения
+const REGEX_COOLDOWN_MS = 5 * 60 * 1000;
+const { stemWord } = require('./stemmer');
+
 class KeywordMatcher {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {string[][]} [options.synonymGroups] - пользовательские группы синонимов
+     */
+    constructor({ synonymGroups = [] } = {}) {
         // Стоп-слова которые игнорируем при анализе
         this.stopWords = new Set([
             'и', 'в', 'на', 'с', 'по', 'для', 'от', 'за', 'к', 'из',
@@ -38,27 +84,39 @@ class KeywordMatcher {
             'менеджер': ['manager', 'pm', 'пм', 'проджект'],
         };
 
-        // Окончания для стемминга (русский язык)
-        this.suffixes = [
-            'ами', 'ями', 'ому', 'ему', 'ого', 'его', 'ить', 'ать', 'еть',
-            'ов', 'ев', 'ей', 'ий', 'ый', 'ой', 'ая', 'яя', 'ое', 'ее',
-            'ам', 'ям', 'ах', 'ях', 'ом', 'ем', 'им', 'ым',
-            'а', 'я', 'о', 'е', 'и', 'ы', 'у', 'ю'
-        ].sort((a, b) => b.length - a.length); // Сначала длинные
+        // Кэш разобранных правил AND/OR/NOT: текст правила -> AST
+        this.queryCache = new Map();
+
+        // Кэш скомпилированных регулярок: ключевое слово -> RegExp (null - некорректная)
+        this.regexCache = new Map();
+
+        // Регулярки, превысившие время выполнения: ключевое слово -> до какого момента (мс) отключена
+        this.regexDisabledUntil = new Map();
+
+        this.addSynonymGroups(synonymGroups);
     }
 
     /**
-     * Простой стемминг - отрезаем окончания
+     * Добавляет пользовательские группы синонимов к встроенному словарю
+     * Первое слово группы становится ключом, остальные - его синонимами
      */
-    stem(word) {
-        if (word.length < 4) return word;
-        
-        for (const suffix of this.suffixes) {
-            if (word.endsWith(suffix) && word.length - suffix.length >= 2) {
-                return word.slice(0, -suffix.length);
-            }
+    addSynonymGroups(groups) {
+        // Копируем словарь, чтобы не менять общий для всех экземпляров набор
+        this.synonyms = { ...this.synonyms };
+
+        for (const group of groups) {
+            const [key, ...values] = group.map(w => w.toLowerCase().trim()).filter(Boolean);
+            if (!key || values.length === 0) continue;
+
+            this.synonyms[key] = [...new Set([...(this.synonyms[key] || []), ...values])];
         }
-        return word;
+    }
+
+    /**
+     * Стемминг слова: Snowball для русского и английского (см. stemmer.js)
+     */
+    stem(word) {
+        return stemWord(word);
     }
 
     /**
@@ -190,16 +248,77 @@ class KeywordMatcher {
      * Проверяет режим ключевого слова:
      * - "фраза" → точное вхождение (isExact)
      * - [фраза] → все слова должны быть (isAllRequired)
+     * - [фраза]~N → все слова в пределах N слов друг от друга (isAllRequired + proximity)
+     * - -слово, !"фраза" → исключение: при совпадении сообщение отбрасывается (isExclusion)
+     * - /шаблон/флаги → регулярное выражение по исходному тексту (isRegex)
+     * - a AND (b OR c) AND NOT d → правило с операторами (isQuery)
      * - фраза → любое слово (обычный режим)
+     * Суффикс " >=N" в любом режиме задает минимальный балл ключевого слова (minScore)
      */
     parseKeywordMode(keyword) {
         const trimmed = keyword.trim();
+
+        const threshold = KEYWORD_THRESHOLD_REGEX.exec(trimmed);
+        if (threshold) {
+            return { ...this.parseKeywordMode(threshold[1]), minScore: parseInt(threshold[2], 10) };
+        }
+
+        const urgent = URGENT_REGEX.exec(trimmed);
+        if (urgent) {
+            return { ...this.parseKeywordMode(urgent[1]), isUrgent: true };
+        }
+        
+        // Проверяем на исключение (-слово, !слово, -"фраза", ![слова]); режим после префикса разбирается как обычно
+        if ((trimmed.startsWith('-') || trimmed.startsWith('!')) && trimmed.length > 1) {
+            const inner = this.parseKeywordMode(trimmed.slice(1));
+            if (!inner.isExclusion && inner.cleanKeyword.length > 0) {
+                return { ...inner, isExclusion: true };
+            }
+        }
+        
+        // Регулярку проверяем раньше правил: внутри шаблона могут встречаться AND/OR/NOT
+        const regex = parseRegexKeyword(trimmed);
+        if (regex) {
+            return {
+                isExact: false,
+                isAllRequired: false,
+                isExclusion: false,
+                isRegex: true,
+                pattern: regex.pattern,
+                flags: regex.flags,
+                cleanKeyword: trimmed
+            };
+        }
+        
+        // Правило с операторами проверяем до скобок и кавычек: [a] OR "b" тоже начинается со скобки
+        if (isQuery(trimmed)) {
+            return {
+                isExact: false,
+                isAllRequired: false,
+                isExclusion: false,
+                isQuery: true,
+                cleanKeyword: trimmed
+            };
+        }
+        
+        // Проверяем на [все слова рядом]~N
+        const proximity = PROXIMITY_REGEX.exec(trimmed);
+        if (proximity) {
+            return {
+                isExact: false,
+                isAllRequired: true,
+                isExclusion: false,
+                proximity: parseInt(proximity[2], 10),
+                cleanKeyword: proximity[1]
+            };
+        }
         
         // Проверяем на квадратные скобки [все слова обязательны]
         if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
             return {
                 isExact: false,
                 isAllRequired: true,
+                isExclusion: false,
                 cleanKeyword: trimmed.slice(1, -1)
             };
         }
@@ -211,6 +330,7 @@ class KeywordMatcher {
             return {
                 isExact: true,
                 isAllRequired: false,
+                isExclusion: false,
                 cleanKeyword: trimmed.slice(1, -1)
             };
         }
@@ -218,6 +338,7 @@ class KeywordMatcher {
         return {
             isExact: false,
             isAllRequired: false,
+            isExclusion: false,
             cleanKeyword: trimmed
         };
     }
@@ -233,7 +354,7 @@ class KeywordMatcher {
         // 1. Точное совпадение слова
         const exactIndex = textWords.findIndex(tw => tw === wordNorm);
         if (exactIndex !== -1) {
-            return { found: true, matchType: 'exact', matchedWord: textWords[exactIndex] };
+            return { found: true, matchType: 'exact', matchedWord: textWords[exactIndex], index: exactIndex };
         }
         
         // 1.5. Для коротких слов (3-4 символа) проверяем префикс
@@ -243,7 +364,7 @@ class KeywordMatcher {
                 tw.startsWith(wordNorm) && tw.length <= wordNorm.length + 2
             );
             if (prefixIndex !== -1) {
-                return { found: true, matchType: 'prefix', matchedWord: textWords[prefixIndex] };
+                return { found: true, matchType: 'prefix', matchedWord: textWords[prefixIndex], index: prefixIndex };
             }
         }
         
@@ -251,7 +372,7 @@ class KeywordMatcher {
         if (wordStem.length >= 4) {
             const stemIndex = textStems.findIndex(ts => ts === wordStem);
             if (stemIndex !== -1) {
-                return { found: true, matchType: 'stem', matchedWord: textWords[stemIndex] };
+                return { found: true, matchType: 'stem', matchedWord: textWords[stemIndex], index: stemIndex };
             }
         }
         
@@ -265,7 +386,7 @@ class KeywordMatcher {
                 
                 const synIndex = textStems.findIndex(ts => ts === synStem);
                 if (synIndex !== -1) {
-                    return { found: true, matchType: 'synonym', matchedWord: textWords[synIndex] + ' → ' + syn };
+                    return { found: true, matchType: 'synonym', matchedWord: textWords[synIndex] + ' → ' + syn, index: synIndex };
                 }
             }
         }
@@ -274,166 +395,520 @@ class KeywordMatcher {
         if (wordNorm.length >= 6) {
             for (let i = 0; i < textWords.length; i++) {
                 if (textWords[i].length >= 6 && this.fuzzyMatch(textWords[i], wordNorm, 0.8)) {
-                    return { found: true, matchType: 'fuzzy', matchedWord: textWords[i] + ' ≈ ' + wordNorm };
+                    return { found: true, matchType: 'fuzzy', matchedWord: textWords[i] + ' ≈ ' + wordNorm, index: i };
                 }
             }
         }
         
-        return { found: false, matchType: '', matchedWord: '' };
+        return { found: false, matchType: '', matchedWord: '', index: -1 };
     }
 
     /**
-     * Основной метод проверки - улучшенный
+     * Все вхождения слова в текст (для оператора близости)
+     * Для каждой позиции применяются те же проверки, что и в findWordInText
+     * Возвращает [{ index, matchType, matchedWord }]
      */
-    match(text, keywords) {
-        if (!text || !keywords || keywords.length === 0) {
-            return { matched: false, matchedKeywords: [], matchDetails: [] };
+    findWordOccurrences(word, textWords, textStems) {
+        const wordNorm = this.normalizeText(word);
+        const wordStem = this.stem(wordNorm);
+        const synonymStems = wordNorm.length >= 4
+            ? this.getSynonyms(wordNorm)
+                .filter(syn => syn.length >= 4)
+                .map(syn => ({ syn, stem: this.stem(syn) }))
+                .filter(({ stem }) => stem.length >= 4)
+            : [];
+
+        const occurrences = [];
+        for (let i = 0; i < textWords.length; i++) {
+            const textWord = textWords[i];
+
+            if (textWord === wordNorm) {
+                occurrences.push({ index: i, matchType: 'exact', matchedWord: textWord });
+            } else if (wordNorm.length >= 3 && wordNorm.length <= 4 &&
+                textWord.startsWith(wordNorm) && textWord.length <= wordNorm.length + 2) {
+                occurrences.push({ index: i, matchType: 'prefix', matchedWord: textWord });
+            } else if (wordStem.length >= 4 && textStems[i] === wordStem) {
+                occurrences.push({ index: i, matchType: 'stem', matchedWord: textWord });
+            } else {
+                const synonym = synonymStems.find(({ stem }) => stem === textStems[i]);
+                if (synonym) {
+                    occurrences.push({ index: i, matchType: 'synonym', matchedWord: textWord + ' → ' + synonym.syn });
+                } else if (wordNorm.length >= 6 && textWord.length >= 6 && this.fuzzyMatch(textWord, wordNorm, 0.8)) {
+                    occurrences.push({ index: i, matchType: 'fuzzy', matchedWord: textWord + ' ≈ ' + wordNorm });
+                }
+            }
         }
 
+        return occurrences;
+    }
+
+    /**
+     * Ближайшие вхождения всех слов: минимальное окно, в котором есть каждое слово
+     * occurrencesByWord - массив вхождений для каждого слова, tokenIndexes - позиции textWords среди всех слов текста
+     * Возвращает { distance, picked: [вхождение для каждого слова] } или null
+     */
+    findClosestOccurrences(occurrencesByWord, tokenIndexes) {
+        // Все вхождения по порядку в тексте; окно двигаем, пока в нем есть каждое слово
+        const events = occurrencesByWord
+            .flatMap((occurrences, wordIndex) => occurrences.map(o => ({ ...o, wordIndex, token: tokenIndexes[o.index] })))
+            .sort((a, b) => a.token - b.token);
+
+        const counts = new Array(occurrencesByWord.length).fill(0);
+        let covered = 0;
+        let best = null;
+        let left = 0;
+
+        for (let right = 0; right < events.length; right++) {
+            if (counts[events[right].wordIndex]++ === 0) covered++;
+
+            while (covered === occurrencesByWord.length) {
+                const distance = events[right].token - events[left].token;
+                if (!best || distance < best.distance) {
+                    best = { distance, left, right };
+                }
+                if (--counts[events[left].wordIndex] === 0) covered--;
+                left++;
+            }
+        }
+
+        if (!best) return null;
+
+        // Из окна берем последнее вхождение каждого слова (окно минимально, поэтому все они в нем)
+        const window = events.slice(best.left, best.right + 1);
+        const picked = occurrencesByWord.map((_, wordIndex) =>
+            window.filter(e => e.wordIndex === wordIndex).pop()
+        );
+        return { distance: best.distance, picked };
+    }
+
+    /**
+     * Значимые слова нормализованного текста (без стоп-слов и однобуквенных)
+     */
+    splitWords(normalizedText) {
+        return normalizedText.split(' ').filter(w => w.length > 1 && !this.stopWords.has(w));
+    }
+
+    /**
+     * Позиции слов фразы в textWords (для оценки близости совпадений)
+     * Фраза ищется как подстрока, поэтому "дизайнер" находится в "дизайнера"
+     */
+    locateWords(words, textWords) {
+        return words
+            .map(w => textWords.findIndex(tw => tw.includes(w)))
+            .filter(index => index !== -1);
+    }
+
+    /**
+     * Подготавливает текст сообщения для проверки ключевых слов
+     */
+    prepareText(text) {
         const normalizedText = this.normalizeText(text);
-        const textWords = normalizedText.split(' ').filter(w => w.length > 1 && !this.stopWords.has(w));
+        const textWords = [];
+        // Позиция каждого значимого слова среди всех слов текста (расстояние для [слова]~N считается по всем словам)
+        const tokenIndexes = [];
+        normalizedText.split(' ').forEach((token, index) => {
+            if (token.length > 1 && !this.stopWords.has(token)) {
+                textWords.push(token);
+                tokenIndexes.push(index);
+            }
+        });
         const textStems = textWords.map(w => this.stem(w));
-        const matchedKeywords = [];
-        const matchDetails = [];
+        return { originalText: text, normalizedText, textWords, textStems, tokenIndexes };
+    }
 
-        for (const keyword of keywords) {
-            // Парсим режим ключевого слова (точный, все обязательны, или умный)
-            const { isExact, isAllRequired, cleanKeyword } = this.parseKeywordMode(keyword);
-            const keywordParts = this.normalizeText(cleanKeyword).split(' ').filter(w => w.length > 1);
-            let matched = false;
-            let matchType = '';
-            let matchedWord = ''; // Какое слово из текста сматчилось
-
-            // Для точных фраз (в кавычках) - только exact match
-            if (isExact) {
-                if (normalizedText.includes(this.normalizeText(cleanKeyword))) {
-                    matched = true;
-                    matchType = 'exact (strict)';
-                    matchedWord = cleanKeyword;
-                }
-                // Для точных фраз не используем другие методы!
-                if (matched) {
-                    matchedKeywords.push(keyword);
-                    matchDetails.push({ keyword, matchType, matchedWord });
-                }
-                continue;
+    /**
+     * Проверяет одно ключевое слово (без учета префикса исключения)
+     * Возвращает { matched: boolean, matchType: string, matchedWord: string, positions: number[] }
+     * positions - индексы найденных слов в textWords
+     */
+    matchKeyword(keyword, { isExact, isAllRequired, proximity, isQuery, isRegex, pattern, flags, cleanKeyword }, prepared) {
+        if (isQuery) {
+            return this.matchQuery(cleanKeyword, prepared);
+        }
+
+        if (isRegex) {
+            return this.matchRegex(cleanKeyword, pattern, flags, prepared);
+        }
+
+        const { normalizedText, textWords, textStems } = prepared;
+        const keywordParts = this.normalizeText(cleanKeyword).split(' ').filter(w => w.length > 1);
+        const notMatched = { matched: false, matchType: '', matchedWord: '', positions: [] };
+
+        // Для точных фраз (в кавычках) - только exact match, другие методы не используем!
+        if (isExact) {
+            if (normalizedText.includes(this.normalizeText(cleanKeyword))) {
+                return { matched: true, matchType: 'exact (strict)', matchedWord: cleanKeyword, positions: this.locateWords(keywordParts, textWords) };
             }
+            return notMatched;
+        }
 
-            // Для режима [все слова обязательны] - каждое слово должно быть найдено
-            if (isAllRequired && keywordParts.length > 1) {
-                const foundWords = [];
-                const matchTypes = [];
-                let allFound = true;
-                
-                for (const part of keywordParts) {
-                    const result = this.findWordInText(part, textWords, textStems);
-                    if (result.found) {
-                        foundWords.push(result.matchedWord);
-                        matchTypes.push(result.matchType);
-                    } else {
-                        allFound = false;
-                        break;
-                    }
-                }
-                
-                if (allFound) {
-                    matched = true;
-                    matchType = 'all-required (' + [...new Set(matchTypes)].join('+') + ')';
-                    matchedWord = foundWords.join(' + ');
-                    matchedKeywords.push(keyword);
-                    matchDetails.push({ keyword, matchType, matchedWord });
+        // Для режима [все слова рядом]~N - ищем ближайшие вхождения всех слов
+        if (isAllRequired && proximity !== undefined && keywordParts.length > 1) {
+            return this.matchProximity(keywordParts, proximity, prepared);
+        }
+
+        // Для режима [все слова обязательны] - каждое слово должно быть найдено
+        if (isAllRequired && keywordParts.length > 1) {
+            const foundWords = [];
+            const matchTypes = [];
+            const positions = [];
+            
+            for (const part of keywordParts) {
+                const result = this.findWordInText(part, textWords, textStems);
+                if (!result.found) {
+                    return notMatched;
                 }
-                continue;
+                foundWords.push(result.matchedWord);
+                matchTypes.push(result.matchType);
+                positions.push(result.index);
             }
+            
+            return {
+                matched: true,
+                matchType: 'all-required (' + [...new Set(matchTypes)].join('+') + ')',
+                matchedWord: foundWords.join(' + '),
+                positions,
+                // Вес - среднее по всем словам, а не по уникальным типам
+                weight: averageWeight(matchTypes)
+            };
+        }
 
-            // 1. Прямое вхождение фразы
-            if (normalizedText.includes(this.normalizeText(cleanKeyword))) {
-                matched = true;
-                matchType = 'exact';
-                matchedWord = keyword;
-            }
-
-            // 2. Проверка по стеммам (только точное совпадение, без includes)
-            if (!matched) {
-                for (const part of keywordParts) {
-                    if (part.length < 4) continue; // Пропускаем короткие слова
-                    const partStem = this.stem(part);
-                    if (partStem.length < 4) continue; // Пропускаем короткие стеммы
-                    // Только точное совпадение стеммов
-                    const stemIndex = textStems.findIndex(ts => ts === partStem);
-                    if (stemIndex !== -1) {
-                        matched = true;
-                        matchType = 'stem';
-                        matchedWord = textWords[stemIndex] + ' (stem: ' + partStem + ')';
-                        break;
-                    }
+        // 1. Прямое вхождение фразы
+        if (normalizedText.includes(this.normalizeText(cleanKeyword))) {
+            return { matched: true, matchType: 'exact', matchedWord: keyword, positions: this.locateWords(keywordParts, textWords) };
+        }
+
+        // 2. Проверка по стеммам (только точное совпадение, без includes)
+        for (const part of keywordParts) {
+            // Длину проверяем у стемма: короткая форма может иметь длинную основу (ищу → иска)
+            const partStem = this.stem(part);
+            if (partStem.length < 4) continue; // Пропускаем короткие стеммы
+            // Только точное совпадение стеммов
+            const stemIndex = textStems.findIndex(ts => ts === partStem);
+            if (stemIndex !== -1) {
+                return { matched: true, matchType: 'stem', matchedWord: textWords[stemIndex] + ' (stem: ' + partStem + ')', positions: [stemIndex] };
+            }
+        }
+
+        // 3. Проверка по синонимам (только точное совпадение стеммов)
+        for (const part of keywordParts) {
+            if (part.length < 4) continue; // Пропускаем короткие слова
+            const synonyms = this.getSynonyms(part);
+            for (const syn of synonyms) {
+                if (syn.length < 4) continue; // Пропускаем короткие синонимы
+                const synStem = this.stem(syn);
+                if (synStem.length < 4) continue;
+                // Только точное совпадение стеммов синонимов
+                const stemIndex = textStems.findIndex(ts => ts === synStem);
+                if (stemIndex !== -1) {
+                    return { matched: true, matchType: 'synonym', matchedWord: textWords[stemIndex] + ' → ' + syn + ' (synonym of ' + part + ')', positions: [stemIndex] };
                 }
             }
+        }
 
-            // 3. Проверка по синонимам (только точное совпадение стеммов)
-            if (!matched) {
-                for (const part of keywordParts) {
-                    if (part.length < 4) continue; // Пропускаем короткие слова
-                    const synonyms = this.getSynonyms(part);
-                    for (const syn of synonyms) {
-                        if (syn.length < 4) continue; // Пропускаем короткие синонимы
-                        const synStem = this.stem(syn);
-                        if (synStem.length < 4) continue;
-                        // Только точное совпадение стеммов синонимов
-                        const stemIndex = textStems.findIndex(ts => ts === synStem);
-                        if (stemIndex !== -1) {
-                            matched = true;
-                            matchType = 'synonym';
-                            matchedWord = textWords[stemIndex] + ' → ' + syn + ' (synonym of ' + part + ')';
-                            break;
-                        }
-                    }
-                    if (matched) break;
+        // 4. Fuzzy matching только для длинных слов (≥6 символов), порог 0.8
+        for (const part of keywordParts) {
+            if (part.length < 6) continue; // Fuzzy только для длинных слов
+            for (let i = 0; i < textWords.length; i++) {
+                const textWord = textWords[i];
+                if (textWord.length < 6) continue; // И длинных слов в тексте
+                if (this.fuzzyMatch(textWord, part, 0.8)) {
+                    return { matched: true, matchType: 'fuzzy', matchedWord: textWord + ' ≈ ' + part, positions: [i] };
                 }
             }
+        }
 
-            // 4. Fuzzy matching только для длинных слов (≥6 символов), порог 0.8
-            if (!matched) {
-                for (const part of keywordParts) {
-                    if (part.length < 6) continue; // Fuzzy только для длинных слов
-                    for (const textWord of textWords) {
-                        if (textWord.length < 6) continue; // И длинных слов в тексте
-                        if (this.fuzzyMatch(textWord, part, 0.8)) {
-                            matched = true;
-                            matchType = 'fuzzy';
-                            matchedWord = textWord + ' ≈ ' + part;
-                            break;
-                        }
-                    }
-                    if (matched) break;
+        // 5. N-граммы для многословных ключей (порог 0.75)
+        if (keywordParts.length > 1) {
+            const textNgrams = this.getNgrams(normalizedText, keywordParts.length);
+            const keywordNgram = keywordParts.join(' ');
+            
+            for (const ngram of textNgrams) {
+                if (this.fuzzyMatch(ngram, keywordNgram, 0.75)) {
+                    return { matched: true, matchType: 'ngram', matchedWord: ngram + ' ≈ ' + keywordNgram, positions: this.locateWords(ngram.split(' '), textWords) };
                 }
             }
+        }
 
-            // 5. N-граммы для многословных ключей (порог 0.75)
-            if (!matched && keywordParts.length > 1) {
-                const textNgrams = this.getNgrams(normalizedText, keywordParts.length);
-                const keywordNgram = keywordParts.join(' ');
-                
-                for (const ngram of textNgrams) {
-                    if (this.fuzzyMatch(ngram, keywordNgram, 0.75)) {
+        return notMatched;
+    }
+
+    /**
+     * Проверяет [все слова рядом]~N: каждое слово найдено (с учетом стемминга, синонимов и опечаток)
+     * и расстояние между крайними словами не больше N
+     * В результате distance - фактическое расстояние в словах
+     */
+    matchProximity(keywordParts, maxDistance, prepared) {
+        const { textWords, textStems, tokenIndexes } = prepared;
+        const notMatched = { matched: false, matchType: '', matchedWord: '', positions: [] };
+
+        const occurrencesByWord = keywordParts.map(part => this.findWordOccurrences(part, textWords, textStems));
+        if (occurrencesByWord.some(occurrences => occurrences.length === 0)) {
+            return notMatched;
+        }
+
+        const closest = this.findClosestOccurrences(occurrencesByWord, tokenIndexes);
+        if (!closest || closest.distance > maxDistance) {
+            return notMatched;
+        }
+
+        const matchTypes = closest.picked.map(o => o.matchType);
+        return {
+            matched: true,
+            matchType: `near/${maxDistance} (` + [...new Set(matchTypes)].join('+') + ')',
+            matchedWord: closest.picked.map(o => o.matchedWord).join(' + '),
+            positions: closest.picked.map(o => o.index),
+            distance: closest.distance,
+            weight: averageWeight(matchTypes)
+        };
+    }
+
+    /**
+     * Проверяет регулярку по исходному (не нормализованному) тексту
+     * Совпавшая подстрока попадает в matchedWord
+     */
+    matchRegex(keyword, pattern, flags, prepared, now = Date.now()) {
+        const notMatched = { matched: false, matchType: '', matchedWord: '', positions: [] };
+
+        if (!this.regexCache.has(keyword)) {
+            try {
+                this.regexCache.set(keyword, compileSafeRegex(pattern, flags));
+            } catch (error) {
+                // Некорректные регулярки отсекаются при сохранении, здесь просто не совпадаем
+                console.error(`[Keywords] Invalid regex "${keyword}":`, error.message);
+                this.regexCache.set(keyword, null);
+            }
+        }
+
+        const regex = this.regexCache.get(keyword);
+        if (!regex || this.isRegexDisabled(keyword, now)) return notMatched;
+
+        const { match, timedOut } = execSafeRegex(regex, prepared.originalText);
+        if (timedOut) {
+            // Зависшая регулярка отключается на время, чтобы не тормозить каждое следующее сообщение
+            console.error(`[Keywords] Regex "${keyword}" timed out, disabled for ${REGEX_COOLDOWN_MS / 60000} min`);
+            this.regexDisabledUntil.set(keyword, now + REGEX_COOLDOWN_MS);
+            return notMatched;
+        }
+
+        if (!match) return notMatched;
+
+        // Позиция совпадения в словах: сколько значимых слов стоит перед ним
+        const position = this.splitWords(this.normalizeText(prepared.originalText.slice(0, match.index))).length;
+        return { matched: true, matchType: 'regex', matchedWord: match[0], positions: [position] };
+    }
+
+    /**
+     * Отключена ли регулярка после таймаута; по истечении паузы снова проверяется
+     */
+    isRegexDisabled(keyword, now = Date.now()) {
+        const disabledUntil = this.regexDisabledUntil.get(keyword);
+        if (disabledUntil === undefined) return false;
+        if (disabledUntil > now) return true;
+        this.regexDisabledUntil.delete(keyword);
+        return false;
+    }
+
+    /**
+     * Разбирает правило AND/OR/NOT (с кэшированием)
+     * Бросает QueryParseError с позицией ошибки
+     */
+    getQueryAst(query) {
+        if (!this.queryCache.has(query)) {
+            this.queryCache.set(query, parseQuery(query));
+        }
+        return this.queryCache.get(query);
+    }
+
+    /**
+     * Вычисляет узел правила; листья проверяются как обычные ключевые слова
+     * Возвращает { matched: boolean, found: [...совпавшие листья] }
+     */
+    evaluateQuery(node, prepared) {
+        switch (node.type) {
+            case 'and': {
+                const found = [];
+                for (const child of node.children) {
+                    const result = this.evaluateQuery(child, prepared);
+                    if (!result.matched) return { matched: false, found: [] };
+                    found.push(...result.found);
+                }
+                return { matched: true, found };
+            }
+            case 'or': {
+                const found = [];
+                let matched = false;
+                for (const child of node.children) {
+                    const result = this.evaluateQuery(child, prepared);
+                    if (result.matched) {
                         matched = true;
-                        matchType = 'ngram';
-                        matchedWord = ngram + ' ≈ ' + keywordNgram;
-                        break;
+                        found.push(...result.found);
                     }
                 }
+                return { matched, found: matched ? found : [] };
+            }
+            case 'not': {
+                // Совпадения внутри NOT в детали не попадают
+                const result = this.evaluateQuery(node.child, prepared);
+                return { matched: !result.matched, found: [] };
+            }
+            default: {
+                const mode = this.parseKeywordMode(node.keyword);
+                const result = this.matchKeyword(node.keyword, mode, prepared);
+                // -слово внутри правила работает как NOT
+                if (mode.isExclusion) {
+                    return { matched: !result.matched, found: [] };
+                }
+                return {
+                    matched: result.matched,
+                    found: result.matched ? [{
+                        keyword: node.keyword,
+                        matchType: result.matchType,
+                        matchedWord: result.matchedWord,
+                        positions: result.positions,
+                        distance: result.distance,
+                        weight: result.weight ?? matchWeight(result.matchType)
+                    }] : []
+                };
             }
+        }
+    }
 
-            if (matched) {
-                matchedKeywords.push(keyword);
-                matchDetails.push({ keyword, matchType, matchedWord });
+    /**
+     * Проверяет правило с операторами AND/OR/NOT
+     */
+    matchQuery(query, prepared) {
+        let ast;
+        try {
+            ast = this.getQueryAst(query);
+        } catch (error) {
+            // Некорректные правила отсекаются при сохранении, здесь просто не совпадаем
+            console.error(`[Keywords] Invalid query "${query}":`, error.message);
+            return { matched: false, matchType: '', matchedWord: '', positions: [] };
+        }
+
+        const result = this.evaluateQuery(ast, prepared);
+        if (!result.matched) {
+            return { matched: false, matchType: '', matchedWord: '', positions: [] };
+        }
+
+        // Расстояние правила - наибольшее среди листьев [слова]~N
+        const distances = result.found.map(f => f.distance).filter(d => d !== undefined);
+
+        return {
+            matched: true,
+            distance: distances.length > 0 ? Math.max(...distances) : undefined,
+            matchType: 'query (' + [...new Set(result.found.map(f => f.matchType))].join('+') + ')',
+            matchedWord: result.found.map(f => f.matchedWord).join(' + '),
+            positions: result.found.flatMap(f => f.positions),
+            // Правило из одних NOT совпадает без найденных слов - считаем его точным
+            weight: result.found.length > 0
+                ? result.found.reduce((sum, f) => sum + f.weight, 0) / result.found.length
+                : 1
+        };
+    }
+
+    /**
+     * Балл ключевого слова 0..80: вес типа совпадения, многословные совпадения ценнее
+     */
+    scoreKeyword(result) {
+        const weight = result.weight ?? matchWeight(result.matchType);
+        const wordsFound = Math.max(1, new Set(result.positions).size);
+        const phraseBonus = Math.min(MAX_PHRASE_BONUS, PHRASE_WORD_BONUS * (wordsFound - 1));
+        return Math.round(weight * (KEYWORD_SCORE + phraseBonus));
+    }
+
+    /**
+     * Балл релевантности сообщения 0..100:
+     * лучший балл ключевого слова + бонус за количество совпавших слов + бонус за их близость
+     */
+    computeScore(matchDetails) {
+        if (matchDetails.length === 0) return 0;
+
+        const best = Math.max(...matchDetails.map(d => d.score));
+        const extraBonus = Math.min(MAX_EXTRA_KEYWORDS_BONUS, EXTRA_KEYWORD_BONUS * (matchDetails.length - 1));
+
+        // Близость: расстояние в словах между первыми позициями разных ключевых слов
+        let proximityBonus = 0;
+        const firstPositions = matchDetails
+            .filter(d => d.positions.length > 0)
+            .map(d => Math.min(...d.positions));
+        if (firstPositions.length > 1) {
+            const span = Math.max(...firstPositions) - Math.min(...firstPositions);
+            const closeness = Math.min(1, Math.max(0, 1 - (span - 1) / PROXIMITY_WINDOW));
+            proximityBonus = Math.round(PROXIMITY_BONUS * closeness);
+        }
+
+        return Math.min(100, best + extraBonus + proximityBonus);
+    }
+
+    /**
+     * Основной метод проверки - улучшенный
+     * Исключения (-слово, !"фраза") проверяются первыми: любое сработавшее исключение
+     * отменяет совпадение всего сообщения, а в matchDetails попадает сработавшее исключение.
+     * У каждого совпадения есть балл score (0..100) по типу совпадения; совпадения ниже
+     * порога ключевого слова (" >=N") не засчитываются и попадают в belowThreshold.
+     */
+    match(text, keywords) {
+        if (!text || !keywords || keywords.length === 0) {
+            return { matched: false, matchedKeywords: [], matchDetails: [], excludedBy: [], belowThreshold: [], urgent: false, score: 0 };
+        }
+
+        const prepared = this.prepareText(text);
+        const parsedKeywords = keywords.map(keyword => ({ keyword, mode: this.parseKeywordMode(keyword) }));
+
+        // Исключения
+        const excludedBy = [];
+        for (const { keyword, mode } of parsedKeywords.filter(k => k.mode.isExclusion)) {
+            const result = this.matchKeyword(mode.cleanKeyword, mode, prepared);
+            if (result.matched) {
+                excludedBy.push({ keyword, matchType: 'excluded (' + result.matchType + ')', matchedWord: result.matchedWord, excluded: true });
             }
         }
 
+        if (excludedBy.length > 0) {
+            return { matched: false, matchedKeywords: [], matchDetails: excludedBy, excludedBy, belowThreshold: [], urgent: false, score: 0 };
+        }
+
+        const matchedKeywords = [];
+        const matchDetails = [];
+        const belowThreshold = [];
+
+        for (const { keyword, mode } of parsedKeywords.filter(k => !k.mode.isExclusion)) {
+            const result = this.matchKeyword(mode.cleanKeyword, mode, prepared);
+            if (!result.matched) continue;
+
+            const detail = {
+                keyword,
+                matchType: result.matchType,
+                matchedWord: result.matchedWord,
+                positions: result.positions,
+                score: this.scoreKeyword(result)
+            };
+            if (result.distance !== undefined) {
+                detail.distance = result.distance;
+            }
+            if (mode.isUrgent) {
+                detail.urgent = true;
+            }
+
+            if (mode.minScore && detail.score < mode.minScore) {
+                belowThreshold.push({ ...detail, minScore: mode.minScore });
+                continue;
+            }
+
+            matchedKeywords.push(keyword);
+            matchDetails.push(detail);
+        }
+
         return {
             matched: matchedKeywords.length > 0,
             matchedKeywords: [...new Set(matchedKeywords)],
-            matchDetails
+            matchDetails,
+            excludedBy,
+            belowThreshold,
+            urgent: matchDetails.some(d => d.urgent),
+            score: this.computeScore(matchDetails)
         };
     }
 
@@ -483,93 +958,283 @@ class KeywordMatcher {
         };
     }
 
+    /**
+     * Объясняет, почему ключевое слово не совпало (для проверки ключевых слов без реальных сообщений)
+     */
+    explainMiss(mode, prepared) {
+        const { cleanKeyword } = mode;
+
+        if (mode.isRegex) {
+            try {
+                compileSafeRegex(mode.pattern, mode.flags);
+            } catch (error) {
+                return error.message;
+            }
+            if (this.isRegexDisabled(cleanKeyword)) {
+                return 'регулярное выражение временно отключено: превышено время выполнения';
+            }
+            return 'нет совпадения с регулярным выражением';
+        }
+
+        if (mode.isQuery) {
+            let ast;
+            try {
+                ast = this.getQueryAst(cleanKeyword);
+            } catch (error) {
+                return error.message;
+            }
+            const found = [];
+            const missing = [];
+            for (const term of collectQueryTerms(ast)) {
+                const termMode = this.parseKeywordMode(term.keyword);
+                const result = this.matchKeyword(term.keyword, termMode, prepared);
+                (result.matched ? found : missing).push(term.keyword);
+            }
+            return 'правило не выполнено' +
+                (found.length > 0 ? `; найдены: ${found.join(', ')}` : '') +
+                (missing.length > 0 ? `; не найдены: ${missing.join(', ')}` : '');
+        }
+
+        if (mode.isExact) {
+            return 'точная фраза не найдена в тексте';
+        }
+
+        const keywordParts = this.normalizeText(cleanKeyword).split(' ').filter(w => w.length > 1);
+        if (keywordParts.length === 0) {
+            return 'ключевое слово слишком короткое';
+        }
+
+        if (mode.isAllRequired && keywordParts.length > 1) {
+            const { textWords, textStems, tokenIndexes } = prepared;
+
+            if (mode.proximity !== undefined) {
+                const occurrencesByWord = keywordParts.map(part => this.findWordOccurrences(part, textWords, textStems));
+                const missing = keywordParts.filter((_, i) => occurrencesByWord[i].length === 0);
+                if (missing.length > 0) {
+                    return `не найдены слова: ${missing.join(', ')}`;
+                }
+                const closest = this.findClosestOccurrences(occurrencesByWord, tokenIndexes);
+                return `все слова найдены, но расстояние между ними ${closest.distance} больше ${mode.proximity}`;
+            }
+
+            const missing = keywordParts.filter(part => !this.findWordInText(part, textWords, textStems).found);
+            return `не найдены слова: ${missing.join(', ')}`;
+        }
+
+        return 'не найдено ни точного совпадения, ни словоформы, ни синонима, ни похожего слова';
+    }
+
+    /**
+     * Причины несовпадения для всех ключевых слов, которые не попали в результат
+     * Возвращает [{ keyword, reason }]
+     */
+    explainNotMatched(text, keywords, keywordResult) {
+        const prepared = this.prepareText(text || '');
+        const matched = new Set(keywordResult.matchedKeywords);
+        const excluded = new Set(keywordResult.excludedBy.map(d => d.keyword));
+        const belowThreshold = new Map(keywordResult.belowThreshold.map(d => [d.keyword, d]));
+        const notMatched = [];
+
+        for (const keyword of keywords) {
+            if (matched.has(keyword) || excluded.has(keyword)) continue;
+
+            const mode = this.parseKeywordMode(keyword);
+            let reason;
+            if (mode.isExclusion) {
+                reason = 'исключение не найдено, сообщение не отброшено';
+            } else if (excluded.size > 0) {
+                reason = `сообщение отброшено исключением ${[...excluded].map(k => `"${k}"`).join(', ')}`;
+            } else if (belowThreshold.has(keyword)) {
+                const detail = belowThreshold.get(keyword);
+                reason = `найдено (${detail.matchType}: ${detail.matchedWord}), но балл ${detail.score} ниже порога ${detail.minScore}`;
+            } else {
+                reason = this.explainMiss(mode, prepared);
+            }
+            notMatched.push({ keyword, reason });
+        }
+
+        return notMatched;
+    }
+
     /**
      * Полная проверка сообщения
+     * minScore - минимальный балл релевантности (порог профиля)
+     * explain - добавить в результат notMatched: причины несовпадения остальных ключевых слов
      */
     analyze(text, config) {
-        const { keywords = [], patterns = [] } = config;
+        const { keywords = [], patterns = [], minScore = 0, explain = false } = config;
         
         const keywordResult = this.match(text, keywords);
         const patternResult = this.matchPatterns(text, patterns);
+        const isExcluded = keywordResult.excludedBy.length > 0;
+        const found = keywordResult.matched || patternResult.matched;
+
+        const score = keywordResult.matched
+            ? keywordResult.score
+            : (patternResult.matched ? Math.round(KEYWORD_SCORE * MATCH_WEIGHTS.pattern) : 0);
 
         return {
-            matched: keywordResult.matched || patternResult.matched,
+            matched: !isExcluded && found && score >= minScore,
+            score,
+            minScore,
+            belowMinScore: !isExcluded && found && score < minScore,
             matchedKeywords: keywordResult.matchedKeywords,
             matchDetails: keywordResult.matchDetails,
+            excludedBy: keywordResult.excludedBy,
+            belowThreshold: keywordResult.belowThreshold,
+            urgent: keywordResult.urgent,
             matchedPatterns: patternResult.matchedPatterns,
+            ...(explain ? { notMatched: this.explainNotMatched(text, keywords, keywordResult) } : {}),
             originalText: text
         };
     }
 }
 
+/**
+ * Вес типа совпадения; для составных типов (all-required, query) - средний вес вложенных
+ */
+function matchWeight(matchType) {
+    if (MATCH_WEIGHTS[matchType] !== undefined) return MATCH_WEIGHTS[matchType];
+    const inner = /\((.+)\)$/.exec(matchType);
+    return inner ? averageWeight(inner[1].split('+')) : 0;
+}
+
+function averageWeight(matchTypes) {
+    if (matchTypes.length === 0) return 0;
+    return matchTypes.reduce((sum, type) => sum + matchWeight(type), 0) / matchTypes.length;
+}
+
 /**
  * Парсит строку с ключевыми словами в массив
  * Поддерживает разделители: запятая, точка с запятой, новая строка
+ * Внутри /регулярок/ запятая и точка с запятой разделителями не считаются: /\d{1,3}/
+ * Регуляркой считается только слово, которое начинается с "/" (после необязательного - или !),
+ * поэтому "UI/UX, frontend/backend" - по-прежнему два слова
  */
 function parseKeywords(keywordsString) {
     if (!keywordsString) return [];
-    
-    return keywordsString
-        .split(/[,;\n]+/)
+
+    const keywords = [];
+    let current = '';
+    let i = 0;
+
+    while (i < keywordsString.length) {
+        const char = keywordsString[i];
+
+        if (char === '/' && /^[-!]?$/.test(current.trim())) {
+            // Регулярка не переносится на следующую строку
+            const lineEnd = keywordsString.indexOf('\n', i);
+            const line = keywordsString.slice(0, lineEnd === -1 ? keywordsString.length : lineEnd);
+            const end = findRegexEnd(line, i);
+            if (end !== -1) {
+                current += keywordsString.slice(i, end);
+                i = end;
+                continue;
+            }
+        }
+
+        if (char === ',' || char === ';' || char === '\n') {
+            keywords.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+        i++;
+    }
+    keywords.push(current);
+
+    return keywords
         .map(k => k.trim())
         .filter(k => k.length > 0);
 }
 
 /**
- * Форматирует сообщение для отправки уведомления
+ * Проверяет синтаксис правил AND/OR/NOT, регулярок и порогов >=N в списке ключевых слов
+ * Возвращает массив ошибок { keyword, message, position } (пустой если всё корректно)
  */
-function formatNotification(data) {
-    const {
-        firstName = 'Неизвестно',
-        username,
-        userId,
-        messageText,
-        chatTitle,
-        chatId,
-        messageId,
-        matchedKeywords = [],
-        matchDetails = []
-    } = data;
-
-    // Создаем ссылку на сообщение
-    let messageLink;
-    if (chatId.toString().startsWith('-100')) {
-        const cleanChatId = chatId.toString().replace('-100', '');
-        messageLink = `https://t.me/c/${cleanChatId}/${messageId}`;
-    } else {
-        messageLink = `https://t.me/c/${Math.abs(chatId)}/${messageId}`;
-    }
-
-    const usernameDisplay = username ? `@${username}` : 'нет';
-    
-    // Показываем детали совпадения с типом матча и найденным словом
-    let keywordsDisplay = '';
-    if (matchedKeywords.length > 0) {
-        if (matchDetails && matchDetails.length > 0) {
-            const detailsStr = matchDetails.map(d => {
-                let detail = `"${d.keyword}" (${d.matchType})`;
-                if (d.matchedWord) {
-                    detail += `\n   └ Найдено: "${d.matchedWord}"`;
+function validateKeywords(keywords) {
+    const matcher = new KeywordMatcher();
+    const errors = [];
+
+    for (const keyword of keywords) {
+        const mode = matcher.parseKeywordMode(keyword);
+
+        if (mode.minScore > 100) {
+            errors.push({ keyword, message: 'порог >=N должен быть от 0 до 100', position: keyword.lastIndexOf('>=') });
+            continue;
+        }
+
+        if (mode.isRegex) {
+            try {
+                compileSafeRegex(mode.pattern, mode.flags);
+            } catch (error) {
+                errors.push({ keyword, message: error.message, position: keyword.indexOf('/') });
+            }
+            continue;
+        }
+
+        // /abc[/ - закрывающий слэш оказался внутри незакрытого класса [...]
+        if (/^[-!]?\/.*\[.*\/[a-z]*$/.test(keyword.trim())) {
+            errors.push({ keyword, message: 'некорректное регулярное выражение: не закрыт класс символов "["', position: keyword.indexOf('/') });
+            continue;
+        }
+
+        if (!mode.isQuery) continue;
+
+        // Позиция считается в исходной строке (с учетом префикса исключения и пробелов)
+        const offset = keyword.indexOf(mode.cleanKeyword);
+
+        try {
+            const ast = parseQuery(mode.cleanKeyword);
+            for (const term of collectQueryTerms(ast)) {
+                const termMode = matcher.parseKeywordMode(term.keyword);
+                if (!termMode.isRegex) continue;
+                try {
+                    compileSafeRegex(termMode.pattern, termMode.flags);
+                } catch (regexError) {
+                    errors.push({ keyword, message: regexError.message, position: offset + term.position });
                 }
-                return detail;
-            }).join('\n');
-            keywordsDisplay = `\n🔑 *Совпадения:*\n${detailsStr}`;
-        } else {
-            keywordsDisplay = `\n🔑 *Ключевые слова:* ${matchedKeywords.join(', ')}`;
+            }
+        } catch (error) {
+            if (!(error instanceof QueryParseError)) throw error;
+            errors.push({
+                keyword,
+                message: error.reason,
+                position: offset + error.position
+            });
         }
     }
 
-    return `🎯 *Найдено совпадение!*
-${keywordsDisplay}
+    return errors;
+}
 
-👤 *${escapeMarkdown(firstName)}*
-├ Username: ${usernameDisplay}
-├ User ID: \`${userId}\`
+/**
+ * Листья правила AND/OR/NOT
+ */
+function collectQueryTerms(node) {
+    if (node.type === 'term') return [node];
+    if (node.type === 'not') return collectQueryTerms(node.child);
+    return node.children.flatMap(collectQueryTerms);
+}
 
-💬 *Сообщение:*
-"${escapeMarkdown(truncateText(messageText, 500))}"
+/**
+ * Текст ошибок правил для ответа пользователю
+ */
+function formatKeywordErrors(errors) {
+    return errors
+        .map(e => `Ошибка в правиле "${e.keyword}": ${e.message} (позиция ${e.position + 1})`)
+        .join('\n');
+}
 
-📍 *Чат:* [${escapeMarkdown(chatTitle)}](${messageLink})`;
+/**
+ * Ссылка на сообщение в чате (chatId в формате Bot API -100... или сырой id из MTProto)
+ */
+function buildMessageLink(chatId, messageId) {
+    if (chatId.toString().startsWith('-100')) {
+        const cleanChatId = chatId.toString().replace('-100', '');
+        return `https://t.me/c/${cleanChatId}/${messageId}`;
+    }
+    return `https://t.me/c/${Math.abs(chatId)}/${messageId}`;
 }
 
 /**
@@ -596,8 +1261,11 @@ function truncateText(text, maxLength) {
 
 module.exports = {
     KeywordMatcher,
+    REGEX_COOLDOWN_MS,
     parseKeywords,
-    formatNotification,
+    validateKeywords,
+    formatKeywordErrors,
+    buildMessageLink,
     escapeMarkdown,
     truncateText
 };
@@ -0,0 +1,192 @@
+/**
+ * Работа с лидами: каждое уведомление - лид со статусом (в работе, обработан, отложен, не актуален)
+ * Статус меняется кнопками под уведомлением, открытые лиды - в /leads
+ */
+
+const { buildMessageLink, truncateText } = require('./keywords');
+const { DEFAULT_TIMEZONE, getLocalTime } = require('./schedule');
+const { escapeHtml } = require('./templates');
+
+// Действия кнопок (callback_data lead:<action>[:<id>]) -> новый статус
+const LEAD_ACTIONS = {
+    done: 'handled',
+    snooze1h: 'snoozed',
+    tomorrow: 'snoozed',
+    skip: 'irrelevant',
+    reopen: 'open'
+};
+
+// "Завтра" - в это время по часовому поясу пользователя
+const SNOOZE_TOMORROW_TIME = 9 * 60;
+const LEADS_PAGE_SIZE = 10;
+const LEAD_TEXT_LENGTH = 120;
+
+/**
+ * До какого момента отложить лид: на час или до завтрашнего утра (в часовом поясе пользователя)
+ */
+function getSnoozeUntil(action, timezone, now = new Date()) {
+    if (action === 'snooze1h') {
+        return new Date(now.getTime() + 60 * 60 * 1000);
+    }
+    const local = getLocalTime(now, timezone);
+    const minutesLeft = 24 * 60 - local.minutes + SNOOZE_TOMORROW_TIME;
+    const until = new Date(now.getTime() + minutesLeft * 60 * 1000);
+    until.setSeconds(0, 0);
+    return until;
+}
+
+/**
+ * Дата и время для подписи кнопок и списка лидов
+ */
+function formatLeadTime(date, timezone) {
+    return new Date(date).toLocaleString('ru-RU', {
+        timeZone: timezone || DEFAULT_TIMEZONE,
+        day: '2-digit',
+        month: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Кнопки уведомления: написать, ответить, заблокировать автора и действия с лидом по текущему статусу
+ * lead - { authorId, authorName, status, statusChangedAt, snoozedUntil }
+ */
+function buildAlertKeyboard(lead, timezone) {
+    const rows = [];
+    const hasAuthor = lead.authorId && lead.authorId !== 'unknown';
+
+    // Кнопка "Написать автору" - открывает диалог напрямую
+    if (hasAuthor) {
+        rows.push([{ text: '💬 Написать автору', url: `tg://user?id=${lead.authorId}` }]);
+    }
+
+    // Ответ с аккаунта пользователя: работает и для авторов без username
+    const replyInChat = { text: '↩️ Ответить в чате', callback_data: 'reply:chat' };
+    rows.push(hasAuthor ? [{ text: '✍️ Ответить лично', callback_data: 'reply:dm' }, replyInChat] : [replyInChat]);
+
+    switch (lead.status) {
+        case 'handled':
+            rows.push([{ text: `✅ Обработано ${formatLeadTime(lead.statusChangedAt || new Date(), timezone)}`, callback_data: 'noop' }]);
+            rows.push([{ text: '↩️ Вернуть в работу', callback_data: 'lead:reopen' }]);
+            break;
+        case 'irrelevant':
+            rows.push([{ text: '🚫 Не актуально', callback_data: 'noop' }]);
+            rows.push([{ text: '↩️ Вернуть в работу', callback_data: 'lead:reopen' }]);
+            break;
+        case 'snoozed':
+            rows.push([{ text: `⏰ Напомню ${formatLeadTime(lead.snoozedUntil, timezone)}`, callback_data: 'noop' }]);
+            rows.push([
+                { text: '✅ Обработано', callback_data: 'lead:done' },
+                { text: '↩️ Не откладывать', callback_data: 'lead:reopen' }
+            ]);
+            break;
+        default:
+            rows.push([
+                { text: '✅ Обработано', callback_data: 'lead:done' },
+                { text: '🚫 Не актуально', callback_data: 'lead:skip' }
+            ]);
+            rows.push([
+                { text: '⏰ Через час', callback_data: 'lead:snooze1h' },
+                { text: '⏰ Завтра', callback_data: 'lead:tomorrow' }
+            ]);
+    }
+
+    if (hasAuthor) {
+        const authorName = lead.authorName || 'автора';
+        rows.push([{ text: '🚷 Заблокировать автора', callback_data: `block_author:${lead.authorId}:${authorName.substring(0, 30)}` }]);
+    }
+
+    return { inline_keyboard: rows };
+}
+
+/**
+ * Кнопки из строки sent_notifications
+ */
+function buildLeadKeyboard(row, timezone) {
+    return buildAlertKeyboard({
+        authorId: row.author_id,
+        authorName: row.author_name,
+        status: row.status,
+        statusChangedAt: row.status_changed_at,
+        snoozedUntil: row.snoozed_until
+    }, timezone);
+}
+
+/**
+ * Текст ответа на нажатие кнопки
+ */
+function describeLeadAction(action, snoozedUntil, timezone) {
+    switch (action) {
+        case 'done':
+            return '✅ Лид обработан';
+        case 'skip':
+            return '🚫 Отмечено как не актуальное';
+        case 'reopen':
+            return '↩️ Лид снова в работе';
+        default:
+            return `⏰ Напомню ${formatLeadTime(snoozedUntil, timezone)}`;
+    }
+}
+
+/**
+ * Напоминание об отложенном лиде (HTML)
+ */
+function formatLeadReminder(row) {
+    const link = buildMessageLink(row.chat_id, row.message_id);
+    const text = row.message_text
+        ? `\n"${escapeHtml(truncateText(row.message_text, 500))}"\n`
+        : '';
+    return `⏰ <b>Напоминание о лиде</b>\n\n` +
+        `👤 <b>${escapeHtml(row.author_name || 'Неизвестно')}</b> · ${escapeHtml(row.chat_title || 'Неизвестный чат')}\n` +
+        `${text}\n<a href="${escapeHtml(link)}">Открыть сообщение</a>`;
+}
+
+/**
+ * Список открытых лидов для /leads (HTML); номера в списке совпадают с подписями кнопок
+ */
+function formatLeadsList(leads, counts, timezone) {
+    if (leads.length === 0) {
+        return counts.snoozed > 0
+            ? `📋 <b>Открытых лидов нет</b>\n\nОтложено: ${counts.snoozed}`
+            : '📋 <b>Открытых лидов нет</b>\n\nЗдесь появляются уведомления, пока вы не отметите их кнопками «Обработано» или «Не актуально».';
+    }
+
+    const lines = leads.map((lead, i) => {
+        const link = buildMessageLink(lead.chat_id, lead.message_id);
+        const text = lead.message_text
+            ? escapeHtml(truncateText(lead.message_text.replace(/\s+/g, ' '), LEAD_TEXT_LENGTH))
+            : '<i>текст не сохранен</i>';
+        return `${i + 1}. ${formatLeadTime(lead.sent_at, timezone)} <b>${escapeHtml(lead.author_name || 'Неизвестно')}</b> · ` +
+            `${escapeHtml(lead.chat_title || 'Неизвестный чат')}\n   ${text} <a href="${escapeHtml(link)}">→</a>`;
+    });
+
+    const more = counts.open > leads.length ? `\n\nПоказаны ${leads.length} из ${counts.open}, самые новые.` : '';
+    const snoozed = counts.snoozed > 0 ? `\nОтложено: ${counts.snoozed}` : '';
+    return `📋 <b>Открытые лиды: ${counts.open}</b>${snoozed}\n\n${lines.join('\n\n')}${more}`;
+}
+
+/**
+ * Кнопки списка /leads: по строке на лид, действия ссылаются на лид по id
+ */
+function buildLeadsListKeyboard(leads) {
+    return {
+        inline_keyboard: leads.map((lead, i) => [
+            { text: `✅ ${i + 1}`, callback_data: `lead:done:${lead.id}` },
+            { text: `⏰ ${i + 1}`, callback_data: `lead:tomorrow:${lead.id}` },
+            { text: `🚫 ${i + 1}`, callback_data: `lead:skip:${lead.id}` }
+        ])
+    };
+}
+
+module.exports = {
+    LEAD_ACTIONS,
+    LEADS_PAGE_SIZE,
+    getSnoozeUntil,
+    buildAlertKeyboard,
+    buildLeadKeyboard,
+    describeLeadAction,
+    formatLeadReminder,
+    formatLeadsList,
+    buildLeadsListKeyboard
+};
@@ -0,0 +1,277 @@
+/**
+ * Версионированные миграции схемы: файлы server/migrations/NNN_название.js с функциями up(client) и down(client)
+ * Каждая миграция выполняется в отдельной транзакции вместе с записью в schema_migrations;
+ * advisory lock не дает двум экземплярам сервера мигрировать одновременно
+ *
+ * CLI: npm run migrate -- status | up [версия] | down [шагов] [--force] | create название | reencrypt
+ * reencrypt шифрует открытые сессии и api_hash и перешифровывает значения старых версий ключа текущим
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_REGEX = /^(\d+)_([a-z0-9_]+)\.js$/;
+// Ключ pg_advisory_lock для миграций
+const MIGRATION_LOCK_ID = 5318001;
+// Откат базовой схемы удаляет все таблицы - только с --force
+const BASELINE_VERSION = 1;
+
+/**
+ * Миграции из папки migrations по возрастанию версии: [{ version, name, up, down }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = [];
+    for (const file of fs.readdirSync(dir).sort()) {
+        const match = file.match(MIGRATION_FILE_REGEX);
+        if (!match) continue;
+
+        const { up, down } = require(path.join(dir, file));
+        if (typeof up !== 'function' || typeof down !== 'function') {
+            throw new Error(`Миграция ${file} должна экспортировать функции up и down`);
+        }
+        const version = parseInt(match[1]);
+        if (migrations.some(m => m.version === version)) {
+            throw new Error(`Две миграции с версией ${version}`);
+        }
+        migrations.push({ version, name: match[2], up, down });
+    }
+    return migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * 001_baseline - для логов и CLI
+ */
+function formatMigration(migration) {
+    return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+async function ensureMigrationsTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function getAppliedMigrations(client) {
+    const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return result.rows;
+}
+
+/**
+ * Применённые миграции, которых нет в коде: база обновлена более новой версией приложения
+ */
+function findUnknownMigrations(applied, migrations) {
+    const known = new Set(migrations.map(m => m.version));
+    return applied.filter(row => !known.has(row.version));
+}
+
+function assertNoUnknownMigrations(applied, migrations) {
+    const unknown = findUnknownMigrations(applied, migrations);
+    if (unknown.length > 0) {
+        throw new Error(
+            `Схема базы новее приложения: неизвестные миграции ${unknown.map(formatMigration).join(', ')}. ` +
+            'Обновите приложение или откатите их той версией, которая их применила'
+        );
+    }
+}
+
+/**
+ * Выполняет fn(client) под блокировкой миграций
+ */
+async function withMigrationLock(pool, fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        try {
+            await ensureMigrationsTable(client);
+            return await fn(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Одна миграция в транзакции: схема и запись в schema_migrations меняются вместе
+ */
+async function runMigration(client, migration, direction) {
+    try {
+        await client.query('BEGIN');
+        await migration[direction](client);
+        if (direction === 'up') {
+            await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        } else {
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw new Error(`Миграция ${formatMigration(migration)} (${direction}) не выполнена: ${error.message}`);
+    }
+}
+
+/**
+ * Применяет неприменённые миграции (до версии to включительно); возвращает применённые
+ * Бросает Error, если в базе есть миграции новее кода
+ */
+async function migrateUp(pool, { to = null, migrations = loadMigrations() } = {}) {
+    return withMigrationLock(pool, async (client) => {
+        const applied = await getAppliedMigrations(client);
+        assertNoUnknownMigrations(applied, migrations);
+
+        const appliedVersions = new Set(applied.map(row => row.version));
+        const pending = migrations.filter(m => !appliedVersions.has(m.version) && (to === null || m.version <= to));
+        for (const migration of pending) {
+            await runMigration(client, migration, 'up');
+            console.log(`[Migrate] ✓ ${formatMigration(migration)}`);
+        }
+        return pending;
+    });
+}
+
+/**
+ * Откатывает последние steps миграций; базовую схему - только с force
+ */
+async function migrateDown(pool, { steps = 1, force = false, migrations = loadMigrations() } = {}) {
+    return withMigrationLock(pool, async (client) => {
+        const applied = await getAppliedMigrations(client);
+        assertNoUnknownMigrations(applied, migrations);
+
+        const targets = applied.slice(-steps).reverse()
+            .map(row => migrations.find(m => m.version === row.version));
+        if (!force && targets.some(m => m.version === BASELINE_VERSION)) {
+            throw new Error('Откат базовой миграции удалит все таблицы с данными. Повторите с --force, если это нужно');
+        }
+
+        for (const migration of targets) {
+            await runMigration(client, migration, 'down');
+            console.log(`[Migrate] ↩ ${formatMigration(migration)}`);
+        }
+        return targets;
+    });
+}
+
+/**
+ * Состояние миграций: [{ version, name, appliedAt }] (appliedAt null - не применена) и неизвестные базе коду
+ */
+async function getMigrationStatus(pool, migrations = loadMigrations()) {
+    return withMigrationLock(pool, async (client) => {
+        const applied = await getAppliedMigrations(client);
+        return {
+            migrations: migrations.map(m => ({
+                version: m.version,
+                name: m.name,
+                appliedAt: applied.find(row => row.version === m.version)?.applied_at || null
+            })),
+            unknown: findUnknownMigrations(applied, migrations)
+        };
+    });
+}
+
+/**
+ * Заготовка новой миграции со следующим номером; возвращает путь к файлу
+ */
+function createMigrationFile(name, dir = MIGRATIONS_DIR) {
+    const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!slug) {
+        throw new Error('Укажите название миграции латиницей: npm run migrate -- create add_user_language');
+    }
+
+    const migrations = loadMigrations(dir);
+    const version = (migrations.length > 0 ? migrations[migrations.length - 1].version : 0) + 1;
+    const file = path.join(dir, `${formatMigration({ version, name: slug })}.js`);
+    fs.writeFileSync(file, `/**
+ * ${slug}
+ */
+
+async function up(client) {
+    await client.query(\`\`);
+}
+
+async function down(client) {
+    await client.query(\`\`);
+}
+
+module.exports = { up, down };
+`);
+    return file;
+}
+
+module.exports = {
+    loadMigrations,
+    formatMigration,
+    migrateUp,
+    migrateDown,
+    getMigrationStatus,
+    createMigrationFile
+};
+
+// CLI: node server/migrate.js <команда>
+if (require.main === module) {
+    require('dotenv').config();
+
+    const [command = 'status', ...args] = process.argv.slice(2);
+    const force = args.includes('--force');
+    const value = args.find(arg => !arg.startsWith('--'));
+
+    const run = async () => {
+        if (command === 'create') {
+            console.log(`Создана миграция ${path.relative(process.cwd(), createMigrationFile(value))}`);
+            return;
+        }
+
+        const { pool, storage } = require('./database');
+        try {
+            if (command === 'reencrypt') {
+                require('./secrets').assertSecretsConfigured();
+                // Схема должна быть актуальной, а ключи - подходить к данным (проверяет init)
+                await storage.init();
+                const updated = await storage.reencryptSecrets();
+                for (const [table, count] of Object.entries(updated)) {
+                    console.log(`🔐 ${table}: перешифровано строк: ${count}`);
+                }
+            } else if (command === 'up') {
+                const to = value ? parseInt(value) : null;
+                if (Number.isNaN(to)) {
+                    throw new Error('Версия должна быть числом');
+                }
+                const applied = await migrateUp(pool, { to });
+                console.log(applied.length > 0 ? `Применено миграций: ${applied.length}` : 'Схема актуальна');
+            } else if (command === 'down') {
+                const steps = value ? parseInt(value) : 1;
+                if (!Number.isInteger(steps) || steps < 1) {
+                    throw new Error('Число шагов отката должно быть положительным');
+                }
+                const reverted = await migrateDown(pool, { steps, force });
+                console.log(`Откачено миграций: ${reverted.length}`);
+            } else if (command === 'status') {
+                const status = await getMigrationStatus(pool);
+                for (const m of status.migrations) {
+                    const state = m.appliedAt ? `применена ${new Date(m.appliedAt).toLocaleString('ru-RU')}` : 'не применена';
+                    console.log(`${m.appliedAt ? '✓' : '·'} ${formatMigration(m)} — ${state}`);
+                }
+                for (const m of status.unknown) {
+                    console.log(`? ${formatMigration(m)} — неизвестна этой версии приложения`);
+                }
+            } else {
+                throw new Error(`Неизвестная команда "${command}". Команды: status, up [версия], down [шагов] [--force], create название, reencrypt`);
+            }
+        } finally {
+            if (storage.backend !== 'postgres') {
+                await storage.close();
+            }
+            await pool.end();
+        }
+    };
+
+    run().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,473 @@
+/**
+ * Базовая схема: все таблицы и колонки, которые до системы миграций создавал initDatabase
+ * Выполняется идемпотентно (IF NOT EXISTS и проверки колонок), поэтому на существующей базе
+ * только доводит старые установки до текущей схемы и записывается как версия 1
+ */
+
+const TABLES = [
+    'users', 'monitor_settings', 'monitored_chats', 'sent_notifications', 'auth_sessions', 'bot_users', 'stats',
+    'message_hashes', 'blocked_authors', 'synonym_groups', 'digest_queue', 'delivery_targets',
+    'notification_messages', 'webhooks', 'webhook_deliveries', 'outbox', 'reply_templates'
+];
+
+async function up(client) {
+    // Создаем таблицы
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS users (
+            id SERIAL PRIMARY KEY,
+            telegram_user_id TEXT UNIQUE,
+            telegram_username TEXT,
+            phone TEXT,
+            api_id TEXT,
+            api_hash TEXT,
+            session_string TEXT,
+            bot_chat_id TEXT,
+            is_active BOOLEAN DEFAULT FALSE,
+            delivery_mode TEXT NOT NULL DEFAULT 'immediate',
+            digest_interval INTEGER NOT NULL DEFAULT 60,
+            digest_time TEXT NOT NULL DEFAULT '09:00',
+            digest_group_by TEXT NOT NULL DEFAULT 'chat',
+            attach_media TEXT NOT NULL DEFAULT 'off',
+            timezone TEXT NOT NULL DEFAULT 'Europe/Moscow',
+            quiet_start TEXT,
+            quiet_end TEXT,
+            active_days TEXT NOT NULL DEFAULT '1234567',
+            notification_template TEXT NOT NULL DEFAULT 'detailed',
+            custom_template TEXT,
+            webhook_secret TEXT,
+            delivery_error TEXT,
+            delivery_error_at TIMESTAMP,
+            history_days INTEGER NOT NULL DEFAULT 30,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS monitor_settings (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            name TEXT,
+            folder_name TEXT NOT NULL,
+            keywords TEXT NOT NULL,
+            min_score INTEGER NOT NULL DEFAULT 0,
+            is_active BOOLEAN DEFAULT TRUE,
+            monitoring_started_at TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS monitored_chats (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            profile_id INTEGER REFERENCES monitor_settings(id) ON DELETE CASCADE,
+            chat_id TEXT NOT NULL,
+            chat_title TEXT,
+            chat_type TEXT,
+            added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS sent_notifications (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            chat_id TEXT NOT NULL,
+            message_id TEXT NOT NULL,
+            score INTEGER,
+            match_details TEXT,
+            author_id TEXT,
+            author_name TEXT,
+            author_username TEXT,
+            chat_title TEXT,
+            message_text TEXT,
+            matched_keywords TEXT,
+            delivery_status TEXT,
+            status TEXT NOT NULL DEFAULT 'open',
+            status_changed_at TIMESTAMP,
+            snoozed_until TIMESTAMP,
+            sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(user_id, chat_id, message_id)
+        )
+    `);
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS auth_sessions (
+            id TEXT PRIMARY KEY,
+            phone TEXT,
+            api_id TEXT,
+            api_hash TEXT,
+            phone_code_hash TEXT,
+            step TEXT DEFAULT 'phone',
+            user_data JSONB,
+            session_string TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP
+        )
+    `);
+
+    // Таблица для всех кто нажал /start (для статистики)
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS bot_users (
+            id SERIAL PRIMARY KEY,
+            telegram_user_id TEXT UNIQUE,
+            telegram_username TEXT,
+            first_name TEXT,
+            last_name TEXT,
+            language_code TEXT,
+            first_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Таблица статистики обработанных сообщений
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS stats (
+            id SERIAL PRIMARY KEY,
+            date DATE DEFAULT CURRENT_DATE UNIQUE,
+            messages_processed INTEGER DEFAULT 0,
+            matches_found INTEGER DEFAULT 0,
+            notifications_sent INTEGER DEFAULT 0
+        )
+    `);
+
+    // Таблица хешей сообщений для дедупликации (24 часа)
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS message_hashes (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            message_hash TEXT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(user_id, message_hash)
+        )
+    `);
+
+    // Таблица заблокированных авторов
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS blocked_authors (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            author_id TEXT NOT NULL,
+            author_name TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(user_id, author_id)
+        )
+    `);
+
+    // Пользовательские группы синонимов (дополняют встроенный словарь KeywordMatcher)
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS synonym_groups (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            words TEXT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Очередь дайджестов: совпадения ждут отправки сводкой (переживает перезапуск)
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS digest_queue (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            chat_id TEXT NOT NULL,
+            message_id TEXT NOT NULL,
+            chat_title TEXT,
+            author_name TEXT,
+            message_text TEXT NOT NULL,
+            matched_keywords TEXT NOT NULL,
+            match_details TEXT NOT NULL,
+            score INTEGER,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(user_id, chat_id, message_id)
+        )
+    `);
+
+    // Получатели уведомлений: личный чат, группы, каналы и темы форумов (thread_id = 0 - без темы)
+    // profile_id и keywords (JSON-массив) - правило маршрутизации, пустые - все совпадения
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS delivery_targets (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            chat_id TEXT NOT NULL,
+            thread_id INTEGER NOT NULL DEFAULT 0,
+            chat_type TEXT NOT NULL,
+            title TEXT,
+            profile_id INTEGER REFERENCES monitor_settings(id) ON DELETE SET NULL,
+            keywords TEXT NOT NULL DEFAULT '[]',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(user_id, chat_id, thread_id)
+        )
+    `);
+
+    // Сообщения бота с уведомлением (одно совпадение может уйти в несколько чатов) - для кнопок статуса лида
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS notification_messages (
+            notification_id INTEGER NOT NULL REFERENCES sent_notifications(id) ON DELETE CASCADE,
+            chat_id TEXT NOT NULL,
+            message_id INTEGER NOT NULL,
+            thread_id INTEGER,
+            PRIMARY KEY (chat_id, message_id)
+        )
+    `);
+
+    // Исходящие вебхуки: совпадения отправляются POST-запросом с подписью HMAC (users.webhook_secret)
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS webhooks (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            url TEXT NOT NULL,
+            is_active BOOLEAN DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Очередь и журнал доставок вебхуков: pending ждут next_attempt_at, delivered и failed остаются в журнале
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            id SERIAL PRIMARY KEY,
+            webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            event TEXT NOT NULL,
+            payload TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_status_code INTEGER,
+            last_error TEXT,
+            duration_ms INTEGER,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            delivered_at TIMESTAMP
+        )
+    `);
+
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS webhook_deliveries_pending_idx
+        ON webhook_deliveries (status, next_attempt_at)
+    `);
+
+    // Очередь исходящих уведомлений: pending ждут next_attempt_at, sending - взяты в отправку (locked_at),
+    // sent - доставлены (bot_message_id), dead - отклонены Telegram или исчерпали попытки,
+    // held - личный чат недоступен (бот заблокирован или chat_id неизвестен), ждут /start
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS outbox (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            notification_id INTEGER REFERENCES sent_notifications(id) ON DELETE CASCADE,
+            chat_id TEXT,
+            thread_id INTEGER,
+            text TEXT NOT NULL,
+            reply_markup TEXT,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            locked_at TIMESTAMP,
+            last_error TEXT,
+            bot_message_id INTEGER,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            sent_at TIMESTAMP
+        )
+    `);
+
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS outbox_pending_idx
+        ON outbox (status, next_attempt_at)
+    `);
+
+    // Сохраненные шаблоны ответов автору (отправляются с аккаунта пользователя)
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS reply_templates (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            text TEXT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Миграция: добавляем новые колонки в auth_sessions если их нет
+    await client.query(`
+        DO $$ 
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'auth_sessions' AND column_name = 'user_data') THEN
+                ALTER TABLE auth_sessions ADD COLUMN user_data JSONB;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'auth_sessions' AND column_name = 'session_string') THEN
+                ALTER TABLE auth_sessions ADD COLUMN session_string TEXT;
+            END IF;
+        END $$;
+    `);
+
+    // Миграция: профили мониторинга (несколько наборов папка+ключевые слова на пользователя)
+    await client.query(`
+        DO $$ 
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'monitor_settings' AND column_name = 'name') THEN
+                ALTER TABLE monitor_settings ADD COLUMN name TEXT;
+                -- Раньше /stop выключал настройки вместе с пользователем, теперь is_active - переключатель профиля
+                UPDATE monitor_settings SET name = 'Основной', is_active = TRUE;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'monitored_chats' AND column_name = 'profile_id') THEN
+                ALTER TABLE monitored_chats ADD COLUMN profile_id INTEGER REFERENCES monitor_settings(id) ON DELETE CASCADE;
+                ALTER TABLE monitored_chats DROP CONSTRAINT IF EXISTS monitored_chats_user_id_chat_id_key;
+            END IF;
+        END $$;
+    `);
+
+    await client.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS monitored_chats_profile_chat_idx
+        ON monitored_chats (user_id, profile_id, chat_id)
+    `);
+
+    // Миграция: балл релевантности (порог профиля и сохраненный балл уведомления)
+    await client.query(`
+        DO $$ 
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'monitor_settings' AND column_name = 'min_score') THEN
+                ALTER TABLE monitor_settings ADD COLUMN min_score INTEGER NOT NULL DEFAULT 0;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'sent_notifications' AND column_name = 'score') THEN
+                ALTER TABLE sent_notifications ADD COLUMN score INTEGER;
+                ALTER TABLE sent_notifications ADD COLUMN match_details TEXT;
+            END IF;
+        END $$;
+    `);
+
+    // Миграция: режим доставки уведомлений (сразу / дайджест каждые N минут / раз в день)
+    await client.query(`
+        DO $$ 
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'delivery_mode') THEN
+                ALTER TABLE users ADD COLUMN delivery_mode TEXT NOT NULL DEFAULT 'immediate';
+                ALTER TABLE users ADD COLUMN digest_interval INTEGER NOT NULL DEFAULT 60;
+                ALTER TABLE users ADD COLUMN digest_time TEXT NOT NULL DEFAULT '09:00';
+                ALTER TABLE users ADD COLUMN digest_group_by TEXT NOT NULL DEFAULT 'chat';
+            END IF;
+        END $$;
+    `);
+
+    // Миграция: расписание доставки (часовой пояс, тихие часы, дни недели)
+    await client.query(`
+        DO $$ 
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'timezone') THEN
+                ALTER TABLE users ADD COLUMN timezone TEXT NOT NULL DEFAULT 'Europe/Moscow';
+                ALTER TABLE users ADD COLUMN quiet_start TEXT;
+                ALTER TABLE users ADD COLUMN quiet_end TEXT;
+                ALTER TABLE users ADD COLUMN active_days TEXT NOT NULL DEFAULT '1234567';
+            END IF;
+        END $$;
+    `);
+
+    // Миграция: шаблон уведомлений (пресет compact/detailed или свой)
+    await client.query(`
+        DO $$ 
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'notification_template') THEN
+                ALTER TABLE users ADD COLUMN notification_template TEXT NOT NULL DEFAULT 'detailed';
+                ALTER TABLE users ADD COLUMN custom_template TEXT;
+            END IF;
+        END $$;
+    `);
+
+    // Миграция: статус лида у уведомления (open, handled, snoozed, irrelevant) и данные для /leads и напоминаний
+    await client.query(`
+        DO $$ 
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'sent_notifications' AND column_name = 'status') THEN
+                ALTER TABLE sent_notifications ADD COLUMN author_id TEXT;
+                ALTER TABLE sent_notifications ADD COLUMN author_name TEXT;
+                ALTER TABLE sent_notifications ADD COLUMN chat_title TEXT;
+                ALTER TABLE sent_notifications ADD COLUMN message_text TEXT;
+                ALTER TABLE sent_notifications ADD COLUMN status TEXT NOT NULL DEFAULT 'open';
+                ALTER TABLE sent_notifications ADD COLUMN status_changed_at TIMESTAMP;
+                ALTER TABLE sent_notifications ADD COLUMN snoozed_until TIMESTAMP;
+            END IF;
+        END $$;
+    `);
+
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS sent_notifications_status_idx
+        ON sent_notifications (user_id, status)
+    `);
+
+    // Миграция: сообщение с уведомлением хранилось в sent_notifications.bot_message_id (только личный чат)
+    await client.query(`
+        DO $$ 
+        BEGIN
+            IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'sent_notifications' AND column_name = 'bot_message_id') THEN
+                INSERT INTO notification_messages (notification_id, chat_id, message_id)
+                SELECT n.id, u.bot_chat_id, n.bot_message_id
+                FROM sent_notifications n
+                JOIN users u ON u.id = n.user_id
+                WHERE n.bot_message_id IS NOT NULL AND u.bot_chat_id IS NOT NULL
+                ON CONFLICT DO NOTHING;
+                ALTER TABLE sent_notifications DROP COLUMN bot_message_id;
+            END IF;
+        END $$;
+    `);
+
+    // Миграция: оригинал сообщения с медиа в уведомлении
+    await client.query(`
+        DO $$ 
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'attach_media') THEN
+                ALTER TABLE users ADD COLUMN attach_media TEXT NOT NULL DEFAULT 'off';
+            END IF;
+        END $$;
+    `);
+
+    // Миграция: секрет для подписи вебхуков
+    await client.query(`
+        DO $$ 
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'webhook_secret') THEN
+                ALTER TABLE users ADD COLUMN webhook_secret TEXT;
+            END IF;
+        END $$;
+    `);
+
+    // Миграция: ошибка доставки в личный чат (blocked - бот заблокирован, no_chat - пользователь не отправил /start)
+    await client.query(`
+        DO $$ 
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'delivery_error') THEN
+                ALTER TABLE users ADD COLUMN delivery_error TEXT;
+                ALTER TABLE users ADD COLUMN delivery_error_at TIMESTAMP;
+                ALTER TABLE outbox ALTER COLUMN chat_id DROP NOT NULL;
+            END IF;
+        END $$;
+    `);
+
+    // Миграция: история совпадений (ключевые слова, username автора, статус доставки, срок хранения)
+    await client.query(`
+        DO $$ 
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'sent_notifications' AND column_name = 'matched_keywords') THEN
+                ALTER TABLE sent_notifications ADD COLUMN author_username TEXT;
+                ALTER TABLE sent_notifications ADD COLUMN matched_keywords TEXT;
+                ALTER TABLE sent_notifications ADD COLUMN delivery_status TEXT;
+                ALTER TABLE users ADD COLUMN history_days INTEGER NOT NULL DEFAULT 30;
+            END IF;
+        END $$;
+    `);
+
+    // Полнотекстовый поиск по истории: текст, автор и чат (выражение совпадает с MATCH_SEARCH_VECTOR в storage/postgres.js)
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS sent_notifications_search_idx
+        ON sent_notifications USING GIN (to_tsvector('russian', COALESCE(message_text, '') || ' ' || COALESCE(author_name, '') || ' ' || COALESCE(author_username, '') || ' ' || COALESCE(chat_title, '')))
+    `);
+
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS sent_notifications_user_sent_idx
+        ON sent_notifications (user_id, sent_at DESC)
+    `);
+}
+
+// Удаляет все таблицы приложения вместе с данными
+async function down(client) {
+    for (const table of [...TABLES].reverse()) {
+        await client.query(`DROP TABLE IF EXISTS ${table} CASCADE`);
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,17 @@
+/**
+ * monitored_chats.profile_id обязателен: в уникальном индексе (user_id, profile_id, chat_id) NULL не совпадают
+ * друг с другом, и ON CONFLICT в chats.add не срабатывал для строк без профиля
+ * Строки без профиля остались от версий до профилей мониторинга - список чатов пересобирается
+ * из папок при каждом запуске мониторинга, поэтому их можно удалить
+ */
+
+async function up(client) {
+    await client.query('DELETE FROM monitored_chats WHERE profile_id IS NULL');
+    await client.query('ALTER TABLE monitored_chats ALTER COLUMN profile_id SET NOT NULL');
+}
+
+async function down(client) {
+    await client.query('ALTER TABLE monitored_chats ALTER COLUMN profile_id DROP NOT NULL');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+/**
+ * Смещения -13 и -14 раньше сохранялись как Etc/GMT+13 и Etc/GMT+14 - таких поясов нет,
+ * и проверка тихих часов для этих пользователей падала. Возвращаем им пояс по умолчанию
+ */
+
+async function up(client) {
+    await client.query(`
+        UPDATE users SET timezone = 'Europe/Moscow', updated_at = CURRENT_TIMESTAMP
+        WHERE timezone IN ('Etc/GMT+13', 'Etc/GMT+14')
+    `);
+}
+
+// Прежние значения не восстанавливаются: с ними доставка не работала
+async function down() {}
+
+module.exports = { up, down };
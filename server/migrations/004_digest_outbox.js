@@ -0,0 +1,18 @@
+/**
+ * Дайджесты доставляются через outbox, как обычные уведомления: с лимитами Bot API, повторами и получателями
+ * digest_queue.profile_ids - профили совпадения для правил получателей (JSON-массив id)
+ * outbox.digest_items - совпадения в сообщении дайджеста (JSON-массив [chat_id, message_id]),
+ * по ним после доставки обновляется статус в истории и считается notifications_sent
+ */
+
+async function up(client) {
+    await client.query("ALTER TABLE digest_queue ADD COLUMN profile_ids TEXT NOT NULL DEFAULT '[]'");
+    await client.query('ALTER TABLE outbox ADD COLUMN digest_items TEXT');
+}
+
+async function down(client) {
+    await client.query('ALTER TABLE outbox DROP COLUMN digest_items');
+    await client.query('ALTER TABLE digest_queue DROP COLUMN profile_ids');
+}
+
+module.exports = { up, down };
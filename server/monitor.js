@@ -4,11 +4,38 @@ const { NewMessage, Raw } = require('telegram/events');
 const { computeCheck } = require('telegram/Password');
 const crypto = require('crypto');
 const database = require('./database');
-const { KeywordMatcher, formatNotification } = require('./keywords');
+const { KeywordMatcher, truncateText } = require('./keywords');
+const { formatNotification } = require('./templates');
+const { buildAlertKeyboard } = require('./leads');
+const { selectTargets } = require('./targets');
+const { buildMatchPayload, enqueueWebhookEvent } = require('./webhooks');
+const {
+    REPLY_MAX_FLOOD_WAIT_SECONDS,
+    PEER_FLOOD_PAUSE_SECONDS,
+    getReplyWait,
+    formatWait
+} = require('./replies');
+const {
+    createProfileReport,
+    addBacktestResult,
+    finalizeProfileReport,
+    formatBacktestReport
+} = require('./backtest');
+const { isQuietTime } = require('./schedule');
 
 const MAX_CHATS_PER_USER = 50;
 const FLOOD_WAIT_MULTIPLIER = 1.5;
 
+// Бэктест: пауза между запросами истории и максимальное ожидание FLOOD_WAIT, после которого бэктест прерывается
+const BACKTEST_REQUEST_DELAY_MS = 1000;
+const BACKTEST_MAX_FLOOD_WAIT_SECONDS = 120;
+const HISTORY_PAGE_SIZE = 100;
+
+// Вложения больше этого размера бот не загружает (лимит Bot API на отправку - 50 МБ, файл держим в памяти)
+const MAX_MEDIA_UPLOAD_BYTES = 20 * 1024 * 1024;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 // Создание хеша текста сообщения для дедупликации
 function createMessageHash(text) {
     // Нормализуем текст: lowercase, убираем пробелы по краям
@@ -16,14 +43,64 @@ function createMessageHash(text) {
     return crypto.createHash('md5').update(normalized).digest('hex');
 }
 
+// Текст для поиска: текст сообщения или подпись к медиа (в MTProto подпись приходит в том же поле message),
+// а также вопрос и варианты опроса и имя файла документа
+function getSearchableText(message) {
+    // В новых слоях текст опроса - TextWithEntities
+    const textOf = (value) => typeof value === 'string' ? value : value?.text;
+
+    const parts = [message.message];
+    const poll = message.poll?.poll;
+    if (poll) {
+        parts.push(textOf(poll.question), ...(poll.answers || []).map(answer => textOf(answer.text)));
+    }
+    if (message.document && !message.sticker) {
+        parts.push(message.file?.name);
+    }
+    return parts.filter(Boolean).join('\n');
+}
+
+// Тип вложения для повторной загрузки ботом (null - прикладывать нечего)
+function getMediaKind(message) {
+    if (message.photo) return 'photo';
+    if (message.voice) return 'voice';
+    if (message.videoNote) return 'video_note';
+    if (message.video || message.gif) return 'video';
+    if (message.audio) return 'audio';
+    if (message.document && !message.sticker) return 'document';
+    return null;
+}
+
 class TelegramMonitor {
     constructor(bot) {
         this.bot = bot; // Telegram бот для отправки уведомлений
         this.clients = new Map(); // userId -> TelegramClient
-        this.keywordMatcher = new KeywordMatcher();
+        this.keywordMatchers = new Map(); // userId -> KeywordMatcher с синонимами пользователя
+        this.backtests = new Map(); // userId -> последний бэктест (выполняется или завершен)
+        this.replyHistory = new Map(); // userId -> { sentAt, floodUntil, peerFloodUntil } - ограничение частоты ответов
         this.isRunning = false;
     }
 
+    /**
+     * Возвращает KeywordMatcher пользователя (встроенный словарь + его группы синонимов)
+     */
+    async getKeywordMatcher(userId) {
+        if (!this.keywordMatchers.has(userId)) {
+            const groups = await database.synonyms.getByUserId(userId);
+            this.keywordMatchers.set(userId, new KeywordMatcher({
+                synonymGroups: groups.map(g => g.words)
+            }));
+        }
+        return this.keywordMatchers.get(userId);
+    }
+
+    /**
+     * Сбрасывает KeywordMatcher пользователя после изменения его синонимов
+     */
+    resetKeywordMatcher(userId) {
+        this.keywordMatchers.delete(userId);
+    }
+
     /**
      * Создает клиент для авторизации (без сохраненной сессии)
      */
@@ -496,13 +573,10 @@ class TelegramMonitor {
                 throw new Error('User not found');
             }
 
-            // Реактивируем настройки мониторинга на случай если они были деактивированы через stopMonitoring.
-            // getByUserId фильтрует по is_active = TRUE, поэтому нужно сбросить флаг перед чтением.
-            await database.monitors.setActive(userId, true);
-
-            const settings = await database.monitors.getByUserId(userId);
-            if (!settings) {
-                throw new Error('Monitor settings not found');
+            // Профили мониторинга: у каждого своя папка, ключевые слова и переключатель is_active
+            const profiles = await database.monitors.getActiveByUserId(userId);
+            if (profiles.length === 0) {
+                throw new Error('Нет активных профилей мониторинга');
             }
 
             // Создаем клиент если его еще нет или если TCP-соединение не активно.
@@ -523,24 +597,46 @@ class TelegramMonitor {
                 );
             }
 
-            // Получаем чаты из папки
-            const chatsResult = await this.getChatsFromFolder(client, settings.folder_name);
-            if (!chatsResult.success) {
-                throw new Error(chatsResult.error);
-            }
-
-            // Сохраняем чаты в БД
+            // Получаем чаты из папки каждого профиля (одна папка запрашивается один раз)
+            const folderChats = new Map();
             await database.chats.deleteByUserId(userId);
-            for (const chat of chatsResult.chats) {
-                await database.chats.add(userId, chat.id, chat.title, chat.type);
+
+            // chatId (сырой, без -100) -> Set(profileId) для быстрой проверки в handler'е
+            const monitoredChatIds = new Map();
+
+            for (const profile of profiles) {
+                let chatsResult = folderChats.get(profile.folder_name.toLowerCase());
+                if (!chatsResult) {
+                    chatsResult = await this.getChatsFromFolder(client, profile.folder_name);
+                    folderChats.set(profile.folder_name.toLowerCase(), chatsResult);
+                }
+                if (!chatsResult.success) {
+                    // Одна сломанная папка не должна останавливать остальные профили
+                    console.error(`[Monitor] Profile ${profile.id} (${profile.name}) folder error: ${chatsResult.error}`);
+                    continue;
+                }
+
+                // Сохраняем чаты профиля в БД
+                for (const chat of chatsResult.chats) {
+                    await database.chats.add(userId, chat.id, chat.title, chat.type, profile.id);
+
+                    const chatKey = chat.id.toString();
+                    if (!monitoredChatIds.has(chatKey)) {
+                        monitoredChatIds.set(chatKey, new Set());
+                    }
+                    monitoredChatIds.get(chatKey).add(profile.id);
+                }
+
+                console.log(`Profile ${profile.id} (${profile.name}) for user ${userId}: folder "${profile.folder_name}", ${chatsResult.chats.length} chats, keywords:`, profile.keywords);
             }
 
-            // Множество отслеживаемых chatId (сырые, без -100) для быстрой проверки в handler'е
-            const monitoredChatIds = new Set(chatsResult.chats.map(c => c.id.toString()));
+            if (monitoredChatIds.size === 0) {
+                const firstError = [...folderChats.values()].find(r => !r.success);
+                throw new Error(firstError ? firstError.error : 'В папках профилей нет доступных чатов');
+            }
 
-            console.log(`Starting monitoring for user ${userId}, ${monitoredChatIds.size} chats`);
-            console.log(`Chat IDs to monitor:`, Array.from(monitoredChatIds));
-            console.log(`Keywords for user ${userId}:`, settings.keywords);
+            console.log(`Starting monitoring for user ${userId}, ${profiles.length} profiles, ${monitoredChatIds.size} chats`);
+            console.log(`Chat IDs to monitor:`, Array.from(monitoredChatIds.keys()));
 
             // Удаляем старый обработчик если он есть — предотвращает накопление handler'ов
             if (client._scoutHandler) {
@@ -554,7 +650,7 @@ class TelegramMonitor {
             // channelId (сырой, без -100), а Bot API формат (-100xxxxxxxx) не совпадает.
             // Вместо этого фильтруем вручную по monitoredChatIds внутри handleNewMessage.
             const handler = async (event) => {
-                await this.handleNewMessage(event, userId, user, settings, monitoredChatIds);
+                await this.handleNewMessage(event, userId, user, monitoredChatIds);
             };
 
             client.addEventHandler(handler, new NewMessage({}));
@@ -573,7 +669,8 @@ class TelegramMonitor {
 
             return {
                 success: true,
-                chatsCount: chatsResult.chats.length
+                chatsCount: monitoredChatIds.size,
+                profilesCount: profiles.length
             };
 
         } catch (error) {
@@ -588,7 +685,7 @@ class TelegramMonitor {
     /**
      * Обработчик новых сообщений
      */
-    async handleNewMessage(event, userId, userSnapshot, settingsSnapshot, monitoredChatIds) {
+    async handleNewMessage(event, userId, userSnapshot, monitoredChatIds) {
         try {
             const message = event.message;
 
@@ -609,14 +706,15 @@ class TelegramMonitor {
                 return;
             }
 
-            const msgPreview = message.message?.substring(0, 100) || '[empty]';
+            const messageText = getSearchableText(message);
+            const msgPreview = messageText.substring(0, 100) || '[empty]';
             console.log(`[Monitor] New message for user ${userId} in chat ${rawChatId}: "${msgPreview}"`);
             
             // Считаем обработанное сообщение
             await database.stats.increment('messages_processed');
             
-            // Пропускаем сервисные сообщения
-            if (!message.message || message.message.length === 0) {
+            // Пропускаем сервисные сообщения и медиа без подписи
+            if (messageText.length === 0) {
                 console.log(`[Monitor] Skipping: empty message`);
                 return;
             }
@@ -629,30 +727,62 @@ class TelegramMonitor {
                 return;
             }
 
-            // ВАЖНО: Загружаем свежие настройки мониторинга из БД
-            // чтобы получить актуальные ключевые слова (могли обновиться через веб-форму)
-            const settings = await database.monitors.getByUserId(userId);
-            if (!settings) {
-                console.log(`[Monitor] Settings for user ${userId} not found in DB`);
+            // ВАЖНО: Загружаем свежие профили мониторинга из БД
+            // чтобы получить актуальные ключевые слова (могли обновиться через веб-форму или бота)
+            const chatProfileIds = monitoredChatIds?.get(rawChatId);
+            const profiles = (await database.monitors.getActiveByUserId(userId))
+                .filter(p => !chatProfileIds || chatProfileIds.has(p.id));
+            if (profiles.length === 0) {
+                console.log(`[Monitor] No active profiles for user ${userId} in chat ${rawChatId}`);
                 return;
             }
 
-            // Проверяем на соответствие ключевым словам
-            const keywords = settings.keywords;
-            console.log(`[Monitor] Keywords to check:`, JSON.stringify(keywords));
-            console.log(`[Monitor] Message text: "${message.message}"`);
-            
-            const matchResult = this.keywordMatcher.analyze(message.message, {
-                keywords: keywords
-            });
+            // Проверяем сообщение по каждому активному профилю, в который входит чат
+            console.log(`[Monitor] Message text: "${messageText}"`);
+            const keywordMatcher = await this.getKeywordMatcher(userId);
+            const matchedProfiles = [];
+            for (const profile of profiles) {
+                console.log(`[Monitor] Profile ${profile.id} (${profile.name}) keywords:`, JSON.stringify(profile.keywords));
+
+                const profileResult = keywordMatcher.analyze(messageText, {
+                    keywords: profile.keywords,
+                    minScore: profile.min_score || 0
+                });
+
+                console.log(`[Monitor] Profile ${profile.id} match result: matched=${profileResult.matched}, score=${profileResult.score}, keywords=${JSON.stringify(profileResult.matchedKeywords)}`);
+                if (profileResult.excludedBy.length > 0) {
+                    console.log(`[Monitor] Profile ${profile.id} vetoed by exclusions:`, JSON.stringify(profileResult.excludedBy));
+                }
+                if (profileResult.belowMinScore) {
+                    console.log(`[Monitor] Profile ${profile.id} score ${profileResult.score} below min_score ${profileResult.minScore}`);
+                }
+                if (profileResult.belowThreshold.length > 0) {
+                    console.log(`[Monitor] Profile ${profile.id} keywords below their threshold:`, JSON.stringify(profileResult.belowThreshold));
+                }
 
-            console.log(`[Monitor] Match result: matched=${matchResult.matched}, keywords=${JSON.stringify(matchResult.matchedKeywords)}`);
-            console.log(`[Monitor] Match details:`, JSON.stringify(matchResult.matchDetails, null, 2));
+                if (profileResult.matched) {
+                    matchedProfiles.push({ profile, result: profileResult });
+                }
+            }
 
-            if (!matchResult.matched) {
+            if (matchedProfiles.length === 0) {
                 console.log(`[Monitor] No keyword match, skipping`);
                 return;
             }
+
+            // Объединяем результаты профилей в одно уведомление, помечая каждое совпадение профилем
+            const matchResult = {
+                matched: true,
+                score: Math.max(...matchedProfiles.map(m => m.result.score)),
+                urgent: matchedProfiles.some(m => m.result.urgent),
+                profileNames: matchedProfiles.map(m => m.profile.name),
+                profileIds: matchedProfiles.map(m => m.profile.id),
+                matchedKeywords: [...new Set(matchedProfiles.flatMap(m => m.result.matchedKeywords))],
+                matchDetails: matchedProfiles.flatMap(m =>
+                    m.result.matchDetails.map(d => ({ ...d, profile: m.profile.name }))
+                )
+            };
+            console.log(`[Monitor] Match details:`, JSON.stringify(matchResult.matchDetails, null, 2));
             
             console.log(`[Monitor] ✓ Match found! Sending notification...`);
             
@@ -684,7 +814,7 @@ class TelegramMonitor {
             }
 
             // Проверяем на дубликат сообщения (по хешу текста за 24 часа)
-            const messageHash = createMessageHash(message.message);
+            const messageHash = createMessageHash(messageText);
             if (await database.messageHashes.exists(userId, messageHash)) {
                 console.log(`[Monitor] Skipping: duplicate message (hash: ${messageHash.substring(0, 8)}...)`);
                 return;
@@ -698,112 +828,268 @@ class TelegramMonitor {
                 chat = { title: 'Неизвестный чат' };
             }
 
-            // Форматируем и отправляем уведомление
+            // Данные лида (статус уведомления) для /leads, напоминаний и истории совпадений
+            const lead = {
+                authorId: senderId !== 'unknown' ? senderId : null,
+                authorName: sender.firstName || (sender.username ? `@${sender.username}` : 'Неизвестно'),
+                authorUsername: sender.username || null,
+                chatTitle: chat.title || 'Неизвестный чат',
+                messageText,
+                matchedKeywords: matchResult.matchedKeywords
+            };
+
+            // Вебхуки получают каждое совпадение сразу, независимо от режима доставки и тихих часов
+            try {
+                await enqueueWebhookEvent(userId, 'match', buildMatchPayload({
+                    match: matchResult,
+                    analysis: matchedProfiles.map(m => ({ profileId: m.profile.id, profileName: m.profile.name, ...m.result })),
+                    message: { id: messageId, text: messageText, date: new Date(message.date * 1000) },
+                    chat: { id: chatId, title: lead.chatTitle },
+                    sender: { id: senderId, firstName: sender.firstName, lastName: sender.lastName, username: sender.username }
+                }));
+            } catch (webhookError) {
+                console.error(`[Monitor] Failed to queue webhooks:`, webhookError.message);
+            }
+
+            // Режим дайджеста или тихие часы: кладем совпадение в очередь, сводку отправит NotificationBot.processDigests
+            // Срочные ключевые слова (#срочно) уведомляют сразу в любом режиме
+            const isQuiet = isQuietTime(user);
+            if (!matchResult.urgent && (isQuiet || (user.delivery_mode && user.delivery_mode !== 'immediate'))) {
+                // Сводка уйдет получателям по их правилам; без личного чата совпадения без получателя ждут /start
+                if (!user.bot_chat_id) {
+                    await database.users.setDeliveryError(userId, 'no_chat');
+                }
+                await database.digests.add(userId, {
+                    chatId,
+                    messageId,
+                    chatTitle: lead.chatTitle,
+                    authorName: lead.authorName,
+                    messageText,
+                    matchedKeywords: matchResult.matchedKeywords,
+                    matchDetails: matchResult.matchDetails,
+                    score: matchResult.score,
+                    profileIds: matchResult.profileIds
+                });
+                await database.notifications.add(userId, chatId, messageId, matchResult.score, matchResult.matchDetails, {
+                    ...lead,
+                    deliveryStatus: 'digest'
+                });
+                await database.messageHashes.add(userId, messageHash);
+                console.log(`[Monitor] ✓ Match queued for ${isQuiet ? 'quiet hours' : `${user.delivery_mode} digest`}`);
+                return;
+            }
+
+            // Форматируем уведомление по шаблону пользователя и отправляем
             const notification = formatNotification({
                 firstName: sender.firstName || 'Неизвестно',
                 username: sender.username,
                 userId: senderId,
-                messageText: message.message,
+                messageText,
                 chatTitle: chat.title || 'Неизвестный чат',
                 chatId: chatId,
                 messageId: messageId,
                 matchedKeywords: matchResult.matchedKeywords,
-                matchDetails: matchResult.matchDetails || []
+                matchDetails: matchResult.matchDetails || [],
+                profileNames: matchResult.profileNames,
+                score: matchResult.score,
+                urgent: matchResult.urgent,
+                date: new Date(message.date * 1000)
+            }, user);
+
+            // Кнопки для уведомления: автор (если известен ID) и статус лида
+            const inlineKeyboard = buildAlertKeyboard({
+                authorId: senderId,
+                authorName: sender.firstName || sender.username || 'автора',
+                status: 'open'
+            }, user.timezone);
+
+            // Получатели, чьи правила подошли (по умолчанию - личный чат)
+            // Личный чат неизвестен (не было /start) - уведомление откладывается до /start, ошибка видна в статусе
+            const deliveries = selectTargets(await database.targets.getByUserId(userId), user, matchResult);
+            if (deliveries.length === 0) {
+                console.log(`[Monitor] ⚠ No bot_chat_id for user ${userId}, notification held until /start`);
+                deliveries.push({ chatId: null, threadId: null });
+                await database.users.setDeliveryError(userId, 'no_chat');
+            }
+
+            // Сохраняем уведомление и ставим сообщения в очередь: при 429, обрыве сети или перезапуске
+            // сервера они не теряются, а доставляются позже (NotificationBot.processOutbox)
+            // Если пользователь заблокировал бота, сообщения в личный чат сразу откладываются (held)
+            const isUnavailable = (target) => !target.chatId ||
+                (user.delivery_error === 'blocked' && String(target.chatId) === String(user.bot_chat_id));
+            const notificationId = await database.notifications.add(userId, chatId, messageId, matchResult.score, matchResult.matchDetails, {
+                ...lead,
+                deliveryStatus: deliveries.every(isUnavailable) ? 'held' : 'queued'
             });
+            if (!notificationId) return;
+            for (const target of deliveries) {
+                await database.outbox.add(userId, notificationId, target, notification, inlineKeyboard, isUnavailable(target) ? 'held' : 'pending');
+            }
 
-            // Кнопки для уведомления
-            const inlineKeyboard = {
-                inline_keyboard: []
-            };
-            
-            // Добавляем кнопки только если известен ID автора
-            if (senderId !== 'unknown') {
-                const authorName = sender.firstName || sender.username || 'автора';
-                
-                // Кнопка "Написать автору" - открывает диалог напрямую
-                inlineKeyboard.inline_keyboard.push([
-                    {
-                        text: '💬 Написать автору',
-                        url: `tg://user?id=${senderId}`
-                    }
-                ]);
-                
-                // Кнопка "Заблокировать автора"
-                inlineKeyboard.inline_keyboard.push([
-                    {
-                        text: '🚷 Заблокировать автора',
-                        callback_data: `block_author:${senderId}:${authorName.substring(0, 30)}`
-                    }
-                ]);
+            // Сохраняем хеш сообщения для дедупликации
+            await database.messageHashes.add(userId, messageHash);
+
+            // Отправляем сразу; кнопки лида и счетчик notifications_sent - только для подтвержденных доставок
+            const sentMessages = await this.bot.deliverNotification(notificationId);
+            if (sentMessages.length === 0) return;
+
+            // Оригинал сообщения (фото, документ, голосовое) - ответом на уведомление
+            if (user.attach_media && user.attach_media !== 'off') {
+                try {
+                    await this.attachOriginal(userId, user, message, sentMessages);
+                } catch (attachError) {
+                    console.error(`[Monitor] Failed to attach original message:`, attachError.message);
+                }
+            }
+
+        } catch (error) {
+            console.error('Error handling message:', error);
+        }
+    }
+
+    /**
+     * Прикладывает оригинал сообщения с медиа к каждому отправленному уведомлению
+     * forward - пересылка через MTProto-клиент пользователя в чат с ботом (сохраняет автора и подпись)
+     * upload - бот скачивает медиа и загружает заново; используется для групп и каналов
+     * и когда пересылка запрещена в чате
+     */
+    async attachOriginal(userId, user, message, sentMessages) {
+        const kind = getMediaKind(message);
+        const client = this.clients.get(userId);
+        if (!kind || !client) return;
+
+        const size = Number(message.file?.size || 0);
+        let buffer = null; // скачиваем один раз для всех получателей
+
+        for (const sent of sentMessages) {
+            const options = { reply_to_message_id: sent.messageId };
+            if (sent.threadId) {
+                options.message_thread_id = sent.threadId;
             }
 
-            // Отправляем уведомление через бота
-            console.log(`[Monitor] User bot_chat_id: ${user.bot_chat_id}`);
-            if (user.bot_chat_id) {
+            // Пересылка от имени пользователя возможна только в его личный чат с ботом
+            const isBotChat = String(sent.chatId) === String(user.bot_chat_id);
+            if (isBotChat && user.attach_media === 'forward' && this.bot.username && !message.noforwards) {
                 try {
-                    const messageOptions = {
-                        parse_mode: 'Markdown',
-                        disable_web_page_preview: true
-                    };
-                    
-                    // Добавляем кнопки только если они есть
-                    if (inlineKeyboard.inline_keyboard.length > 0) {
-                        messageOptions.reply_markup = inlineKeyboard;
-                    }
-                    
-                    await this.bot.sendMessage(user.bot_chat_id, notification, messageOptions);
-                    console.log(`[Monitor] ✓ Notification sent to ${user.bot_chat_id}`);
+                    await client.forwardMessages(this.bot.username, {
+                        messages: [message.id],
+                        fromPeer: message.peerId,
+                        silent: true
+                    });
+                    console.log(`[Monitor] ✓ Original message forwarded to bot chat`);
+                    continue;
+                } catch (error) {
+                    // CHAT_FORWARDS_RESTRICTED и т.п. - загружаем медиа через бота
+                    console.log(`[Monitor] Forward failed (${error.message}), uploading media instead`);
+                }
+            }
 
-                    // Сохраняем информацию об отправленном уведомлении
-                    await database.notifications.add(userId, chatId, messageId);
-                    
-                    // Сохраняем хеш сообщения для дедупликации
-                    await database.messageHashes.add(userId, messageHash);
-                    
-                    // Считаем отправленное уведомление
-                    await database.stats.increment('notifications_sent');
-                } catch (sendError) {
-                    console.error(`[Monitor] Failed to send notification:`, sendError.message);
-                    
-                    // Если ошибка связана с кнопками (BUTTON_USER_INVALID), пробуем без кнопок
-                    if (sendError.message.includes('BUTTON_USER_INVALID') || 
-                        sendError.message.includes('BUTTON_URL_INVALID')) {
-                        try {
-                            console.log(`[Monitor] Retrying without user button...`);
-                            
-                            // Убираем кнопку "Написать автору", оставляем только "Заблокировать"
-                            const fallbackKeyboard = {
-                                inline_keyboard: inlineKeyboard.inline_keyboard.filter(
-                                    row => !row.some(btn => btn.url?.startsWith('tg://user'))
-                                )
-                            };
-                            
-                            const fallbackOptions = {
-                                parse_mode: 'Markdown',
-                                disable_web_page_preview: true
-                            };
-                            
-                            if (fallbackKeyboard.inline_keyboard.length > 0) {
-                                fallbackOptions.reply_markup = fallbackKeyboard;
-                            }
-                            
-                            await this.bot.sendMessage(user.bot_chat_id, notification, fallbackOptions);
-                            console.log(`[Monitor] ✓ Notification sent (without user button)`);
-                            
-                            await database.notifications.add(userId, chatId, messageId);
-                            await database.messageHashes.add(userId, messageHash);
-                            await database.stats.increment('notifications_sent');
-                        } catch (retryError) {
-                            console.error(`[Monitor] Retry also failed:`, retryError.message);
-                        }
-                    }
+            if (size > MAX_MEDIA_UPLOAD_BYTES) {
+                await this.bot.sendMessage(sent.chatId,
+                    `📎 Вложение слишком большое (${Math.round(size / 1024 / 1024)} МБ) — откройте сообщение по ссылке`,
+                    options
+                );
+                continue;
+            }
+
+            buffer = buffer || await client.downloadMedia(message, {});
+            if (!buffer || typeof buffer === 'string') return;
+
+            await this.bot.sendMedia(sent.chatId, {
+                kind,
+                buffer,
+                fileName: message.file?.name || undefined,
+                mimeType: message.file?.mimeType
+            }, options);
+            console.log(`[Monitor] ✓ Original ${kind} uploaded to ${sent.chatId}`);
+        }
+    }
+
+    /**
+     * Отправляет ответ автору лида с аккаунта пользователя: лично (dm) или ответом на сообщение в чате (chat)
+     * Не чаще REPLY_MIN_INTERVAL_SECONDS и REPLY_HOURLY_LIMIT в час; короткий FLOOD_WAIT пережидается один раз
+     */
+    async sendReply(userId, lead, mode, text) {
+        const client = this.clients.get(userId);
+        if (!client || !client.connected) {
+            throw new Error('ответ отправляется с вашего аккаунта — сначала запустите мониторинг');
+        }
+
+        if (!this.replyHistory.has(userId)) {
+            this.replyHistory.set(userId, { sentAt: [], floodUntil: 0, peerFloodUntil: 0 });
+        }
+        const history = this.replyHistory.get(userId);
+        const wait = getReplyWait(history, mode);
+        if (wait > 0) {
+            throw new Error(`слишком частые ответы, следующий можно отправить через ${formatWait(wait)}`);
+        }
+        // Попытка учитывается сразу, чтобы два одновременных ответа не обошли ограничение
+        history.sentAt = [...history.sentAt.filter(t => Date.now() - t < 60 * 60 * 1000), Date.now()];
+
+        const chatPeer = await this.resolveChatPeer(client, lead.chat_id);
+        let peer = chatPeer;
+        const options = { message: text };
+        if (mode === 'dm') {
+            if (!lead.author_id) {
+                throw new Error('автор сообщения неизвестен — ответьте в чате');
+            }
+            peer = await this.resolveAuthorPeer(client, lead, chatPeer);
+        } else {
+            options.replyTo = Number(lead.message_id);
+        }
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await client.sendMessage(peer, options);
+                console.log(`[Reply] User ${userId} replied to lead ${lead.id} (${mode})`);
+                return;
+            } catch (error) {
+                const floodSeconds = error.seconds || parseInt(error.message.match(/FLOOD_WAIT_(\d+)/)?.[1] || 0);
+                if (floodSeconds && floodSeconds <= REPLY_MAX_FLOOD_WAIT_SECONDS && attempt === 1) {
+                    console.log(`[Reply] FLOOD_WAIT ${floodSeconds}s for user ${userId}, waiting...`);
+                    await sleep(floodSeconds * FLOOD_WAIT_MULTIPLIER * 1000);
+                    continue;
+                }
+                if (floodSeconds) {
+                    history.floodUntil = Date.now() + floodSeconds * 1000;
+                }
+                if (/PEER_FLOOD/.test(error.message)) {
+                    history.peerFloodUntil = Date.now() + PEER_FLOOD_PAUSE_SECONDS * 1000;
                 }
-            } else {
-                console.log(`[Monitor] ⚠ No bot_chat_id for user ${userId}, cannot send notification`);
+                throw error;
             }
+        }
+    }
+
+    /**
+     * Сущность чата по id без префикса (как хранится в sent_notifications): супергруппа (-100...) или группа (-...)
+     * Чаты папок уже в кэше клиента после startMonitoring
+     */
+    async resolveChatPeer(client, chatId) {
+        let lastError;
+        for (const peerId of [Number(`-100${chatId}`), -Number(chatId)]) {
+            try {
+                return await client.getInputEntity(peerId);
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
 
+    /**
+     * Сущность автора: из кэша клиента, иначе через исходное сообщение (автор без username и не из контактов)
+     */
+    async resolveAuthorPeer(client, lead, chatPeer) {
+        try {
+            return await client.getInputEntity(Number(lead.author_id));
         } catch (error) {
-            console.error('Error handling message:', error);
+            const [message] = await client.getMessages(chatPeer, { ids: [Number(lead.message_id)] });
+            const sender = message ? await message.getInputSender() : null;
+            if (!sender) {
+                throw new Error('исходное сообщение удалено — написать автору не получится');
+            }
+            return sender;
         }
     }
 
@@ -820,9 +1106,10 @@ class TelegramMonitor {
                 await client.disconnect();
                 this.clients.delete(userId);
             }
+            this.keywordMatchers.delete(userId);
 
+            // Профили не выключаем: их is_active - отдельный переключатель каждого профиля
             await database.users.setActive(userId, false);
-            await database.monitors.setActive(userId, false);
 
             return { success: true };
         } catch (error) {
@@ -831,6 +1118,219 @@ class TelegramMonitor {
         }
     }
 
+    /**
+     * Запускает бэктест в фоне: история чатов активных профилей (или одного профиля) прогоняется
+     * через KeywordMatcher без уведомлений. По завершении отчет приходит в бота.
+     * options: { limit, days, profileId } (limit и days уже проверены normalizeBacktestOptions)
+     */
+    async startBacktest(userId, options) {
+        const current = this.backtests.get(userId);
+        if (current?.status === 'running') {
+            return { success: false, error: 'Бэктест уже выполняется' };
+        }
+
+        const user = await database.users.getById(userId);
+        if (!user) {
+            return { success: false, error: 'User not found' };
+        }
+
+        let profiles = await database.monitors.getActiveByUserId(userId);
+        if (options.profileId) {
+            profiles = (await database.monitors.getAllByUserId(userId)).filter(p => p.id === options.profileId);
+        }
+        if (profiles.length === 0) {
+            return { success: false, error: options.profileId ? 'Профиль не найден' : 'Нет активных профилей мониторинга' };
+        }
+
+        const job = {
+            status: 'running',
+            options: { limit: options.limit, days: options.days },
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            progress: { chatsTotal: 0, chatsDone: 0, messagesScanned: 0 },
+            report: null,
+            error: null
+        };
+        this.backtests.set(userId, job);
+
+        // Не ждем: история десятков чатов читается минутами
+        this.runBacktest(user, profiles, job)
+            .then(async () => {
+                job.status = 'done';
+                console.log(`[Backtest] User ${userId} done: ${job.report.messagesScanned} messages from ${job.report.chatsScanned} chats`);
+                if (user.bot_chat_id) {
+                    await this.bot.sendMessage(user.bot_chat_id, truncateText(formatBacktestReport(job.report), 4000), {
+                        disable_web_page_preview: true
+                    });
+                }
+            })
+            .catch(error => {
+                console.error(`[Backtest] User ${userId} failed:`, error.message);
+                job.status = 'error';
+                job.error = error.message;
+            })
+            .finally(() => {
+                job.finishedAt = new Date().toISOString();
+            });
+
+        return { success: true, backtest: job };
+    }
+
+    /**
+     * Состояние последнего бэктеста пользователя
+     */
+    getBacktest(userId) {
+        return this.backtests.get(userId) || null;
+    }
+
+    /**
+     * Выполняет бэктест: читает историю каждого чата один раз и проверяет ее по профилям, в которые чат входит
+     */
+    async runBacktest(user, profiles, job) {
+        const { limit, days } = job.options;
+
+        // Используем подключенный клиент мониторинга, иначе - временный
+        let client = this.clients.get(user.id);
+        const isTemporaryClient = !client || !client.connected;
+        if (isTemporaryClient) {
+            client = new TelegramClient(
+                new StringSession(user.session_string),
+                parseInt(user.api_id),
+                user.api_hash,
+                {
+                    connectionRetries: 3,
+                    useWSS: true,
+                    deviceModel: `ScoutBot-User${user.id}`,
+                    systemVersion: 'Node.js',
+                    appVersion: `1.0.${user.id}`
+                }
+            );
+            await client.connect();
+        }
+
+        try {
+            // Чаты папок профилей; getChatsFromFolder заодно кладет сущности чатов в кэш клиента
+            const chats = new Map(); // chatId -> { chat, profileIds }
+            const folderChats = new Map();
+            for (const profile of profiles) {
+                const folderKey = profile.folder_name.toLowerCase();
+                if (!folderChats.has(folderKey)) {
+                    folderChats.set(folderKey, await this.getChatsFromFolder(client, profile.folder_name));
+                }
+                const chatsResult = folderChats.get(folderKey);
+                if (!chatsResult.success) continue;
+
+                for (const chat of chatsResult.chats) {
+                    if (!chats.has(chat.id)) {
+                        chats.set(chat.id, { chat, profileIds: new Set() });
+                    }
+                    chats.get(chat.id).profileIds.add(profile.id);
+                }
+            }
+
+            job.progress.chatsTotal = chats.size;
+
+            const keywordMatcher = await this.getKeywordMatcher(user.id);
+            const profileReports = new Map(profiles.map(p => [p.id, createProfileReport(p)]));
+            const chatErrors = [];
+            let stoppedByFloodWait = null;
+
+            for (const { chat, profileIds } of chats.values()) {
+                try {
+                    const messages = await this.fetchChatHistory(client, chat, { limit, days });
+                    for (const message of messages) {
+                        job.progress.messagesScanned++;
+                        for (const profile of profiles.filter(p => profileIds.has(p.id))) {
+                            const result = keywordMatcher.analyze(message.text, {
+                                keywords: profile.keywords,
+                                minScore: profile.min_score || 0
+                            });
+                            addBacktestResult(profileReports.get(profile.id), result, message);
+                        }
+                    }
+                } catch (error) {
+                    const floodSeconds = error.seconds || parseInt(error.message.match(/FLOOD_WAIT_(\d+)/)?.[1] || 0);
+                    if (floodSeconds > BACKTEST_MAX_FLOOD_WAIT_SECONDS) {
+                        // FLOOD_WAIT действует на весь аккаунт - дальше читать бессмысленно
+                        console.error(`[Backtest] User ${user.id} FLOOD_WAIT ${floodSeconds}s, stopping`);
+                        stoppedByFloodWait = floodSeconds;
+                        break;
+                    }
+                    console.error(`[Backtest] User ${user.id} chat ${chat.id} error:`, error.message);
+                    chatErrors.push({ chatId: chat.id, title: chat.title, error: error.message });
+                }
+
+                job.progress.chatsDone++;
+                await sleep(BACKTEST_REQUEST_DELAY_MS);
+            }
+
+            job.report = {
+                options: job.options,
+                chatsScanned: job.progress.chatsDone,
+                messagesScanned: job.progress.messagesScanned,
+                chatErrors,
+                stoppedByFloodWait,
+                folderErrors: [...folderChats.entries()]
+                    .filter(([, r]) => !r.success)
+                    .map(([folder, r]) => ({ folder, error: r.error })),
+                profiles: [...profileReports.values()].map(finalizeProfileReport)
+            };
+        } finally {
+            if (isTemporaryClient) {
+                await client.disconnect().catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * Читает историю чата страницами по HISTORY_PAGE_SIZE: последние limit сообщений, но не старше days дней
+     * Между страницами пауза; FLOOD_WAIT до BACKTEST_MAX_FLOOD_WAIT_SECONDS пережидается
+     */
+    async fetchChatHistory(client, chat, { limit, days }) {
+        // Сущность чата уже в кэше клиента; id в формате Bot API: -100... для супергрупп, -... для групп
+        const peerId = chat.type === 'group' ? -Number(chat.id) : Number(`-100${chat.id}`);
+        const minDate = days ? Math.floor(Date.now() / 1000) - days * 24 * 60 * 60 : 0;
+        const messages = [];
+        let offsetId = 0;
+        let fetched = 0;
+
+        while (fetched < limit) {
+            let page;
+            try {
+                page = await client.getMessages(peerId, { limit: Math.min(HISTORY_PAGE_SIZE, limit - fetched), offsetId });
+            } catch (error) {
+                const floodSeconds = error.seconds || parseInt(error.message.match(/FLOOD_WAIT_(\d+)/)?.[1] || 0);
+                if (!floodSeconds || floodSeconds > BACKTEST_MAX_FLOOD_WAIT_SECONDS) throw error;
+                console.log(`[Backtest] FLOOD_WAIT ${floodSeconds}s on chat ${chat.id}, waiting...`);
+                await sleep(floodSeconds * FLOOD_WAIT_MULTIPLIER * 1000);
+                continue;
+            }
+
+            if (page.length === 0) break;
+
+            for (const message of page) {
+                if (minDate && message.date < minDate) return messages;
+                fetched++;
+                const text = getSearchableText(message);
+                if (text) {
+                    messages.push({
+                        text,
+                        chatId: chat.id,
+                        chatTitle: chat.title,
+                        messageId: message.id,
+                        date: new Date(message.date * 1000).toISOString()
+                    });
+                }
+            }
+
+            offsetId = page[page.length - 1].id;
+            if (page.length < HISTORY_PAGE_SIZE) break;
+            await sleep(BACKTEST_REQUEST_DELAY_MS);
+        }
+
+        return messages;
+    }
+
     /**
      * Восстанавливает мониторинг для всех активных пользователей
      */
@@ -874,6 +1374,7 @@ class TelegramMonitor {
         }
         
         this.clients.clear();
+        this.keywordMatchers.clear();
     }
 
     /**
@@ -921,21 +1422,23 @@ class TelegramMonitor {
             const dialogs = await client.getDialogs({ limit: 10 });
             console.log(`[Diagnose] Got ${dialogs.length} dialogs`);
 
-            // Проверяем настройки мониторинга
-            const settings = await database.monitors.getByUserId(userId);
-            let folderCheck = null;
-            if (settings && settings.folder_name) {
-                const foldersResult = await this.getChatsFromFolder(client, settings.folder_name);
+            // Проверяем папки всех профилей мониторинга
+            const profiles = await database.monitors.getAllByUserId(userId);
+            const folderChecks = [];
+            for (const profile of profiles) {
+                const foldersResult = await this.getChatsFromFolder(client, profile.folder_name);
                 if (foldersResult.success) {
-                    folderCheck = {
-                        folderName: settings.folder_name,
+                    folderChecks.push({
+                        profile: profile.name,
+                        isActive: profile.is_active,
+                        folderName: profile.folder_name,
                         chatsCount: foldersResult.chats.length,
                         chats: foldersResult.chats.slice(0, 5).map(c => ({ id: c.id, title: c.title }))
-                    };
-                    console.log(`[Diagnose] Folder "${settings.folder_name}" has ${foldersResult.chats.length} chats`);
+                    });
+                    console.log(`[Diagnose] Profile "${profile.name}": folder "${profile.folder_name}" has ${foldersResult.chats.length} chats`);
                 } else {
-                    folderCheck = { folderName: settings.folder_name, error: foldersResult.error };
-                    console.log(`[Diagnose] Folder error: ${foldersResult.error}`);
+                    folderChecks.push({ profile: profile.name, isActive: profile.is_active, folderName: profile.folder_name, error: foldersResult.error });
+                    console.log(`[Diagnose] Profile "${profile.name}" folder error: ${foldersResult.error}`);
                 }
             }
 
@@ -957,7 +1460,7 @@ class TelegramMonitor {
                     seq: state.seq
                 },
                 dialogsCount: dialogs.length,
-                folderCheck
+                folderChecks
             };
 
         } catch (error) {
@@ -0,0 +1,146 @@
+/**
+ * Очередь исходящих уведомлений: монитор кладет сообщения в таблицу outbox, NotificationBot отправляет их
+ * с учетом лимитов Bot API. При 429 сообщение ждет retry_after, при сетевых и серверных ошибках
+ * повторяется с экспоненциальной задержкой; отклоненные Telegram и исчерпавшие попытки получают статус dead
+ */
+
+// Лимиты Bot API: около 30 сообщений в секунду на бота, 1 в секунду в один чат, 20 в минуту в одну группу
+const GLOBAL_LIMIT_PER_SECOND = 25;
+const PRIVATE_CHAT_INTERVAL_MS = 1000;
+const GROUP_LIMIT_PER_MINUTE = 20;
+
+// Повторы: 5 с, 10 с, 20 с ... но не реже раза в час; после MAX_SEND_ATTEMPTS неудач - dead
+const MAX_SEND_ATTEMPTS = 8;
+const RETRY_BASE_SECONDS = 5;
+const RETRY_MAX_SECONDS = 60 * 60;
+
+// Сообщения группы и канала (id с минусом) ограничены строже, чем личного чата
+function isGroupChat(chatId) {
+    return String(chatId).startsWith('-');
+}
+
+/**
+ * Учет отправленных сообщений для соблюдения лимитов Bot API (в памяти процесса)
+ */
+class SendRateLimiter {
+    constructor() {
+        this.sentAt = []; // время последних отправок бота (за секунду)
+        this.chats = new Map(); // chatId -> { sentAt: [], blockedUntil }
+    }
+
+    /**
+     * Через сколько миллисекунд можно отправить сообщение в чат (0 - сейчас)
+     */
+    getDelay(chatId, now = Date.now()) {
+        this.sentAt = this.sentAt.filter(t => now - t < 1000);
+        const delays = [0];
+        if (this.sentAt.length >= GLOBAL_LIMIT_PER_SECOND) {
+            delays.push(this.sentAt[this.sentAt.length - GLOBAL_LIMIT_PER_SECOND] + 1000 - now);
+        }
+
+        const chat = this.chats.get(String(chatId));
+        if (chat) {
+            chat.sentAt = chat.sentAt.filter(t => now - t < 60 * 1000);
+            if (chat.blockedUntil > now) {
+                delays.push(chat.blockedUntil - now);
+            }
+            const last = chat.sentAt[chat.sentAt.length - 1];
+            if (last) {
+                delays.push(last + PRIVATE_CHAT_INTERVAL_MS - now);
+            }
+            if (isGroupChat(chatId) && chat.sentAt.length >= GROUP_LIMIT_PER_MINUTE) {
+                delays.push(chat.sentAt[chat.sentAt.length - GROUP_LIMIT_PER_MINUTE] + 60 * 1000 - now);
+            }
+        }
+
+        return Math.max(...delays);
+    }
+
+    /**
+     * Запоминает отправку в чат
+     */
+    record(chatId, now = Date.now()) {
+        const key = String(chatId);
+        if (!this.chats.has(key)) {
+            this.chats.set(key, { sentAt: [], blockedUntil: 0 });
+        }
+        this.chats.get(key).sentAt.push(now);
+        this.sentAt.push(now);
+    }
+
+    /**
+     * Telegram ответил 429: не пишем в чат retry_after секунд
+     */
+    block(chatId, seconds, now = Date.now()) {
+        const key = String(chatId);
+        if (!this.chats.has(key)) {
+            this.chats.set(key, { sentAt: [], blockedUntil: 0 });
+        }
+        this.chats.get(key).blockedUntil = now + seconds * 1000;
+    }
+
+    /**
+     * Забывает чаты без недавних отправок (вызывается при очистке)
+     */
+    prune(now = Date.now()) {
+        for (const [chatId, chat] of this.chats) {
+            if (chat.blockedUntil <= now && chat.sentAt.every(t => now - t >= 60 * 1000)) {
+                this.chats.delete(chatId);
+            }
+        }
+    }
+}
+
+/**
+ * Что делать с ошибкой отправки:
+ * { action: 'wait', seconds } - 429, ждем retry_after (попытка не считается)
+ * { action: 'hold' } - пользователь заблокировал бота: сообщение ждет, пока он снова отправит /start
+ * { action: 'retry' } - сеть, 5xx: повтор с экспоненциальной задержкой
+ * { action: 'dead' } - 400/403: чат не найден, бот удален из группы, сообщение некорректно
+ */
+function classifySendError(error) {
+    const body = error?.response?.body;
+    const status = body?.error_code || error?.response?.statusCode;
+
+    if (status === 429) {
+        return { action: 'wait', seconds: body?.parameters?.retry_after || RETRY_BASE_SECONDS };
+    }
+    if (status === 403 && isBotBlockedError(error)) {
+        return { action: 'hold' };
+    }
+    if (status === 400 || status === 403) {
+        return { action: 'dead' };
+    }
+    return { action: 'retry' };
+}
+
+/**
+ * Пользователь заблокировал бота (403 в личном чате)
+ */
+function isBotBlockedError(error) {
+    return /bot was blocked by the user/i.test(describeSendError(error));
+}
+
+/**
+ * Задержка перед повтором после attempts неудачных попыток (null - попытки закончились)
+ */
+function getSendRetryDelay(attempts) {
+    if (attempts >= MAX_SEND_ATTEMPTS) return null;
+    return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+}
+
+/**
+ * Текст ошибки для журнала очереди
+ */
+function describeSendError(error) {
+    return error?.response?.body?.description || error?.message || String(error);
+}
+
+module.exports = {
+    MAX_SEND_ATTEMPTS,
+    SendRateLimiter,
+    classifySendError,
+    isBotBlockedError,
+    getSendRetryDelay,
+    describeSendError
+};
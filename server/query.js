@@ -0,0 +1,215 @@
+/**
+ * Язык правил для ключевых слов: AND / OR / NOT и скобки
+ * Пример: (дизайнер OR designer) AND (figma OR фигма) AND NOT junior
+ *
+ * Листья - обычные ключевые слова во всех режимах: слово/фраза (умный поиск),
+ * "точная фраза", [все слова], [слова рядом]~N, /регулярка/. Операторы пишутся заглавными буквами,
+ * поэтому строчные and/or/not остаются обычными словами.
+ */
+
+const { findRegexEnd } = require('./regex');
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+
+// Открывающая кавычка -> закрывающая
+const QUOTES = {
+    '"': '"',
+    '«': '»',
+    "'": "'"
+};
+
+/**
+ * Ошибка разбора правила с позицией (0-based) в исходной строке
+ */
+class QueryParseError extends Error {
+    constructor(message, position) {
+        super(`${message} (позиция ${position + 1})`);
+        this.name = 'QueryParseError';
+        this.reason = message;
+        this.position = position;
+    }
+}
+
+/**
+ * Разбивает правило на токены: (, ), AND, OR, NOT и листья
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char, position: i });
+            i++;
+            continue;
+        }
+
+        // "точная фраза" или [все слова] - лист целиком, вместе с ограничителями
+        const closing = QUOTES[char] || (char === '[' ? ']' : null);
+        if (closing) {
+            const end = text.indexOf(closing, i + 1);
+            if (end === -1) {
+                throw new QueryParseError(`не закрыт символ ${char}`, i);
+            }
+            // [слова]~N - оператор близости относится к листу
+            const proximity = char === '[' ? /^~\d+/.exec(text.slice(end + 1)) : null;
+            const leafEnd = end + 1 + (proximity ? proximity[0].length : 0);
+            tokens.push({ type: 'term', value: text.slice(i, leafEnd), position: i });
+            i = leafEnd;
+            continue;
+        }
+
+        // /регулярка/флаги - лист целиком, внутри могут быть пробелы и скобки
+        const regexEnd = findRegexEnd(text, i);
+        if (regexEnd !== -1) {
+            tokens.push({ type: 'term', value: text.slice(i, regexEnd), position: i });
+            i = regexEnd;
+            continue;
+        }
+
+        // Слово до пробела или скобки
+        let end = i;
+        while (end < text.length && !/[\s()]/.test(text[end])) {
+            end++;
+        }
+        const word = text.slice(i, end);
+
+        if (OPERATORS.has(word)) {
+            tokens.push({ type: word, position: i });
+        } else {
+            // Подряд идущие слова - одна фраза для умного поиска
+            const last = tokens[tokens.length - 1];
+            if (last && last.type === 'term' && last.isWords) {
+                last.value = text.slice(last.position, end);
+            } else {
+                tokens.push({ type: 'term', value: word, position: i, isWords: true });
+            }
+        }
+        i = end;
+    }
+
+    return tokens;
+}
+
+/**
+ * Рекурсивный спуск:
+ *   or   := and ('OR' and)*
+ *   and  := not ('AND' not)*
+ *   not  := 'NOT' not | atom
+ *   atom := '(' or ')' | term
+ */
+function parseQuery(text) {
+    const tokens = tokenize(text);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const positionOf = (token) => (token ? token.position : text.length);
+
+    function parseOr() {
+        const children = [parseAnd()];
+        while (peek()?.type === 'OR') {
+            index++;
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    function parseAnd() {
+        const children = [parseNot()];
+        while (peek()?.type === 'AND') {
+            index++;
+            children.push(parseNot());
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    function parseNot() {
+        if (peek()?.type === 'NOT') {
+            index++;
+            return { type: 'not', child: parseNot() };
+        }
+        return parseAtom();
+    }
+
+    function parseAtom() {
+        const token = peek();
+
+        if (!token) {
+            throw new QueryParseError('неожиданный конец правила, ожидалось слово или "("', text.length);
+        }
+
+        if (token.type === '(') {
+            index++;
+            const node = parseOr();
+            if (peek()?.type !== ')') {
+                throw new QueryParseError('ожидалась ")"', positionOf(peek()));
+            }
+            index++;
+            return node;
+        }
+
+        if (token.type === 'term') {
+            index++;
+            return { type: 'term', keyword: token.value.trim(), position: token.position };
+        }
+
+        throw new QueryParseError(`неожиданный "${token.type}", ожидалось слово или "("`, token.position);
+    }
+
+    const ast = parseOr();
+
+    if (index < tokens.length) {
+        const token = peek();
+        const message = token.type === ')'
+            ? 'лишняя ")"'
+            : 'ожидался оператор AND, OR или ")"';
+        throw new QueryParseError(message, token.position);
+    }
+
+    return ast;
+}
+
+/**
+ * Является ли ключевое слово правилом (есть оператор AND/OR/NOT вне кавычек и скобок)
+ * Обычные ключевые слова без операторов обрабатываются как раньше
+ */
+function isQuery(text) {
+    let i = 0;
+    while (i < text.length) {
+        const closing = QUOTES[text[i]] || (text[i] === '[' ? ']' : null);
+        if (closing) {
+            const end = text.indexOf(closing, i + 1);
+            if (end === -1) break;
+            i = end + 1;
+            continue;
+        }
+
+        // Регулярка начинается только с начала слова: в "UI/UX AND figma/photoshop" слеши - часть слов
+        const regexEnd = i === 0 || /[\s()]/.test(text[i - 1]) ? findRegexEnd(text, i) : -1;
+        if (regexEnd !== -1) {
+            i = regexEnd;
+            continue;
+        }
+
+        const match = /^(AND|OR|NOT)(?=$|[\s()])/.exec(text.slice(i));
+        if (match && (i === 0 || /[\s()]/.test(text[i - 1]))) {
+            return true;
+        }
+        i++;
+    }
+    return false;
+}
+
+module.exports = {
+    QueryParseError,
+    parseQuery,
+    isQuery,
+    tokenize
+};
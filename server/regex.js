@@ -0,0 +1,115 @@
+/**
+ * Ключевые слова-регулярки: /шаблон/флаги
+ * Защита от катастрофического backtracking: статическая проверка вложенных квантификаторов
+ * и выполнение в vm с таймаутом (V8 прерывает зависший RegExp по таймауту)
+ */
+
+const vm = require('vm');
+
+const MAX_PATTERN_LENGTH = 200;
+const REGEX_TIMEOUT_MS = 50;
+const ALLOWED_FLAGS = 'imsu';
+
+// Один контекст и один скрипт на процесс: регулярка и текст передаются через глобальные переменные контекста
+const regexContext = vm.createContext({ re: null, text: '' });
+const execScript = new vm.Script('re.exec(text)');
+
+/**
+ * Индекс сразу после регулярки /.../flags, начинающейся с позиции start, или -1
+ */
+function findRegexEnd(text, start) {
+    if (text[start] !== '/') return -1;
+
+    let inClass = false;
+    for (let i = start + 1; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\') {
+            i++;
+            continue;
+        }
+        if (char === '[') inClass = true;
+        if (char === ']') inClass = false;
+        if (char === '/' && !inClass) {
+            if (i === start + 1) return -1; // "//" - не регулярка
+            let end = i + 1;
+            while (end < text.length && /[a-z]/.test(text[end])) {
+                end++;
+            }
+            return end;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Разбирает "/шаблон/флаги" или возвращает null, если это не регулярка
+ */
+function parseRegexKeyword(text) {
+    const trimmed = text.trim();
+    if (findRegexEnd(trimmed, 0) !== trimmed.length) return null;
+
+    const lastSlash = trimmed.lastIndexOf('/');
+    return {
+        pattern: trimmed.slice(1, lastSlash),
+        flags: trimmed.slice(lastSlash + 1)
+    };
+}
+
+/**
+ * Компилирует регулярку с проверками безопасности
+ * Бросает Error с понятным сообщением
+ */
+function compileSafeRegex(pattern, flags) {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`регулярное выражение длиннее ${MAX_PATTERN_LENGTH} символов`);
+    }
+
+    const unknownFlag = [...flags].find(f => !ALLOWED_FLAGS.includes(f) && f !== 'g');
+    if (unknownFlag) {
+        throw new Error(`неподдерживаемый флаг "${unknownFlag}" (допустимы: ${ALLOWED_FLAGS})`);
+    }
+
+    // Вложенные квантификаторы вида (a+)+, (\w*)*, (.+){2,} - классический источник экспоненциального перебора
+    if (/\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)\s*(?:[+*]|\{\d+,\d*\})/.test(pattern)) {
+        throw new Error('вложенные квантификаторы вида (a+)+ запрещены');
+    }
+
+    // Обратные ссылки тоже допускают экспоненциальный перебор
+    if (/\\[1-9]|\\k</.test(pattern)) {
+        throw new Error('обратные ссылки (\\1, \\k<name>) запрещены');
+    }
+
+    try {
+        // Флаг g не нужен: ищем первое совпадение, а lastIndex не должен сохраняться между сообщениями
+        return new RegExp(pattern, flags.replace('g', ''));
+    } catch (error) {
+        throw new Error(`некорректное регулярное выражение: ${error.message.replace(/^Invalid regular expression: \/.*\/[a-z]*: /, '')}`);
+    }
+}
+
+/**
+ * Выполняет регулярку с таймаутом
+ * Возвращает { match, timedOut }
+ */
+function execSafeRegex(regex, text) {
+    regexContext.re = regex;
+    regexContext.text = text;
+    try {
+        return { match: execScript.runInContext(regexContext, { timeout: REGEX_TIMEOUT_MS }), timedOut: false };
+    } catch (error) {
+        if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+            return { match: null, timedOut: true };
+        }
+        throw error;
+    } finally {
+        regexContext.re = null;
+        regexContext.text = '';
+    }
+}
+
+module.exports = {
+    findRegexEnd,
+    parseRegexKeyword,
+    compileSafeRegex,
+    execSafeRegex
+};
@@ -0,0 +1,165 @@
+/**
+ * Ответ автору из уведомления: текст отправляется с аккаунта пользователя через MTProto-клиент мониторинга
+ * лично автору или ответом на его сообщение в исходном чате
+ */
+
+const { truncateText } = require('./keywords');
+const { escapeHtml } = require('./templates');
+
+// dm - в личные сообщения автору, chat - ответом на сообщение в чате
+const REPLY_MODES = ['dm', 'chat'];
+
+const MAX_REPLY_TEMPLATES = 20;
+const MAX_REPLY_LENGTH = 4096;
+const REPLY_TEMPLATE_LABEL_LENGTH = 40;
+
+// Ограничения отправки с аккаунта пользователя: частые сообщения незнакомым людям ведут к PEER_FLOOD и спам-блоку
+const REPLY_MIN_INTERVAL_SECONDS = 15;
+const REPLY_HOURLY_LIMIT = 20;
+// FLOOD_WAIT до этого значения пережидается, больше - ответ отклоняется до конца ожидания
+const REPLY_MAX_FLOOD_WAIT_SECONDS = 30;
+// PEER_FLOOD не сообщает срок - не отправляем личные сообщения час
+const PEER_FLOOD_PAUSE_SECONDS = 60 * 60;
+
+/**
+ * Проверяет текст ответа или шаблона; возвращает обрезанный текст или бросает Error
+ */
+function normalizeReplyText(value) {
+    const text = String(value ?? '').trim();
+    if (!text) {
+        throw new Error('Текст ответа пустой');
+    }
+    if (text.length > MAX_REPLY_LENGTH) {
+        throw new Error(`Текст ответа длиннее ${MAX_REPLY_LENGTH} символов`);
+    }
+    return text;
+}
+
+/**
+ * Подставляет в шаблон имя автора ({name}) и название чата ({chat})
+ */
+function renderReplyTemplate(text, lead) {
+    return text
+        .replace(/\{name\}/g, lead.author_name || '')
+        .replace(/\{chat\}/g, lead.chat_title || '');
+}
+
+/**
+ * Сколько секунд ждать до следующего ответа (0 - можно отправлять)
+ * history - { sentAt: [ms], floodUntil: ms, peerFloodUntil: ms }; peerFloodUntil ограничивает только личные сообщения
+ */
+function getReplyWait(history, mode, now = Date.now()) {
+    if (!history) return 0;
+
+    const waits = [0];
+    if (history.floodUntil > now) {
+        waits.push(history.floodUntil - now);
+    }
+    if (mode === 'dm' && history.peerFloodUntil > now) {
+        waits.push(history.peerFloodUntil - now);
+    }
+
+    const recent = history.sentAt.filter(t => now - t < 60 * 60 * 1000);
+    if (recent.length > 0) {
+        waits.push(recent[recent.length - 1] + REPLY_MIN_INTERVAL_SECONDS * 1000 - now);
+    }
+    if (recent.length >= REPLY_HOURLY_LIMIT) {
+        waits.push(recent[recent.length - REPLY_HOURLY_LIMIT] + 60 * 60 * 1000 - now);
+    }
+
+    return Math.ceil(Math.max(...waits) / 1000);
+}
+
+/**
+ * Ожидание в человекочитаемом виде: "40 с", "12 мин"
+ */
+function formatWait(seconds) {
+    return seconds < 60 ? `${seconds} с` : `${Math.ceil(seconds / 60)} мин`;
+}
+
+/**
+ * Понятное описание ошибки MTProto при отправке ответа
+ */
+function describeReplyError(error) {
+    const message = error?.errorMessage || error?.message || String(error);
+    if (/PRIVACY|USER_IS_BLOCKED|YOU_BLOCKED_USER/i.test(message)) {
+        return 'автор ограничил входящие сообщения или заблокировал вас';
+    }
+    if (/PEER_FLOOD/i.test(message)) {
+        return `Telegram временно ограничил личные сообщения с вашего аккаунта — попробуйте ответить в чате или через ${formatWait(PEER_FLOOD_PAUSE_SECONDS)}`;
+    }
+    if (/FLOOD_WAIT/i.test(message)) {
+        return `слишком частые сообщения, Telegram просит подождать ${formatWait(error.seconds || parseInt(message.match(/FLOOD_WAIT_(\d+)/)?.[1] || 0))}`;
+    }
+    if (/CHAT_WRITE_FORBIDDEN|USER_BANNED_IN_CHANNEL|CHAT_RESTRICTED|CHAT_SEND_PLAIN_FORBIDDEN/i.test(message)) {
+        return 'вы не можете писать в этот чат';
+    }
+    if (/SLOWMODE_WAIT/i.test(message)) {
+        return 'в чате включен медленный режим, попробуйте позже';
+    }
+    if (/INPUT_USER_DEACTIVATED|USER_DEACTIVATED/i.test(message)) {
+        return 'аккаунт автора удален';
+    }
+    if (/MSG_ID_INVALID|MESSAGE_ID_INVALID|REPLY_MESSAGE_ID_INVALID/i.test(message)) {
+        return 'исходное сообщение удалено';
+    }
+    if (/Could not find the input entity|PEER_ID_INVALID|CHANNEL_PRIVATE/i.test(message)) {
+        return 'аккаунт больше не видит этот чат или автора';
+    }
+    return message;
+}
+
+/**
+ * Запрос текста ответа (HTML) и кнопки шаблонов
+ */
+function formatReplyPrompt(lead, mode, templates) {
+    const where = mode === 'dm'
+        ? `<b>Ответ в личные сообщения</b> · 👤 ${escapeHtml(lead.author_name || 'Неизвестно')}`
+        : `<b>Ответ в чате</b> · 💬 ${escapeHtml(lead.chat_title || 'Неизвестный чат')}`;
+    const original = lead.message_text
+        ? `\n\n<i>${escapeHtml(truncateText(lead.message_text, 300))}</i>`
+        : '';
+    const hint = templates.length > 0 ? ' или выберите шаблон' : '';
+
+    const text = `✍️ ${where}${original}\n\n` +
+        `Отправьте текст ответа${hint}. Сообщение уйдет с вашего аккаунта.`;
+
+    const keyboard = {
+        inline_keyboard: [
+            ...templates.map(t => [{
+                text: `📝 ${truncateText(renderReplyTemplate(t.text, lead).replace(/\s+/g, ' '), REPLY_TEMPLATE_LABEL_LENGTH)}`,
+                callback_data: `reply_tpl:${t.id}`
+            }]),
+            [{ text: '❌ Отмена', callback_data: 'reply_cancel' }]
+        ]
+    };
+
+    return { text, keyboard };
+}
+
+/**
+ * Список шаблонов ответов для /replies (HTML)
+ */
+function formatReplyTemplates(templates) {
+    const list = templates.length > 0
+        ? templates.map((t, i) => `${i + 1}. ${escapeHtml(t.text)}`).join('\n\n')
+        : 'Пока пусто.';
+
+    return `📝 <b>Шаблоны ответов</b>\n\n${list}\n\n` +
+        'Шаблон отправляется одной кнопкой после «✍️ Ответить» под уведомлением. ' +
+        'Плейсхолдеры: <code>{name}</code> — имя автора, <code>{chat}</code> — название чата.';
+}
+
+module.exports = {
+    REPLY_MODES,
+    MAX_REPLY_TEMPLATES,
+    REPLY_MAX_FLOOD_WAIT_SECONDS,
+    PEER_FLOOD_PAUSE_SECONDS,
+    normalizeReplyText,
+    renderReplyTemplate,
+    getReplyWait,
+    formatWait,
+    describeReplyError,
+    formatReplyPrompt,
+    formatReplyTemplates
+};
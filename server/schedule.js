@@ -0,0 +1,221 @@
+/**
+ * Расписание доставки: часовой пояс пользователя, тихие часы и дни недели
+ * В тихое время совпадения копятся в очереди дайджеста и приходят, когда окно откроется
+ */
+
+const DEFAULT_TIMEZONE = 'Europe/Moscow';
+
+// Дни недели ISO: 1 - понедельник ... 7 - воскресенье
+const ALL_DAYS = '1234567';
+const WEEKDAY_NAMES = ['пн', 'вт', 'ср', 'чт', 'пт', 'сб', 'вс'];
+const WEEKDAY_ALIASES = {
+    пн: 1, вт: 2, ср: 3, чт: 4, пт: 5, сб: 6, вс: 7,
+    mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6, sun: 7
+};
+
+const TIME_REGEX = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Приводит время к виду ЧЧ:ММ, null - если формат неверный
+ */
+function normalizeTime(value) {
+    const match = TIME_REGEX.exec(String(value ?? '').trim());
+    return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+/**
+ * Минуты от начала суток для ЧЧ:ММ
+ */
+function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Каноническое имя пояса, если его знает Intl, иначе null
+ */
+function resolveTimezone(name) {
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone: name }).resolvedOptions().timeZone;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Часовой пояс: IANA-имя (Europe/Moscow) или смещение в целых часах (+3, UTC-5)
+ * Возвращает имя пояса или null
+ */
+function normalizeTimezone(value) {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+
+    // "+3", "UTC+3", "GMT-5" -> Etc/GMT-3 (в Etc/ знак смещения инвертирован)
+    // Существуют только смещения от -12 до +14: Etc/GMT+13 Intl не примет
+    const offset = /^(?:utc|gmt)?\s*([+-])(\d{1,2})$/i.exec(text);
+    if (offset) {
+        const hours = parseInt(offset[2], 10);
+        return hours === 0 ? 'UTC' : resolveTimezone(`Etc/GMT${offset[1] === '+' ? '-' : '+'}${hours}`);
+    }
+
+    return resolveTimezone(text);
+}
+
+/**
+ * Местное время в поясе: { dateKey: 'ГГГГ-ММ-ДД', weekday: 1..7, minutes: минуты от начала суток }
+ */
+function getLocalTime(date, timezone) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone || DEFAULT_TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    });
+    for (const part of formatter.formatToParts(date)) {
+        parts[part.type] = part.value;
+    }
+
+    return {
+        dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: WEEKDAY_ALIASES[parts.weekday.toLowerCase()],
+        minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+    };
+}
+
+/**
+ * Дни недели из текста: "пн-пт", "пн,ср,пт", "сб вс", "1-5", "все"
+ * Возвращает строку цифр ISO ("12345") или бросает Error
+ */
+function parseWeekdays(text) {
+    const normalized = String(text ?? '').toLowerCase().trim();
+    if (['все', 'all', 'ежедневно', '*'].includes(normalized)) return ALL_DAYS;
+    // Строка цифр, как хранится в БД: "12345"
+    if (/^[1-7]{2,}$/.test(normalized)) return [...new Set(normalized)].sort().join('');
+
+    const toDay = (token) => {
+        const day = /^[1-7]$/.test(token) ? parseInt(token, 10) : WEEKDAY_ALIASES[token];
+        if (!day) throw new Error(`Неизвестный день недели: "${token}"`);
+        return day;
+    };
+
+    const days = new Set();
+    for (const token of normalized.split(/[\s,;]+/).filter(Boolean)) {
+        const [from, to] = token.split('-');
+        if (to === undefined) {
+            days.add(toDay(from));
+            continue;
+        }
+        // Диапазон может переходить через воскресенье: "пт-пн"
+        let day = toDay(from);
+        const last = toDay(to);
+        days.add(day);
+        while (day !== last) {
+            day = day % 7 + 1;
+            days.add(day);
+        }
+    }
+
+    if (days.size === 0) {
+        throw new Error('Укажите дни недели, например: пн-пт');
+    }
+    return [...days].sort().join('');
+}
+
+/**
+ * Проверяет настройки расписания: timezone, quietStart/quietEnd (ЧЧ:ММ или пусто - без тихих часов), days
+ * Возвращает { timezone, quietStart, quietEnd, days } или бросает Error
+ */
+function normalizeScheduleSettings({ timezone, quietStart, quietEnd, days } = {}, current = {}) {
+    const result = {
+        timezone: current.timezone || DEFAULT_TIMEZONE,
+        quietStart: current.quiet_start ?? null,
+        quietEnd: current.quiet_end ?? null,
+        days: current.active_days || ALL_DAYS
+    };
+
+    if (timezone !== undefined) {
+        result.timezone = normalizeTimezone(timezone);
+        if (!result.timezone) {
+            throw new Error('Неизвестный часовой пояс. Пример: Europe/Moscow или +3');
+        }
+    }
+
+    if (quietStart !== undefined || quietEnd !== undefined) {
+        const disabled = !quietStart && !quietEnd;
+        result.quietStart = disabled ? null : normalizeTime(quietStart);
+        result.quietEnd = disabled ? null : normalizeTime(quietEnd);
+        if (!disabled && (!result.quietStart || !result.quietEnd)) {
+            throw new Error('Тихие часы в формате ЧЧ:ММ, например 23:00-08:00');
+        }
+        if (!disabled && result.quietStart === result.quietEnd) {
+            throw new Error('Начало и конец тихих часов совпадают');
+        }
+    }
+
+    if (days !== undefined) {
+        result.days = Array.isArray(days) ? parseWeekdays(days.join(',')) : parseWeekdays(days);
+    }
+
+    return result;
+}
+
+/**
+ * Тихое ли сейчас время у пользователя: день вне расписания или внутри тихих часов
+ * Окно тихих часов может переходить через полночь (23:00-08:00)
+ */
+function isQuietTime(user, now = new Date()) {
+    const local = getLocalTime(now, user.timezone);
+
+    if (!(user.active_days || ALL_DAYS).includes(String(local.weekday))) {
+        return true;
+    }
+    if (!user.quiet_start || !user.quiet_end) {
+        return false;
+    }
+
+    const start = timeToMinutes(user.quiet_start);
+    const end = timeToMinutes(user.quiet_end);
+    return start < end
+        ? local.minutes >= start && local.minutes < end
+        : local.minutes >= start || local.minutes < end;
+}
+
+/**
+ * Дни недели для отображения: "пн-пт", "пн, ср, пт", "ежедневно"
+ */
+function formatWeekdays(days) {
+    if (!days || days === ALL_DAYS) return 'ежедневно';
+    if (ALL_DAYS.includes(days) && days.length > 2) {
+        return `${WEEKDAY_NAMES[days[0] - 1]}-${WEEKDAY_NAMES[days[days.length - 1] - 1]}`;
+    }
+    return [...days].map(d => WEEKDAY_NAMES[d - 1]).join(', ');
+}
+
+/**
+ * Описание расписания для /schedule, /status и веб-интерфейса
+ */
+function describeSchedule(user) {
+    const quiet = user.quiet_start && user.quiet_end
+        ? `тихие часы ${user.quiet_start}-${user.quiet_end}`
+        : 'без тихих часов';
+    return `${formatWeekdays(user.active_days)}, ${quiet} (${user.timezone || DEFAULT_TIMEZONE})`;
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    ALL_DAYS,
+    normalizeTime,
+    timeToMinutes,
+    normalizeTimezone,
+    getLocalTime,
+    parseWeekdays,
+    normalizeScheduleSettings,
+    isQuietTime,
+    formatWeekdays,
+    describeSchedule
+};
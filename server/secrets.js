@@ -0,0 +1,145 @@
+/**
+ * Шифрование сессий Telegram и api_hash в базе: AES-256-GCM, ключ выводится из SESSION_SECRET
+ *
+ * Формат значения: enc:v<версия ключа>:<iv>:<tag>:<шифротекст> (base64)
+ * Смена ключа: новый секрет в SESSION_SECRET, номер в SESSION_KEY_VERSION, старый - в SESSION_SECRET_PREVIOUS
+ * ("1:старый-секрет", несколько через запятую). Значения со старой версией перешифровывает npm run migrate -- reencrypt
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const KEY_SALT = 'telegram-scout-bot:sessions';
+const EXAMPLE_SECRETS = ['your-super-secret-key-change-in-production', 'your-super-secret-key', 'your-very-long-secret-key-for-production'];
+
+const keys = new Map(); // версия -> ключ (scrypt считается один раз)
+
+/**
+ * Текущая версия ключа (SESSION_KEY_VERSION, по умолчанию 1)
+ */
+function getCurrentKeyVersion() {
+    const version = Number(process.env.SESSION_KEY_VERSION || 1);
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error('SESSION_KEY_VERSION должен быть положительным целым числом');
+    }
+    return version;
+}
+
+/**
+ * Секреты по версиям: текущий из SESSION_SECRET и старые из SESSION_SECRET_PREVIOUS
+ */
+function getSecrets() {
+    const secrets = new Map();
+    for (const entry of (process.env.SESSION_SECRET_PREVIOUS || '').split(',').map(s => s.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        const version = Number(entry.slice(0, separator));
+        if (separator < 1 || !Number.isInteger(version) || !entry.slice(separator + 1)) {
+            throw new Error('SESSION_SECRET_PREVIOUS: ожидается "версия:секрет" через запятую');
+        }
+        secrets.set(version, entry.slice(separator + 1));
+    }
+    if (process.env.SESSION_SECRET) {
+        secrets.set(getCurrentKeyVersion(), process.env.SESSION_SECRET);
+    }
+    return secrets;
+}
+
+function getKey(version) {
+    if (!keys.has(version)) {
+        const secret = getSecrets().get(version);
+        if (!secret) {
+            throw new Error(`Нет ключа шифрования версии ${version}: проверьте SESSION_SECRET и SESSION_SECRET_PREVIOUS`);
+        }
+        keys.set(version, crypto.scryptSync(secret, KEY_SALT, 32));
+    }
+    return keys.get(version);
+}
+
+/**
+ * Проверка настроек при запуске: без SESSION_SECRET сессии нельзя ни сохранить, ни прочитать,
+ * а с ключом из примеров их может расшифровать любой, у кого есть копия базы
+ */
+function assertSecretsConfigured() {
+    if (!process.env.SESSION_SECRET) {
+        throw new Error('SESSION_SECRET не задан: он нужен для шифрования сессий Telegram в базе');
+    }
+    if (EXAMPLE_SECRETS.includes(process.env.SESSION_SECRET)) {
+        throw new Error('SESSION_SECRET совпадает с примером из документации: задайте случайную строку (openssl rand -hex 32)');
+    }
+    getSecrets();
+    getKey(getCurrentKeyVersion());
+}
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Версия ключа зашифрованного значения (null - значение не зашифровано)
+ */
+function getKeyVersion(value) {
+    if (!isEncrypted(value)) return null;
+    const match = value.match(/^enc:v(\d+):/);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Значение нужно (пере)шифровать: открытый текст или старая версия ключа
+ */
+function needsReencryption(value) {
+    if (value === null || value === undefined || value === '') return false;
+    return getKeyVersion(value) !== getCurrentKeyVersion();
+}
+
+/**
+ * Шифрует строку текущим ключом; null и пустая строка не шифруются
+ */
+function encryptSecret(value) {
+    if (value === null || value === undefined || value === '') return value ?? null;
+
+    const version = getCurrentKeyVersion();
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(version), iv);
+    const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return `${PREFIX}v${version}:${iv.toString('base64')}:${tag.toString('base64')}:${encrypted.toString('base64')}`;
+}
+
+/**
+ * Расшифровывает значение из базы; открытый текст (строки до миграции) возвращается как есть
+ * Бросает Error, если ключа нет или данные повреждены
+ */
+function decryptSecret(value) {
+    if (!isEncrypted(value)) return value;
+
+    const parts = value.slice(PREFIX.length).split(':');
+    const version = getKeyVersion(value);
+    if (parts.length !== 4 || version === null) {
+        throw new Error('Некорректный формат зашифрованного значения');
+    }
+
+    const [, iv, tag, encrypted] = parts;
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(version), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Расшифровывает или перешифровывает значение текущим ключом (для миграции)
+ */
+function reencryptSecret(value) {
+    return encryptSecret(decryptSecret(value));
+}
+
+module.exports = {
+    assertSecretsConfigured,
+    getCurrentKeyVersion,
+    isEncrypted,
+    needsReencryption,
+    encryptSecret,
+    decryptSecret,
+    reencryptSecret
+};
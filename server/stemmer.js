@@ -0,0 +1,380 @@
+/**
+ * Стеммеры для русского и английского (алгоритмы Snowball), работают офлайн
+ * Русский: Snowball Russian + таблица чередований, которые алгоритм не покрывает (ищу/искать, друзья/друг)
+ * Английский: Porter2 (Snowball English)
+ */
+
+// ============ Русский ============
+
+const RU_VOWELS = 'аеиоуыэюя';
+
+const RU_PERFECTIVE_GERUND_1 = ['в', 'вши', 'вшись'];
+const RU_PERFECTIVE_GERUND_2 = ['ив', 'ивши', 'ившись', 'ыв', 'ывши', 'ывшись'];
+const RU_ADJECTIVE = [
+    'ее', 'ие', 'ые', 'ое', 'ими', 'ыми', 'ей', 'ий', 'ый', 'ой', 'ем', 'им', 'ым', 'ом',
+    'его', 'ого', 'ему', 'ому', 'их', 'ых', 'ую', 'юю', 'ая', 'яя', 'ою', 'ею'
+];
+const RU_PARTICIPLE_1 = ['ем', 'нн', 'вш', 'ющ', 'щ'];
+const RU_PARTICIPLE_2 = ['ивш', 'ывш', 'ующ'];
+const RU_REFLEXIVE = ['ся', 'сь'];
+const RU_VERB_1 = ['ла', 'на', 'ете', 'йте', 'ли', 'й', 'л', 'ем', 'н', 'ло', 'но', 'ет', 'ют', 'ны', 'ть', 'ешь', 'нно'];
+const RU_VERB_2 = [
+    'ила', 'ыла', 'ена', 'ейте', 'уйте', 'ите', 'или', 'ыли', 'ей', 'уй', 'ил', 'ыл', 'им', 'ым', 'ен',
+    'ило', 'ыло', 'ено', 'ят', 'ует', 'уют', 'ит', 'ыт', 'ены', 'ить', 'ыть', 'ишь', 'ую', 'ю'
+];
+const RU_NOUN = [
+    'а', 'ев', 'ов', 'ие', 'ье', 'е', 'иями', 'ями', 'ами', 'еи', 'ии', 'и', 'ией', 'ей', 'ой', 'ий', 'й',
+    'иям', 'ям', 'ием', 'ем', 'ам', 'ом', 'о', 'у', 'ах', 'иях', 'ях', 'ы', 'ь', 'ию', 'ью', 'ю', 'ия', 'ья', 'я'
+];
+const RU_SUPERLATIVE = ['ейше', 'ейш'];
+const RU_DERIVATIONAL = ['ость', 'ост'];
+
+// Чередования и супплетивные формы, которые суффиксный алгоритм не сводит к одной основе
+const RU_IRREGULAR = {
+    'иска': ['ищу', 'ищешь', 'ищет', 'ищем', 'ищете', 'ищут', 'ища', 'ищущий', 'ищущая', 'ищущие', 'ищущих', 'ищущим'],
+    'друг': ['друзья', 'друзей', 'друзьям', 'друзьями', 'друзьях'],
+    'человек': ['люди', 'людей', 'людям', 'людьми', 'людях'],
+    'ребенок': ['дети', 'детей', 'детям', 'детьми', 'детях'],
+    'хот': ['хочу', 'хочешь', 'хочет']
+};
+
+const RU_IRREGULAR_INDEX = new Map();
+for (const [stem, forms] of Object.entries(RU_IRREGULAR)) {
+    for (const form of forms) {
+        RU_IRREGULAR_INDEX.set(form, stem);
+    }
+}
+
+function isRuVowel(char) {
+    return RU_VOWELS.includes(char);
+}
+
+/**
+ * Самое длинное окончание из списка, целиком лежащее не левее start
+ */
+function longestEnding(word, endings, start) {
+    let best = null;
+    for (const ending of endings) {
+        if (word.endsWith(ending) && word.length - ending.length >= start &&
+            (!best || ending.length > best.length)) {
+            best = ending;
+        }
+    }
+    return best;
+}
+
+/**
+ * Окончания групп 1 и 2: в группе 1 перед окончанием должна стоять "а" или "я" (внутри RV)
+ * Как в Snowball: берется самое длинное окончание из обеих групп, и только оно проверяется
+ */
+function removeGroupEnding(word, group1, group2, rv) {
+    const ending = longestEnding(word, [...group1, ...group2], rv);
+    if (!ending) return null;
+
+    const cut = word.length - ending.length;
+    if (group2.includes(ending)) {
+        return word.slice(0, cut);
+    }
+    if (cut - 1 >= rv && (word[cut - 1] === 'а' || word[cut - 1] === 'я')) {
+        return word.slice(0, cut);
+    }
+    return null;
+}
+
+function removeEnding(word, endings, start) {
+    const ending = longestEnding(word, endings, start);
+    return ending ? word.slice(0, word.length - ending.length) : null;
+}
+
+/**
+ * Области RV, R1, R2 русского стеммера
+ */
+function ruRegions(word) {
+    let rv = word.length;
+    for (let i = 0; i < word.length; i++) {
+        if (isRuVowel(word[i])) {
+            rv = i + 1;
+            break;
+        }
+    }
+
+    const regionAfter = (from) => {
+        for (let i = from + 1; i < word.length; i++) {
+            if (!isRuVowel(word[i]) && isRuVowel(word[i - 1])) {
+                return i + 1;
+            }
+        }
+        return word.length;
+    };
+
+    const r1 = regionAfter(0);
+    const r2 = regionAfter(r1);
+    return { rv, r2 };
+}
+
+function stemRussian(input) {
+    const word = input.replace(/ё/g, 'е');
+
+    if (RU_IRREGULAR_INDEX.has(word)) {
+        return RU_IRREGULAR_INDEX.get(word);
+    }
+
+    const { rv, r2 } = ruRegions(word);
+    let result = word;
+
+    // Шаг 1
+    const gerund = removeGroupEnding(result, RU_PERFECTIVE_GERUND_1, RU_PERFECTIVE_GERUND_2, rv);
+    if (gerund !== null) {
+        result = gerund;
+    } else {
+        result = removeEnding(result, RU_REFLEXIVE, rv) ?? result;
+
+        const adjective = removeEnding(result, RU_ADJECTIVE, rv);
+        if (adjective !== null) {
+            // Причастие перед окончанием прилагательного (ADJECTIVAL)
+            result = removeGroupEnding(adjective, RU_PARTICIPLE_1, RU_PARTICIPLE_2, rv) ?? adjective;
+        } else {
+            const verb = removeGroupEnding(result, RU_VERB_1, RU_VERB_2, rv);
+            if (verb !== null) {
+                result = verb;
+            } else {
+                result = removeEnding(result, RU_NOUN, rv) ?? result;
+            }
+        }
+    }
+
+    // Шаг 2
+    if (result.endsWith('и') && result.length - 1 >= rv) {
+        result = result.slice(0, -1);
+    }
+
+    // Шаг 3
+    result = removeEnding(result, RU_DERIVATIONAL, Math.max(rv, r2)) ?? result;
+
+    // Шаг 4
+    if (result.endsWith('нн') && result.length - 2 >= rv) {
+        result = result.slice(0, -1);
+    } else {
+        const superlative = removeEnding(result, RU_SUPERLATIVE, rv);
+        if (superlative !== null) {
+            result = superlative;
+            if (result.endsWith('нн') && result.length - 2 >= rv) {
+                result = result.slice(0, -1);
+            }
+        } else if (result.endsWith('ь') && result.length - 1 >= rv) {
+            result = result.slice(0, -1);
+        }
+    }
+
+    return result;
+}
+
+// ============ Английский (Porter2) ============
+
+const EN_VOWELS = 'aeiouy';
+const EN_DOUBLES = ['bb', 'dd', 'ff', 'gg', 'mm', 'nn', 'pp', 'rr', 'tt'];
+const EN_LI_ENDINGS = 'cdeghkmnrt';
+
+const EN_EXCEPTIONS = new Map(Object.entries({
+    skis: 'ski', skies: 'sky', dying: 'die', lying: 'lie', tying: 'tie',
+    idly: 'idl', gently: 'gentl', ugly: 'ugli', early: 'earli', only: 'onli', singly: 'singl',
+    sky: 'sky', news: 'news', howe: 'howe', atlas: 'atlas', cosmos: 'cosmos', bias: 'bias', andes: 'andes'
+}));
+const EN_EXCEPTIONS_1A = new Set(['inning', 'outing', 'canning', 'herring', 'earring', 'proceed', 'exceed', 'succeed']);
+
+const EN_STEP2 = [
+    ['ization', 'ize'], ['ational', 'ate'], ['fulness', 'ful'], ['ousness', 'ous'], ['iveness', 'ive'],
+    ['tional', 'tion'], ['biliti', 'ble'], ['lessli', 'less'], ['entli', 'ent'], ['ation', 'ate'],
+    ['alism', 'al'], ['aliti', 'al'], ['ousli', 'ous'], ['iviti', 'ive'], ['fulli', 'ful'],
+    ['enci', 'ence'], ['anci', 'ance'], ['abli', 'able'], ['izer', 'ize'], ['ator', 'ate'],
+    ['alli', 'al'], ['bli', 'ble'], ['ogi', 'og'], ['li', '']
+];
+const EN_STEP3 = [
+    ['ational', 'ate'], ['tional', 'tion'], ['alize', 'al'], ['icate', 'ic'], ['iciti', 'ic'],
+    ['ative', ''], ['ical', 'ic'], ['ness', ''], ['ful', '']
+];
+const EN_STEP4 = [
+    'ement', 'ance', 'ence', 'able', 'ible', 'ment', 'ant', 'ent', 'ism', 'ate', 'iti', 'ous',
+    'ive', 'ize', 'ion', 'al', 'er', 'ic'
+];
+
+function isEnVowel(char) {
+    return EN_VOWELS.includes(char);
+}
+
+function enRegions(word) {
+    const regionAfter = (from) => {
+        for (let i = from + 1; i < word.length; i++) {
+            if (!isEnVowel(word[i]) && isEnVowel(word[i - 1])) {
+                return i + 1;
+            }
+        }
+        return word.length;
+    };
+
+    let r1;
+    const prefix = ['gener', 'commun', 'arsen'].find(p => word.startsWith(p));
+    if (prefix) {
+        r1 = prefix.length;
+    } else {
+        r1 = regionAfter(0);
+    }
+    const r2 = regionAfter(r1);
+    return { r1, r2 };
+}
+
+/**
+ * Короткий слог в конце word[0..end)
+ */
+function endsWithShortSyllable(word) {
+    const n = word.length;
+    if (n === 2) {
+        return isEnVowel(word[0]) && !isEnVowel(word[1]);
+    }
+    if (n >= 3) {
+        return !isEnVowel(word[n - 3]) && isEnVowel(word[n - 2]) &&
+               !isEnVowel(word[n - 1]) && !'wxY'.includes(word[n - 1]);
+    }
+    return false;
+}
+
+function longestSuffix(word, suffixes) {
+    let best = null;
+    for (const entry of suffixes) {
+        const suffix = Array.isArray(entry) ? entry[0] : entry;
+        if (word.endsWith(suffix) && (!best || suffix.length > (Array.isArray(best) ? best[0] : best).length)) {
+            best = entry;
+        }
+    }
+    return best;
+}
+
+function stemEnglish(input) {
+    let word = input;
+    if (word.length <= 2) return word;
+
+    if (EN_EXCEPTIONS.has(word)) return EN_EXCEPTIONS.get(word);
+
+    if (word.startsWith("'")) word = word.slice(1);
+
+    // y в начале слова и после гласной - согласная Y
+    word = word.replace(/^y/, 'Y').replace(/([aeiouy])y/g, '$1Y');
+
+    const { r1, r2 } = enRegions(word);
+
+    // Шаг 0
+    for (const suffix of ["'s'", "'s", "'"]) {
+        if (word.endsWith(suffix)) {
+            word = word.slice(0, -suffix.length);
+            break;
+        }
+    }
+
+    // Шаг 1a
+    if (word.endsWith('sses')) {
+        word = word.slice(0, -2);
+    } else if (word.endsWith('ied') || word.endsWith('ies')) {
+        word = word.length > 4 ? word.slice(0, -2) : word.slice(0, -1);
+    } else if (word.endsWith('us') || word.endsWith('ss')) {
+        // без изменений
+    } else if (word.endsWith('s')) {
+        const stem = word.slice(0, -1);
+        if (/[aeiouy]/.test(stem.slice(0, -1))) {
+            word = stem;
+        }
+    }
+
+    if (EN_EXCEPTIONS_1A.has(word)) return word;
+
+    // Шаг 1b
+    const step1b = longestSuffix(word, ['eedly', 'ingly', 'edly', 'eed', 'ing', 'ed']);
+    if (step1b === 'eed' || step1b === 'eedly') {
+        if (word.length - step1b.length >= r1) {
+            word = word.slice(0, -step1b.length) + 'ee';
+        }
+    } else if (step1b) {
+        const stem = word.slice(0, -step1b.length);
+        if (/[aeiouy]/.test(stem)) {
+            word = stem;
+            if (word.endsWith('at') || word.endsWith('bl') || word.endsWith('iz')) {
+                word += 'e';
+            } else if (EN_DOUBLES.some(d => word.endsWith(d))) {
+                word = word.slice(0, -1);
+            } else if (endsWithShortSyllable(word) && r1 >= word.length) {
+                word += 'e';
+            }
+        }
+    }
+
+    // Шаг 1c
+    if (word.length > 2 && /[yY]$/.test(word) && !isEnVowel(word[word.length - 2])) {
+        word = word.slice(0, -1) + 'i';
+    }
+
+    // Шаг 2
+    const step2 = longestSuffix(word, EN_STEP2);
+    if (step2 && word.length - step2[0].length >= r1) {
+        const [suffix, replacement] = step2;
+        const before = word[word.length - suffix.length - 1];
+        if (suffix === 'ogi') {
+            if (before === 'l') word = word.slice(0, -suffix.length) + replacement;
+        } else if (suffix === 'li') {
+            if (before && EN_LI_ENDINGS.includes(before)) word = word.slice(0, -suffix.length);
+        } else {
+            word = word.slice(0, -suffix.length) + replacement;
+        }
+    }
+
+    // Шаг 3
+    const step3 = longestSuffix(word, EN_STEP3);
+    if (step3 && word.length - step3[0].length >= r1) {
+        const [suffix, replacement] = step3;
+        if (suffix === 'ative') {
+            if (word.length - suffix.length >= r2) word = word.slice(0, -suffix.length);
+        } else {
+            word = word.slice(0, -suffix.length) + replacement;
+        }
+    }
+
+    // Шаг 4
+    const step4 = longestSuffix(word, EN_STEP4);
+    if (step4 && word.length - step4.length >= r2) {
+        if (step4 === 'ion') {
+            if (/[st]$/.test(word.slice(0, -3))) word = word.slice(0, -3);
+        } else {
+            word = word.slice(0, -step4.length);
+        }
+    }
+
+    // Шаг 5
+    if (word.endsWith('e')) {
+        const stem = word.slice(0, -1);
+        if (word.length - 1 >= r2 || (word.length - 1 >= r1 && !endsWithShortSyllable(stem))) {
+            word = stem;
+        }
+    } else if (word.endsWith('ll') && word.length - 1 >= r2) {
+        word = word.slice(0, -1);
+    }
+
+    return word.replace(/Y/g, 'y');
+}
+
+/**
+ * Стемминг слова: язык определяется по алфавиту
+ * Слова со смешанными символами (цифры, разные алфавиты) не изменяются
+ */
+function stemWord(word) {
+    if (/^[а-яё]+$/.test(word)) {
+        return stemRussian(word);
+    }
+    if (/^[a-z']+$/.test(word)) {
+        return stemEnglish(word);
+    }
+    return word;
+}
+
+module.exports = {
+    stemWord,
+    stemRussian,
+    stemEnglish
+};
@@ -0,0 +1,91 @@
+/**
+ * Хранилище данных: PostgreSQL (по умолчанию) или встроенный SQLite, выбирается переменной STORAGE
+ *
+ * STORAGE=postgres - DATABASE_URL, схема из server/migrations
+ * STORAGE=sqlite - файл SQLITE_PATH (по умолчанию data/scout.db) или :memory: для тестов
+ *
+ * Обе реализации предоставляют одинаковые репозитории (STORAGE_CONTRACT) с одинаковым поведением,
+ * это проверяют контрактные тесты test/storage.contract.test.js
+ */
+
+const path = require('path');
+
+const STORAGE_BACKENDS = ['postgres', 'sqlite'];
+const DEFAULT_SQLITE_PATH = path.join(__dirname, '..', '..', 'data', 'scout.db');
+
+// Репозитории и методы, которые обязана реализовать каждая реализация хранилища
+const STORAGE_CONTRACT = {
+    users: [
+        'create', 'getByTelegramId', 'getByPhone', 'getById', 'updateSession', 'updateBotChatId', 'setActive',
+        'updateDelivery', 'updateSchedule', 'updateTemplate', 'updateWebhookSecret', 'updateHistoryDays',
+        'setDeliveryError', 'getAllActive', 'delete', 'count', 'countActive'
+    ],
+    monitors: [
+        'create', 'getByUserId', 'getById', 'getByName', 'getAllByUserId', 'getActiveByUserId', 'update', 'updateById',
+        'updateKeywords', 'updateKeywordsById', 'updateMinScoreById', 'setActive', 'setActiveById', 'delete', 'deleteById'
+    ],
+    chats: ['add', 'getByUserId', 'getByProfileId', 'deleteByUserId', 'count', 'countByProfile'],
+    notifications: ['add', 'exists', 'setDeliveryStatus', 'setDeliveryStatusByMessages', 'cleanup'],
+    auth: ['create', 'get', 'updateStep', 'saveUserData', 'delete', 'cleanup'],
+    stats: ['increment', 'getToday', 'getTotal'],
+    messageHashes: ['add', 'exists', 'cleanup'],
+    blockedAuthors: ['add', 'exists', 'remove', 'getAll', 'count'],
+    matches: ['search', 'getChats'],
+    leads: ['getById', 'getByBotMessage', 'getMessages', 'addMessage', 'getOpen', 'countByStatus', 'setStatus', 'getDueSnoozed', 'reopenWithMessages'],
+    outbox: ['add', 'claim', 'markSent', 'reschedule', 'hold', 'releaseHeld', 'markDead', 'countByStatus', 'cleanup'],
+    webhooks: ['add', 'getByUserId', 'getActiveByUserId', 'getById', 'update', 'remove', 'count'],
+    webhookDeliveries: ['add', 'getDue', 'getById', 'getByUserId', 'markDelivered', 'markFailed', 'requeue', 'cleanup'],
+    targets: ['add', 'getByUserId', 'getById', 'updateRoute', 'remove', 'count'],
+    botUsers: ['upsert', 'count', 'getAll'],
+    digests: ['add', 'getByUserId', 'getPendingUsers', 'removeByIds', 'count'],
+    synonyms: ['add', 'getByUserId', 'remove', 'replaceAll', 'count'],
+    replyTemplates: ['add', 'getByUserId', 'getById', 'remove', 'count']
+};
+
+/**
+ * Проверяет, что реализация хранилища содержит все репозитории и методы контракта
+ */
+function assertStorageContract(storage) {
+    const missing = [];
+    for (const [repository, methods] of Object.entries(STORAGE_CONTRACT)) {
+        for (const method of methods) {
+            if (typeof storage[repository]?.[method] !== 'function') {
+                missing.push(`${repository}.${method}`);
+            }
+        }
+    }
+    for (const method of ['init', 'reencryptSecrets', 'close']) {
+        if (typeof storage[method] !== 'function') {
+            missing.push(method);
+        }
+    }
+    if (missing.length > 0) {
+        throw new Error(`Хранилище ${storage.backend} не реализует: ${missing.join(', ')}`);
+    }
+    return storage;
+}
+
+/**
+ * Создает хранилище по настройкам: { backend, pool, filename }
+ * backend - STORAGE (postgres/sqlite), pool - pg.Pool для postgres, filename - SQLITE_PATH для sqlite
+ */
+function createStorage({ backend = process.env.STORAGE || 'postgres', pool = null, filename = process.env.SQLITE_PATH } = {}) {
+    if (!STORAGE_BACKENDS.includes(backend)) {
+        throw new Error(`STORAGE: ${STORAGE_BACKENDS.join(' или ')}, получено "${backend}"`);
+    }
+
+    if (backend === 'sqlite') {
+        // SQLite - необязательная зависимость, загружается только когда выбрана
+        const { createSqliteStorage } = require('./sqlite');
+        return assertStorageContract(createSqliteStorage(filename || DEFAULT_SQLITE_PATH));
+    }
+
+    const { createPostgresStorage } = require('./postgres');
+    return assertStorageContract(createPostgresStorage(pool));
+}
+
+module.exports = {
+    STORAGE_BACKENDS,
+    STORAGE_CONTRACT,
+    createStorage
+};
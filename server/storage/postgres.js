@@ -0,0 +1,812 @@
+/**
+ * Хранилище в PostgreSQL (по умолчанию): схема - миграции из server/migrations
+ */
+
+const { encryptSecret } = require('../secrets');
+const { migrateUp, formatMigration } = require('../migrate');
+const {
+    SECRET_COLUMNS,
+    SECRET_CHECK_SAMPLE,
+    parseUserRow,
+    parseAuthRow,
+    parseMonitorRow,
+    parseMatchRow,
+    parseTargetRow,
+    escapeLike,
+    verifySecretRows,
+    getReencryptedRows
+} = require('./rows');
+
+// Поисковый вектор истории совпадений; конфигурация russian стеммит и латиницу (english_stem)
+const MATCH_SEARCH_VECTOR = `to_tsvector('russian', COALESCE(message_text, '') || ' ' || COALESCE(author_name, '') || ' ' || COALESCE(author_username, '') || ' ' || COALESCE(chat_title, ''))`;
+
+function createPostgresStorage(pool) {
+    async function query(sql, params = []) {
+        const result = await pool.query(sql, params);
+        return result;
+    }
+
+    async function getOne(sql, params = []) {
+        const result = await pool.query(sql, params);
+        return result.rows[0] || null;
+    }
+
+    async function getAll(sql, params = []) {
+        const result = await pool.query(sql, params);
+        return result.rows;
+    }
+
+    return {
+        backend: 'postgres',
+
+        // Миграции схемы (на схеме новее кода запуск прерывается) и проверка ключа шифрования на последних строках
+        init: async () => {
+            const applied = await migrateUp(pool);
+            if (applied.length > 0) {
+                console.log(`📦 Applied migrations: ${applied.map(m => formatMigration(m)).join(', ')}`);
+            }
+
+            for (const [table, columns] of Object.entries(SECRET_COLUMNS)) {
+                const rows = await getAll(
+                    `SELECT id, ${columns.join(', ')} FROM ${table} ORDER BY id DESC LIMIT $1`,
+                    [SECRET_CHECK_SAMPLE]
+                );
+                verifySecretRows(table, rows);
+            }
+        },
+
+        // Шифрует открытые значения и перешифровывает старые версии ключа (npm run migrate -- reencrypt)
+        // Возвращает число обновленных строк по таблицам
+        reencryptSecrets: async () => {
+            const result = {};
+            for (const [table, columns] of Object.entries(SECRET_COLUMNS)) {
+                const rows = await getAll(`SELECT id, ${columns.join(', ')} FROM ${table}`);
+                const updates = getReencryptedRows(table, rows);
+                for (const { id, changes } of updates) {
+                    const entries = Object.entries(changes);
+                    await query(
+                        `UPDATE ${table} SET ${entries.map(([column], i) => `${column} = $${i + 1}`).join(', ')} WHERE id = $${entries.length + 1}`,
+                        [...entries.map(([, value]) => value), id]
+                    );
+                }
+                result[table] = updates.length;
+            }
+            return result;
+        },
+
+        close: () => pool.end(),
+
+        users: {
+            create: async (telegramUserId, username, phone, apiId, apiHash, sessionString, botChatId) => {
+                const result = await query(`
+                    INSERT INTO users (telegram_user_id, telegram_username, phone, api_id, api_hash, session_string, bot_chat_id)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7)
+                    RETURNING id
+                `, [telegramUserId, username, phone, apiId, encryptSecret(apiHash), encryptSecret(sessionString), botChatId]);
+                return { lastInsertRowid: result.rows[0].id, id: result.rows[0].id };
+            },
+            getByTelegramId: async (telegramUserId) => parseUserRow(await getOne('SELECT * FROM users WHERE telegram_user_id = $1', [telegramUserId])),
+            getByPhone: async (phone) => parseUserRow(await getOne('SELECT * FROM users WHERE phone = $1', [phone])),
+            getById: async (id) => parseUserRow(await getOne('SELECT * FROM users WHERE id = $1', [id])),
+            updateSession: async (id, sessionString) => {
+                await query('UPDATE users SET session_string = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [encryptSecret(sessionString), id]);
+            },
+            updateBotChatId: async (telegramUserId, botChatId) => {
+                await query('UPDATE users SET bot_chat_id = $1, updated_at = CURRENT_TIMESTAMP WHERE telegram_user_id = $2', [botChatId, telegramUserId]);
+            },
+            setActive: async (id, isActive) => {
+                await query('UPDATE users SET is_active = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [isActive, id]);
+            },
+            updateDelivery: async (id, { mode, interval, time, groupBy, attachMedia }) => {
+                await query(
+                    'UPDATE users SET delivery_mode = $1, digest_interval = $2, digest_time = $3, digest_group_by = $4, attach_media = $5, updated_at = CURRENT_TIMESTAMP WHERE id = $6',
+                    [mode, interval, time, groupBy, attachMedia, id]
+                );
+            },
+            updateSchedule: async (id, { timezone, quietStart, quietEnd, days }) => {
+                await query(
+                    'UPDATE users SET timezone = $1, quiet_start = $2, quiet_end = $3, active_days = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5',
+                    [timezone, quietStart, quietEnd, days, id]
+                );
+            },
+            updateTemplate: async (id, { template, customTemplate }) => {
+                await query(
+                    'UPDATE users SET notification_template = $1, custom_template = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+                    [template, customTemplate, id]
+                );
+            },
+            updateWebhookSecret: async (id, secret) => {
+                await query('UPDATE users SET webhook_secret = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [secret, id]);
+            },
+            updateHistoryDays: async (id, days) => {
+                await query('UPDATE users SET history_days = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [days, id]);
+            },
+            // Ошибка доставки в личный чат: blocked / no_chat, null - доставка работает
+            // delivery_error_at - начало проблемы, повторная ошибка того же вида его не сдвигает
+            setDeliveryError: async (id, error) => {
+                await query(`
+                    UPDATE users SET delivery_error = $1::text,
+                        delivery_error_at = CASE
+                            WHEN $1::text IS NULL THEN NULL
+                            WHEN delivery_error IS DISTINCT FROM $1::text THEN CURRENT_TIMESTAMP
+                            ELSE delivery_error_at
+                        END
+                    WHERE id = $2
+                `, [error, id]);
+            },
+            getAllActive: async () => (await getAll('SELECT * FROM users WHERE is_active = TRUE')).map(parseUserRow),
+            delete: async (id) => await query('DELETE FROM users WHERE id = $1', [id]),
+            count: async () => {
+                const result = await getOne('SELECT COUNT(*) as count FROM users');
+                return parseInt(result?.count || 0);
+            },
+            countActive: async () => {
+                const result = await getOne('SELECT COUNT(*) as count FROM users WHERE is_active = TRUE');
+                return parseInt(result?.count || 0);
+            }
+        },
+
+        monitors: {
+            // Профиль мониторинга: своя папка, ключевые слова, список чатов и переключатель is_active
+            create: async (userId, folderName, keywords, name = 'Основной', minScore = 0) => {
+                const result = await query(`
+                    INSERT INTO monitor_settings (user_id, name, folder_name, keywords, min_score, monitoring_started_at)
+                    VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+                    RETURNING id
+                `, [userId, name, folderName, JSON.stringify(keywords), minScore]);
+                return result.rows[0].id;
+            },
+            // Первый активный профиль (для команд, которые работают с одним профилем)
+            getByUserId: async (userId) => {
+                const result = await getOne('SELECT * FROM monitor_settings WHERE user_id = $1 AND is_active = TRUE ORDER BY id LIMIT 1', [userId]);
+                return parseMonitorRow(result);
+            },
+            getById: async (id) => parseMonitorRow(await getOne('SELECT * FROM monitor_settings WHERE id = $1', [id])),
+            getByName: async (userId, name) => {
+                const result = await getOne('SELECT * FROM monitor_settings WHERE user_id = $1 AND LOWER(name) = LOWER($2)', [userId, name]);
+                return parseMonitorRow(result);
+            },
+            getAllByUserId: async (userId) => {
+                const rows = await getAll('SELECT * FROM monitor_settings WHERE user_id = $1 ORDER BY id', [userId]);
+                return rows.map(parseMonitorRow);
+            },
+            getActiveByUserId: async (userId) => {
+                const rows = await getAll('SELECT * FROM monitor_settings WHERE user_id = $1 AND is_active = TRUE ORDER BY id', [userId]);
+                return rows.map(parseMonitorRow);
+            },
+            update: async (userId, folderName, keywords) => {
+                await query('UPDATE monitor_settings SET folder_name = $1, keywords = $2 WHERE user_id = $3', [folderName, JSON.stringify(keywords), userId]);
+            },
+            updateById: async (id, name, folderName, keywords) => {
+                await query('UPDATE monitor_settings SET name = $1, folder_name = $2, keywords = $3 WHERE id = $4', [name, folderName, JSON.stringify(keywords), id]);
+            },
+            updateKeywords: async (userId, keywords) => {
+                await query('UPDATE monitor_settings SET keywords = $1 WHERE user_id = $2', [JSON.stringify(keywords), userId]);
+            },
+            updateKeywordsById: async (id, keywords) => {
+                await query('UPDATE monitor_settings SET keywords = $1 WHERE id = $2', [JSON.stringify(keywords), id]);
+            },
+            // Минимальный балл релевантности (0 - уведомлять о любом совпадении)
+            updateMinScoreById: async (id, minScore) => {
+                await query('UPDATE monitor_settings SET min_score = $1 WHERE id = $2', [minScore, id]);
+            },
+            setActive: async (userId, isActive) => {
+                await query('UPDATE monitor_settings SET is_active = $1 WHERE user_id = $2', [isActive, userId]);
+            },
+            setActiveById: async (id, isActive) => {
+                await query('UPDATE monitor_settings SET is_active = $1 WHERE id = $2', [isActive, id]);
+            },
+            delete: async (userId) => await query('DELETE FROM monitor_settings WHERE user_id = $1', [userId]),
+            deleteById: async (id) => await query('DELETE FROM monitor_settings WHERE id = $1', [id])
+        },
+
+        chats: {
+            add: async (userId, chatId, chatTitle, chatType, profileId) => {
+                await query(`
+                    INSERT INTO monitored_chats (user_id, chat_id, chat_title, chat_type, profile_id)
+                    VALUES ($1, $2, $3, $4, $5)
+                    ON CONFLICT (user_id, profile_id, chat_id) DO UPDATE SET chat_title = $3, chat_type = $4
+                `, [userId, chatId, chatTitle, chatType, profileId]);
+            },
+            getByUserId: (userId) => getAll('SELECT * FROM monitored_chats WHERE user_id = $1', [userId]),
+            getByProfileId: (profileId) => getAll('SELECT * FROM monitored_chats WHERE profile_id = $1', [profileId]),
+            deleteByUserId: async (userId) => await query('DELETE FROM monitored_chats WHERE user_id = $1', [userId]),
+            // Количество уникальных чатов (один чат может входить в несколько профилей)
+            count: async (userId) => {
+                const result = await getOne('SELECT COUNT(DISTINCT chat_id) as count FROM monitored_chats WHERE user_id = $1', [userId]);
+                return parseInt(result?.count || 0);
+            },
+            countByProfile: async (profileId) => {
+                const result = await getOne('SELECT COUNT(*) as count FROM monitored_chats WHERE profile_id = $1', [profileId]);
+                return parseInt(result?.count || 0);
+            }
+        },
+
+        notifications: {
+            // score и matchDetails сохраняются для последующей настройки порогов
+            // lead - { authorId, authorName, authorUsername, chatTitle, messageText, matchedKeywords, deliveryStatus, messages }
+            // для кнопок статуса, /leads и истории совпадений
+            // messages - [{ chatId, messageId, threadId }] сообщения бота с этим уведомлением
+            add: async (userId, chatId, messageId, score = null, matchDetails = null, lead = {}) => {
+                try {
+                    const result = await query(`
+                        INSERT INTO sent_notifications (
+                            user_id, chat_id, message_id, score, match_details, author_id, author_name, author_username,
+                            chat_title, message_text, matched_keywords, delivery_status
+                        )
+                        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                        ON CONFLICT DO NOTHING
+                        RETURNING id
+                    `, [
+                        userId, chatId, messageId, score, matchDetails ? JSON.stringify(matchDetails) : null,
+                        lead.authorId || null, lead.authorName || null, lead.authorUsername || null,
+                        lead.chatTitle || null, lead.messageText || null,
+                        JSON.stringify(lead.matchedKeywords || []), lead.deliveryStatus || null
+                    ]);
+                    const notificationId = result.rows[0]?.id;
+                    if (notificationId) {
+                        for (const message of lead.messages || []) {
+                            await query(
+                                'INSERT INTO notification_messages (notification_id, chat_id, message_id, thread_id) VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING',
+                                [notificationId, String(message.chatId), message.messageId, message.threadId || null]
+                            );
+                        }
+                    }
+                    return notificationId || null;
+                } catch (e) {
+                    return null;
+                }
+            },
+            exists: async (userId, chatId, messageId) => {
+                const result = await getOne('SELECT 1 FROM sent_notifications WHERE user_id = $1 AND chat_id = $2 AND message_id = $3', [userId, chatId, messageId]);
+                return !!result;
+            },
+            // Статус доставки для истории: sent не понижается до held/failed, если хотя бы одно сообщение дошло
+            setDeliveryStatus: async (id, status) => {
+                await query(`
+                    UPDATE sent_notifications SET delivery_status = $1
+                    WHERE id = $2 AND (delivery_status IS DISTINCT FROM 'sent' OR $1 = 'sent')
+                `, [status, id]);
+            },
+            // Статус доставки совпадений из дайджеста (items - строки digest_queue или outbox.digest_items)
+            setDeliveryStatusByMessages: async (userId, items, status) => {
+                await query(`
+                    UPDATE sent_notifications n SET delivery_status = $1
+                    FROM unnest($3::text[], $4::text[]) AS m(chat_id, message_id)
+                    WHERE n.user_id = $2 AND n.chat_id = m.chat_id AND n.message_id = m.message_id
+                      AND (n.delivery_status IS DISTINCT FROM 'sent' OR $1 = 'sent')
+                `, [status, userId, items.map(item => item.chat_id), items.map(item => item.message_id)]);
+            },
+            // История хранится users.history_days дней; отложенные лиды ждут напоминания
+            cleanup: async () => await query(`
+                DELETE FROM sent_notifications n
+                USING users u
+                WHERE n.user_id = u.id AND n.status <> 'snoozed'
+                  AND n.sent_at < NOW() - make_interval(days => u.history_days)
+            `)
+        },
+
+        auth: {
+            create: async (id, phone, apiId, apiHash) => {
+                await query(`
+                    INSERT INTO auth_sessions (id, phone, api_id, api_hash, step, expires_at)
+                    VALUES ($1, $2, $3, $4, 'phone', NOW() + INTERVAL '30 minutes')
+                `, [id, phone, apiId, encryptSecret(apiHash)]);
+            },
+            get: async (id) => parseAuthRow(await getOne("SELECT * FROM auth_sessions WHERE id = $1 AND expires_at > NOW()", [id])),
+            updateStep: async (id, step, phoneCodeHash = null) => {
+                await query('UPDATE auth_sessions SET step = $1, phone_code_hash = $2, expires_at = NOW() + INTERVAL \'30 minutes\' WHERE id = $3', [step, phoneCodeHash, id]);
+            },
+            // Сохраняем данные пользователя и session_string после успешной авторизации
+            saveUserData: async (id, userData, sessionString) => {
+                await query(
+                    'UPDATE auth_sessions SET user_data = $1, session_string = $2, expires_at = NOW() + INTERVAL \'30 minutes\' WHERE id = $3',
+                    [JSON.stringify(userData), encryptSecret(sessionString), id]
+                );
+            },
+            delete: async (id) => await query('DELETE FROM auth_sessions WHERE id = $1', [id]),
+            cleanup: async () => await query("DELETE FROM auth_sessions WHERE expires_at < NOW()")
+        },
+
+        stats: {
+            increment: async (field, amount = 1) => {
+                await query(`
+                    INSERT INTO stats (date, ${field})
+                    VALUES (CURRENT_DATE, $1)
+                    ON CONFLICT (date) DO UPDATE SET ${field} = stats.${field} + EXCLUDED.${field}
+                `, [amount]);
+            },
+            getToday: () => getOne('SELECT * FROM stats WHERE date = CURRENT_DATE'),
+            getTotal: async () => {
+                const result = await getOne(`
+                    SELECT 
+                        COALESCE(SUM(messages_processed), 0) as messages_processed,
+                        COALESCE(SUM(matches_found), 0) as matches_found,
+                        COALESCE(SUM(notifications_sent), 0) as notifications_sent
+                    FROM stats
+                `);
+                return result;
+            }
+        },
+
+        // Дедупликация сообщений по хешу (24 часа)
+        messageHashes: {
+            add: async (userId, messageHash) => {
+                try {
+                    await query(
+                        'INSERT INTO message_hashes (user_id, message_hash) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+                        [userId, messageHash]
+                    );
+                    return true;
+                } catch (e) {
+                    return false;
+                }
+            },
+            exists: async (userId, messageHash) => {
+                const result = await getOne(
+                    "SELECT 1 FROM message_hashes WHERE user_id = $1 AND message_hash = $2 AND created_at > NOW() - INTERVAL '24 hours'",
+                    [userId, messageHash]
+                );
+                return !!result;
+            },
+            cleanup: async () => {
+                await query("DELETE FROM message_hashes WHERE created_at < NOW() - INTERVAL '24 hours'");
+            }
+        },
+
+        // Заблокированные авторы
+        blockedAuthors: {
+            add: async (userId, authorId, authorName) => {
+                try {
+                    await query(
+                        'INSERT INTO blocked_authors (user_id, author_id, author_name) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+                        [userId, authorId, authorName]
+                    );
+                    return true;
+                } catch (e) {
+                    return false;
+                }
+            },
+            exists: async (userId, authorId) => {
+                const result = await getOne(
+                    'SELECT 1 FROM blocked_authors WHERE user_id = $1 AND author_id = $2',
+                    [userId, authorId]
+                );
+                return !!result;
+            },
+            remove: async (userId, authorId) => {
+                await query('DELETE FROM blocked_authors WHERE user_id = $1 AND author_id = $2', [userId, authorId]);
+            },
+            getAll: (userId) => getAll('SELECT * FROM blocked_authors WHERE user_id = $1 ORDER BY created_at DESC', [userId]),
+            count: async (userId) => {
+                const result = await getOne('SELECT COUNT(*) as count FROM blocked_authors WHERE user_id = $1', [userId]);
+                return parseInt(result?.count || 0);
+            }
+        },
+
+        // История совпадений (строки sent_notifications) и полнотекстовый поиск
+        matches: {
+            // filters - результат normalizeHistoryFilters; возвращает { rows, total }
+            search: async (userId, filters) => {
+                const conditions = ['user_id = $1'];
+                const params = [userId];
+                const add = (sql, value) => {
+                    params.push(value);
+                    conditions.push(sql.replace('?', `$${params.length}`));
+                };
+
+                if (filters.q) add(`${MATCH_SEARCH_VECTOR} @@ websearch_to_tsquery('russian', ?)`, filters.q);
+                if (filters.from) add('sent_at >= ?', filters.from);
+                if (filters.to) add('sent_at < ?', filters.to);
+                if (filters.chatId) add('chat_id = ?', filters.chatId);
+                if (filters.keyword) add("EXISTS (SELECT 1 FROM jsonb_array_elements_text(matched_keywords::jsonb) k WHERE LOWER(k) LIKE LOWER(?) ESCAPE '\\')", `%${escapeLike(filters.keyword)}%`);
+                if (filters.status) add('status = ?', filters.status);
+                if (filters.deliveryStatus) add('delivery_status = ?', filters.deliveryStatus);
+
+                const where = conditions.join(' AND ');
+                const total = await getOne(`SELECT COUNT(*) as count FROM sent_notifications WHERE ${where}`, params);
+                const rows = await getAll(
+                    `SELECT * FROM sent_notifications WHERE ${where} ORDER BY sent_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                    [...params, filters.limit, filters.offset]
+                );
+                return { rows: rows.map(parseMatchRow), total: parseInt(total?.count || 0) };
+            },
+            // Чаты из истории для фильтра
+            getChats: (userId) => getAll(`
+                SELECT chat_id, MAX(chat_title) as chat_title, COUNT(*) as count
+                FROM sent_notifications WHERE user_id = $1
+                GROUP BY chat_id ORDER BY count DESC
+            `, [userId])
+        },
+
+        // Статусы лидов (строки sent_notifications)
+        leads: {
+            getById: (userId, id) => getOne('SELECT * FROM sent_notifications WHERE user_id = $1 AND id = $2', [userId, id]),
+            // Лид по сообщению бота: кнопки могут нажать в общей группе, поэтому ищем без привязки к пользователю
+            getByBotMessage: (chatId, messageId) => getOne(`
+                SELECT n.* FROM sent_notifications n
+                JOIN notification_messages m ON m.notification_id = n.id
+                WHERE m.chat_id = $1 AND m.message_id = $2
+            `, [String(chatId), messageId]),
+            getMessages: (id) => getAll('SELECT * FROM notification_messages WHERE notification_id = $1', [id]),
+            addMessage: async (id, message) => {
+                await query(
+                    'INSERT INTO notification_messages (notification_id, chat_id, message_id, thread_id) VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING',
+                    [id, String(message.chatId), message.messageId, message.threadId || null]
+                );
+            },
+            getOpen: (userId, limit) => getAll(
+                "SELECT * FROM sent_notifications WHERE user_id = $1 AND status = 'open' ORDER BY sent_at DESC, id DESC LIMIT $2",
+                [userId, limit]
+            ),
+            countByStatus: async (userId) => {
+                const rows = await getAll('SELECT status, COUNT(*) as count FROM sent_notifications WHERE user_id = $1 GROUP BY status', [userId]);
+                return Object.fromEntries(rows.map(row => [row.status, parseInt(row.count)]));
+            },
+            setStatus: async (userId, id, status, snoozedUntil = null) => {
+                const result = await query(`
+                    UPDATE sent_notifications SET status = $1, snoozed_until = $2, status_changed_at = CURRENT_TIMESTAMP
+                    WHERE user_id = $3 AND id = $4 RETURNING *
+                `, [status, snoozedUntil, userId, id]);
+                return result.rows[0] || null;
+            },
+            // Отложенные лиды, время которых подошло, вместе с настройками пользователя
+            getDueSnoozed: () => getAll(`
+                SELECT n.*, u.bot_chat_id, u.timezone, u.quiet_start, u.quiet_end, u.active_days
+                FROM sent_notifications n
+                JOIN users u ON u.id = n.user_id
+                WHERE n.status = 'snoozed' AND n.snoozed_until <= NOW()
+                ORDER BY n.snoozed_until
+            `),
+            // После напоминания лид снова открыт, кнопки - под сообщениями с напоминанием
+            reopenWithMessages: async (id, messages) => {
+                await query('DELETE FROM notification_messages WHERE notification_id = $1', [id]);
+                for (const message of messages) {
+                    await query(
+                        'INSERT INTO notification_messages (notification_id, chat_id, message_id, thread_id) VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING',
+                        [id, String(message.chatId), message.messageId, message.threadId || null]
+                    );
+                }
+                await query(`
+                    UPDATE sent_notifications SET status = 'open', snoozed_until = NULL, status_changed_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                `, [id]);
+            }
+        },
+
+        // Очередь исходящих уведомлений (reply_markup - JSON)
+        outbox: {
+            // status = 'held' - отложить до /start (личный чат недоступен, target.chatId может быть null)
+            // digestItems - совпадения в сообщении дайджеста [{ chat_id, message_id }] (notificationId = null)
+            add: async (userId, notificationId, target, text, replyMarkup = null, status = 'pending', digestItems = null) => {
+                const result = await query(`
+                    INSERT INTO outbox (user_id, notification_id, chat_id, thread_id, text, reply_markup, status, digest_items)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id
+                `, [
+                    userId, notificationId, target.chatId ? String(target.chatId) : null, target.threadId || null,
+                    text, replyMarkup ? JSON.stringify(replyMarkup) : null, status,
+                    digestItems ? JSON.stringify(digestItems.map(item => ({ chat_id: item.chat_id, message_id: item.message_id }))) : null
+                ]);
+                return result.rows[0].id;
+            },
+            // Забирает сообщения в отправку: готовые pending и зависшие в sending (процесс упал во время отправки)
+            // notificationId - только сообщения одного уведомления
+            claim: async (limit, notificationId = null) => {
+                const rows = await getAll(`
+                    UPDATE outbox SET status = 'sending', locked_at = CURRENT_TIMESTAMP
+                    WHERE id IN (
+                        SELECT id FROM outbox
+                        WHERE ((status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+                            OR (status = 'sending' AND locked_at < NOW() - INTERVAL '5 minutes'))
+                          AND ($2::int IS NULL OR notification_id = $2)
+                        ORDER BY id
+                        LIMIT $1
+                        FOR UPDATE SKIP LOCKED
+                    )
+                    RETURNING *
+                `, [limit, notificationId]);
+                return rows
+                    .map(row => ({
+                        ...row,
+                        reply_markup: row.reply_markup ? JSON.parse(row.reply_markup) : null,
+                        digest_items: row.digest_items ? JSON.parse(row.digest_items) : null
+                    }))
+                    .sort((a, b) => a.id - b.id);
+            },
+            markSent: async (id, botMessageId) => {
+                await query(`
+                    UPDATE outbox SET status = 'sent', attempts = attempts + 1, bot_message_id = $1, last_error = NULL,
+                        sent_at = CURRENT_TIMESTAMP, locked_at = NULL
+                    WHERE id = $2
+                `, [botMessageId, id]);
+            },
+            // Вернуть в очередь через seconds секунд; countAttempt = false для 429 и ожидания лимита
+            reschedule: async (id, seconds, error = null, countAttempt = true) => {
+                await query(`
+                    UPDATE outbox SET status = 'pending', attempts = attempts + $1, last_error = COALESCE($2, last_error),
+                        next_attempt_at = NOW() + make_interval(secs => $3::int), locked_at = NULL
+                    WHERE id = $4
+                `, [countAttempt ? 1 : 0, error, seconds, id]);
+            },
+            hold: async (id, error) => {
+                await query(`
+                    UPDATE outbox SET status = 'held', last_error = $1, locked_at = NULL
+                    WHERE id = $2
+                `, [error, id]);
+            },
+            // После /start отложенные уведомления уходят в новый личный чат; возвращает их число
+            releaseHeld: async (userId, botChatId) => {
+                const result = await query(`
+                    UPDATE outbox SET status = 'pending', chat_id = $1, thread_id = NULL, attempts = 0,
+                        next_attempt_at = CURRENT_TIMESTAMP, last_error = NULL
+                    WHERE user_id = $2 AND status = 'held'
+                `, [String(botChatId), userId]);
+                await query(`
+                    UPDATE sent_notifications SET delivery_status = 'queued'
+                    WHERE user_id = $1 AND delivery_status = 'held'
+                `, [userId]);
+                return result.rowCount;
+            },
+            markDead: async (id, error) => {
+                await query(`
+                    UPDATE outbox SET status = 'dead', attempts = attempts + 1, last_error = $1, locked_at = NULL
+                    WHERE id = $2
+                `, [error, id]);
+            },
+            countByStatus: async (userId) => {
+                const rows = await getAll('SELECT status, COUNT(*) as count FROM outbox WHERE user_id = $1 GROUP BY status', [userId]);
+                return Object.fromEntries(rows.map(row => [row.status, parseInt(row.count)]));
+            },
+            // Доставленные храним сутки, недоставленные (dead) - неделю
+            cleanup: async () => await query(`
+                DELETE FROM outbox
+                WHERE (status = 'sent' AND sent_at < NOW() - INTERVAL '1 day')
+                   OR (status = 'dead' AND created_at < NOW() - INTERVAL '7 days')
+            `)
+        },
+
+        // Исходящие вебхуки
+        webhooks: {
+            add: async (userId, url) => {
+                const result = await query('INSERT INTO webhooks (user_id, url) VALUES ($1, $2) RETURNING *', [userId, url]);
+                return result.rows[0];
+            },
+            getByUserId: (userId) => getAll('SELECT * FROM webhooks WHERE user_id = $1 ORDER BY id', [userId]),
+            getActiveByUserId: (userId) => getAll('SELECT * FROM webhooks WHERE user_id = $1 AND is_active = TRUE ORDER BY id', [userId]),
+            getById: (userId, id) => getOne('SELECT * FROM webhooks WHERE user_id = $1 AND id = $2', [userId, id]),
+            update: async (userId, id, { url, isActive }) => {
+                await query('UPDATE webhooks SET url = $1, is_active = $2 WHERE user_id = $3 AND id = $4', [url, isActive, userId, id]);
+            },
+            remove: async (userId, id) => {
+                await query('DELETE FROM webhooks WHERE user_id = $1 AND id = $2', [userId, id]);
+            },
+            count: async (userId) => {
+                const result = await getOne('SELECT COUNT(*) as count FROM webhooks WHERE user_id = $1', [userId]);
+                return parseInt(result?.count || 0);
+            }
+        },
+
+        // Очередь и журнал доставок вебхуков (payload - JSON-строка тела запроса)
+        webhookDeliveries: {
+            add: async (webhookId, userId, event, payload) => {
+                const result = await query(`
+                    INSERT INTO webhook_deliveries (webhook_id, user_id, event, payload)
+                    VALUES ($1, $2, $3, $4)
+                    RETURNING *
+                `, [webhookId, userId, event, payload]);
+                return result.rows[0];
+            },
+            // Доставки, время которых подошло, вместе с адресом вебхука и секретом пользователя
+            getDue: (limit) => getAll(`
+                SELECT d.*, w.url, w.is_active, u.webhook_secret
+                FROM webhook_deliveries d
+                JOIN webhooks w ON w.id = d.webhook_id
+                JOIN users u ON u.id = d.user_id
+                WHERE d.status = 'pending' AND d.next_attempt_at <= NOW()
+                ORDER BY d.next_attempt_at, d.id
+                LIMIT $1
+            `, [limit]),
+            getById: (userId, id) => getOne(`
+                SELECT d.*, w.url, w.is_active, u.webhook_secret
+                FROM webhook_deliveries d
+                JOIN webhooks w ON w.id = d.webhook_id
+                JOIN users u ON u.id = d.user_id
+                WHERE d.user_id = $1 AND d.id = $2
+            `, [userId, id]),
+            getByUserId: (userId, limit) => getAll(`
+                SELECT d.id, d.webhook_id, d.event, d.status, d.attempts, d.next_attempt_at, d.last_status_code,
+                       d.last_error, d.duration_ms, d.created_at, d.delivered_at, d.payload, w.url
+                FROM webhook_deliveries d
+                JOIN webhooks w ON w.id = d.webhook_id
+                WHERE d.user_id = $1
+                ORDER BY d.id DESC
+                LIMIT $2
+            `, [userId, limit]),
+            markDelivered: async (id, { statusCode, durationMs }) => {
+                await query(`
+                    UPDATE webhook_deliveries
+                    SET status = 'delivered', attempts = attempts + 1, last_status_code = $1, last_error = NULL,
+                        duration_ms = $2, delivered_at = CURRENT_TIMESTAMP
+                    WHERE id = $3
+                `, [statusCode, durationMs, id]);
+            },
+            // Неудачная попытка: retryInSeconds = null - попытки закончились, доставка в статусе failed
+            markFailed: async (id, { statusCode, error, durationMs }, retryInSeconds) => {
+                await query(`
+                    UPDATE webhook_deliveries
+                    SET status = CASE WHEN $4::int IS NULL THEN 'failed' ELSE 'pending' END,
+                        attempts = attempts + 1, last_status_code = $1, last_error = $2, duration_ms = $3,
+                        next_attempt_at = CASE WHEN $4::int IS NULL THEN next_attempt_at ELSE NOW() + make_interval(secs => $4::int) END
+                    WHERE id = $5
+                `, [statusCode, error, durationMs, retryInSeconds, id]);
+            },
+            // Повторная отправка из журнала: доставка снова в очереди с новым счетчиком попыток
+            requeue: async (userId, id) => {
+                const result = await query(`
+                    UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+                    WHERE user_id = $1 AND id = $2 AND status = 'failed'
+                    RETURNING id
+                `, [userId, id]);
+                return result.rowCount > 0;
+            },
+            cleanup: async () => await query(
+                "DELETE FROM webhook_deliveries WHERE status <> 'pending' AND created_at < NOW() - INTERVAL '7 days'"
+            )
+        },
+
+        // Получатели уведомлений (keywords - JSON-массив слов правила)
+        targets: {
+            // Повторное подключение того же чата обновляет название и тип, правило сохраняется
+            add: async (userId, { chatId, threadId, chatType, title }) => {
+                const result = await query(`
+                    INSERT INTO delivery_targets (user_id, chat_id, thread_id, chat_type, title)
+                    VALUES ($1, $2, $3, $4, $5)
+                    ON CONFLICT (user_id, chat_id, thread_id) DO UPDATE SET chat_type = EXCLUDED.chat_type, title = EXCLUDED.title
+                    RETURNING *
+                `, [userId, String(chatId), threadId || 0, chatType, title]);
+                return parseTargetRow(result.rows[0]);
+            },
+            getByUserId: async (userId) => {
+                const rows = await getAll('SELECT * FROM delivery_targets WHERE user_id = $1 ORDER BY id', [userId]);
+                return rows.map(parseTargetRow);
+            },
+            getById: async (userId, id) => parseTargetRow(await getOne('SELECT * FROM delivery_targets WHERE user_id = $1 AND id = $2', [userId, id])),
+            updateRoute: async (userId, id, { profileId, keywords }) => {
+                await query(
+                    'UPDATE delivery_targets SET profile_id = $1, keywords = $2 WHERE user_id = $3 AND id = $4',
+                    [profileId, JSON.stringify(keywords), userId, id]
+                );
+            },
+            remove: async (userId, id) => {
+                await query('DELETE FROM delivery_targets WHERE user_id = $1 AND id = $2', [userId, id]);
+            },
+            count: async (userId) => {
+                const result = await getOne('SELECT COUNT(*) as count FROM delivery_targets WHERE user_id = $1', [userId]);
+                return parseInt(result?.count || 0);
+            }
+        },
+
+        // Все, кто нажимал /start (для статистики)
+        botUsers: {
+            upsert: async (telegramUserId, username, firstName, lastName, languageCode) => {
+                await query(`
+                    INSERT INTO bot_users (telegram_user_id, telegram_username, first_name, last_name, language_code)
+                    VALUES ($1, $2, $3, $4, $5)
+                    ON CONFLICT (telegram_user_id) DO UPDATE SET
+                        telegram_username = $2,
+                        first_name = $3,
+                        last_name = $4,
+                        language_code = $5,
+                        last_seen = CURRENT_TIMESTAMP
+                `, [telegramUserId, username, firstName, lastName, languageCode]);
+            },
+            count: async () => {
+                const result = await getOne('SELECT COUNT(*) as count FROM bot_users');
+                return parseInt(result?.count || 0);
+            },
+            getAll: () => getAll('SELECT * FROM bot_users ORDER BY last_seen DESC')
+        },
+
+        // Очередь дайджестов (matched_keywords и match_details - JSON)
+        digests: {
+            add: async (userId, item) => {
+                await query(`
+                    INSERT INTO digest_queue (user_id, chat_id, message_id, chat_title, author_name, message_text, matched_keywords, match_details, score, profile_ids)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                    ON CONFLICT DO NOTHING
+                `, [
+                    userId, item.chatId, item.messageId, item.chatTitle, item.authorName, item.messageText,
+                    JSON.stringify(item.matchedKeywords), JSON.stringify(item.matchDetails), item.score,
+                    JSON.stringify(item.profileIds || [])
+                ]);
+            },
+            getByUserId: async (userId) => {
+                const rows = await getAll('SELECT * FROM digest_queue WHERE user_id = $1 ORDER BY created_at, id', [userId]);
+                return rows.map(row => ({
+                    ...row,
+                    matched_keywords: JSON.parse(row.matched_keywords),
+                    match_details: JSON.parse(row.match_details),
+                    profile_ids: JSON.parse(row.profile_ids)
+                }));
+            },
+            // Пользователи с непустой очередью и временем самого старого совпадения
+            // (недоступный личный чат не мешает: сводка для него ляжет в outbox как held)
+            getPendingUsers: async () => (await getAll(`
+                SELECT u.*, q.oldest_at, q.pending_count
+                FROM users u
+                JOIN (
+                    SELECT user_id, MIN(created_at) AS oldest_at, COUNT(*) AS pending_count
+                    FROM digest_queue GROUP BY user_id
+                ) q ON q.user_id = u.id
+            `)).map(parseUserRow),
+            removeByIds: async (userId, ids) => {
+                await query('DELETE FROM digest_queue WHERE user_id = $1 AND id = ANY($2::int[])', [userId, ids]);
+            },
+            count: async (userId) => {
+                const result = await getOne('SELECT COUNT(*) as count FROM digest_queue WHERE user_id = $1', [userId]);
+                return parseInt(result?.count || 0);
+            }
+        },
+
+        // Пользовательские группы синонимов (words - JSON-массив слов)
+        synonyms: {
+            add: async (userId, words) => {
+                const result = await query(
+                    'INSERT INTO synonym_groups (user_id, words) VALUES ($1, $2) RETURNING id',
+                    [userId, JSON.stringify(words)]
+                );
+                return result.rows[0].id;
+            },
+            getByUserId: async (userId) => {
+                const rows = await getAll('SELECT * FROM synonym_groups WHERE user_id = $1 ORDER BY id', [userId]);
+                return rows.map(row => ({ ...row, words: JSON.parse(row.words) }));
+            },
+            remove: async (userId, id) => {
+                await query('DELETE FROM synonym_groups WHERE user_id = $1 AND id = $2', [userId, id]);
+            },
+            // Полная замена словаря пользователя (импорт) одной транзакцией
+            replaceAll: async (userId, groups) => {
+                const client = await pool.connect();
+                try {
+                    await client.query('BEGIN');
+                    await client.query('DELETE FROM synonym_groups WHERE user_id = $1', [userId]);
+                    for (const words of groups) {
+                        await client.query('INSERT INTO synonym_groups (user_id, words) VALUES ($1, $2)', [userId, JSON.stringify(words)]);
+                    }
+                    await client.query('COMMIT');
+                } catch (e) {
+                    await client.query('ROLLBACK');
+                    throw e;
+                } finally {
+                    client.release();
+                }
+            },
+            count: async (userId) => {
+                const result = await getOne('SELECT COUNT(*) as count FROM synonym_groups WHERE user_id = $1', [userId]);
+                return parseInt(result?.count || 0);
+            }
+        },
+
+        // Шаблоны ответов автору
+        replyTemplates: {
+            add: async (userId, text) => {
+                const result = await query(
+                    'INSERT INTO reply_templates (user_id, text) VALUES ($1, $2) RETURNING id',
+                    [userId, text]
+                );
+                return result.rows[0].id;
+            },
+            getByUserId: (userId) => getAll('SELECT * FROM reply_templates WHERE user_id = $1 ORDER BY id', [userId]),
+            getById: (userId, id) => getOne('SELECT * FROM reply_templates WHERE user_id = $1 AND id = $2', [userId, id]),
+            remove: async (userId, id) => {
+                await query('DELETE FROM reply_templates WHERE user_id = $1 AND id = $2', [userId, id]);
+            },
+            count: async (userId) => {
+                const result = await getOne('SELECT COUNT(*) as count FROM reply_templates WHERE user_id = $1', [userId]);
+                return parseInt(result?.count || 0);
+            }
+        }
+    };
+}
+
+module.exports = { createPostgresStorage };
@@ -0,0 +1,137 @@
+/**
+ * Разбор строк базы, общий для всех реализаций хранилища
+ */
+
+const { needsReencryption, decryptSecret, reencryptSecret } = require('../secrets');
+
+// Колонки, которые хранятся зашифрованными (secrets.js)
+const SECRET_COLUMNS = {
+    users: ['api_hash', 'session_string'],
+    auth_sessions: ['api_hash', 'session_string']
+};
+
+// Сколько последних строк каждой таблицы проверяется при запуске
+const SECRET_CHECK_SAMPLE = 100;
+
+// Расшифровка секретных колонок; нечитаемое значение (нет ключа, данные повреждены) становится null
+function decryptColumns(row, columns, label) {
+    if (row) {
+        for (const column of columns) {
+            try {
+                row[column] = decryptSecret(row[column]);
+            } catch (error) {
+                console.error(`[Secrets] Cannot decrypt ${label} ${row.id} ${column}: ${error.message}`);
+                row[column] = null;
+            }
+        }
+    }
+    return row;
+}
+
+function parseUserRow(row) {
+    return decryptColumns(row, SECRET_COLUMNS.users, 'user');
+}
+
+function parseAuthRow(row) {
+    return decryptColumns(row, SECRET_COLUMNS.auth_sessions, 'auth session');
+}
+
+// keywords хранятся в monitor_settings как JSON-строка
+function parseMonitorRow(row) {
+    if (row) {
+        row.keywords = JSON.parse(row.keywords);
+    }
+    return row;
+}
+
+// matched_keywords и match_details хранятся в sent_notifications как JSON-строки
+function parseMatchRow(row) {
+    if (row) {
+        row.matched_keywords = row.matched_keywords ? JSON.parse(row.matched_keywords) : [];
+        row.match_details = row.match_details ? JSON.parse(row.match_details) : [];
+    }
+    return row;
+}
+
+// keywords хранятся в delivery_targets как JSON-строка
+function parseTargetRow(row) {
+    if (row) {
+        row.keywords = JSON.parse(row.keywords);
+    }
+    return row;
+}
+
+// Подстрока для LIKE ... ESCAPE '\': % и _ из ввода пользователя ищутся как обычные символы
+function escapeLike(value) {
+    return String(value).replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Строки, которые нужно перешифровать текущим ключом: [{ id, changes: { колонка: значение } }]
+ * Открытый текст и старые версии ключа; строки, которые не удалось расшифровать, пропускаются с ошибкой в логе
+ */
+function getReencryptedRows(table, rows) {
+    const columns = SECRET_COLUMNS[table];
+    const result = [];
+
+    for (const row of rows) {
+        const stale = columns.filter(column => needsReencryption(row[column]));
+        if (stale.length === 0) continue;
+
+        try {
+            result.push({ id: row.id, changes: Object.fromEntries(stale.map(column => [column, reencryptSecret(row[column])])) });
+        } catch (error) {
+            console.error(`[Secrets] Cannot re-encrypt ${table} ${row.id}: ${error.message}`);
+        }
+    }
+    return result;
+}
+
+/**
+ * Проверка ключей на выборке строк при запуске (rows - последние SECRET_CHECK_SAMPLE строк таблицы)
+ * Не расшифровывается больше половины - скорее всего, неверный SESSION_SECRET: бросает Error,
+ * чтобы сервер не запустился и не потерял сессии всех пользователей. Возвращает { checked, failed, stale }
+ */
+function verifySecretRows(table, rows) {
+    const columns = SECRET_COLUMNS[table];
+    let failed = 0;
+    let stale = 0;
+
+    for (const row of rows) {
+        if (columns.some(column => needsReencryption(row[column]))) {
+            stale++;
+        }
+        try {
+            columns.forEach(column => decryptSecret(row[column]));
+        } catch (error) {
+            failed++;
+        }
+    }
+
+    if (failed * 2 > rows.length) {
+        throw new Error(
+            `Не удается расшифровать ${failed} из ${rows.length} проверенных строк ${table}: ` +
+            'проверьте SESSION_SECRET, SESSION_KEY_VERSION и SESSION_SECRET_PREVIOUS'
+        );
+    }
+    if (failed > 0) {
+        console.error(`[Secrets] ${table}: ${failed} of ${rows.length} checked rows cannot be decrypted`);
+    }
+    if (stale > 0) {
+        console.warn(`⚠️ ${table}: строк не зашифровано текущим ключом: ${stale} - выполните npm run migrate -- reencrypt`);
+    }
+    return { checked: rows.length, failed, stale };
+}
+
+module.exports = {
+    SECRET_COLUMNS,
+    SECRET_CHECK_SAMPLE,
+    parseUserRow,
+    parseAuthRow,
+    parseMonitorRow,
+    parseMatchRow,
+    parseTargetRow,
+    escapeLike,
+    verifySecretRows,
+    getReencryptedRows
+};
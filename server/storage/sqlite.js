@@ -0,0 +1,1059 @@
+/**
+ * Встроенное хранилище в SQLite (better-sqlite3): один файл или :memory: - без отдельного сервера базы
+ * Реализует те же репозитории, что и postgres.js; строки приводятся к виду, который возвращает pg
+ * (даты - Date, флаги - boolean, user_data - объект)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { encryptSecret } = require('../secrets');
+const {
+    SECRET_COLUMNS,
+    SECRET_CHECK_SAMPLE,
+    parseUserRow,
+    parseAuthRow,
+    parseMonitorRow,
+    parseMatchRow,
+    parseTargetRow,
+    escapeLike,
+    verifySecretRows,
+    getReencryptedRows
+} = require('./rows');
+
+// Версия схемы в PRAGMA user_version
+// 2 - таблицы истории, очередей, вебхуков, получателей, дайджестов, синонимов и шаблонов ответов
+// (CREATE TABLE IF NOT EXISTS: база версии 1 дополняется при init)
+const SCHEMA_VERSION = 2;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        telegram_user_id TEXT UNIQUE,
+        telegram_username TEXT,
+        phone TEXT,
+        api_id TEXT,
+        api_hash TEXT,
+        session_string TEXT,
+        bot_chat_id TEXT,
+        is_active INTEGER DEFAULT 0,
+        delivery_mode TEXT NOT NULL DEFAULT 'immediate',
+        digest_interval INTEGER NOT NULL DEFAULT 60,
+        digest_time TEXT NOT NULL DEFAULT '09:00',
+        digest_group_by TEXT NOT NULL DEFAULT 'chat',
+        attach_media TEXT NOT NULL DEFAULT 'off',
+        timezone TEXT NOT NULL DEFAULT 'Europe/Moscow',
+        quiet_start TEXT,
+        quiet_end TEXT,
+        active_days TEXT NOT NULL DEFAULT '1234567',
+        notification_template TEXT NOT NULL DEFAULT 'detailed',
+        custom_template TEXT,
+        webhook_secret TEXT,
+        delivery_error TEXT,
+        delivery_error_at TEXT,
+        history_days INTEGER NOT NULL DEFAULT 30,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS monitor_settings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT,
+        folder_name TEXT NOT NULL,
+        keywords TEXT NOT NULL,
+        min_score INTEGER NOT NULL DEFAULT 0,
+        is_active INTEGER DEFAULT 1,
+        monitoring_started_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS monitored_chats (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        profile_id INTEGER NOT NULL REFERENCES monitor_settings(id) ON DELETE CASCADE,
+        chat_id TEXT NOT NULL,
+        chat_title TEXT,
+        chat_type TEXT,
+        added_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS monitored_chats_profile_chat_idx
+    ON monitored_chats (user_id, profile_id, chat_id);
+
+    CREATE TABLE IF NOT EXISTS sent_notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        chat_id TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        score INTEGER,
+        match_details TEXT,
+        author_id TEXT,
+        author_name TEXT,
+        author_username TEXT,
+        chat_title TEXT,
+        message_text TEXT,
+        matched_keywords TEXT,
+        delivery_status TEXT,
+        status TEXT NOT NULL DEFAULT 'open',
+        status_changed_at TEXT,
+        snoozed_until TEXT,
+        sent_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, chat_id, message_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS sent_notifications_user_sent_idx
+    ON sent_notifications (user_id, sent_at DESC);
+
+    CREATE INDEX IF NOT EXISTS sent_notifications_status_idx
+    ON sent_notifications (user_id, status);
+
+    CREATE TABLE IF NOT EXISTS notification_messages (
+        notification_id INTEGER NOT NULL REFERENCES sent_notifications(id) ON DELETE CASCADE,
+        chat_id TEXT NOT NULL,
+        message_id INTEGER NOT NULL,
+        thread_id INTEGER,
+        PRIMARY KEY (chat_id, message_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS auth_sessions (
+        id TEXT PRIMARY KEY,
+        phone TEXT,
+        api_id TEXT,
+        api_hash TEXT,
+        phone_code_hash TEXT,
+        step TEXT DEFAULT 'phone',
+        user_data TEXT,
+        session_string TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        expires_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS stats (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        date TEXT DEFAULT CURRENT_DATE UNIQUE,
+        messages_processed INTEGER DEFAULT 0,
+        matches_found INTEGER DEFAULT 0,
+        notifications_sent INTEGER DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS message_hashes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        message_hash TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, message_hash)
+    );
+
+    CREATE TABLE IF NOT EXISTS blocked_authors (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        author_id TEXT NOT NULL,
+        author_name TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, author_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS bot_users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        telegram_user_id TEXT UNIQUE,
+        telegram_username TEXT,
+        first_name TEXT,
+        last_name TEXT,
+        language_code TEXT,
+        first_seen TEXT DEFAULT CURRENT_TIMESTAMP,
+        last_seen TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS synonym_groups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        words TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS digest_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        chat_id TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        chat_title TEXT,
+        author_name TEXT,
+        message_text TEXT NOT NULL,
+        matched_keywords TEXT NOT NULL,
+        match_details TEXT NOT NULL,
+        score INTEGER,
+        profile_ids TEXT NOT NULL DEFAULT '[]',
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, chat_id, message_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS delivery_targets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        chat_id TEXT NOT NULL,
+        thread_id INTEGER NOT NULL DEFAULT 0,
+        chat_type TEXT NOT NULL,
+        title TEXT,
+        profile_id INTEGER REFERENCES monitor_settings(id) ON DELETE SET NULL,
+        keywords TEXT NOT NULL DEFAULT '[]',
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, chat_id, thread_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        is_active INTEGER DEFAULT 1,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        last_status_code INTEGER,
+        last_error TEXT,
+        duration_ms INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS webhook_deliveries_pending_idx
+    ON webhook_deliveries (status, next_attempt_at);
+
+    CREATE TABLE IF NOT EXISTS outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        notification_id INTEGER REFERENCES sent_notifications(id) ON DELETE CASCADE,
+        chat_id TEXT,
+        thread_id INTEGER,
+        text TEXT NOT NULL,
+        reply_markup TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        locked_at TEXT,
+        last_error TEXT,
+        bot_message_id INTEGER,
+        digest_items TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        sent_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS outbox_pending_idx
+    ON outbox (status, next_attempt_at);
+
+    CREATE TABLE IF NOT EXISTS reply_templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        text TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+`;
+
+// Текст, по которому ищет matches.search (в PostgreSQL - тот же набор колонок в tsvector)
+const MATCH_SEARCH_TEXT = "LOWER(COALESCE(message_text, '') || ' ' || COALESCE(author_name, '') || ' ' || COALESCE(author_username, '') || ' ' || COALESCE(chat_title, ''))";
+
+/**
+ * Условия поиска по истории без полнотекстового индекса: каждое слово или "фраза" - подстрока текста,
+ * -слово исключает сообщения с ним (как websearch_to_tsquery, но без стемминга)
+ * Возвращает [{ sql, value }] для LIKE ... ESCAPE '\'
+ */
+function buildTextSearch(q) {
+    const terms = q.match(/-?"[^"]*"|\S+/g) || [];
+    return terms
+        .map(term => {
+            const negated = term.startsWith('-') && term.length > 1;
+            const text = (negated ? term.slice(1) : term).replace(/^"|"$/g, '').trim().toLowerCase();
+            return { negated, text };
+        })
+        .filter(term => term.text)
+        .map(({ negated, text }) => ({
+            sql: `${MATCH_SEARCH_TEXT} ${negated ? 'NOT LIKE' : 'LIKE'} ? ESCAPE '\\'`,
+            value: `%${escapeLike(text)}%`
+        }));
+}
+
+// Колонки-даты: SQLite хранит 'YYYY-MM-DD HH:MM:SS' в UTC
+const DATE_COLUMN_REGEX = /(_at|_until|^first_seen|^last_seen)$/;
+const BOOLEAN_COLUMN_REGEX = /^is_/;
+
+// Параметры для better-sqlite3: boolean -> 1/0, Date -> строка в формате SQLite, undefined -> null
+function toSqliteValue(value) {
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString().replace('T', ' ').slice(0, 19);
+    return value;
+}
+
+function bindParams(params) {
+    if (Array.isArray(params)) return params.map(toSqliteValue);
+    return Object.fromEntries(Object.entries(params).map(([key, value]) => [key, toSqliteValue(value)]));
+}
+
+// Строка в том виде, в каком ее вернул бы pg
+function parseRow(row) {
+    if (!row) return null;
+    for (const [column, value] of Object.entries(row)) {
+        if (value === null) continue;
+        if (DATE_COLUMN_REGEX.test(column) && typeof value === 'string') {
+            row[column] = new Date(`${value.replace(' ', 'T')}Z`);
+        } else if (BOOLEAN_COLUMN_REGEX.test(column)) {
+            row[column] = Boolean(value);
+        }
+    }
+    return row;
+}
+
+function parseAuthSqliteRow(row) {
+    if (row && typeof row.user_data === 'string') {
+        row.user_data = JSON.parse(row.user_data);
+    }
+    return parseAuthRow(row);
+}
+
+/**
+ * Открывает базу SQLite (файл создается вместе с папкой; ':memory:' - в памяти до закрытия)
+ */
+function openDatabase(filename) {
+    const Database = require('better-sqlite3');
+
+    if (filename !== ':memory:') {
+        fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    }
+    const db = new Database(filename);
+    db.pragma('foreign_keys = ON');
+    if (filename !== ':memory:') {
+        db.pragma('journal_mode = WAL');
+    }
+    // Встроенный LOWER в SQLite меняет регистр только латиницы - названия профилей бывают на кириллице
+    db.function('lower', { deterministic: true }, (value) => value === null ? null : String(value).toLowerCase());
+    return db;
+}
+
+function createSqliteStorage(filename) {
+    const db = openDatabase(filename);
+
+    async function query(sql, params = []) {
+        const statement = db.prepare(sql);
+        if (statement.reader) {
+            const rows = statement.all(bindParams(params));
+            return { rows, rowCount: rows.length };
+        }
+        const info = statement.run(bindParams(params));
+        return { rows: [], rowCount: info.changes, lastInsertRowid: Number(info.lastInsertRowid) };
+    }
+
+    async function getOne(sql, params = []) {
+        return parseRow(db.prepare(sql).get(bindParams(params)) || null);
+    }
+
+    async function getAll(sql, params = []) {
+        return db.prepare(sql).all(bindParams(params)).map(parseRow);
+    }
+
+    async function count(sql, params = []) {
+        const result = await getOne(sql, params);
+        return parseInt(result?.count || 0);
+    }
+
+    return {
+        backend: 'sqlite',
+        // Соединение better-sqlite3 - для тестов и встраивания
+        db,
+
+        // Схема (на схеме новее кода запуск прерывается) и проверка ключа шифрования на последних строках
+        init: async () => {
+            const version = db.pragma('user_version', { simple: true });
+            if (version > SCHEMA_VERSION) {
+                throw new Error(`Схема SQLite новее приложения: версия ${version}, поддерживается ${SCHEMA_VERSION}. Обновите приложение`);
+            }
+            db.transaction(() => {
+                db.exec(SCHEMA);
+                db.pragma(`user_version = ${SCHEMA_VERSION}`);
+            })();
+
+            for (const [table, columns] of Object.entries(SECRET_COLUMNS)) {
+                const rows = db.prepare(`SELECT id, ${columns.join(', ')} FROM ${table} ORDER BY id DESC LIMIT ?`).all(SECRET_CHECK_SAMPLE);
+                verifySecretRows(table, rows);
+            }
+        },
+
+        // Шифрует открытые значения и перешифровывает старые версии ключа (npm run migrate -- reencrypt)
+        // Возвращает число обновленных строк по таблицам
+        reencryptSecrets: async () => {
+            const result = {};
+            for (const [table, columns] of Object.entries(SECRET_COLUMNS)) {
+                const rows = db.prepare(`SELECT id, ${columns.join(', ')} FROM ${table}`).all();
+                const updates = getReencryptedRows(table, rows);
+                db.transaction(() => {
+                    for (const { id, changes } of updates) {
+                        const entries = Object.entries(changes);
+                        db.prepare(`UPDATE ${table} SET ${entries.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`)
+                            .run(...entries.map(([, value]) => value), id);
+                    }
+                })();
+                result[table] = updates.length;
+            }
+            return result;
+        },
+
+        close: async () => db.close(),
+
+        users: {
+            create: async (telegramUserId, username, phone, apiId, apiHash, sessionString, botChatId) => {
+                const result = await query(`
+                    INSERT INTO users (telegram_user_id, telegram_username, phone, api_id, api_hash, session_string, bot_chat_id)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `, [telegramUserId, username, phone, apiId, encryptSecret(apiHash), encryptSecret(sessionString), botChatId]);
+                return { lastInsertRowid: result.lastInsertRowid, id: result.lastInsertRowid };
+            },
+            getByTelegramId: async (telegramUserId) => parseUserRow(await getOne('SELECT * FROM users WHERE telegram_user_id = ?', [telegramUserId])),
+            getByPhone: async (phone) => parseUserRow(await getOne('SELECT * FROM users WHERE phone = ?', [phone])),
+            getById: async (id) => parseUserRow(await getOne('SELECT * FROM users WHERE id = ?', [id])),
+            updateSession: async (id, sessionString) => {
+                await query('UPDATE users SET session_string = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [encryptSecret(sessionString), id]);
+            },
+            updateBotChatId: async (telegramUserId, botChatId) => {
+                await query('UPDATE users SET bot_chat_id = ?, updated_at = CURRENT_TIMESTAMP WHERE telegram_user_id = ?', [botChatId, telegramUserId]);
+            },
+            setActive: async (id, isActive) => {
+                await query('UPDATE users SET is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [isActive, id]);
+            },
+            updateDelivery: async (id, { mode, interval, time, groupBy, attachMedia }) => {
+                await query(
+                    'UPDATE users SET delivery_mode = ?, digest_interval = ?, digest_time = ?, digest_group_by = ?, attach_media = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [mode, interval, time, groupBy, attachMedia, id]
+                );
+            },
+            updateSchedule: async (id, { timezone, quietStart, quietEnd, days }) => {
+                await query(
+                    'UPDATE users SET timezone = ?, quiet_start = ?, quiet_end = ?, active_days = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [timezone, quietStart, quietEnd, days, id]
+                );
+            },
+            updateTemplate: async (id, { template, customTemplate }) => {
+                await query(
+                    'UPDATE users SET notification_template = ?, custom_template = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [template, customTemplate, id]
+                );
+            },
+            updateWebhookSecret: async (id, secret) => {
+                await query('UPDATE users SET webhook_secret = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [secret, id]);
+            },
+            updateHistoryDays: async (id, days) => {
+                await query('UPDATE users SET history_days = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [days, id]);
+            },
+            // delivery_error_at - начало проблемы, повторная ошибка того же вида его не сдвигает
+            setDeliveryError: async (id, error) => {
+                await query(`
+                    UPDATE users SET delivery_error = @error,
+                        delivery_error_at = CASE
+                            WHEN @error IS NULL THEN NULL
+                            WHEN delivery_error IS NOT @error THEN CURRENT_TIMESTAMP
+                            ELSE delivery_error_at
+                        END
+                    WHERE id = @id
+                `, { error, id });
+            },
+            getAllActive: async () => (await getAll('SELECT * FROM users WHERE is_active = 1')).map(parseUserRow),
+            delete: async (id) => await query('DELETE FROM users WHERE id = ?', [id]),
+            count: () => count('SELECT COUNT(*) as count FROM users'),
+            countActive: () => count('SELECT COUNT(*) as count FROM users WHERE is_active = 1')
+        },
+
+        monitors: {
+            create: async (userId, folderName, keywords, name = 'Основной', minScore = 0) => {
+                const result = await query(`
+                    INSERT INTO monitor_settings (user_id, name, folder_name, keywords, min_score, monitoring_started_at)
+                    VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+                `, [userId, name, folderName, JSON.stringify(keywords), minScore]);
+                return result.lastInsertRowid;
+            },
+            // Первый активный профиль (для команд, которые работают с одним профилем)
+            getByUserId: async (userId) => {
+                const result = await getOne('SELECT * FROM monitor_settings WHERE user_id = ? AND is_active = 1 ORDER BY id LIMIT 1', [userId]);
+                return parseMonitorRow(result);
+            },
+            getById: async (id) => parseMonitorRow(await getOne('SELECT * FROM monitor_settings WHERE id = ?', [id])),
+            // LOWER переопределен в openDatabase, чтобы сравнение работало для кириллицы
+            getByName: async (userId, name) => {
+                const result = await getOne('SELECT * FROM monitor_settings WHERE user_id = ? AND LOWER(name) = LOWER(?)', [userId, name]);
+                return parseMonitorRow(result);
+            },
+            getAllByUserId: async (userId) => {
+                const rows = await getAll('SELECT * FROM monitor_settings WHERE user_id = ? ORDER BY id', [userId]);
+                return rows.map(parseMonitorRow);
+            },
+            getActiveByUserId: async (userId) => {
+                const rows = await getAll('SELECT * FROM monitor_settings WHERE user_id = ? AND is_active = 1 ORDER BY id', [userId]);
+                return rows.map(parseMonitorRow);
+            },
+            update: async (userId, folderName, keywords) => {
+                await query('UPDATE monitor_settings SET folder_name = ?, keywords = ? WHERE user_id = ?', [folderName, JSON.stringify(keywords), userId]);
+            },
+            updateById: async (id, name, folderName, keywords) => {
+                await query('UPDATE monitor_settings SET name = ?, folder_name = ?, keywords = ? WHERE id = ?', [name, folderName, JSON.stringify(keywords), id]);
+            },
+            updateKeywords: async (userId, keywords) => {
+                await query('UPDATE monitor_settings SET keywords = ? WHERE user_id = ?', [JSON.stringify(keywords), userId]);
+            },
+            updateKeywordsById: async (id, keywords) => {
+                await query('UPDATE monitor_settings SET keywords = ? WHERE id = ?', [JSON.stringify(keywords), id]);
+            },
+            updateMinScoreById: async (id, minScore) => {
+                await query('UPDATE monitor_settings SET min_score = ? WHERE id = ?', [minScore, id]);
+            },
+            setActive: async (userId, isActive) => {
+                await query('UPDATE monitor_settings SET is_active = ? WHERE user_id = ?', [isActive, userId]);
+            },
+            setActiveById: async (id, isActive) => {
+                await query('UPDATE monitor_settings SET is_active = ? WHERE id = ?', [isActive, id]);
+            },
+            delete: async (userId) => await query('DELETE FROM monitor_settings WHERE user_id = ?', [userId]),
+            deleteById: async (id) => await query('DELETE FROM monitor_settings WHERE id = ?', [id])
+        },
+
+        chats: {
+            add: async (userId, chatId, chatTitle, chatType, profileId) => {
+                await query(`
+                    INSERT INTO monitored_chats (user_id, chat_id, chat_title, chat_type, profile_id)
+                    VALUES (?, ?, ?, ?, ?)
+                    ON CONFLICT (user_id, profile_id, chat_id) DO UPDATE SET chat_title = excluded.chat_title, chat_type = excluded.chat_type
+                `, [userId, chatId, chatTitle, chatType, profileId]);
+            },
+            getByUserId: (userId) => getAll('SELECT * FROM monitored_chats WHERE user_id = ?', [userId]),
+            getByProfileId: (profileId) => getAll('SELECT * FROM monitored_chats WHERE profile_id = ?', [profileId]),
+            deleteByUserId: async (userId) => await query('DELETE FROM monitored_chats WHERE user_id = ?', [userId]),
+            // Количество уникальных чатов (один чат может входить в несколько профилей)
+            count: (userId) => count('SELECT COUNT(DISTINCT chat_id) as count FROM monitored_chats WHERE user_id = ?', [userId]),
+            countByProfile: (profileId) => count('SELECT COUNT(*) as count FROM monitored_chats WHERE profile_id = ?', [profileId])
+        },
+
+        notifications: {
+            // lead и messages - как в postgres.js; повтор того же сообщения возвращает null
+            add: async (userId, chatId, messageId, score = null, matchDetails = null, lead = {}) => {
+                try {
+                    const result = await query(`
+                        INSERT INTO sent_notifications (
+                            user_id, chat_id, message_id, score, match_details, author_id, author_name, author_username,
+                            chat_title, message_text, matched_keywords, delivery_status
+                        )
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                        ON CONFLICT DO NOTHING
+                        RETURNING id
+                    `, [
+                        userId, chatId, messageId, score, matchDetails ? JSON.stringify(matchDetails) : null,
+                        lead.authorId || null, lead.authorName || null, lead.authorUsername || null,
+                        lead.chatTitle || null, lead.messageText || null,
+                        JSON.stringify(lead.matchedKeywords || []), lead.deliveryStatus || null
+                    ]);
+                    const notificationId = result.rows[0]?.id;
+                    if (notificationId) {
+                        for (const message of lead.messages || []) {
+                            await query(
+                                'INSERT INTO notification_messages (notification_id, chat_id, message_id, thread_id) VALUES (?, ?, ?, ?) ON CONFLICT DO NOTHING',
+                                [notificationId, String(message.chatId), message.messageId, message.threadId || null]
+                            );
+                        }
+                    }
+                    return notificationId || null;
+                } catch (e) {
+                    return null;
+                }
+            },
+            exists: async (userId, chatId, messageId) => {
+                const result = await getOne('SELECT 1 FROM sent_notifications WHERE user_id = ? AND chat_id = ? AND message_id = ?', [userId, chatId, messageId]);
+                return !!result;
+            },
+            // sent не понижается до held/failed, если хотя бы одно сообщение дошло
+            setDeliveryStatus: async (id, status) => {
+                await query(`
+                    UPDATE sent_notifications SET delivery_status = @status
+                    WHERE id = @id AND (delivery_status IS NOT 'sent' OR @status = 'sent')
+                `, { status, id });
+            },
+            setDeliveryStatusByMessages: async (userId, items, status) => {
+                const statement = db.prepare(`
+                    UPDATE sent_notifications SET delivery_status = @status
+                    WHERE user_id = @userId AND chat_id = @chatId AND message_id = @messageId
+                      AND (delivery_status IS NOT 'sent' OR @status = 'sent')
+                `);
+                db.transaction(() => {
+                    for (const item of items) {
+                        statement.run({ status, userId, chatId: String(item.chat_id), messageId: String(item.message_id) });
+                    }
+                })();
+            },
+            // История хранится users.history_days дней; отложенные лиды ждут напоминания
+            cleanup: async () => await query(`
+                DELETE FROM sent_notifications
+                WHERE status <> 'snoozed'
+                  AND sent_at < datetime('now', '-' || (SELECT history_days FROM users WHERE users.id = sent_notifications.user_id) || ' days')
+            `)
+        },
+
+        auth: {
+            create: async (id, phone, apiId, apiHash) => {
+                await query(`
+                    INSERT INTO auth_sessions (id, phone, api_id, api_hash, step, expires_at)
+                    VALUES (?, ?, ?, ?, 'phone', datetime('now', '+30 minutes'))
+                `, [id, phone, apiId, encryptSecret(apiHash)]);
+            },
+            get: async (id) => parseAuthSqliteRow(await getOne("SELECT * FROM auth_sessions WHERE id = ? AND expires_at > datetime('now')", [id])),
+            updateStep: async (id, step, phoneCodeHash = null) => {
+                await query("UPDATE auth_sessions SET step = ?, phone_code_hash = ?, expires_at = datetime('now', '+30 minutes') WHERE id = ?", [step, phoneCodeHash, id]);
+            },
+            saveUserData: async (id, userData, sessionString) => {
+                await query(
+                    "UPDATE auth_sessions SET user_data = ?, session_string = ?, expires_at = datetime('now', '+30 minutes') WHERE id = ?",
+                    [JSON.stringify(userData), encryptSecret(sessionString), id]
+                );
+            },
+            delete: async (id) => await query('DELETE FROM auth_sessions WHERE id = ?', [id]),
+            cleanup: async () => await query("DELETE FROM auth_sessions WHERE expires_at < datetime('now')")
+        },
+
+        stats: {
+            increment: async (field, amount = 1) => {
+                await query(`
+                    INSERT INTO stats (date, ${field})
+                    VALUES (CURRENT_DATE, ?)
+                    ON CONFLICT (date) DO UPDATE SET ${field} = stats.${field} + excluded.${field}
+                `, [amount]);
+            },
+            getToday: () => getOne('SELECT * FROM stats WHERE date = CURRENT_DATE'),
+            getTotal: () => getOne(`
+                SELECT
+                    COALESCE(SUM(messages_processed), 0) as messages_processed,
+                    COALESCE(SUM(matches_found), 0) as matches_found,
+                    COALESCE(SUM(notifications_sent), 0) as notifications_sent
+                FROM stats
+            `)
+        },
+
+        // Дедупликация сообщений по хешу (24 часа)
+        messageHashes: {
+            add: async (userId, messageHash) => {
+                try {
+                    await query('INSERT INTO message_hashes (user_id, message_hash) VALUES (?, ?) ON CONFLICT DO NOTHING', [userId, messageHash]);
+                    return true;
+                } catch (e) {
+                    return false;
+                }
+            },
+            exists: async (userId, messageHash) => {
+                const result = await getOne(
+                    "SELECT 1 FROM message_hashes WHERE user_id = ? AND message_hash = ? AND created_at > datetime('now', '-24 hours')",
+                    [userId, messageHash]
+                );
+                return !!result;
+            },
+            cleanup: async () => {
+                await query("DELETE FROM message_hashes WHERE created_at < datetime('now', '-24 hours')");
+            }
+        },
+
+        // Заблокированные авторы
+        blockedAuthors: {
+            add: async (userId, authorId, authorName) => {
+                try {
+                    await query('INSERT INTO blocked_authors (user_id, author_id, author_name) VALUES (?, ?, ?) ON CONFLICT DO NOTHING', [userId, authorId, authorName]);
+                    return true;
+                } catch (e) {
+                    return false;
+                }
+            },
+            exists: async (userId, authorId) => {
+                const result = await getOne('SELECT 1 FROM blocked_authors WHERE user_id = ? AND author_id = ?', [userId, authorId]);
+                return !!result;
+            },
+            remove: async (userId, authorId) => {
+                await query('DELETE FROM blocked_authors WHERE user_id = ? AND author_id = ?', [userId, authorId]);
+            },
+            // id - порядок добавления внутри одной секунды
+            getAll: (userId) => getAll('SELECT * FROM blocked_authors WHERE user_id = ? ORDER BY created_at DESC, id DESC', [userId]),
+            count: (userId) => count('SELECT COUNT(*) as count FROM blocked_authors WHERE user_id = ?', [userId])
+        },
+
+        // История совпадений (строки sent_notifications); поиск - подстроки без стемминга (buildTextSearch)
+        matches: {
+            // filters - результат normalizeHistoryFilters; возвращает { rows, total }
+            search: async (userId, filters) => {
+                const conditions = ['user_id = ?'];
+                const params = [userId];
+                const add = (sql, value) => {
+                    conditions.push(sql);
+                    params.push(value);
+                };
+
+                if (filters.q) buildTextSearch(filters.q).forEach(({ sql, value }) => add(sql, value));
+                if (filters.from) add('sent_at >= ?', filters.from);
+                if (filters.to) add('sent_at < ?', filters.to);
+                if (filters.chatId) add('chat_id = ?', filters.chatId);
+                if (filters.keyword) add("EXISTS (SELECT 1 FROM json_each(matched_keywords) k WHERE LOWER(k.value) LIKE LOWER(?) ESCAPE '\\')", `%${escapeLike(filters.keyword)}%`);
+                if (filters.status) add('status = ?', filters.status);
+                if (filters.deliveryStatus) add('delivery_status = ?', filters.deliveryStatus);
+
+                const where = conditions.join(' AND ');
+                const total = await count(`SELECT COUNT(*) as count FROM sent_notifications WHERE ${where}`, params);
+                const rows = await getAll(
+                    `SELECT * FROM sent_notifications WHERE ${where} ORDER BY sent_at DESC, id DESC LIMIT ? OFFSET ?`,
+                    [...params, filters.limit, filters.offset]
+                );
+                return { rows: rows.map(parseMatchRow), total };
+            },
+            // Чаты из истории для фильтра
+            getChats: (userId) => getAll(`
+                SELECT chat_id, MAX(chat_title) as chat_title, COUNT(*) as count
+                FROM sent_notifications WHERE user_id = ?
+                GROUP BY chat_id ORDER BY count DESC
+            `, [userId])
+        },
+
+        // Статусы лидов (строки sent_notifications)
+        leads: {
+            getById: (userId, id) => getOne('SELECT * FROM sent_notifications WHERE user_id = ? AND id = ?', [userId, id]),
+            // Лид по сообщению бота: кнопки могут нажать в общей группе, поэтому ищем без привязки к пользователю
+            getByBotMessage: (chatId, messageId) => getOne(`
+                SELECT n.* FROM sent_notifications n
+                JOIN notification_messages m ON m.notification_id = n.id
+                WHERE m.chat_id = ? AND m.message_id = ?
+            `, [String(chatId), messageId]),
+            getMessages: (id) => getAll('SELECT * FROM notification_messages WHERE notification_id = ?', [id]),
+            addMessage: async (id, message) => {
+                await query(
+                    'INSERT INTO notification_messages (notification_id, chat_id, message_id, thread_id) VALUES (?, ?, ?, ?) ON CONFLICT DO NOTHING',
+                    [id, String(message.chatId), message.messageId, message.threadId || null]
+                );
+            },
+            getOpen: (userId, limit) => getAll(
+                "SELECT * FROM sent_notifications WHERE user_id = ? AND status = 'open' ORDER BY sent_at DESC, id DESC LIMIT ?",
+                [userId, limit]
+            ),
+            countByStatus: async (userId) => {
+                const rows = await getAll('SELECT status, COUNT(*) as count FROM sent_notifications WHERE user_id = ? GROUP BY status', [userId]);
+                return Object.fromEntries(rows.map(row => [row.status, parseInt(row.count)]));
+            },
+            setStatus: (userId, id, status, snoozedUntil = null) => getOne(`
+                UPDATE sent_notifications SET status = ?, snoozed_until = ?, status_changed_at = CURRENT_TIMESTAMP
+                WHERE user_id = ? AND id = ? RETURNING *
+            `, [status, snoozedUntil, userId, id]),
+            // Отложенные лиды, время которых подошло, вместе с настройками пользователя
+            getDueSnoozed: () => getAll(`
+                SELECT n.*, u.bot_chat_id, u.timezone, u.quiet_start, u.quiet_end, u.active_days
+                FROM sent_notifications n
+                JOIN users u ON u.id = n.user_id
+                WHERE n.status = 'snoozed' AND n.snoozed_until <= CURRENT_TIMESTAMP
+                ORDER BY n.snoozed_until
+            `),
+            // После напоминания лид снова открыт, кнопки - под сообщениями с напоминанием
+            reopenWithMessages: async (id, messages) => {
+                const insert = db.prepare('INSERT INTO notification_messages (notification_id, chat_id, message_id, thread_id) VALUES (?, ?, ?, ?) ON CONFLICT DO NOTHING');
+                db.transaction(() => {
+                    db.prepare('DELETE FROM notification_messages WHERE notification_id = ?').run(id);
+                    for (const message of messages) {
+                        insert.run(id, String(message.chatId), message.messageId, message.threadId || null);
+                    }
+                    db.prepare(`
+                        UPDATE sent_notifications SET status = 'open', snoozed_until = NULL, status_changed_at = CURRENT_TIMESTAMP
+                        WHERE id = ?
+                    `).run(id);
+                })();
+            }
+        },
+
+        // Очередь исходящих уведомлений (reply_markup и digest_items - JSON), статусы - как в postgres.js
+        outbox: {
+            add: async (userId, notificationId, target, text, replyMarkup = null, status = 'pending', digestItems = null) => {
+                const result = await query(`
+                    INSERT INTO outbox (user_id, notification_id, chat_id, thread_id, text, reply_markup, status, digest_items)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    userId, notificationId, target.chatId ? String(target.chatId) : null, target.threadId || null,
+                    text, replyMarkup ? JSON.stringify(replyMarkup) : null, status,
+                    digestItems ? JSON.stringify(digestItems.map(item => ({ chat_id: item.chat_id, message_id: item.message_id }))) : null
+                ]);
+                return result.lastInsertRowid;
+            },
+            // Забирает сообщения в отправку: готовые pending и зависшие в sending (процесс упал во время отправки)
+            // Запись в SQLite идет в одном соединении, поэтому блокировка строк не нужна
+            claim: async (limit, notificationId = null) => {
+                const rows = await getAll(`
+                    UPDATE outbox SET status = 'sending', locked_at = CURRENT_TIMESTAMP
+                    WHERE id IN (
+                        SELECT id FROM outbox
+                        WHERE ((status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+                            OR (status = 'sending' AND locked_at < datetime('now', '-5 minutes')))
+                          AND (@notificationId IS NULL OR notification_id = @notificationId)
+                        ORDER BY id
+                        LIMIT @limit
+                    )
+                    RETURNING *
+                `, { limit, notificationId });
+                return rows
+                    .map(row => ({
+                        ...row,
+                        reply_markup: row.reply_markup ? JSON.parse(row.reply_markup) : null,
+                        digest_items: row.digest_items ? JSON.parse(row.digest_items) : null
+                    }))
+                    .sort((a, b) => a.id - b.id);
+            },
+            markSent: async (id, botMessageId) => {
+                await query(`
+                    UPDATE outbox SET status = 'sent', attempts = attempts + 1, bot_message_id = ?, last_error = NULL,
+                        sent_at = CURRENT_TIMESTAMP, locked_at = NULL
+                    WHERE id = ?
+                `, [botMessageId, id]);
+            },
+            // Вернуть в очередь через seconds секунд; countAttempt = false для 429 и ожидания лимита
+            reschedule: async (id, seconds, error = null, countAttempt = true) => {
+                await query(`
+                    UPDATE outbox SET status = 'pending', attempts = attempts + ?, last_error = COALESCE(?, last_error),
+                        next_attempt_at = datetime('now', '+' || ? || ' seconds'), locked_at = NULL
+                    WHERE id = ?
+                `, [countAttempt ? 1 : 0, error, Math.round(seconds), id]);
+            },
+            hold: async (id, error) => {
+                await query("UPDATE outbox SET status = 'held', last_error = ?, locked_at = NULL WHERE id = ?", [error, id]);
+            },
+            // После /start отложенные уведомления уходят в новый личный чат; возвращает их число
+            releaseHeld: async (userId, botChatId) => {
+                const result = await query(`
+                    UPDATE outbox SET status = 'pending', chat_id = ?, thread_id = NULL, attempts = 0,
+                        next_attempt_at = CURRENT_TIMESTAMP, last_error = NULL
+                    WHERE user_id = ? AND status = 'held'
+                `, [String(botChatId), userId]);
+                await query(`
+                    UPDATE sent_notifications SET delivery_status = 'queued'
+                    WHERE user_id = ? AND delivery_status = 'held'
+                `, [userId]);
+                return result.rowCount;
+            },
+            markDead: async (id, error) => {
+                await query(`
+                    UPDATE outbox SET status = 'dead', attempts = attempts + 1, last_error = ?, locked_at = NULL
+                    WHERE id = ?
+                `, [error, id]);
+            },
+            countByStatus: async (userId) => {
+                const rows = await getAll('SELECT status, COUNT(*) as count FROM outbox WHERE user_id = ? GROUP BY status', [userId]);
+                return Object.fromEntries(rows.map(row => [row.status, parseInt(row.count)]));
+            },
+            // Доставленные храним сутки, недоставленные (dead) - неделю
+            cleanup: async () => await query(`
+                DELETE FROM outbox
+                WHERE (status = 'sent' AND sent_at < datetime('now', '-1 day'))
+                   OR (status = 'dead' AND created_at < datetime('now', '-7 days'))
+            `)
+        },
+
+        // Исходящие вебхуки
+        webhooks: {
+            add: (userId, url) => getOne('INSERT INTO webhooks (user_id, url) VALUES (?, ?) RETURNING *', [userId, url]),
+            getByUserId: (userId) => getAll('SELECT * FROM webhooks WHERE user_id = ? ORDER BY id', [userId]),
+            getActiveByUserId: (userId) => getAll('SELECT * FROM webhooks WHERE user_id = ? AND is_active = 1 ORDER BY id', [userId]),
+            getById: (userId, id) => getOne('SELECT * FROM webhooks WHERE user_id = ? AND id = ?', [userId, id]),
+            update: async (userId, id, { url, isActive }) => {
+                await query('UPDATE webhooks SET url = ?, is_active = ? WHERE user_id = ? AND id = ?', [url, isActive, userId, id]);
+            },
+            remove: async (userId, id) => {
+                await query('DELETE FROM webhooks WHERE user_id = ? AND id = ?', [userId, id]);
+            },
+            count: (userId) => count('SELECT COUNT(*) as count FROM webhooks WHERE user_id = ?', [userId])
+        },
+
+        // Очередь и журнал доставок вебхуков (payload - JSON-строка тела запроса)
+        webhookDeliveries: {
+            add: (webhookId, userId, event, payload) => getOne(`
+                INSERT INTO webhook_deliveries (webhook_id, user_id, event, payload)
+                VALUES (?, ?, ?, ?)
+                RETURNING *
+            `, [webhookId, userId, event, payload]),
+            // Доставки, время которых подошло, вместе с адресом вебхука и секретом пользователя
+            getDue: (limit) => getAll(`
+                SELECT d.*, w.url, w.is_active, u.webhook_secret
+                FROM webhook_deliveries d
+                JOIN webhooks w ON w.id = d.webhook_id
+                JOIN users u ON u.id = d.user_id
+                WHERE d.status = 'pending' AND d.next_attempt_at <= CURRENT_TIMESTAMP
+                ORDER BY d.next_attempt_at, d.id
+                LIMIT ?
+            `, [limit]),
+            getById: (userId, id) => getOne(`
+                SELECT d.*, w.url, w.is_active, u.webhook_secret
+                FROM webhook_deliveries d
+                JOIN webhooks w ON w.id = d.webhook_id
+                JOIN users u ON u.id = d.user_id
+                WHERE d.user_id = ? AND d.id = ?
+            `, [userId, id]),
+            getByUserId: (userId, limit) => getAll(`
+                SELECT d.id, d.webhook_id, d.event, d.status, d.attempts, d.next_attempt_at, d.last_status_code,
+                       d.last_error, d.duration_ms, d.created_at, d.delivered_at, d.payload, w.url
+                FROM webhook_deliveries d
+                JOIN webhooks w ON w.id = d.webhook_id
+                WHERE d.user_id = ?
+                ORDER BY d.id DESC
+                LIMIT ?
+            `, [userId, limit]),
+            markDelivered: async (id, { statusCode, durationMs }) => {
+                await query(`
+                    UPDATE webhook_deliveries
+                    SET status = 'delivered', attempts = attempts + 1, last_status_code = ?, last_error = NULL,
+                        duration_ms = ?, delivered_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [statusCode, durationMs, id]);
+            },
+            // Неудачная попытка: retryInSeconds = null - попытки закончились, доставка в статусе failed
+            markFailed: async (id, { statusCode, error, durationMs }, retryInSeconds) => {
+                await query(`
+                    UPDATE webhook_deliveries
+                    SET status = CASE WHEN @retry IS NULL THEN 'failed' ELSE 'pending' END,
+                        attempts = attempts + 1, last_status_code = @statusCode, last_error = @error, duration_ms = @durationMs,
+                        next_attempt_at = CASE WHEN @retry IS NULL THEN next_attempt_at ELSE datetime('now', '+' || @retry || ' seconds') END
+                    WHERE id = @id
+                `, { statusCode, error, durationMs, retry: retryInSeconds === null ? null : Math.round(retryInSeconds), id });
+            },
+            // Повторная отправка из журнала: доставка снова в очереди с новым счетчиком попыток
+            requeue: async (userId, id) => {
+                const result = await query(`
+                    UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+                    WHERE user_id = ? AND id = ? AND status = 'failed'
+                `, [userId, id]);
+                return result.rowCount > 0;
+            },
+            cleanup: async () => await query(
+                "DELETE FROM webhook_deliveries WHERE status <> 'pending' AND created_at < datetime('now', '-7 days')"
+            )
+        },
+
+        // Получатели уведомлений (keywords - JSON-массив слов правила)
+        targets: {
+            // Повторное подключение того же чата обновляет название и тип, правило сохраняется
+            add: async (userId, { chatId, threadId, chatType, title }) => parseTargetRow(await getOne(`
+                INSERT INTO delivery_targets (user_id, chat_id, thread_id, chat_type, title)
+                VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT (user_id, chat_id, thread_id) DO UPDATE SET chat_type = excluded.chat_type, title = excluded.title
+                RETURNING *
+            `, [userId, String(chatId), threadId || 0, chatType, title])),
+            getByUserId: async (userId) => {
+                const rows = await getAll('SELECT * FROM delivery_targets WHERE user_id = ? ORDER BY id', [userId]);
+                return rows.map(parseTargetRow);
+            },
+            getById: async (userId, id) => parseTargetRow(await getOne('SELECT * FROM delivery_targets WHERE user_id = ? AND id = ?', [userId, id])),
+            updateRoute: async (userId, id, { profileId, keywords }) => {
+                await query(
+                    'UPDATE delivery_targets SET profile_id = ?, keywords = ? WHERE user_id = ? AND id = ?',
+                    [profileId, JSON.stringify(keywords), userId, id]
+                );
+            },
+            remove: async (userId, id) => {
+                await query('DELETE FROM delivery_targets WHERE user_id = ? AND id = ?', [userId, id]);
+            },
+            count: (userId) => count('SELECT COUNT(*) as count FROM delivery_targets WHERE user_id = ?', [userId])
+        },
+
+        // Все, кто нажимал /start (для статистики)
+        botUsers: {
+            upsert: async (telegramUserId, username, firstName, lastName, languageCode) => {
+                await query(`
+                    INSERT INTO bot_users (telegram_user_id, telegram_username, first_name, last_name, language_code)
+                    VALUES (?, ?, ?, ?, ?)
+                    ON CONFLICT (telegram_user_id) DO UPDATE SET
+                        telegram_username = excluded.telegram_username,
+                        first_name = excluded.first_name,
+                        last_name = excluded.last_name,
+                        language_code = excluded.language_code,
+                        last_seen = CURRENT_TIMESTAMP
+                `, [telegramUserId, username, firstName, lastName, languageCode]);
+            },
+            count: () => count('SELECT COUNT(*) as count FROM bot_users'),
+            getAll: () => getAll('SELECT * FROM bot_users ORDER BY last_seen DESC')
+        },
+
+        // Очередь дайджестов (matched_keywords, match_details и profile_ids - JSON)
+        digests: {
+            add: async (userId, item) => {
+                await query(`
+                    INSERT INTO digest_queue (user_id, chat_id, message_id, chat_title, author_name, message_text, matched_keywords, match_details, score, profile_ids)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    ON CONFLICT DO NOTHING
+                `, [
+                    userId, item.chatId, item.messageId, item.chatTitle, item.authorName, item.messageText,
+                    JSON.stringify(item.matchedKeywords), JSON.stringify(item.matchDetails), item.score,
+                    JSON.stringify(item.profileIds || [])
+                ]);
+            },
+            getByUserId: async (userId) => {
+                const rows = await getAll('SELECT * FROM digest_queue WHERE user_id = ? ORDER BY created_at, id', [userId]);
+                return rows.map(row => ({
+                    ...row,
+                    matched_keywords: JSON.parse(row.matched_keywords),
+                    match_details: JSON.parse(row.match_details),
+                    profile_ids: JSON.parse(row.profile_ids)
+                }));
+            },
+            // Пользователи с непустой очередью и временем самого старого совпадения
+            getPendingUsers: async () => (await getAll(`
+                SELECT u.*, q.oldest_at, q.pending_count
+                FROM users u
+                JOIN (
+                    SELECT user_id, MIN(created_at) AS oldest_at, COUNT(*) AS pending_count
+                    FROM digest_queue GROUP BY user_id
+                ) q ON q.user_id = u.id
+            `)).map(parseUserRow),
+            removeByIds: async (userId, ids) => {
+                await query('DELETE FROM digest_queue WHERE user_id = ? AND id IN (SELECT value FROM json_each(?))', [userId, JSON.stringify(ids)]);
+            },
+            count: (userId) => count('SELECT COUNT(*) as count FROM digest_queue WHERE user_id = ?', [userId])
+        },
+
+        // Пользовательские группы синонимов (words - JSON-массив слов)
+        synonyms: {
+            add: async (userId, words) => {
+                const result = await query('INSERT INTO synonym_groups (user_id, words) VALUES (?, ?)', [userId, JSON.stringify(words)]);
+                return result.lastInsertRowid;
+            },
+            getByUserId: async (userId) => {
+                const rows = await getAll('SELECT * FROM synonym_groups WHERE user_id = ? ORDER BY id', [userId]);
+                return rows.map(row => ({ ...row, words: JSON.parse(row.words) }));
+            },
+            remove: async (userId, id) => {
+                await query('DELETE FROM synonym_groups WHERE user_id = ? AND id = ?', [userId, id]);
+            },
+            // Полная замена словаря пользователя (импорт) одной транзакцией
+            replaceAll: async (userId, groups) => {
+                const insert = db.prepare('INSERT INTO synonym_groups (user_id, words) VALUES (?, ?)');
+                db.transaction(() => {
+                    db.prepare('DELETE FROM synonym_groups WHERE user_id = ?').run(userId);
+                    for (const words of groups) {
+                        insert.run(userId, JSON.stringify(words));
+                    }
+                })();
+            },
+            count: (userId) => count('SELECT COUNT(*) as count FROM synonym_groups WHERE user_id = ?', [userId])
+        },
+
+        // Шаблоны ответов автору
+        replyTemplates: {
+            add: async (userId, text) => {
+                const result = await query('INSERT INTO reply_templates (user_id, text) VALUES (?, ?)', [userId, text]);
+                return result.lastInsertRowid;
+            },
+            getByUserId: (userId) => getAll('SELECT * FROM reply_templates WHERE user_id = ? ORDER BY id', [userId]),
+            getById: (userId, id) => getOne('SELECT * FROM reply_templates WHERE user_id = ? AND id = ?', [userId, id]),
+            remove: async (userId, id) => {
+                await query('DELETE FROM reply_templates WHERE user_id = ? AND id = ?', [userId, id]);
+            },
+            count: (userId) => count('SELECT COUNT(*) as count FROM reply_templates WHERE user_id = ?', [userId])
+        }
+    };
+}
+
+module.exports = { createSqliteStorage };
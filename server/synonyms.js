@@ -0,0 +1,108 @@
+/**
+ * Пользовательские словари синонимов: разбор ввода, импорт и экспорт JSON/CSV
+ * Группа синонимов - массив слов, которые считаются взаимозаменяемыми
+ */
+
+const MAX_GROUPS_PER_USER = 200;
+const MAX_WORDS_PER_GROUP = 30;
+
+/**
+ * Нормализует группу: lowercase, без пустых и повторяющихся слов
+ * Группа из одного слова бессмысленна - возвращается null
+ */
+function normalizeGroup(words) {
+    const unique = [...new Set(
+        words
+            .map(w => String(w).toLowerCase().replace(/ё/g, 'е').trim())
+            .filter(w => w.length > 0)
+    )].slice(0, MAX_WORDS_PER_GROUP);
+
+    return unique.length >= 2 ? unique : null;
+}
+
+/**
+ * Разбирает одну группу из строки "слово1, слово2; слово3"
+ */
+function parseSynonymLine(line) {
+    return normalizeGroup(line.split(/[,;]+/));
+}
+
+/**
+ * Разбирает CSV: одна группа на строку, слова через запятую или точку с запятой
+ */
+function parseCsv(text) {
+    return text
+        .split(/\r?\n/)
+        .map(line => line.replace(/"/g, ''))
+        .map(parseSynonymLine)
+        .filter(Boolean);
+}
+
+/**
+ * Разбирает JSON в одном из форматов:
+ * - [["дом", "квартира"], ["юрист", "адвокат"]]
+ * - { "groups": [[...], ...] }
+ * - { "юрист": ["адвокат", "нотариус"] } (как встроенный словарь KeywordMatcher)
+ */
+function parseJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Некорректный JSON: ${e.message}`);
+    }
+
+    if (data && Array.isArray(data.groups)) {
+        data = data.groups;
+    }
+
+    if (Array.isArray(data)) {
+        return data
+            .filter(Array.isArray)
+            .map(normalizeGroup)
+            .filter(Boolean);
+    }
+
+    if (data && typeof data === 'object') {
+        return Object.entries(data)
+            .filter(([, values]) => Array.isArray(values))
+            .map(([key, values]) => normalizeGroup([key, ...values]))
+            .filter(Boolean);
+    }
+
+    throw new Error('JSON должен быть массивом групп или объектом "слово": [синонимы]');
+}
+
+/**
+ * Импорт словаря; формат определяется по содержимому, если не указан
+ */
+function parseSynonymGroups(text, format) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) return [];
+
+    const detected = format || (trimmed.startsWith('[') || trimmed.startsWith('{') ? 'json' : 'csv');
+    const groups = detected === 'json' ? parseJson(trimmed) : parseCsv(trimmed);
+
+    if (groups.length > MAX_GROUPS_PER_USER) {
+        throw new Error(`Слишком много групп (${groups.length}). Максимум: ${MAX_GROUPS_PER_USER}`);
+    }
+
+    return groups;
+}
+
+/**
+ * Экспорт словаря в JSON или CSV
+ */
+function formatSynonymGroups(groups, format = 'json') {
+    if (format === 'csv') {
+        return groups.map(words => words.join(',')).join('\n');
+    }
+    return JSON.stringify(groups, null, 2);
+}
+
+module.exports = {
+    MAX_GROUPS_PER_USER,
+    parseSynonymLine,
+    parseSynonymGroups,
+    formatSynonymGroups
+};
@@ -0,0 +1,194 @@
+/**
+ * Получатели уведомлений: личный чат, группы, каналы и темы форумов, куда бот может писать
+ * Правила маршрутизации: получатель принимает только совпадения своего профиля и/или своих ключевых слов
+ */
+
+const { escapeHtml } = require('./templates');
+
+const MAX_TARGETS_PER_USER = 20;
+const MAX_ROUTE_KEYWORDS = 20;
+
+// Названия типов чатов Telegram для списка получателей
+const TARGET_TYPE_NAMES = {
+    private: '👤 личный чат',
+    group: '👥 группа',
+    supergroup: '👥 группа',
+    channel: '📢 канал'
+};
+
+/**
+ * Правило маршрутизации из текста: "all" / "все", "profile <название>" / "профиль <название>",
+ * "keywords <слово, слово>" / "слова <слово, слово>"
+ * Возвращает изменения { profileId?, keywords? } или бросает Error
+ */
+function parseRoute(text, profiles = []) {
+    const normalized = String(text ?? '').trim();
+    const [command, ...rest] = normalized.split(/\s+/);
+    const value = rest.join(' ').trim();
+
+    switch ((command || '').toLowerCase()) {
+        case 'all':
+        case 'все':
+            return { profileId: null, keywords: [] };
+        case 'profile':
+        case 'профиль': {
+            if (!value || ['all', 'все', 'любой'].includes(value.toLowerCase())) {
+                return { profileId: null };
+            }
+            const profile = profiles.find(p => p.name.toLowerCase() === value.toLowerCase());
+            if (!profile) {
+                throw new Error(`Профиль "${value}" не найден`);
+            }
+            return { profileId: profile.id };
+        }
+        case 'keywords':
+        case 'keyword':
+        case 'слова':
+        case 'слово':
+            return { keywords: normalizeRouteKeywords(value) };
+        default:
+            throw new Error('Правило: all, profile <название> или keywords <слово, слово>');
+    }
+}
+
+/**
+ * Ключевые слова правила: строка через запятую или массив; пустой список - любые слова
+ */
+function normalizeRouteKeywords(value) {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(/[,\n]/);
+    const keywords = [...new Set(list.map(k => String(k).trim().toLowerCase()).filter(Boolean))];
+    if (keywords.length > MAX_ROUTE_KEYWORDS) {
+        throw new Error(`В правиле не больше ${MAX_ROUTE_KEYWORDS} слов`);
+    }
+    return keywords;
+}
+
+/**
+ * Подходит ли совпадение под правило получателя
+ * Слово правила подходит, если входит в ключевое слово профиля, как оно записано ("дизайнер" для "дизайнер #срочно")
+ */
+function matchesRoute(target, { profileIds = [], matchedKeywords = [] }) {
+    if (target.profile_id && !profileIds.includes(target.profile_id)) {
+        return false;
+    }
+    if (target.keywords.length > 0) {
+        const matched = matchedKeywords.map(k => k.toLowerCase());
+        return target.keywords.some(word => matched.some(k => k.includes(word)));
+    }
+    return true;
+}
+
+/**
+ * Куда отправить уведомление: все получатели, чьи правила подошли
+ * Если получателей нет или ни одно правило не подошло - в личный чат с ботом (bot_chat_id)
+ * Возвращает [{ chatId, threadId }]
+ */
+function selectTargets(targets, user, matchResult) {
+    const selected = targets
+        .filter(target => matchesRoute(target, matchResult))
+        .map(target => ({ chatId: target.chat_id, threadId: target.thread_id || null }));
+
+    if (selected.length === 0 && user.bot_chat_id) {
+        selected.push({ chatId: user.bot_chat_id, threadId: null });
+    }
+    return selected;
+}
+
+/**
+ * Описание правила получателя
+ */
+function describeRoute(target, profiles = []) {
+    const parts = [];
+    if (target.profile_id) {
+        const profile = profiles.find(p => p.id === target.profile_id);
+        parts.push(`профиль «${profile ? profile.name : target.profile_id}»`);
+    }
+    if (target.keywords.length > 0) {
+        parts.push(`слова: ${target.keywords.join(', ')}`);
+    }
+    return parts.length > 0 ? parts.join(' и ') : 'все совпадения';
+}
+
+/**
+ * Список получателей для /targets (HTML)
+ */
+function formatTargetsList(targets, profiles = []) {
+    const lines = [
+        '📣 <b>Получатели уведомлений</b>',
+        ''
+    ];
+
+    if (targets.length === 0) {
+        lines.push('Пока только этот чат.');
+    } else {
+        targets.forEach((target, i) => {
+            const topic = target.thread_id ? `, тема #${target.thread_id}` : '';
+            lines.push(`${i + 1}. <b>${escapeHtml(target.title || target.chat_id)}</b> — ${TARGET_TYPE_NAMES[target.chat_type] || target.chat_type}${topic}`);
+            lines.push(`   └ ${escapeHtml(describeRoute(target, profiles))}`);
+        });
+        lines.push('', 'Совпадения, которые не подошли ни под одно правило, приходят в личный чат с ботом.');
+    }
+
+    lines.push(
+        '',
+        '<b>Как добавить:</b>',
+        '• группа или тема форума — добавьте бота в группу и отправьте там /target',
+        '• канал — сделайте бота администратором и отправьте здесь <code>/target @канал</code>',
+        '• этот чат — /target здесь, чтобы получать сюда копию совпадений вместе с группами',
+        '',
+        '<b>Правила:</b> <code>/route 1 profile Продажи</code>, <code>/route 1 keywords дизайнер, figma</code>, <code>/route 1 all</code>'
+    );
+
+    return lines.join('\n');
+}
+
+/**
+ * Может ли владелец подключить чат: личный чат - только свой, группу - если он ее участник,
+ * канал - если он администратор. ownerMember - ответ getChatMember для владельца (null - не найден)
+ * Возвращает описание ошибки или null
+ */
+function getTargetOwnerError(chat, ownerTelegramId, ownerMember) {
+    const status = ownerMember?.status;
+    switch (chat.type) {
+        case 'private':
+            return String(chat.id) === String(ownerTelegramId) ? null : 'личным чатом получателя может быть только ваш собственный';
+        case 'channel':
+            return ['creator', 'administrator'].includes(status) ? null : 'подключить канал может только его администратор';
+        default: {
+            const isMember = ['creator', 'administrator', 'member'].includes(status) || (status === 'restricted' && ownerMember.is_member);
+            return isMember ? null : 'подключить группу может только ее участник';
+        }
+    }
+}
+
+/**
+ * Понятное описание ошибки Telegram при проверке получателя
+ */
+function describeTargetError(error) {
+    const message = error?.response?.body?.description || error?.message || String(error);
+    if (/chat not found/i.test(message)) {
+        return 'бот не видит этот чат — добавьте бота в группу или канал';
+    }
+    if (/bot was kicked|bot is not a member|not a member of the channel/i.test(message)) {
+        return 'бот не состоит в этом чате';
+    }
+    if (/not enough rights|have no rights|need administrator rights|CHAT_WRITE_FORBIDDEN|CHAT_ADMIN_REQUIRED/i.test(message)) {
+        return 'у бота нет права отправлять сообщения';
+    }
+    if (/TOPIC_CLOSED|TOPIC_DELETED|message thread not found/i.test(message)) {
+        return 'тема форума закрыта или удалена';
+    }
+    return message;
+}
+
+module.exports = {
+    MAX_TARGETS_PER_USER,
+    TARGET_TYPE_NAMES,
+    parseRoute,
+    normalizeRouteKeywords,
+    selectTargets,
+    describeRoute,
+    formatTargetsList,
+    getTargetOwnerError,
+    describeTargetError
+};
@@ -0,0 +1,335 @@
+/**
+ * Шаблоны уведомлений: готовые пресеты (compact, detailed) и свой шаблон с плейсхолдерами
+ * Уведомления отправляются с parse_mode HTML: достаточно экранировать & < > ", поэтому любые символы в тексте безопасны
+ */
+
+const { buildMessageLink, truncateText } = require('./keywords');
+const { DEFAULT_TIMEZONE } = require('./schedule');
+
+const TEMPLATE_MODES = ['compact', 'detailed', 'custom'];
+
+const MAX_TEMPLATE_LENGTH = 1000;
+const DEFAULT_TEXT_LENGTH = 500;
+// Лимит Telegram - 4096 символов, оставляем место под остальной шаблон
+const MAX_FULL_TEXT_LENGTH = 3000;
+const MAX_MESSAGE_LENGTH = 4096;
+
+// Теги, которые Telegram поддерживает в HTML и которые можно использовать в своем шаблоне
+const ALLOWED_TAG_REGEX = /<(\/?)(b|i|u|s|code|pre|a)(\s+href="[^"<>]*")?>/gi;
+const PLACEHOLDER_REGEX = /\{(\w+)(?::(\d{1,4}))?\}/g;
+
+const PLACEHOLDERS = {
+    title: 'заголовок: 🎯 Найдено совпадение! или 🚨 Срочное совпадение!',
+    urgent: '🚨 для срочных ключевых слов, иначе пусто',
+    author: 'имя автора',
+    username: '@username автора',
+    author_id: 'Telegram ID автора',
+    chat: 'название чата',
+    link: 'ссылка на сообщение',
+    keywords: 'совпавшие ключевые слова через запятую',
+    matches: 'подробности совпадений: тип, балл, найденный фрагмент',
+    profile: 'профили, по которым сработало совпадение',
+    score: 'балл релевантности',
+    text: `текст сообщения, обрезанный до ${DEFAULT_TEXT_LENGTH} символов ({text:200} - до 200, не больше ${MAX_FULL_TEXT_LENGTH})`,
+    full_text: 'полный текст сообщения',
+    time: 'дата и время сообщения'
+};
+
+const PRESETS = {
+    compact: [
+        '{urgent}🔑 <b>{keywords}</b> · 📊 {score}',
+        '{text:200}',
+        '👤 {author} {username} · <a href="{link}">{chat}</a>'
+    ].join('\n'),
+    detailed: [
+        '<b>{title}</b>',
+        '',
+        '📂 <b>Профиль:</b> {profile}',
+        '📊 <b>Релевантность:</b> {score}/100',
+        '🔑 <b>Совпадения:</b>',
+        '{matches}',
+        '',
+        '👤 <b>{author}</b>',
+        '├ Username: {username}',
+        '├ User ID: <code>{author_id}</code>',
+        '',
+        '💬 <b>Сообщение:</b>',
+        '"{text}"',
+        '',
+        '📍 <b>Чат:</b> <a href="{link}">{chat}</a>',
+        '🕐 {time}'
+    ].join('\n')
+};
+
+// Пример для предпросмотра шаблона
+const SAMPLE_NOTIFICATION = {
+    firstName: 'Анна',
+    username: 'anna_design',
+    userId: '123456789',
+    messageText: 'Всем привет! Ищу UI/UX дизайнера на проект <мобильное приложение>, бюджет 150к & сроки 2 недели. Пишите в личку.',
+    chatTitle: 'Фриланс & Дизайн',
+    chatId: '-1001234567890',
+    messageId: '42',
+    matchedKeywords: ['дизайнер', '/бюджет\\s*\\d+к/i'],
+    matchDetails: [
+        { keyword: 'дизайнер', matchType: 'stem', matchedWord: 'дизайнера', score: 56 },
+        { keyword: '/бюджет\\s*\\d+к/i', matchType: 'regex', matchedWord: 'бюджет 150к', score: 70 }
+    ],
+    profileNames: ['Клиенты'],
+    score: 86,
+    urgent: false,
+    date: new Date()
+};
+
+/**
+ * Экранирование для parse_mode HTML
+ */
+function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Экранирует текст шаблона, оставляя разрешенные теги; проверяет плейсхолдеры и парность тегов
+ * Возвращает готовый к подстановке шаблон или бросает Error
+ */
+function compileTemplate(template) {
+    for (const match of template.matchAll(PLACEHOLDER_REGEX)) {
+        if (!PLACEHOLDERS[match[1]]) {
+            throw new Error(`Неизвестный плейсхолдер {${match[1]}}`);
+        }
+    }
+
+    const stack = [];
+    let compiled = '';
+    let lastIndex = 0;
+    for (const match of template.matchAll(ALLOWED_TAG_REGEX)) {
+        const [tag, closing, rawName, href] = match;
+        const name = rawName.toLowerCase();
+        compiled += escapeHtml(template.slice(lastIndex, match.index));
+        lastIndex = match.index + tag.length;
+
+        // <a> без href и </a href=...> оставляем обычным текстом
+        if ((name === 'a' && !closing && !href) || (closing && href)) {
+            compiled += escapeHtml(tag);
+            continue;
+        }
+
+        if (href && !/^\s+href="(\{link\}|https?:\/\/|tg:\/\/)/i.test(href)) {
+            throw new Error('Ссылка в <a href="..."> должна быть {link} или начинаться с https://');
+        }
+
+        if (closing) {
+            if (stack.pop() !== name) {
+                throw new Error(`Лишний или неправильно вложенный закрывающий тег </${name}>`);
+            }
+        } else {
+            stack.push(name);
+        }
+        compiled += closing ? `</${name}>` : `<${name}${name === 'a' ? href.replace(/&(?!amp;)/g, '&amp;') : ''}>`;
+    }
+    compiled += escapeHtml(template.slice(lastIndex));
+
+    if (stack.length > 0) {
+        throw new Error(`Не закрыт тег <${stack[stack.length - 1]}>`);
+    }
+
+    return compiled;
+}
+
+/**
+ * Шаблон пользователя: пресет или свой (templateSettings - строка users с notification_template и custom_template)
+ */
+function getTemplate(templateSettings = {}) {
+    if (templateSettings.notification_template === 'custom' && templateSettings.custom_template) {
+        return templateSettings.custom_template;
+    }
+    return PRESETS[templateSettings.notification_template] || PRESETS.detailed;
+}
+
+/**
+ * Подробности совпадений (уже в HTML)
+ */
+function formatMatches(matchDetails, showProfile) {
+    return matchDetails.map(d => {
+        const scoreSuffix = d.score !== undefined ? `, ${d.score}` : '';
+        let detail = `"${escapeHtml(d.keyword)}" (${escapeHtml(d.matchType)}${scoreSuffix})`;
+        if (showProfile && d.profile) {
+            detail = `📂 ${escapeHtml(d.profile)}: ${detail}`;
+        }
+        if (d.matchedWord) {
+            detail += `\n   └ Найдено: "${escapeHtml(truncateText(d.matchedWord, 100))}"`;
+        }
+        if (d.distance !== undefined) {
+            detail += `\n   └ Расстояние: ${d.distance} сл.`;
+        }
+        return detail;
+    }).join('\n');
+}
+
+/**
+ * Значения плейсхолдеров (в HTML) для уведомления
+ */
+function buildPlaceholderValues(data, timezone) {
+    const {
+        firstName = 'Неизвестно',
+        username,
+        userId,
+        messageText = '',
+        chatTitle,
+        chatId,
+        messageId,
+        matchedKeywords = [],
+        matchDetails = [],
+        profileNames = [],
+        score,
+        urgent = false,
+        date
+    } = data;
+
+    return {
+        title: urgent ? '🚨 Срочное совпадение!' : '🎯 Найдено совпадение!',
+        urgent: urgent ? '🚨 ' : '',
+        author: escapeHtml(firstName),
+        username: username ? `@${escapeHtml(username)}` : '',
+        author_id: escapeHtml(userId),
+        chat: escapeHtml(chatTitle),
+        link: escapeHtml(buildMessageLink(chatId, messageId)),
+        keywords: escapeHtml(matchedKeywords.join(', ')),
+        matches: formatMatches(matchDetails, profileNames.length > 1),
+        profile: escapeHtml(profileNames.join(', ')),
+        score: score !== undefined && score !== null ? String(score) : '',
+        // Сохраненные раньше шаблоны могут содержать {text:9999}
+        text: (length) => escapeHtml(truncateText(messageText, Math.min(length || DEFAULT_TEXT_LENGTH, MAX_FULL_TEXT_LENGTH))),
+        full_text: escapeHtml(truncateText(messageText, MAX_FULL_TEXT_LENGTH)),
+        time: date ? escapeHtml(formatTimestamp(date, timezone)) : ''
+    };
+}
+
+/**
+ * Дата и время сообщения в часовом поясе пользователя
+ */
+function formatTimestamp(date, timezone) {
+    return new Date(date).toLocaleString('ru-RU', {
+        timeZone: timezone || DEFAULT_TIMEZONE,
+        day: '2-digit',
+        month: '2-digit',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Подставляет значения в шаблон. Строка, все плейсхолдеры которой пустые, выбрасывается целиком
+ * (например, "├ Username: {username}" у автора без username)
+ */
+function renderTemplate(template, data, timezone) {
+    const values = buildPlaceholderValues(data, timezone);
+    const valueOf = (name, arg) => {
+        const value = values[name];
+        return typeof value === 'function' ? value(arg ? parseInt(arg, 10) : undefined) : value;
+    };
+
+    return compileTemplate(template)
+        .split('\n')
+        .filter(line => {
+            const placeholders = [...line.matchAll(PLACEHOLDER_REGEX)];
+            return placeholders.length === 0 || placeholders.some(([, name, arg]) => valueOf(name, arg) !== '');
+        })
+        .map(line => line.replace(PLACEHOLDER_REGEX, (match, name, arg) => valueOf(name, arg)))
+        .join('\n')
+        .trim();
+}
+
+/**
+ * Обрезает HTML до maxLength символов, не разрывая теги и сущности (&amp;), и закрывает открытые теги
+ */
+function truncateHtml(html, maxLength) {
+    if (html.length <= maxLength) return html;
+
+    const closers = (stack) => stack.map(name => `</${name}>`).reverse().join('');
+    const stack = [];
+    let result = '';
+
+    for (const [token, closing, name] of html.matchAll(/<(\/?)([a-z]+)[^>]*>|&[a-z0-9#]+;|[\s\S]/gi)) {
+        const nextStack = !name ? stack : closing ? stack.slice(0, -1) : [...stack, name.toLowerCase()];
+        if (result.length + token.length + 1 + closers(nextStack).length > maxLength) break;
+        result += token;
+        stack.splice(0, stack.length, ...nextStack);
+    }
+
+    return `${result}…${closers(stack)}`;
+}
+
+/**
+ * Текст уведомления о совпадении (HTML) по шаблону пользователя
+ * user - строка users (notification_template, custom_template, timezone); без нее - подробный пресет
+ * Длинный результат (много совпадений, большой {full_text}) обрезается до лимита Telegram
+ */
+function formatNotification(data, user = {}) {
+    return truncateHtml(renderTemplate(getTemplate(user), data, user.timezone), MAX_MESSAGE_LENGTH);
+}
+
+/**
+ * Проверяет настройки шаблона: template (compact | detailed | custom), customTemplate - текст своего шаблона
+ * Возвращает { template, customTemplate } или бросает Error
+ */
+function normalizeTemplateSettings({ template, customTemplate } = {}, current = {}) {
+    const result = {
+        template: template ?? current.notification_template ?? 'detailed',
+        customTemplate: customTemplate === undefined ? current.custom_template ?? null : String(customTemplate).trim() || null
+    };
+
+    if (!TEMPLATE_MODES.includes(result.template)) {
+        throw new Error('Шаблон: compact, detailed или custom');
+    }
+    if (result.template === 'custom' && !result.customTemplate) {
+        throw new Error('Введите текст своего шаблона');
+    }
+    if (result.customTemplate) {
+        if (result.customTemplate.length > MAX_TEMPLATE_LENGTH) {
+            throw new Error(`Шаблон длиннее ${MAX_TEMPLATE_LENGTH} символов`);
+        }
+        for (const [placeholder, , length] of result.customTemplate.matchAll(PLACEHOLDER_REGEX)) {
+            if (length && parseInt(length, 10) > MAX_FULL_TEXT_LENGTH) {
+                throw new Error(`${placeholder}: не больше ${MAX_FULL_TEXT_LENGTH} символов`);
+            }
+        }
+        compileTemplate(result.customTemplate);
+    }
+
+    return result;
+}
+
+/**
+ * Предпросмотр шаблона на примере сообщения
+ */
+function renderTemplatePreview(user) {
+    return formatNotification(SAMPLE_NOTIFICATION, user);
+}
+
+/**
+ * Список плейсхолдеров для справки в боте и веб-интерфейсе
+ */
+function formatPlaceholdersHelp() {
+    return Object.entries(PLACEHOLDERS).map(([name, description]) => `{${name}} — ${description}`).join('\n');
+}
+
+module.exports = {
+    TEMPLATE_MODES,
+    PRESETS,
+    PLACEHOLDERS,
+    escapeHtml,
+    compileTemplate,
+    renderTemplate,
+    truncateHtml,
+    formatNotification,
+    normalizeTemplateSettings,
+    renderTemplatePreview,
+    formatPlaceholdersHelp
+};
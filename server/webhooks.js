@@ -0,0 +1,310 @@
+/**
+ * Исходящие вебхуки: каждое совпадение отправляется POST-запросом с JSON и подписью HMAC-SHA256
+ * Доставки хранятся в webhook_deliveries: неудачные повторяются с нарастающей задержкой и остаются в журнале
+ *
+ * Подпись: X-Scout-Signature = sha256=HMAC_SHA256(секрет пользователя, `${X-Scout-Timestamp}.${тело запроса}`)
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const database = require('./database');
+const { buildMessageLink } = require('./keywords');
+
+const MAX_WEBHOOKS_PER_USER = 5;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const QUEUE_BATCH_SIZE = 50;
+
+// Сервер не должен ходить во внутреннюю сеть по просьбе пользователя: loopback, частные, служебные
+// и multicast-диапазоны. IPv4-адреса в виде ::ffff:a.b.c.d BlockList проверяет по IPv4-правилам
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Задержки перед повторными попытками (секунды): 1 мин, 5 мин, 30 мин, 2 ч, 6 ч, после этого - failed
+const RETRY_DELAYS = [60, 5 * 60, 30 * 60, 2 * 60 * 60, 6 * 60 * 60];
+const MAX_ATTEMPTS = RETRY_DELAYS.length + 1;
+
+let processing = false; // защита от параллельного запуска processWebhookQueue
+
+/**
+ * Новый секрет для подписи вебхуков
+ */
+function generateWebhookSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function allowPrivateAddresses() {
+    return process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+}
+
+/**
+ * IP-адрес из внутренней сети (не IP-адрес - false)
+ */
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function isPrivateHost(host) {
+    return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+}
+
+/**
+ * Проверяет адрес вебхука: только http(s) и не адреса локальной сети
+ * Имена хостов здесь не резолвятся - адреса проверяются при каждой отправке (resolveWebhookHost)
+ * Возвращает нормализованный URL или бросает Error
+ */
+function normalizeWebhookUrl(value) {
+    let url;
+    try {
+        url = new URL(String(value ?? '').trim());
+    } catch (e) {
+        throw new Error('Некорректный адрес вебхука');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error('Адрес вебхука должен начинаться с https:// или http://');
+    }
+
+    if (isPrivateHost(url.hostname.replace(/^\[|\]$/g, '')) && !allowPrivateAddresses()) {
+        throw new Error('Адреса локальной сети не поддерживаются');
+    }
+
+    return url.toString();
+}
+
+/**
+ * Адреса хоста вебхука для подключения: бросает Error, если хотя бы один из них во внутренней сети
+ * (имя могло начать указывать на внутренний адрес уже после добавления вебхука)
+ */
+async function resolveWebhookHost(hostname, lookup = dns.promises.lookup) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host)
+        ? [{ address: host, family: net.isIP(host) }]
+        : await lookup(host, { all: true, verbatim: true });
+
+    if (!allowPrivateAddresses() && (isPrivateHost(host) || addresses.some(a => isPrivateAddress(a.address)))) {
+        throw new Error('Адреса локальной сети не поддерживаются');
+    }
+    if (addresses.length === 0) {
+        throw new Error(`Не удалось найти адрес ${host}`);
+    }
+    return addresses;
+}
+
+/**
+ * Подпись тела запроса: HMAC-SHA256 от "timestamp.body"
+ */
+function signPayload(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Задержка до следующей попытки после attempts неудачных (null - попытки закончились)
+ */
+function getRetryDelay(attempts) {
+    return attempts < MAX_ATTEMPTS ? RETRY_DELAYS[attempts - 1] : null;
+}
+
+/**
+ * Тело вебхука о совпадении
+ * analysis - результаты KeywordMatcher.analyze по каждому сработавшему профилю
+ */
+function buildMatchPayload({ match, analysis, message, chat, sender }) {
+    return {
+        event: 'match',
+        createdAt: new Date().toISOString(),
+        match: {
+            score: match.score,
+            urgent: match.urgent,
+            matchedKeywords: match.matchedKeywords,
+            matchDetails: match.matchDetails,
+            profiles: analysis.map(a => ({ id: a.profileId, name: a.profileName }))
+        },
+        analysis,
+        message: {
+            id: message.id,
+            text: message.text,
+            date: message.date.toISOString(),
+            link: buildMessageLink(chat.id, message.id)
+        },
+        chat: {
+            id: chat.id,
+            title: chat.title
+        },
+        sender: {
+            id: sender.id,
+            firstName: sender.firstName || null,
+            lastName: sender.lastName || null,
+            username: sender.username || null
+        }
+    };
+}
+
+/**
+ * Тело проверочного вебхука (кнопка "Проверить"): та же структура, что у совпадения
+ */
+function buildTestPayload() {
+    const payload = buildMatchPayload({
+        match: {
+            score: 86,
+            urgent: false,
+            matchedKeywords: ['дизайнер'],
+            matchDetails: [{ keyword: 'дизайнер', matchType: 'stem', matchedWord: 'дизайнера', score: 56, profile: 'Клиенты' }]
+        },
+        analysis: [],
+        message: { id: '42', text: 'Ищу UI/UX дизайнера на проект, бюджет 150к', date: new Date() },
+        chat: { id: '-1001234567890', title: 'Фриланс & Дизайн' },
+        sender: { id: '123456789', firstName: 'Анна', username: 'anna_design' }
+    });
+    payload.event = 'test';
+    return payload;
+}
+
+/**
+ * POST-запрос только на заранее проверенные адреса: lookup не дает DNS вернуть другой адрес при подключении
+ * Возвращает код ответа; тело ответа не читается, редиректы не выполняются
+ */
+function postToAddresses(url, headers, body, addresses) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const request = (target.protocol === 'https:' ? https : http).request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            agent: false,
+            lookup: (hostname, options, callback) => options.all
+                ? callback(null, addresses)
+                : callback(null, addresses[0].address, addresses[0].family)
+        }, response => {
+            clearTimeout(timer);
+            response.destroy();
+            resolve(response.statusCode);
+        });
+
+        const timer = setTimeout(() => {
+            request.destroy(new Error(`Нет ответа за ${REQUEST_TIMEOUT_MS / 1000} с`));
+        }, REQUEST_TIMEOUT_MS);
+        request.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        request.end(body);
+    });
+}
+
+/**
+ * Один HTTP-запрос к вебхуку
+ * Возвращает { ok, statusCode, error, durationMs }; тело ответа в результат не попадает
+ */
+async function sendWebhookRequest({ id, url, event, payload, webhook_secret: secret }) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ScoutBot-Webhook/1.0',
+        'X-Scout-Event': event,
+        'X-Scout-Delivery': String(id),
+        'X-Scout-Timestamp': timestamp
+    };
+    if (secret) {
+        headers['X-Scout-Signature'] = signPayload(secret, timestamp, payload);
+    }
+
+    const startedAt = Date.now();
+    try {
+        const addresses = await resolveWebhookHost(new URL(url).hostname);
+        const statusCode = await postToAddresses(url, headers, payload, addresses);
+        const ok = statusCode >= 200 && statusCode < 300;
+        return { ok, statusCode, error: ok ? null : `HTTP ${statusCode}`, durationMs: Date.now() - startedAt };
+    } catch (error) {
+        return { ok: false, statusCode: null, error: error.message, durationMs: Date.now() - startedAt };
+    }
+}
+
+/**
+ * Отправляет доставку и записывает результат: delivered, следующая попытка или failed
+ */
+async function attemptDelivery(delivery) {
+    if (!delivery.is_active) {
+        await database.webhookDeliveries.markFailed(delivery.id, { statusCode: null, error: 'Вебхук выключен', durationMs: null }, null);
+        return { ok: false, statusCode: null, error: 'Вебхук выключен', durationMs: null };
+    }
+
+    const result = await sendWebhookRequest(delivery);
+    if (result.ok) {
+        await database.webhookDeliveries.markDelivered(delivery.id, result);
+    } else {
+        const retryIn = delivery.event === 'test' ? null : getRetryDelay(delivery.attempts + 1);
+        await database.webhookDeliveries.markFailed(delivery.id, result, retryIn);
+        console.log(`[Webhook] Delivery ${delivery.id} failed (attempt ${delivery.attempts + 1}): ${result.error}`);
+    }
+    return result;
+}
+
+/**
+ * Ставит событие в очередь всех активных вебхуков пользователя и сразу запускает отправку
+ */
+async function enqueueWebhookEvent(userId, event, payload) {
+    const webhooks = await database.webhooks.getActiveByUserId(userId);
+    if (webhooks.length === 0) return 0;
+
+    const body = JSON.stringify(payload);
+    for (const webhook of webhooks) {
+        await database.webhookDeliveries.add(webhook.id, userId, event, body);
+    }
+    processWebhookQueue().catch(error => console.error('[Webhook] Error processing queue:', error));
+    return webhooks.length;
+}
+
+/**
+ * Проверочная доставка одному вебхуку: без повторов, результат возвращается сразу
+ */
+async function sendTestWebhook(userId, webhookId) {
+    const created = await database.webhookDeliveries.add(webhookId, userId, 'test', JSON.stringify(buildTestPayload()));
+    const delivery = await database.webhookDeliveries.getById(userId, created.id);
+    // Проверяем и выключенный вебхук - кнопка нужна, чтобы убедиться, что адрес рабочий
+    return attemptDelivery({ ...delivery, is_active: true });
+}
+
+/**
+ * Отправляет доставки, время которых подошло (вызывается по таймеру из index.js и после постановки в очередь)
+ */
+async function processWebhookQueue() {
+    if (processing) return;
+    processing = true;
+
+    try {
+        let batch;
+        do {
+            batch = await database.webhookDeliveries.getDue(QUEUE_BATCH_SIZE);
+            for (const delivery of batch) {
+                await attemptDelivery(delivery);
+            }
+        } while (batch.length === QUEUE_BATCH_SIZE);
+    } finally {
+        processing = false;
+    }
+}
+
+module.exports = {
+    MAX_WEBHOOKS_PER_USER,
+    MAX_ATTEMPTS,
+    generateWebhookSecret,
+    isPrivateAddress,
+    normalizeWebhookUrl,
+    resolveWebhookHost,
+    signPayload,
+    getRetryDelay,
+    buildMatchPayload,
+    enqueueWebhookEvent,
+    sendTestWebhook,
+    processWebhookQueue
+};
@@ -0,0 +1,40 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ACCESS_TOKEN_TTL_DAYS, createAccessToken, verifyAccessToken, buildSettingsUrl } = require('../server/access');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('access', () => {
+    before(() => {
+        process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'access-test-secret';
+    });
+
+    it('токен подходит только своему пользователю', () => {
+        const token = createAccessToken('123');
+        assert.equal(verifyAccessToken('123', token), true);
+        assert.equal(verifyAccessToken('124', token), false);
+    });
+
+    it('токен истекает', () => {
+        const now = Date.now();
+        const token = createAccessToken('123', now);
+        assert.equal(verifyAccessToken('123', token, now + (ACCESS_TOKEN_TTL_DAYS - 1) * DAY), true);
+        assert.equal(verifyAccessToken('123', token, now + (ACCESS_TOKEN_TTL_DAYS + 1) * DAY), false);
+    });
+
+    it('отклоняет подделанный и пустой токен', () => {
+        const [expiresAt, signature] = createAccessToken('123').split('.');
+        assert.equal(verifyAccessToken('123', `${Number(expiresAt) + 3600}.${signature}`), false);
+        assert.equal(verifyAccessToken('123', `${expiresAt}.${signature.slice(1)}`), false);
+        for (const token of [undefined, '', 'abc', ['1.2']]) {
+            assert.equal(verifyAccessToken('123', token), false, String(token));
+        }
+    });
+
+    it('ссылка на настройки содержит пользователя и токен', () => {
+        const url = new URL(buildSettingsUrl('123'));
+        assert.equal(url.searchParams.get('user'), '123');
+        assert.equal(verifyAccessToken('123', url.searchParams.get('token')), true);
+    });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { groupDigestItems, formatDigestGroup, isDigestDue } = require('../server/digest');
+
+const item = (id, chatId, keyword, text = 'Ищу дизайнера') => ({
+    id,
+    chat_id: chatId,
+    message_id: String(id),
+    chat_title: `Чат ${chatId}`,
+    author_name: 'Анна',
+    message_text: text,
+    matched_keywords: [keyword],
+    match_details: [{ keyword, score: 50 }],
+    score: 50,
+    created_at: new Date(Date.UTC(2026, 9, 19, 9, 0))
+});
+
+describe('digest', () => {
+    it('groupDigestItems группирует по чату или слову, большие группы первыми', () => {
+        const items = [item(1, '-1', 'figma'), item(2, '-2', 'дизайнер'), item(3, '-2', 'figma')];
+        assert.deepEqual(groupDigestItems(items, 'chat').map(g => [g.title, g.items.length]), [['Чат -2', 2], ['Чат -1', 1]]);
+        assert.deepEqual(groupDigestItems(items, 'keyword').map(g => [g.title, g.items.length]), [['figma', 2], ['дизайнер', 1]]);
+    });
+
+    it('formatDigestGroup делит длинную группу и возвращает совпадения каждого сообщения', () => {
+        const items = Array.from({ length: 40 }, (_, i) => item(i + 1, '-1', 'figma', 'текст '.repeat(30)));
+        const [group] = groupDigestItems(items, 'chat');
+        const messages = formatDigestGroup(group, 'UTC');
+
+        assert.ok(messages.length > 1);
+        assert.ok(messages.every(m => m.text.length <= 4096 && m.items.length > 0));
+        assert.match(messages[1].text, /\(продолжение\)/);
+        assert.deepEqual(messages.flatMap(m => m.items.map(i => i.id)), items.map(i => i.id));
+    });
+
+    it('isDigestDue: batch ждет интервал, daily - время отправки', () => {
+        const now = new Date(Date.UTC(2026, 9, 19, 10, 0));
+        const batch = { delivery_mode: 'batch', digest_interval: 30 };
+        assert.equal(isDigestDue(batch, new Date(Date.UTC(2026, 9, 19, 9, 45)), now), false);
+        assert.equal(isDigestDue(batch, new Date(Date.UTC(2026, 9, 19, 9, 30)), now), true);
+
+        const daily = { delivery_mode: 'daily', digest_time: '09:30', timezone: 'UTC' };
+        assert.equal(isDigestDue(daily, new Date(Date.UTC(2026, 9, 19, 9, 0)), now), true);
+        assert.equal(isDigestDue(daily, new Date(Date.UTC(2026, 9, 19, 9, 40)), now), false);
+    });
+});
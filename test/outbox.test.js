@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    MAX_SEND_ATTEMPTS,
+    SendRateLimiter,
+    classifySendError,
+    isBotBlockedError,
+    getSendRetryDelay,
+    describeSendError
+} = require('../server/outbox');
+
+// Ошибка node-telegram-bot-api с ответом Telegram
+const telegramError = (code, description, parameters) => Object.assign(new Error(`ETELEGRAM: ${code} ${description}`), {
+    response: { statusCode: code, body: { ok: false, error_code: code, description, parameters } }
+});
+
+describe('outbox', () => {
+    it('getSendRetryDelay: 5 с, 10 с, 20 с ... затем null', () => {
+        assert.deepEqual([1, 2, 3, 4].map(getSendRetryDelay), [5, 10, 20, 40]);
+        assert.equal(getSendRetryDelay(MAX_SEND_ATTEMPTS - 1), 5 * 2 ** (MAX_SEND_ATTEMPTS - 2));
+        assert.equal(getSendRetryDelay(MAX_SEND_ATTEMPTS), null);
+    });
+
+    describe('classifySendError', () => {
+        it('429 - ждать retry_after', () => {
+            assert.deepEqual(classifySendError(telegramError(429, 'Too Many Requests: retry after 17', { retry_after: 17 })), { action: 'wait', seconds: 17 });
+            assert.deepEqual(classifySendError(telegramError(429, 'Too Many Requests')), { action: 'wait', seconds: 5 });
+        });
+
+        it('бот заблокирован - hold, остальные 400/403 - dead', () => {
+            const blocked = telegramError(403, 'Forbidden: bot was blocked by the user');
+            assert.deepEqual(classifySendError(blocked), { action: 'hold' });
+            assert.equal(isBotBlockedError(blocked), true);
+
+            assert.deepEqual(classifySendError(telegramError(403, 'Forbidden: bot was kicked from the supergroup chat')), { action: 'dead' });
+            assert.deepEqual(classifySendError(telegramError(400, 'Bad Request: chat not found')), { action: 'dead' });
+        });
+
+        it('сеть и 5xx - повтор', () => {
+            assert.deepEqual(classifySendError(telegramError(502, 'Bad Gateway')), { action: 'retry' });
+            assert.deepEqual(classifySendError(Object.assign(new Error('socket hang up'), { code: 'EFATAL' })), { action: 'retry' });
+            assert.deepEqual(classifySendError(undefined), { action: 'retry' });
+        });
+    });
+
+    it('describeSendError берет описание Telegram, затем message', () => {
+        assert.equal(describeSendError(telegramError(400, 'Bad Request: chat not found')), 'Bad Request: chat not found');
+        assert.equal(describeSendError(new Error('socket hang up')), 'socket hang up');
+        assert.equal(describeSendError('timeout'), 'timeout');
+    });
+
+    describe('SendRateLimiter', () => {
+        const now = 1_000_000;
+
+        it('не чаще раза в секунду в один чат', () => {
+            const limiter = new SendRateLimiter();
+            assert.equal(limiter.getDelay('555', now), 0);
+            limiter.record('555', now);
+            assert.equal(limiter.getDelay('555', now + 300), 700);
+            assert.equal(limiter.getDelay('555', now + 1000), 0);
+            assert.equal(limiter.getDelay('777', now + 300), 0);
+        });
+
+        it('не больше 25 сообщений в секунду на бота', () => {
+            const limiter = new SendRateLimiter();
+            for (let i = 0; i < 25; i++) {
+                limiter.record(String(i), now + i);
+            }
+            assert.equal(limiter.getDelay('999', now + 100), 900);
+            assert.equal(limiter.getDelay('999', now + 999), 1);
+            assert.equal(limiter.getDelay('999', now + 1000), 0);
+        });
+
+        it('не больше 20 сообщений в минуту в группу', () => {
+            const limiter = new SendRateLimiter();
+            for (let i = 0; i < 20; i++) {
+                limiter.record('-100', now + i * 1000);
+            }
+            assert.equal(limiter.getDelay('-100', now + 20 * 1000), 40 * 1000);
+            assert.equal(limiter.getDelay('-100', now + 60 * 1000), 0);
+        });
+
+        it('после 429 ждет retry_after и забывает чат после очистки', () => {
+            const limiter = new SendRateLimiter();
+            limiter.block('555', 30, now);
+            assert.equal(limiter.getDelay('555', now + 10 * 1000), 20 * 1000);
+
+            limiter.prune(now + 10 * 1000);
+            assert.equal(limiter.chats.size, 1);
+            limiter.prune(now + 30 * 1000);
+            assert.equal(limiter.chats.size, 0);
+        });
+    });
+});
@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { KeywordMatcher, validateKeywords } = require('../server/keywords');
+
+const matcher = new KeywordMatcher();
+const near = (text, keyword) => matcher.match(text, [keyword]).matchDetails[0] || null;
+
+describe('proximity', () => {
+    it('parseKeywordMode разбирает [слова]~N', () => {
+        assert.deepEqual(matcher.parseKeywordMode('[ищу дизайнер]~3'), {
+            isExact: false, isAllRequired: true, isExclusion: false, proximity: 3, cleanKeyword: 'ищу дизайнер'
+        });
+        assert.equal(matcher.parseKeywordMode('-[ищу дизайнер]~3').isExclusion, true);
+        assert.equal(matcher.parseKeywordMode('[ищу дизайнер]~1000').proximity, undefined);
+    });
+
+    it('расстояние считается по всем словам текста, включая стоп-слова', () => {
+        const detail = near('Ищу срочно опытного дизайнера', '[ищу дизайнер]~3');
+        assert.equal(detail.distance, 3);
+        assert.equal(detail.matchType, 'near/3 (exact+stem)');
+        assert.deepEqual(detail.positions, [0, 3]);
+
+        assert.equal(near('Ищу срочно опытного дизайнера', '[ищу дизайнер]~2'), null);
+        assert.equal(near('Ищу срочно и очень опытного дизайнера', '[ищу дизайнер]~4'), null);
+    });
+
+    it('порядок слов не важен', () => {
+        assert.equal(near('Дизайнер нужен, ищу давно', '[ищу дизайнер]~2').distance, 2);
+    });
+
+    it('выбирает ближайшие вхождения', () => {
+        const text = 'дизайнер тут. потом много слов ищу а потом снова дизайнера';
+        assert.equal(near(text, '[ищу дизайнер]~3'), null);
+        assert.equal(near(text, '[ищу дизайнер]~4').distance, 4);
+    });
+
+    it('учитывает синонимы', () => {
+        const detail = near('Срочно нужен программист', '[нужен разработчик]~1');
+        assert.equal(detail.matchType, 'near/1 (exact+synonym)');
+        assert.equal(detail.distance, 1);
+    });
+
+    it('~0 не совпадает для разных слов, одно слово проверяется как обычно', () => {
+        assert.equal(near('Ищу дизайнера', '[ищу дизайнер]~0'), null);
+        assert.equal(near('Нужен дизайнер', '[дизайнер]~1').matchType, 'exact');
+    });
+
+    it('findClosestOccurrences находит минимальное окно', () => {
+        const occurrences = [
+            [{ index: 0 }, { index: 3 }],
+            [{ index: 2 }]
+        ];
+        const closest = matcher.findClosestOccurrences(occurrences, [0, 2, 5, 6]);
+        assert.equal(closest.distance, 1);
+        assert.deepEqual(closest.picked.map(o => o.index), [3, 2]);
+        assert.equal(matcher.findClosestOccurrences([[{ index: 0 }], []], [0]), null);
+    });
+
+    it('работает внутри правил AND/OR/NOT', () => {
+        const rule = '[ищу дизайнер]~3 AND NOT junior';
+        assert.equal(matcher.match('Ищу опытного дизайнера', [rule]).matched, true);
+        assert.equal(matcher.match('Ищу junior дизайнера', [rule]).matched, false);
+        assert.deepEqual(validateKeywords([rule, '[ищу дизайнер]~3']), []);
+    });
+});
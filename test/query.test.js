@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { QueryParseError, parseQuery, isQuery } = require('../server/query');
+const { KeywordMatcher, validateKeywords } = require('../server/keywords');
+
+const term = (keyword, position) => ({ type: 'term', keyword, position });
+
+describe('query', () => {
+    describe('parseQuery', () => {
+        it('AND связывает сильнее OR, NOT - сильнее AND', () => {
+            assert.deepEqual(parseQuery('a OR b AND NOT c'), {
+                type: 'or',
+                children: [
+                    term('a', 0),
+                    { type: 'and', children: [term('b', 5), { type: 'not', child: term('c', 15) }] }
+                ]
+            });
+        });
+
+        it('скобки меняют порядок, подряд идущие слова - одна фраза', () => {
+            assert.deepEqual(parseQuery('(ищу дизайнера OR designer) AND figma'), {
+                type: 'and',
+                children: [
+                    { type: 'or', children: [term('ищу дизайнера', 1), term('designer', 18)] },
+                    term('figma', 32)
+                ]
+            });
+        });
+
+        it('кавычки, [слова]~N и /регулярка/ - листья целиком', () => {
+            assert.deepEqual(parseQuery('"AND (x)" OR [a b]~3 OR /x (y)|z/i'), {
+                type: 'or',
+                children: [term('"AND (x)"', 0), term('[a b]~3', 13), term('/x (y)|z/i', 24)]
+            });
+        });
+
+        it('строчные and/or/not - обычные слова', () => {
+            assert.deepEqual(parseQuery('rock and roll'), term('rock and roll', 0));
+        });
+
+        it('сообщает причину и позицию ошибки', () => {
+            const cases = [
+                ['a AND', 'неожиданный конец правила', 5],
+                ['(a OR b', 'ожидалась ")"', 7],
+                ['a OR b)', 'лишняя ")"', 6],
+                ['AND a', 'неожиданный "AND"', 0],
+                ['"a OR b', 'не закрыт символ "', 0],
+                ['(a) b', 'ожидался оператор AND, OR или ")"', 4]
+            ];
+            for (const [text, reason, position] of cases) {
+                assert.throws(() => parseQuery(text), (error) => {
+                    assert.ok(error instanceof QueryParseError, text);
+                    assert.ok(error.reason.startsWith(reason), `${text}: ${error.reason}`);
+                    assert.equal(error.position, position, text);
+                    assert.match(error.message, new RegExp(`позиция ${position + 1}\\)$`));
+                    return true;
+                });
+            }
+        });
+    });
+
+    it('isQuery ищет операторы только вне кавычек, скобок и регулярок', () => {
+        assert.equal(isQuery('дизайнер AND figma'), true);
+        assert.equal(isQuery('NOT junior'), true);
+        assert.equal(isQuery('(a)OR(b)'), true);
+        assert.equal(isQuery('"AND OR NOT"'), false);
+        assert.equal(isQuery('[NOT AND]'), false);
+        assert.equal(isQuery('/a OR b/'), false);
+        assert.equal(isQuery('UI/UX AND figma/photoshop'), true);
+        assert.equal(isQuery('ANDROID'), false);
+        assert.equal(isQuery('rock and roll'), false);
+    });
+
+    describe('KeywordMatcher', () => {
+        const matcher = new KeywordMatcher();
+        const rule = '(дизайнер OR designer) AND (figma OR фигма) AND NOT junior';
+
+        it('проверяет правило целиком', () => {
+            assert.equal(matcher.match('Ищем дизайнера, работа в Figma', [rule]).matched, true);
+            assert.equal(matcher.match('Senior designer, фигма обязательна', [rule]).matched, true);
+            assert.equal(matcher.match('Ищем дизайнера, работа в Photoshop', [rule]).matched, false);
+            assert.equal(matcher.match('Junior designer со знанием Figma', [rule]).matched, false);
+        });
+
+        it('правило с префиксом исключения отсекает сообщение', () => {
+            const result = matcher.match('Ищем дизайнера на стажировку бесплатно', ['дизайнер', '-стажировка AND бесплатно']);
+            assert.equal(result.matched, false);
+            assert.equal(result.excludedBy.length, 1);
+        });
+    });
+
+    it('validateKeywords возвращает позицию ошибки в исходной строке', () => {
+        assert.deepEqual(validateKeywords(['дизайнер AND figma', 'a OR b']), []);
+        const [error] = validateKeywords(['  -a AND (b OR c']);
+        assert.equal(error.message, 'ожидалась ")"');
+        assert.equal(error.position, 16);
+    });
+});
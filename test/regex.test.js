@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findRegexEnd, parseRegexKeyword, compileSafeRegex, execSafeRegex } = require('../server/regex');
+const { KeywordMatcher, REGEX_COOLDOWN_MS, parseKeywords, validateKeywords } = require('../server/keywords');
+
+// Перекрывающиеся альтернативы проходят статическую проверку, но перебор на таком тексте экспоненциальный
+const SLOW_PATTERN = '^(a|a)*$';
+const SLOW_TEXT = 'a'.repeat(40) + 'b';
+
+describe('regex', () => {
+    it('findRegexEnd и parseRegexKeyword учитывают экранирование и классы символов', () => {
+        assert.equal(findRegexEnd('/a\\/b/i rest', 0), 7);
+        assert.equal(findRegexEnd('/[/]x/', 0), 6);
+        assert.equal(findRegexEnd('//', 0), -1);
+        assert.deepEqual(parseRegexKeyword(' /\\d{3}-\\d{2}/iu '), { pattern: '\\d{3}-\\d{2}', flags: 'iu' });
+        assert.equal(parseRegexKeyword('/a/ b'), null);
+    });
+
+    it('compileSafeRegex отклоняет опасные и некорректные шаблоны', () => {
+        assert.throws(() => compileSafeRegex('(a+)+$', ''), /вложенные квантификаторы/);
+        assert.throws(() => compileSafeRegex('(\\w*){2,}', ''), /вложенные квантификаторы/);
+        assert.throws(() => compileSafeRegex('(a)\\1', ''), /обратные ссылки/);
+        assert.throws(() => compileSafeRegex('a'.repeat(201), ''), /длиннее 200/);
+        assert.throws(() => compileSafeRegex('a', 'y'), /неподдерживаемый флаг "y"/);
+        assert.throws(() => compileSafeRegex('(a', ''), /^Error: некорректное регулярное выражение: Unterminated group$/);
+        assert.equal(compileSafeRegex('a', 'gi').flags, 'i');
+    });
+
+    describe('execSafeRegex', () => {
+        it('возвращает совпадение', () => {
+            const { match, timedOut } = execSafeRegex(/\d+/, 'бюджет 5000 руб');
+            assert.equal(timedOut, false);
+            assert.equal(match[0], '5000');
+            assert.equal(match.index, 7);
+        });
+
+        it('прерывает катастрофический перебор по таймауту', () => {
+            const regex = compileSafeRegex(SLOW_PATTERN, '');
+            const started = Date.now();
+            assert.deepEqual(execSafeRegex(regex, SLOW_TEXT), { match: null, timedOut: true });
+            assert.ok(Date.now() - started < 2000);
+
+            // Контекст после таймаута продолжает работать
+            assert.equal(execSafeRegex(/b$/, SLOW_TEXT).match[0], 'b');
+        });
+    });
+
+    describe('KeywordMatcher', () => {
+        it('находит сообщение по регулярке', () => {
+            const result = new KeywordMatcher().match('Звоните: +7 999 123-45-67', ['/\\d{3}-\\d{2}-\\d{2}/']);
+            assert.equal(result.matched, true);
+            assert.equal(result.matchDetails[0].matchType, 'regex');
+            assert.equal(result.matchDetails[0].matchedWord, '123-45-67');
+        });
+
+        it('отключает регулярку после таймаута на время паузы', () => {
+            const matcher = new KeywordMatcher();
+            const keyword = `/${SLOW_PATTERN}/`;
+            assert.equal(matcher.match(SLOW_TEXT, [keyword]).matched, false);
+            assert.equal(matcher.isRegexDisabled(keyword), true);
+            assert.equal(matcher.match('aaa', [keyword]).matched, false);
+            assert.match(matcher.analyze('aaa', { keywords: [keyword], explain: true }).notMatched[0].reason, /временно отключено/);
+
+            // После паузы регулярка снова проверяется
+            const later = Date.now() + REGEX_COOLDOWN_MS + 1;
+            assert.equal(matcher.matchRegex(keyword, SLOW_PATTERN, '', { originalText: 'aaa' }, later).matched, true);
+            assert.equal(matcher.isRegexDisabled(keyword, later), false);
+        });
+    });
+
+    describe('parseKeywords', () => {
+        it('не разделяет регулярку по запятым и точкам с запятой', () => {
+            assert.deepEqual(parseKeywords('/\\d{1,3};x/, дизайнер\n-/a,b/i; !/c/'), ['/\\d{1,3};x/', 'дизайнер', '-/a,b/i', '!/c/']);
+        });
+
+        it('слеш внутри обычного слова не начинает регулярку', () => {
+            assert.deepEqual(parseKeywords('UI/UX, frontend/backend'), ['UI/UX', 'frontend/backend']);
+            assert.deepEqual(parseKeywords('CI/CD, 1/2 ставки'), ['CI/CD', '1/2 ставки']);
+            assert.deepEqual(parseKeywords('сайт под ключ / лендинг, /a/'), ['сайт под ключ / лендинг', '/a/']);
+        });
+    });
+
+    it('validateKeywords сообщает об ошибке регулярки с позицией', () => {
+        assert.deepEqual(validateKeywords(['/(a+)+/']), [
+            { keyword: '/(a+)+/', message: 'вложенные квантификаторы вида (a+)+ запрещены', position: 0 }
+        ]);
+        const [error] = validateKeywords(['дизайнер AND /(a/']);
+        assert.match(error.message, /некорректное регулярное выражение/);
+        assert.equal(error.position, 13);
+    });
+});
@@ -0,0 +1,135 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    normalizeTime,
+    normalizeTimezone,
+    getLocalTime,
+    parseWeekdays,
+    normalizeScheduleSettings,
+    isQuietTime,
+    formatWeekdays
+} = require('../server/schedule');
+
+// Понедельник, 19 октября 2026 (UTC)
+const at = (hours, minutes = 0) => new Date(Date.UTC(2026, 9, 19, hours, minutes));
+
+describe('schedule', () => {
+    describe('normalizeTimezone', () => {
+        it('принимает IANA-имена в любом регистре', () => {
+            assert.equal(normalizeTimezone('Europe/Moscow'), 'Europe/Moscow');
+            assert.equal(normalizeTimezone('asia/yekaterinburg'), 'Asia/Yekaterinburg');
+        });
+
+        it('переводит смещение в Etc/GMT с обратным знаком', () => {
+            assert.equal(normalizeTimezone('+3'), 'Etc/GMT-3');
+            assert.equal(normalizeTimezone('UTC-5'), 'Etc/GMT+5');
+            assert.equal(normalizeTimezone('gmt+0'), 'UTC');
+            assert.equal(normalizeTimezone('-12'), 'Etc/GMT+12');
+            assert.equal(normalizeTimezone('+14'), 'Etc/GMT-14');
+        });
+
+        it('отклоняет несуществующие смещения и пояса', () => {
+            for (const value of ['-13', '-14', '+15', 'Mars/Base', '', null]) {
+                assert.equal(normalizeTimezone(value), null, String(value));
+            }
+        });
+
+        it('любой принятый пояс работает в getLocalTime', () => {
+            for (let hours = -14; hours <= 14; hours++) {
+                const timezone = normalizeTimezone(`${hours < 0 ? '-' : '+'}${Math.abs(hours)}`);
+                if (timezone) {
+                    assert.doesNotThrow(() => getLocalTime(at(12), timezone), timezone);
+                }
+            }
+        });
+    });
+
+    it('normalizeTime приводит время к ЧЧ:ММ', () => {
+        assert.equal(normalizeTime('8:05'), '08:05');
+        assert.equal(normalizeTime(' 23:59 '), '23:59');
+        assert.equal(normalizeTime('24:00'), null);
+        assert.equal(normalizeTime('8.05'), null);
+    });
+
+    describe('parseWeekdays', () => {
+        it('разбирает диапазоны, списки и цифры', () => {
+            assert.equal(parseWeekdays('пн-пт'), '12345');
+            assert.equal(parseWeekdays('пн, ср, пт'), '135');
+            assert.equal(parseWeekdays('sat sun'), '67');
+            assert.equal(parseWeekdays('1-5'), '12345');
+            assert.equal(parseWeekdays('все'), '1234567');
+        });
+
+        it('диапазон переходит через воскресенье', () => {
+            assert.equal(parseWeekdays('пт-пн'), '1567');
+        });
+
+        it('бросает ошибку на неизвестный день', () => {
+            assert.throws(() => parseWeekdays('пн-пятница'), /Неизвестный день недели/);
+        });
+    });
+
+    describe('normalizeScheduleSettings', () => {
+        it('оставляет текущие значения для незаданных полей', () => {
+            const current = { timezone: 'Asia/Omsk', quiet_start: '22:00', quiet_end: '07:00', active_days: '12345' };
+            assert.deepEqual(normalizeScheduleSettings({ days: 'сб-вс' }, current), {
+                timezone: 'Asia/Omsk', quietStart: '22:00', quietEnd: '07:00', days: '67'
+            });
+        });
+
+        it('отклоняет неизвестный пояс и некорректные тихие часы', () => {
+            assert.throws(() => normalizeScheduleSettings({ timezone: '-13' }), /часовой пояс/);
+            assert.throws(() => normalizeScheduleSettings({ quietStart: '23:00', quietEnd: '' }), /ЧЧ:ММ/);
+            assert.throws(() => normalizeScheduleSettings({ quietStart: '23:00', quietEnd: '23:00' }), /совпадают/);
+        });
+
+        it('пустые тихие часы отключают их', () => {
+            const result = normalizeScheduleSettings({ quietStart: '', quietEnd: '' }, { quiet_start: '23:00', quiet_end: '08:00' });
+            assert.equal(result.quietStart, null);
+            assert.equal(result.quietEnd, null);
+        });
+    });
+
+    describe('isQuietTime', () => {
+        const user = { timezone: 'UTC', quiet_start: '23:00', quiet_end: '08:00', active_days: '1234567' };
+
+        it('окно через полночь', () => {
+            assert.equal(isQuietTime(user, at(23, 30)), true);
+            assert.equal(isQuietTime(user, at(2)), true);
+            assert.equal(isQuietTime(user, at(7, 59)), true);
+            assert.equal(isQuietTime(user, at(8)), false);
+            assert.equal(isQuietTime(user, at(22, 59)), false);
+        });
+
+        it('окно внутри суток', () => {
+            const lunch = { ...user, quiet_start: '13:00', quiet_end: '14:00' };
+            assert.equal(isQuietTime(lunch, at(13, 30)), true);
+            assert.equal(isQuietTime(lunch, at(14)), false);
+            assert.equal(isQuietTime(lunch, at(23, 30)), false);
+        });
+
+        it('считает время в поясе пользователя', () => {
+            // 21:30 UTC - 00:30 по Москве
+            assert.equal(isQuietTime({ ...user, timezone: 'Europe/Moscow' }, at(21, 30)), true);
+            assert.equal(isQuietTime(user, at(21, 30)), false);
+        });
+
+        it('день вне расписания - тихий целиком', () => {
+            assert.equal(isQuietTime({ ...user, quiet_start: null, quiet_end: null, active_days: '234567' }, at(12)), true);
+            assert.equal(isQuietTime({ ...user, quiet_start: null, quiet_end: null, active_days: '1' }, at(12)), false);
+        });
+
+        it('день недели определяется по местной дате', () => {
+            // 23:30 понедельника UTC - уже вторник в UTC+3
+            const tuesdayOnly = { timezone: 'Etc/GMT-3', quiet_start: null, quiet_end: null, active_days: '2' };
+            assert.equal(isQuietTime(tuesdayOnly, at(23, 30)), false);
+        });
+    });
+
+    it('formatWeekdays', () => {
+        assert.equal(formatWeekdays('1234567'), 'ежедневно');
+        assert.equal(formatWeekdays('12345'), 'пн-пт');
+        assert.equal(formatWeekdays('135'), 'пн, ср, пт');
+    });
+});
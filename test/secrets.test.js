@@ -0,0 +1,87 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SESSION_SECRET = 'secrets-test-secret';
+
+const {
+    assertSecretsConfigured,
+    isEncrypted,
+    needsReencryption,
+    encryptSecret,
+    decryptSecret,
+    reencryptSecret
+} = require('../server/secrets');
+const { verifySecretRows } = require('../server/storage/rows');
+
+const ENV = { ...process.env };
+
+describe('secrets', () => {
+    afterEach(() => {
+        for (const name of ['SESSION_SECRET', 'SESSION_KEY_VERSION', 'SESSION_SECRET_PREVIOUS']) {
+            if (ENV[name] === undefined) delete process.env[name];
+            else process.env[name] = ENV[name];
+        }
+    });
+
+    it('шифрует и расшифровывает, открытый текст возвращается как есть', () => {
+        const encrypted = encryptSecret('session');
+        assert.match(encrypted, /^enc:v1:/);
+        assert.notEqual(encryptSecret('session'), encrypted);
+        assert.equal(decryptSecret(encrypted), 'session');
+        assert.equal(decryptSecret('plain'), 'plain');
+        assert.equal(encryptSecret(null), null);
+    });
+
+    it('перешифровывает значения старой версии ключа', () => {
+        const old = encryptSecret('session');
+
+        process.env.SESSION_SECRET_PREVIOUS = `1:${process.env.SESSION_SECRET}`;
+        process.env.SESSION_SECRET = 'secrets-test-secret-v2';
+        process.env.SESSION_KEY_VERSION = '2';
+
+        assert.equal(needsReencryption(old), true);
+        const updated = reencryptSecret(old);
+        assert.match(updated, /^enc:v2:/);
+        assert.equal(needsReencryption(updated), false);
+        assert.equal(decryptSecret(updated), 'session');
+    });
+
+    it('не запускается без SESSION_SECRET и с ключом из примеров', () => {
+        delete process.env.SESSION_SECRET;
+        assert.throws(() => assertSecretsConfigured(), /SESSION_SECRET не задан/);
+
+        for (const example of ['your-super-secret-key-change-in-production', 'your-very-long-secret-key-for-production']) {
+            process.env.SESSION_SECRET = example;
+            assert.throws(() => assertSecretsConfigured(), /совпадает с примером/);
+        }
+    });
+
+    describe('verifySecretRows', () => {
+        const broken = 'enc:v1:AAAAAAAAAAAAAAAA:AAAAAAAAAAAAAAAAAAAAAA==:AAAA';
+
+        it('бросает ошибку, если не расшифровывается больше половины строк', () => {
+            const rows = [
+                { id: 1, api_hash: encryptSecret('hash'), session_string: broken },
+                { id: 2, api_hash: broken, session_string: null },
+                { id: 3, api_hash: encryptSecret('hash'), session_string: encryptSecret('session') }
+            ];
+            assert.throws(() => verifySecretRows('users', rows), /2 из 3 .*SESSION_SECRET/);
+        });
+
+        it('считает единичные сбои и строки для перешифровки', () => {
+            const rows = [
+                { id: 1, api_hash: 'plain', session_string: encryptSecret('session') },
+                { id: 2, api_hash: encryptSecret('hash'), session_string: broken },
+                { id: 3, api_hash: null, session_string: null }
+            ];
+            assert.deepEqual(verifySecretRows('users', rows), { checked: 3, failed: 1, stale: 1 });
+            assert.deepEqual(verifySecretRows('users', []), { checked: 0, failed: 0, stale: 0 });
+        });
+    });
+
+    it('isEncrypted', () => {
+        assert.equal(isEncrypted(encryptSecret('x')), true);
+        assert.equal(isEncrypted('x'), false);
+        assert.equal(isEncrypted(null), false);
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Регрессионный корпус стеммера: какие словоформы сводятся к одной основе (и какие нет)
+ * до и после перехода на Snowball
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { stemWord, stemRussian, stemEnglish } = require('../server/stemmer');
+const { KeywordMatcher } = require('../server/keywords');
+
+// Прежний KeywordMatcher.stem: отрезал первое подходящее окончание из списка - для колонки "до"
+const LEGACY_SUFFIXES = [
+    'ами', 'ями', 'ому', 'ему', 'ого', 'его', 'ить', 'ать', 'еть',
+    'ов', 'ев', 'ей', 'ий', 'ый', 'ой', 'ая', 'яя', 'ое', 'ее',
+    'ам', 'ям', 'ах', 'ях', 'ом', 'ем', 'им', 'ым',
+    'а', 'я', 'о', 'е', 'и', 'ы', 'у', 'ю'
+].sort((a, b) => b.length - a.length);
+
+function legacyStem(word) {
+    if (word.length < 4) return word;
+    const suffix = LEGACY_SUFFIXES.find(s => word.endsWith(s) && word.length - s.length >= 2);
+    return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+// [форма 1, форма 2, совпадали до, совпадают после]
+const CORPUS = [
+    // Чередования и супплетивные формы
+    ['друг', 'друзья', false, true],
+    ['друг', 'друзей', false, true],
+    ['искать', 'ищу', false, true],
+    ['искать', 'ищем', false, true],
+    ['ищет', 'ищут', false, true],
+    ['человек', 'люди', false, true],
+
+    // Окончания, которых не было в списке
+    ['вакансия', 'вакансий', false, true],
+    ['новый', 'новых', false, true],
+    ['работать', 'работает', false, true],
+
+    // Короткие слова: прежний алгоритм обрезал их до 2-3 букв и склеивал разные слова
+    ['искать', 'иском', true, false],
+    ['лететь', 'лет', true, false],
+    ['бегать', 'бег', true, false],
+
+    // Формы, которые работали и раньше
+    ['дизайнер', 'дизайнеров', true, true],
+    ['заказ', 'заказами', true, true],
+
+    // Английский: прежний стеммер его не знал
+    ['developers', 'developing', false, true],
+    ['developer', 'developed', false, true],
+    ['designers', 'designing', false, true],
+    ['running', 'runs', false, true]
+];
+
+describe('stemmer', () => {
+    describe('корпус до/после', () => {
+        for (const [first, second, before, after] of CORPUS) {
+            it(`${first} / ${second}: ${before ? 'совпадали' : 'не совпадали'} → ${after ? 'совпадают' : 'не совпадают'}`, () => {
+                assert.equal(legacyStem(first) === legacyStem(second), before, 'прежний стеммер');
+                assert.equal(stemWord(first) === stemWord(second), after, `${stemWord(first)} / ${stemWord(second)}`);
+            });
+        }
+    });
+
+    it('не обрезает короткие слова до двух букв', () => {
+        assert.equal(legacyStem('знать'), 'зн');
+        assert.equal(stemWord('знать'), 'знат');
+        assert.equal(legacyStem('ищем'), 'ищ');
+        assert.equal(stemWord('ищем'), 'иска');
+    });
+
+    it('выбирает язык по алфавиту слова', () => {
+        assert.equal(stemWord('дизайнеров'), stemRussian('дизайнеров'));
+        assert.equal(stemWord('developers'), stemEnglish('developers'));
+        assert.equal(stemEnglish('development'), 'develop');
+    });
+
+    describe('поиск по ключевым словам', () => {
+        const matcher = new KeywordMatcher();
+
+        const cases = [
+            ['Ищу друзей для настолок', 'искать', true],
+            ['Ищу друзей для настолок', 'друг', true],
+            ['Hiring developers for a startup', 'developing', true],
+            ['We are developing an app', 'developer', true],
+            ['Новые вакансии дизайнеров', 'вакансия', true],
+            ['Подал иском в суд', 'искать', false]
+        ];
+
+        for (const [text, keyword, expected] of cases) {
+            it(`"${keyword}" ${expected ? 'находит' : 'не находит'} "${text}"`, () => {
+                assert.equal(matcher.match(text, [keyword]).matched, expected);
+            });
+        }
+    });
+});
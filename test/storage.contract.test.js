@@ -0,0 +1,715 @@
+/**
+ * Контрактные тесты хранилища: одни и те же проверки для каждой реализации
+ *
+ * SQLite (:memory:) проверяется всегда, PostgreSQL - если задан TEST_DATABASE_URL
+ * (отдельная база: таблицы очищаются перед каждым тестом)
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'storage-contract-test-secret';
+
+const { createStorage, STORAGE_CONTRACT } = require('../server/storage');
+const { isEncrypted } = require('../server/secrets');
+
+const backends = [{ backend: 'sqlite', options: { filename: ':memory:' } }];
+
+if (process.env.TEST_DATABASE_URL) {
+    const { Pool } = require('pg');
+    backends.push({ backend: 'postgres', options: { pool: new Pool({ connectionString: process.env.TEST_DATABASE_URL }) } });
+}
+
+// Таблицы репозиториев контракта (остальные очищаются каскадом от users)
+const TABLES = ['users', 'auth_sessions', 'stats', 'bot_users'];
+
+for (const { backend, options } of backends) {
+    describe(`storage: ${backend}`, () => {
+        let storage;
+
+        before(async () => {
+            storage = createStorage({ backend, ...options });
+            await storage.init();
+        });
+
+        beforeEach(async () => {
+            if (backend === 'postgres') {
+                await options.pool.query(`TRUNCATE ${TABLES.join(', ')} RESTART IDENTITY CASCADE`);
+            } else {
+                // Каждый тест - с пустой базой в памяти
+                await storage.close();
+                storage = createStorage({ backend, ...options });
+                await storage.init();
+            }
+        });
+
+        after(async () => {
+            await storage.close();
+        });
+
+        async function createUser(telegramUserId = '1001') {
+            const { id } = await storage.users.create(telegramUserId, 'scout', '+79990000000', '12345', 'api-hash', 'session', '555');
+            return id;
+        }
+
+        it('реализует все методы контракта', () => {
+            for (const [repository, methods] of Object.entries(STORAGE_CONTRACT)) {
+                for (const method of methods) {
+                    assert.equal(typeof storage[repository][method], 'function', `${repository}.${method}`);
+                }
+            }
+        });
+
+        it('повторный init не меняет данные', async () => {
+            const userId = await createUser();
+            await storage.init();
+            assert.equal((await storage.users.getById(userId)).session_string, 'session');
+        });
+
+        describe('secrets', () => {
+            it('reencryptSecrets шифрует открытые значения, init их не трогает', async () => {
+                const userId = await createUser();
+                await rawExec(storage, backend, options, "UPDATE users SET api_hash = 'plain-hash', session_string = 'plain-session'");
+
+                await storage.init();
+                const [raw] = await rawRows(storage, backend, options, 'SELECT api_hash FROM users');
+                assert.equal(raw.api_hash, 'plain-hash');
+
+                assert.deepEqual(await storage.reencryptSecrets(), { users: 1, auth_sessions: 0 });
+                const [encrypted] = await rawRows(storage, backend, options, 'SELECT api_hash, session_string FROM users');
+                assert.ok(isEncrypted(encrypted.api_hash));
+                assert.ok(isEncrypted(encrypted.session_string));
+                assert.equal((await storage.users.getById(userId)).session_string, 'plain-session');
+                assert.deepEqual(await storage.reencryptSecrets(), { users: 0, auth_sessions: 0 });
+            });
+
+            it('init прерывается, если большинство сессий не расшифровывается', async () => {
+                await createUser('1001');
+                await createUser('1002');
+                await rawExec(storage, backend, options, "UPDATE users SET session_string = 'enc:v1:AAAAAAAAAAAAAAAA:AAAAAAAAAAAAAAAAAAAAAA==:AAAA'");
+
+                await assert.rejects(() => storage.init(), /Не удается расшифровать 2 из 2 проверенных строк users/);
+            });
+        });
+
+        describe('users', () => {
+            it('создает пользователя и находит его по id, Telegram ID и телефону', async () => {
+                const result = await storage.users.create('1001', 'scout', '+79990000000', '12345', 'api-hash', 'session', '555');
+                assert.equal(result.id, result.lastInsertRowid);
+
+                const user = await storage.users.getById(result.id);
+                assert.equal(user.telegram_user_id, '1001');
+                assert.equal(user.telegram_username, 'scout');
+                assert.equal(user.bot_chat_id, '555');
+                assert.equal(user.is_active, false);
+                assert.equal(user.delivery_mode, 'immediate');
+                assert.equal(user.history_days, 30);
+                assert.ok(user.created_at instanceof Date);
+
+                assert.equal((await storage.users.getByTelegramId('1001')).id, result.id);
+                assert.equal((await storage.users.getByPhone('+79990000000')).id, result.id);
+                assert.equal(await storage.users.getById(result.id + 100), null);
+            });
+
+            it('хранит сессию и api_hash зашифрованными и возвращает расшифрованными', async () => {
+                const userId = await createUser();
+                await storage.users.updateSession(userId, 'new-session');
+
+                const user = await storage.users.getById(userId);
+                assert.equal(user.api_hash, 'api-hash');
+                assert.equal(user.session_string, 'new-session');
+
+                const [raw] = await rawRows(storage, backend, options, 'SELECT api_hash, session_string FROM users');
+                assert.ok(isEncrypted(raw.api_hash));
+                assert.ok(isEncrypted(raw.session_string));
+            });
+
+            it('обновляет настройки доставки, расписание, шаблон и срок истории', async () => {
+                const userId = await createUser();
+                await storage.users.updateBotChatId('1001', '777');
+                await storage.users.updateDelivery(userId, { mode: 'digest', interval: 30, time: '10:00', groupBy: 'keyword', attachMedia: 'photo' });
+                await storage.users.updateSchedule(userId, { timezone: 'Asia/Yekaterinburg', quietStart: '23:00', quietEnd: '07:00', days: '12345' });
+                await storage.users.updateTemplate(userId, { template: 'custom', customTemplate: '{text}' });
+                await storage.users.updateWebhookSecret(userId, 'whsec');
+                await storage.users.updateHistoryDays(userId, 90);
+
+                const user = await storage.users.getById(userId);
+                assert.equal(user.bot_chat_id, '777');
+                assert.deepEqual(
+                    [user.delivery_mode, user.digest_interval, user.digest_time, user.digest_group_by, user.attach_media],
+                    ['digest', 30, '10:00', 'keyword', 'photo']
+                );
+                assert.deepEqual([user.timezone, user.quiet_start, user.quiet_end, user.active_days], ['Asia/Yekaterinburg', '23:00', '07:00', '12345']);
+                assert.deepEqual([user.notification_template, user.custom_template], ['custom', '{text}']);
+                assert.equal(user.webhook_secret, 'whsec');
+                assert.equal(user.history_days, 90);
+            });
+
+            it('не сдвигает начало ошибки доставки при повторе той же ошибки', async () => {
+                const userId = await createUser();
+                await storage.users.setDeliveryError(userId, 'blocked');
+                const first = await storage.users.getById(userId);
+                assert.equal(first.delivery_error, 'blocked');
+                assert.ok(first.delivery_error_at instanceof Date);
+
+                await storage.users.setDeliveryError(userId, 'blocked');
+                assert.equal((await storage.users.getById(userId)).delivery_error_at.getTime(), first.delivery_error_at.getTime());
+
+                await storage.users.setDeliveryError(userId, null);
+                const cleared = await storage.users.getById(userId);
+                assert.equal(cleared.delivery_error, null);
+                assert.equal(cleared.delivery_error_at, null);
+            });
+
+            it('считает активных и удаляет пользователя вместе с его данными', async () => {
+                const userId = await createUser();
+                await createUser('1002');
+                await storage.users.setActive(userId, true);
+
+                assert.equal(await storage.users.count(), 2);
+                assert.equal(await storage.users.countActive(), 1);
+                assert.deepEqual((await storage.users.getAllActive()).map(user => user.id), [userId]);
+                assert.equal((await storage.users.getById(userId)).is_active, true);
+
+                const profileId = await storage.monitors.create(userId, 'Работа', ['дизайн']);
+                await storage.chats.add(userId, '-100', 'Чат', 'supergroup', profileId);
+                await storage.blockedAuthors.add(userId, '42', 'Спамер');
+                await storage.users.delete(userId);
+
+                assert.equal(await storage.users.getById(userId), null);
+                assert.equal(await storage.monitors.getById(profileId), null);
+                assert.equal(await storage.chats.count(userId), 0);
+                assert.equal(await storage.blockedAuthors.count(userId), 0);
+            });
+        });
+
+        describe('monitors', () => {
+            it('создает профили и ищет по имени без учета регистра', async () => {
+                const userId = await createUser();
+                const mainId = await storage.monitors.create(userId, 'Папка', ['дизайн', 'логотип']);
+                const otherId = await storage.monitors.create(userId, 'Вторая', ['сайт'], 'Сайты', 2);
+
+                const main = await storage.monitors.getById(mainId);
+                assert.equal(main.name, 'Основной');
+                assert.deepEqual(main.keywords, ['дизайн', 'логотип']);
+                assert.equal(main.min_score, 0);
+                assert.equal(main.is_active, true);
+                assert.ok(main.monitoring_started_at instanceof Date);
+
+                assert.equal((await storage.monitors.getByName(userId, 'САЙТЫ')).id, otherId);
+                assert.equal(await storage.monitors.getByName(userId, 'Нет такого'), null);
+                assert.deepEqual((await storage.monitors.getAllByUserId(userId)).map(m => m.id), [mainId, otherId]);
+            });
+
+            it('переключает профили и выбирает первый активный', async () => {
+                const userId = await createUser();
+                const mainId = await storage.monitors.create(userId, 'Папка', ['дизайн']);
+                const otherId = await storage.monitors.create(userId, 'Вторая', ['сайт'], 'Сайты');
+
+                await storage.monitors.setActiveById(mainId, false);
+                assert.equal((await storage.monitors.getByUserId(userId)).id, otherId);
+                assert.deepEqual((await storage.monitors.getActiveByUserId(userId)).map(m => m.id), [otherId]);
+
+                await storage.monitors.setActive(userId, false);
+                assert.equal(await storage.monitors.getByUserId(userId), null);
+                await storage.monitors.setActive(userId, true);
+                assert.equal((await storage.monitors.getByUserId(userId)).id, mainId);
+            });
+
+            it('обновляет папку, ключевые слова и порог', async () => {
+                const userId = await createUser();
+                const id = await storage.monitors.create(userId, 'Папка', ['дизайн']);
+
+                await storage.monitors.updateById(id, 'Дизайн', 'Новая папка', ['логотип']);
+                await storage.monitors.updateMinScoreById(id, 3);
+                let monitor = await storage.monitors.getById(id);
+                assert.deepEqual([monitor.name, monitor.folder_name, monitor.keywords, monitor.min_score], ['Дизайн', 'Новая папка', ['логотип'], 3]);
+
+                await storage.monitors.updateKeywordsById(id, ['баннер']);
+                assert.deepEqual((await storage.monitors.getById(id)).keywords, ['баннер']);
+
+                await storage.monitors.update(userId, 'Общая', ['сайт']);
+                await storage.monitors.updateKeywords(userId, ['сайт', 'лендинг']);
+                monitor = await storage.monitors.getById(id);
+                assert.deepEqual([monitor.folder_name, monitor.keywords], ['Общая', ['сайт', 'лендинг']]);
+            });
+
+            it('удаляет профиль вместе с его чатами', async () => {
+                const userId = await createUser();
+                const id = await storage.monitors.create(userId, 'Папка', ['дизайн']);
+                const otherId = await storage.monitors.create(userId, 'Вторая', ['сайт'], 'Сайты');
+                await storage.chats.add(userId, '-100', 'Чат', 'supergroup', id);
+
+                await storage.monitors.deleteById(id);
+                assert.equal(await storage.monitors.getById(id), null);
+                assert.equal(await storage.chats.countByProfile(id), 0);
+
+                await storage.monitors.delete(userId);
+                assert.equal(await storage.monitors.getById(otherId), null);
+            });
+        });
+
+        describe('chats', () => {
+            it('обновляет чат профиля при повторном добавлении и считает уникальные чаты', async () => {
+                const userId = await createUser();
+                const firstId = await storage.monitors.create(userId, 'Папка', ['дизайн']);
+                const secondId = await storage.monitors.create(userId, 'Вторая', ['сайт'], 'Сайты');
+
+                await storage.chats.add(userId, '-100', 'Чат', 'group', firstId);
+                await storage.chats.add(userId, '-100', 'Чат (новое название)', 'supergroup', firstId);
+                await storage.chats.add(userId, '-100', 'Чат', 'supergroup', secondId);
+                await storage.chats.add(userId, '-200', 'Канал', 'channel', secondId);
+
+                const chats = await storage.chats.getByProfileId(firstId);
+                assert.equal(chats.length, 1);
+                assert.equal(chats[0].chat_title, 'Чат (новое название)');
+                assert.equal(chats[0].chat_type, 'supergroup');
+
+                assert.equal((await storage.chats.getByUserId(userId)).length, 3);
+                assert.equal(await storage.chats.count(userId), 2);
+                assert.equal(await storage.chats.countByProfile(secondId), 2);
+
+                await storage.chats.deleteByUserId(userId);
+                assert.equal(await storage.chats.count(userId), 0);
+            });
+        });
+
+        describe('notifications', () => {
+            it('сохраняет совпадение один раз', async () => {
+                const userId = await createUser();
+                const lead = { authorId: '42', authorName: 'Иван', messageText: 'Нужен дизайн', matchedKeywords: ['дизайн'], messages: [{ chatId: 555, messageId: 10 }] };
+
+                const id = await storage.notifications.add(userId, '-100', '1', 2, [{ keyword: 'дизайн' }], lead);
+                assert.ok(id);
+                assert.equal(await storage.notifications.add(userId, '-100', '1', 2, null, lead), null);
+
+                assert.equal(await storage.notifications.exists(userId, '-100', '1'), true);
+                assert.equal(await storage.notifications.exists(userId, '-100', '2'), false);
+            });
+
+            it('не понижает статус доставки sent', async () => {
+                const userId = await createUser();
+                const id = await storage.notifications.add(userId, '-100', '1', null, null, { deliveryStatus: 'queued' });
+
+                await storage.notifications.setDeliveryStatus(id, 'sent');
+                await storage.notifications.setDeliveryStatus(id, 'failed');
+                const [row] = await rawRows(storage, backend, options, 'SELECT delivery_status FROM sent_notifications');
+                assert.equal(row.delivery_status, 'sent');
+            });
+
+            it('обновляет статус доставки по сообщениям из дайджеста', async () => {
+                const userId = await createUser();
+                await storage.notifications.add(userId, '-100', '1', null, null, { deliveryStatus: 'digest' });
+                await storage.notifications.add(userId, '-100', '2', null, null, { deliveryStatus: 'digest' });
+
+                await storage.notifications.setDeliveryStatusByMessages(userId, [{ chat_id: '-100', message_id: '2' }], 'sent');
+                // Сводка, дошедшая до одного получателя, не становится failed из-за другого
+                await storage.notifications.setDeliveryStatusByMessages(userId, [{ chat_id: '-100', message_id: '1' }, { chat_id: '-100', message_id: '2' }], 'failed');
+                const rows = await rawRows(storage, backend, options, 'SELECT message_id, delivery_status FROM sent_notifications ORDER BY message_id');
+                assert.deepEqual(rows.map(row => [row.message_id, row.delivery_status]), [['1', 'failed'], ['2', 'sent']]);
+            });
+
+            it('очистка оставляет совпадения в пределах срока хранения', async () => {
+                const userId = await createUser();
+                await storage.notifications.add(userId, '-100', '1');
+                await storage.notifications.cleanup();
+                assert.equal(await storage.notifications.exists(userId, '-100', '1'), true);
+            });
+        });
+
+        describe('auth', () => {
+            it('проводит сессию авторизации по шагам', async () => {
+                await storage.auth.create('auth-1', '+79990000000', '12345', 'api-hash');
+                let session = await storage.auth.get('auth-1');
+                assert.equal(session.step, 'phone');
+                assert.equal(session.api_hash, 'api-hash');
+                assert.ok(session.expires_at > new Date());
+
+                await storage.auth.updateStep('auth-1', 'code', 'code-hash');
+                await storage.auth.saveUserData('auth-1', { id: '1001', firstName: 'Иван' }, 'session');
+                session = await storage.auth.get('auth-1');
+                assert.equal(session.step, 'code');
+                assert.equal(session.phone_code_hash, 'code-hash');
+                assert.deepEqual(session.user_data, { id: '1001', firstName: 'Иван' });
+                assert.equal(session.session_string, 'session');
+
+                await storage.auth.cleanup();
+                assert.ok(await storage.auth.get('auth-1'));
+                await storage.auth.delete('auth-1');
+                assert.equal(await storage.auth.get('auth-1'), null);
+            });
+        });
+
+        describe('stats', () => {
+            it('считает события за сегодня и за все время', async () => {
+                await storage.stats.increment('messages_processed');
+                await storage.stats.increment('messages_processed');
+                await storage.stats.increment('matches_found');
+                await storage.stats.increment('notifications_sent', 3);
+
+                const today = await storage.stats.getToday();
+                assert.equal(today.messages_processed, 2);
+                assert.equal(today.matches_found, 1);
+                assert.equal(today.notifications_sent, 3);
+
+                const total = await storage.stats.getTotal();
+                assert.deepEqual(
+                    [Number(total.messages_processed), Number(total.matches_found), Number(total.notifications_sent)],
+                    [2, 1, 3]
+                );
+            });
+        });
+
+        describe('messageHashes', () => {
+            it('запоминает хеш сообщения', async () => {
+                const userId = await createUser();
+                assert.equal(await storage.messageHashes.add(userId, 'hash'), true);
+                assert.equal(await storage.messageHashes.add(userId, 'hash'), true);
+                assert.equal(await storage.messageHashes.exists(userId, 'hash'), true);
+                assert.equal(await storage.messageHashes.exists(userId, 'other'), false);
+
+                await storage.messageHashes.cleanup();
+                assert.equal(await storage.messageHashes.exists(userId, 'hash'), true);
+            });
+        });
+
+        describe('blockedAuthors', () => {
+            it('блокирует и разблокирует автора', async () => {
+                const userId = await createUser();
+                assert.equal(await storage.blockedAuthors.add(userId, '42', 'Спамер'), true);
+                assert.equal(await storage.blockedAuthors.add(userId, '42', 'Спамер'), true);
+                await storage.blockedAuthors.add(userId, '43', 'Бот');
+
+                assert.equal(await storage.blockedAuthors.exists(userId, '42'), true);
+                assert.equal(await storage.blockedAuthors.count(userId), 2);
+                assert.deepEqual((await storage.blockedAuthors.getAll(userId)).map(row => row.author_id).sort(), ['42', '43']);
+
+                await storage.blockedAuthors.remove(userId, '42');
+                assert.equal(await storage.blockedAuthors.exists(userId, '42'), false);
+                assert.equal(await storage.blockedAuthors.count(userId), 1);
+            });
+        });
+
+        describe('matches', () => {
+            const filters = (overrides = {}) => ({ limit: 20, offset: 0, ...overrides });
+
+            async function addMatches(userId) {
+                await storage.notifications.add(userId, '-100', '1', 50, null, {
+                    authorName: 'Иван', chatTitle: 'Фриланс', messageText: 'Нужен дизайнер в Figma', matchedKeywords: ['дизайнер', 'скидка 100%']
+                });
+                await storage.notifications.add(userId, '-100', '2', 60, null, {
+                    authorName: 'Анна', chatTitle: 'Фриланс', messageText: 'Срочно нужен figma верстальщик', matchedKeywords: ['100 руб']
+                });
+                await storage.notifications.add(userId, '-200', '3', 70, null, {
+                    authorName: 'Петр', chatTitle: 'Работа', messageText: 'Ищу копирайтера', matchedKeywords: ['копирайтер_']
+                });
+            }
+
+            it('ищет по тексту, исключает -слово и разбирает JSON-колонки', async () => {
+                const userId = await createUser();
+                await addMatches(userId);
+
+                let result = await storage.matches.search(userId, filters({ q: 'figma' }));
+                assert.equal(result.total, 2);
+                assert.deepEqual(result.rows.map(row => row.message_id), ['2', '1']);
+
+                result = await storage.matches.search(userId, filters({ q: 'figma -срочно' }));
+                assert.deepEqual(result.rows.map(row => row.message_id), ['1']);
+                assert.deepEqual(result.rows[0].matched_keywords, ['дизайнер', 'скидка 100%']);
+                assert.deepEqual(result.rows[0].match_details, []);
+
+                assert.equal((await storage.matches.search(userId, filters({ q: 'Петр' }))).total, 1);
+            });
+
+            it('фильтр по ключевому слову ищет % и _ как обычные символы', async () => {
+                const userId = await createUser();
+                await addMatches(userId);
+
+                const byKeyword = async (keyword) => (await storage.matches.search(userId, filters({ keyword }))).rows.map(row => row.message_id);
+                assert.deepEqual(await byKeyword('100%'), ['1']);
+                assert.deepEqual(await byKeyword('100'), ['2', '1']);
+                assert.deepEqual(await byKeyword('р_б'), []);
+                assert.deepEqual(await byKeyword('Копирайтер_'), ['3']);
+            });
+
+            it('фильтрует по чату, статусу и периоду и делит на страницы', async () => {
+                const userId = await createUser();
+                await addMatches(userId);
+
+                assert.equal((await storage.matches.search(userId, filters({ chatId: '-100' }))).total, 2);
+                assert.equal((await storage.matches.search(userId, filters({ status: 'done' }))).total, 0);
+                assert.equal((await storage.matches.search(userId, filters({ from: new Date(Date.now() + 60 * 60 * 1000) }))).total, 0);
+                assert.equal((await storage.matches.search(userId, filters({ to: new Date(Date.now() + 60 * 60 * 1000) }))).total, 3);
+
+                const page = await storage.matches.search(userId, filters({ limit: 2, offset: 2 }));
+                assert.equal(page.total, 3);
+                assert.deepEqual(page.rows.map(row => row.message_id), ['1']);
+
+                const chats = await storage.matches.getChats(userId);
+                assert.deepEqual(chats.map(chat => [chat.chat_id, chat.chat_title, parseInt(chat.count)]), [['-100', 'Фриланс', 2], ['-200', 'Работа', 1]]);
+            });
+        });
+
+        describe('leads', () => {
+            it('находит лид по сообщению бота и меняет статус', async () => {
+                const userId = await createUser();
+                const id = await storage.notifications.add(userId, '-100', '1', null, null, { messages: [{ chatId: 555, messageId: 10 }] });
+                await storage.leads.addMessage(id, { chatId: -300, messageId: 20, threadId: 7 });
+
+                assert.equal((await storage.leads.getByBotMessage(555, 10)).id, id);
+                assert.equal((await storage.leads.getByBotMessage('-300', 20)).id, id);
+                assert.equal(await storage.leads.getByBotMessage(555, 11), null);
+                assert.equal((await storage.leads.getMessages(id)).length, 2);
+
+                const lead = await storage.leads.setStatus(userId, id, 'done');
+                assert.equal(lead.status, 'done');
+                assert.ok(lead.status_changed_at instanceof Date);
+                assert.equal(await storage.leads.setStatus(userId + 1, id, 'open'), null);
+                assert.deepEqual(await storage.leads.countByStatus(userId), { done: 1 });
+                assert.deepEqual(await storage.leads.getOpen(userId, 10), []);
+                assert.equal((await storage.leads.getById(userId, id)).status, 'done');
+            });
+
+            it('возвращает подошедшие отложенные лиды и открывает их заново', async () => {
+                const userId = await createUser();
+                const dueId = await storage.notifications.add(userId, '-100', '1', null, null, { messages: [{ chatId: 555, messageId: 10 }] });
+                const laterId = await storage.notifications.add(userId, '-100', '2');
+                await storage.leads.setStatus(userId, dueId, 'snoozed', new Date(Date.now() - 60 * 1000));
+                await storage.leads.setStatus(userId, laterId, 'snoozed', new Date(Date.now() + 60 * 60 * 1000));
+
+                const due = await storage.leads.getDueSnoozed();
+                assert.deepEqual(due.map(row => row.id), [dueId]);
+                assert.equal(due[0].bot_chat_id, '555');
+                assert.ok(due[0].snoozed_until instanceof Date);
+
+                await storage.leads.reopenWithMessages(dueId, [{ chatId: 555, messageId: 30 }]);
+                const lead = await storage.leads.getById(userId, dueId);
+                assert.equal(lead.status, 'open');
+                assert.equal(lead.snoozed_until, null);
+                assert.deepEqual((await storage.leads.getMessages(dueId)).map(m => Number(m.message_id)), [30]);
+                assert.deepEqual((await storage.leads.getOpen(userId, 10)).map(row => row.id), [dueId]);
+            });
+        });
+
+        describe('outbox', () => {
+            it('отдает сообщение в отправку один раз и отмечает доставку', async () => {
+                const userId = await createUser();
+                const notificationId = await storage.notifications.add(userId, '-100', '1');
+                const id = await storage.outbox.add(userId, notificationId, { chatId: 555, threadId: 3 }, 'текст', { inline_keyboard: [] });
+                await storage.outbox.add(userId, null, { chatId: 555 }, 'сводка', null, 'pending', [{ chat_id: '-100', message_id: '1', text: 'лишнее' }]);
+
+                const claimed = await storage.outbox.claim(10, notificationId);
+                assert.deepEqual(claimed.map(item => item.id), [id]);
+                assert.deepEqual(claimed[0].reply_markup, { inline_keyboard: [] });
+                assert.equal(claimed[0].chat_id, '555');
+                assert.equal(claimed[0].thread_id, 3);
+                assert.equal(claimed[0].status, 'sending');
+
+                const [digest] = await storage.outbox.claim(10);
+                assert.deepEqual(digest.digest_items, [{ chat_id: '-100', message_id: '1' }]);
+                assert.deepEqual(await storage.outbox.claim(10), []);
+
+                await storage.outbox.markSent(id, 77);
+                await storage.outbox.markDead(digest.id, 'chat not found');
+                assert.deepEqual(await storage.outbox.countByStatus(userId), { sent: 1, dead: 1 });
+
+                await storage.outbox.cleanup();
+                assert.deepEqual(await storage.outbox.countByStatus(userId), { sent: 1, dead: 1 });
+            });
+
+            it('повторяет через заданное время и считает попытки', async () => {
+                const userId = await createUser();
+                const id = await storage.outbox.add(userId, null, { chatId: 555 }, 'текст');
+
+                await storage.outbox.claim(10);
+                await storage.outbox.reschedule(id, 60, 'timeout');
+                assert.deepEqual(await storage.outbox.claim(10), []);
+
+                await storage.outbox.reschedule(id, 0, null, false);
+                const [item] = await storage.outbox.claim(10);
+                assert.equal(item.attempts, 1);
+                assert.equal(item.last_error, 'timeout');
+                assert.ok(item.next_attempt_at instanceof Date);
+            });
+
+            it('отложенные до /start уходят в новый личный чат', async () => {
+                const userId = await createUser();
+                const notificationId = await storage.notifications.add(userId, '-100', '1', null, null, { deliveryStatus: 'held' });
+                await storage.outbox.add(userId, notificationId, { chatId: null }, 'текст', null, 'held');
+                const id = await storage.outbox.add(userId, null, { chatId: 555 }, 'текст');
+                await storage.outbox.claim(10);
+                await storage.outbox.hold(id, 'bot was blocked by the user');
+
+                assert.deepEqual(await storage.outbox.claim(10), []);
+                assert.equal(await storage.outbox.releaseHeld(userId, 777), 2);
+
+                const claimed = await storage.outbox.claim(10);
+                assert.deepEqual(claimed.map(item => [item.chat_id, item.attempts, item.last_error]), [['777', 0, null], ['777', 0, null]]);
+                const [row] = await rawRows(storage, backend, options, 'SELECT delivery_status FROM sent_notifications');
+                assert.equal(row.delivery_status, 'queued');
+            });
+        });
+
+        describe('webhooks', () => {
+            it('хранит вебхуки пользователя', async () => {
+                const userId = await createUser();
+                const webhook = await storage.webhooks.add(userId, 'https://example.com/hook');
+                assert.equal(webhook.url, 'https://example.com/hook');
+                assert.equal(webhook.is_active, true);
+                assert.ok(webhook.created_at instanceof Date);
+
+                await storage.webhooks.update(userId, webhook.id, { url: 'https://example.com/new', isActive: false });
+                assert.equal((await storage.webhooks.getById(userId, webhook.id)).url, 'https://example.com/new');
+                assert.deepEqual(await storage.webhooks.getActiveByUserId(userId), []);
+                assert.equal((await storage.webhooks.getByUserId(userId)).length, 1);
+                assert.equal(await storage.webhooks.getById(userId + 1, webhook.id), null);
+
+                await storage.webhooks.remove(userId, webhook.id);
+                assert.equal(await storage.webhooks.count(userId), 0);
+            });
+
+            it('доставки: очередь, повторы, журнал', async () => {
+                const userId = await createUser();
+                await storage.users.updateWebhookSecret(userId, 'whsec');
+                const webhook = await storage.webhooks.add(userId, 'https://example.com/hook');
+                const delivery = await storage.webhookDeliveries.add(webhook.id, userId, 'match.created', '{"id":1}');
+                assert.equal(delivery.status, 'pending');
+
+                let [due] = await storage.webhookDeliveries.getDue(10);
+                assert.deepEqual([due.id, due.url, due.is_active, due.webhook_secret], [delivery.id, 'https://example.com/hook', true, 'whsec']);
+
+                await storage.webhookDeliveries.markFailed(delivery.id, { statusCode: 500, error: 'HTTP 500', durationMs: 12 }, 60);
+                assert.deepEqual(await storage.webhookDeliveries.getDue(10), []);
+                assert.equal(await storage.webhookDeliveries.requeue(userId, delivery.id), false);
+
+                await storage.webhookDeliveries.markFailed(delivery.id, { statusCode: null, error: 'timeout', durationMs: 10000 }, null);
+                const failed = await storage.webhookDeliveries.getById(userId, delivery.id);
+                assert.deepEqual([failed.status, failed.attempts, failed.last_error], ['failed', 2, 'timeout']);
+
+                assert.equal(await storage.webhookDeliveries.requeue(userId, delivery.id), true);
+                [due] = await storage.webhookDeliveries.getDue(10);
+                assert.equal(due.attempts, 0);
+
+                await storage.webhookDeliveries.markDelivered(delivery.id, { statusCode: 200, durationMs: 15 });
+                const [logged] = await storage.webhookDeliveries.getByUserId(userId, 10);
+                assert.deepEqual([logged.status, logged.last_status_code, logged.url], ['delivered', 200, 'https://example.com/hook']);
+                assert.ok(logged.delivered_at instanceof Date);
+
+                await storage.webhookDeliveries.cleanup();
+                assert.equal((await storage.webhookDeliveries.getByUserId(userId, 10)).length, 1);
+            });
+        });
+
+        describe('targets', () => {
+            it('повторное подключение обновляет название и сохраняет правило', async () => {
+                const userId = await createUser();
+                const profileId = await storage.monitors.create(userId, 'Работа', ['дизайн']);
+                const target = await storage.targets.add(userId, { chatId: -100, chatType: 'supergroup', title: 'Группа' });
+                assert.deepEqual([target.chat_id, target.thread_id, target.keywords], ['-100', 0, []]);
+
+                await storage.targets.updateRoute(userId, target.id, { profileId, keywords: ['figma'] });
+                const again = await storage.targets.add(userId, { chatId: -100, chatType: 'supergroup', title: 'Новая' });
+                assert.equal(again.id, target.id);
+                assert.deepEqual([again.title, again.profile_id, again.keywords], ['Новая', profileId, ['figma']]);
+
+                await storage.targets.add(userId, { chatId: -100, threadId: 5, chatType: 'supergroup', title: 'Тема' });
+                assert.equal(await storage.targets.count(userId), 2);
+
+                // Удаление профиля снимает привязку получателя
+                await storage.monitors.deleteById(profileId);
+                assert.equal((await storage.targets.getById(userId, target.id)).profile_id, null);
+
+                await storage.targets.remove(userId, target.id);
+                assert.deepEqual((await storage.targets.getByUserId(userId)).map(row => row.thread_id), [5]);
+                assert.equal(await storage.targets.getById(userId, target.id), null);
+            });
+        });
+
+        describe('botUsers', () => {
+            it('обновляет данные при повторном /start', async () => {
+                await storage.botUsers.upsert('1001', 'scout', 'Иван', null, 'ru');
+                await storage.botUsers.upsert('1001', 'scout2', 'Иван', 'Петров', 'en');
+
+                assert.equal(await storage.botUsers.count(), 1);
+                const [user] = await storage.botUsers.getAll();
+                assert.deepEqual([user.telegram_username, user.last_name, user.language_code], ['scout2', 'Петров', 'en']);
+                assert.ok(user.last_seen instanceof Date);
+            });
+        });
+
+        describe('digests', () => {
+            const item = (messageId) => ({
+                chatId: '-100', messageId, chatTitle: 'Чат', authorName: 'Иван', messageText: 'текст',
+                matchedKeywords: ['дизайн'], matchDetails: [{ keyword: 'дизайн' }], score: 50, profileIds: [3]
+            });
+
+            it('копит совпадения без повторов и удаляет отправленные', async () => {
+                const userId = await createUser();
+                await storage.digests.add(userId, item('1'));
+                await storage.digests.add(userId, item('1'));
+                await storage.digests.add(userId, item('2'));
+
+                const queued = await storage.digests.getByUserId(userId);
+                assert.deepEqual(queued.map(row => row.message_id), ['1', '2']);
+                assert.deepEqual([queued[0].matched_keywords, queued[0].match_details, queued[0].profile_ids], [['дизайн'], [{ keyword: 'дизайн' }], [3]]);
+
+                const [pending] = await storage.digests.getPendingUsers();
+                assert.equal(pending.id, userId);
+                assert.equal(pending.session_string, 'session');
+                assert.equal(parseInt(pending.pending_count), 2);
+                assert.ok(pending.oldest_at instanceof Date);
+
+                await storage.digests.removeByIds(userId, [queued[0].id]);
+                assert.equal(await storage.digests.count(userId), 1);
+                await storage.digests.removeByIds(userId, [queued[1].id]);
+                assert.deepEqual(await storage.digests.getPendingUsers(), []);
+            });
+        });
+
+        describe('synonyms', () => {
+            it('добавляет, заменяет и удаляет группы', async () => {
+                const userId = await createUser();
+                const id = await storage.synonyms.add(userId, ['юрист', 'адвокат']);
+                assert.deepEqual((await storage.synonyms.getByUserId(userId)).map(row => [row.id, row.words]), [[id, ['юрист', 'адвокат']]]);
+
+                await storage.synonyms.replaceAll(userId, [['дом', 'квартира'], ['авто', 'машина']]);
+                const groups = await storage.synonyms.getByUserId(userId);
+                assert.deepEqual(groups.map(row => row.words), [['дом', 'квартира'], ['авто', 'машина']]);
+
+                await storage.synonyms.remove(userId, groups[0].id);
+                assert.equal(await storage.synonyms.count(userId), 1);
+            });
+        });
+
+        describe('replyTemplates', () => {
+            it('хранит шаблоны ответов пользователя', async () => {
+                const userId = await createUser();
+                const id = await storage.replyTemplates.add(userId, 'Здравствуйте!');
+                await storage.replyTemplates.add(userId, 'Напишите в личку');
+
+                assert.equal((await storage.replyTemplates.getById(userId, id)).text, 'Здравствуйте!');
+                assert.equal(await storage.replyTemplates.getById(userId + 1, id), null);
+                assert.deepEqual((await storage.replyTemplates.getByUserId(userId)).map(row => row.text), ['Здравствуйте!', 'Напишите в личку']);
+
+                await storage.replyTemplates.remove(userId, id);
+                assert.equal(await storage.replyTemplates.count(userId), 1);
+            });
+        });
+    });
+}
+
+// Строки в обход репозиториев - чтобы проверить, что лежит в базе на самом деле
+async function rawRows(storage, backend, options, sql) {
+    if (backend === 'postgres') {
+        return (await options.pool.query(sql)).rows;
+    }
+    return storage.db.prepare(sql).all();
+}
+
+async function rawExec(storage, backend, options, sql) {
+    if (backend === 'postgres') {
+        await options.pool.query(sql);
+    } else {
+        storage.db.prepare(sql).run();
+    }
+}
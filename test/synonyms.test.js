@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MAX_GROUPS_PER_USER, parseSynonymLine, parseSynonymGroups, formatSynonymGroups } = require('../server/synonyms');
+const { KeywordMatcher } = require('../server/keywords');
+
+describe('synonyms', () => {
+    it('parseSynonymLine нормализует слова и отбрасывает группы из одного слова', () => {
+        assert.deepEqual(parseSynonymLine(' Юрист, Адвокат; нотариус, юрист '), ['юрист', 'адвокат', 'нотариус']);
+        assert.deepEqual(parseSynonymLine('Ёлка, ель'), ['елка', 'ель']);
+        assert.equal(parseSynonymLine('юрист, ЮРИСТ'), null);
+    });
+
+    describe('parseSynonymGroups', () => {
+        it('разбирает CSV с кавычками и пустыми строками', () => {
+            assert.deepEqual(parseSynonymGroups('"дом","квартира"\r\n\nюрист;адвокат\nодно'), [['дом', 'квартира'], ['юрист', 'адвокат']]);
+        });
+
+        it('разбирает все форматы JSON', () => {
+            const expected = [['дом', 'квартира'], ['юрист', 'адвокат']];
+            assert.deepEqual(parseSynonymGroups('[["дом", "квартира"], ["юрист", "адвокат"], "x"]'), expected);
+            assert.deepEqual(parseSynonymGroups('{"groups": [["дом", "квартира"], ["юрист", "адвокат"]]}'), expected);
+            assert.deepEqual(parseSynonymGroups('{"дом": ["квартира"], "юрист": ["адвокат"], "x": 1}'), expected);
+        });
+
+        it('формат можно указать явно', () => {
+            assert.deepEqual(parseSynonymGroups('[a, b]', 'csv'), [['[a', 'b]']]);
+            assert.throws(() => parseSynonymGroups('a, b', 'json'), /Некорректный JSON/);
+        });
+
+        it('отклоняет неподходящий JSON и слишком большой словарь', () => {
+            assert.throws(() => parseSynonymGroups('"строка"', 'json'), /массивом групп/);
+            const csv = Array.from({ length: MAX_GROUPS_PER_USER + 1 }, (_, i) => `a${i},b${i}`).join('\n');
+            assert.throws(() => parseSynonymGroups(csv), /Слишком много групп/);
+            assert.deepEqual(parseSynonymGroups('   '), []);
+        });
+    });
+
+    it('formatSynonymGroups: экспорт разбирается обратно', () => {
+        const groups = [['дом', 'квартира'], ['юрист', 'адвокат', 'нотариус']];
+        assert.equal(formatSynonymGroups(groups, 'csv'), 'дом,квартира\nюрист,адвокат,нотариус');
+        assert.deepEqual(parseSynonymGroups(formatSynonymGroups(groups, 'csv')), groups);
+        assert.deepEqual(parseSynonymGroups(formatSynonymGroups(groups)), groups);
+    });
+
+    describe('KeywordMatcher', () => {
+        it('находит слово по пользовательскому синониму', () => {
+            const text = 'Нужен адвокат по жилищному вопросу';
+            assert.equal(new KeywordMatcher().match(text, ['юрист']).matched, false);
+
+            const result = new KeywordMatcher({ synonymGroups: [['юрист', 'адвокат']] }).match(text, ['юрист']);
+            assert.equal(result.matched, true);
+            assert.equal(result.matchDetails[0].matchType, 'synonym');
+        });
+
+        it('дополняет встроенный словарь и не меняет его у других экземпляров', () => {
+            const custom = new KeywordMatcher({ synonymGroups: [['дизайнер', 'оформитель']] });
+            assert.ok(custom.synonyms['дизайнер'].includes('designer'));
+            assert.ok(custom.synonyms['дизайнер'].includes('оформитель'));
+            assert.ok(!new KeywordMatcher().synonyms['дизайнер'].includes('оформитель'));
+        });
+    });
+});
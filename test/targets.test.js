@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    parseRoute,
+    normalizeRouteKeywords,
+    selectTargets,
+    describeRoute,
+    getTargetOwnerError,
+    describeTargetError
+} = require('../server/targets');
+
+const profiles = [{ id: 1, name: 'Продажи' }, { id: 2, name: 'Дизайн' }];
+const user = { bot_chat_id: '100' };
+const target = (chatId, route = {}) => ({ chat_id: chatId, thread_id: null, profile_id: null, keywords: [], ...route });
+
+describe('targets', () => {
+    describe('parseRoute', () => {
+        it('all, profile и keywords на обоих языках', () => {
+            assert.deepEqual(parseRoute('all'), { profileId: null, keywords: [] });
+            assert.deepEqual(parseRoute('профиль дизайн', profiles), { profileId: 2 });
+            assert.deepEqual(parseRoute('profile все', profiles), { profileId: null });
+            assert.deepEqual(parseRoute('слова Дизайнер, figma, дизайнер'), { keywords: ['дизайнер', 'figma'] });
+        });
+
+        it('ошибки: неизвестный профиль и правило', () => {
+            assert.throws(() => parseRoute('profile Маркетинг', profiles), /не найден/);
+            assert.throws(() => parseRoute('everything'), /Правило/);
+        });
+    });
+
+    it('normalizeRouteKeywords ограничивает число слов', () => {
+        assert.deepEqual(normalizeRouteKeywords(['A', ' a ', '']), ['a']);
+        assert.throws(() => normalizeRouteKeywords(Array.from({ length: 21 }, (_, i) => `w${i}`)), /не больше 20/);
+    });
+
+    describe('selectTargets', () => {
+        const targets = [
+            target('-1001', { profile_id: 1 }),
+            target('-1002', { keywords: ['дизайнер'] }),
+            target('-1003', { profile_id: 2, keywords: ['figma'] }),
+            { ...target('-1004'), thread_id: 7 }
+        ];
+        const route = (profileIds, matchedKeywords) => selectTargets(targets, user, { profileIds, matchedKeywords }).map(t => t.chatId);
+
+        it('отправляет всем получателям с подходящим правилом', () => {
+            assert.deepEqual(route([1], ['Дизайнер #срочно']), ['-1001', '-1002', '-1004']);
+            assert.deepEqual(route([2], ['figma']), ['-1003', '-1004']);
+            assert.deepEqual(route([2], ['sketch']), ['-1004']);
+        });
+
+        it('передает тему форума', () => {
+            assert.deepEqual(selectTargets([targets[3]], user, { profileIds: [], matchedKeywords: [] }), [{ chatId: '-1004', threadId: 7 }]);
+        });
+
+        it('без подходящих получателей - личный чат с ботом', () => {
+            assert.deepEqual(selectTargets([targets[0]], user, { profileIds: [2], matchedKeywords: [] }), [{ chatId: '100', threadId: null }]);
+            assert.deepEqual(selectTargets([], { bot_chat_id: null }, { profileIds: [1], matchedKeywords: [] }), []);
+        });
+    });
+
+    it('describeRoute', () => {
+        assert.equal(describeRoute(target('-1')), 'все совпадения');
+        assert.equal(describeRoute(target('-1', { profile_id: 1, keywords: ['figma', 'ui'] }), profiles), 'профиль «Продажи» и слова: figma, ui');
+    });
+
+    describe('getTargetOwnerError', () => {
+        it('личный чат - только свой', () => {
+            assert.equal(getTargetOwnerError({ id: 42, type: 'private' }, '42', null), null);
+            assert.match(getTargetOwnerError({ id: 43, type: 'private' }, '42', null), /ваш собственный/);
+        });
+
+        it('группа - только участник', () => {
+            const group = { id: -100, type: 'supergroup' };
+            for (const status of ['creator', 'administrator', 'member']) {
+                assert.equal(getTargetOwnerError(group, '42', { status }), null, status);
+            }
+            assert.equal(getTargetOwnerError(group, '42', { status: 'restricted', is_member: true }), null);
+            assert.match(getTargetOwnerError(group, '42', { status: 'restricted', is_member: false }), /участник/);
+            assert.match(getTargetOwnerError(group, '42', { status: 'left' }), /участник/);
+            assert.match(getTargetOwnerError(group, '42', null), /участник/);
+        });
+
+        it('канал - только администратор', () => {
+            const channel = { id: -100, type: 'channel' };
+            assert.equal(getTargetOwnerError(channel, '42', { status: 'administrator' }), null);
+            assert.match(getTargetOwnerError(channel, '42', { status: 'member' }), /администратор/);
+        });
+    });
+
+    it('describeTargetError переводит ошибки Telegram', () => {
+        const telegramError = (description) => ({ response: { body: { description } } });
+        assert.match(describeTargetError(telegramError('Bad Request: chat not found')), /не видит этот чат/);
+        assert.match(describeTargetError(telegramError('Forbidden: bot was kicked from the group chat')), /не состоит/);
+        assert.match(describeTargetError(new Error('Bad Request: TOPIC_CLOSED')), /тема форума/);
+    });
+});
@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    escapeHtml,
+    compileTemplate,
+    renderTemplate,
+    truncateHtml,
+    formatNotification,
+    normalizeTemplateSettings
+} = require('../server/templates');
+
+const notification = {
+    firstName: 'Анна <b>',
+    username: null,
+    userId: '123',
+    messageText: 'Привет & <script>alert(1)</script>',
+    chatTitle: 'Фриланс & Дизайн',
+    chatId: '-1001234567890',
+    messageId: '42',
+    matchedKeywords: ['дизайнер'],
+    matchDetails: [{ keyword: 'дизайнер', matchType: 'stem', matchedWord: 'дизайнера', score: 56 }],
+    profileNames: ['Клиенты'],
+    score: 86,
+    date: new Date(Date.UTC(2026, 9, 19, 9, 5))
+};
+
+const custom = (template) => ({ notification_template: 'custom', custom_template: template, timezone: 'UTC' });
+
+describe('templates', () => {
+    it('escapeHtml экранирует & < > "', () => {
+        assert.equal(escapeHtml('a & <b> "c"'), 'a &amp; &lt;b&gt; &quot;c&quot;');
+        assert.equal(escapeHtml(null), '');
+    });
+
+    describe('compileTemplate', () => {
+        it('оставляет разрешенные теги и экранирует остальное', () => {
+            assert.equal(compileTemplate('<b>{author}</b> <script>x</script> & <i></i>'), '<b>{author}</b> &lt;script&gt;x&lt;/script&gt; &amp; <i></i>');
+        });
+
+        it('проверяет плейсхолдеры, парность тегов и ссылки', () => {
+            assert.throws(() => compileTemplate('{password}'), /Неизвестный плейсхолдер/);
+            assert.throws(() => compileTemplate('<b>{text}'), /Не закрыт тег <b>/);
+            assert.throws(() => compileTemplate('<b><i>x</b></i>'), /закрывающий тег/);
+            assert.throws(() => compileTemplate('<a href="javascript:alert(1)">x</a>'), /https:\/\//);
+            assert.doesNotThrow(() => compileTemplate('<a href="{link}">{chat}</a>'));
+        });
+    });
+
+    describe('renderTemplate', () => {
+        it('экранирует данные сообщения', () => {
+            const html = renderTemplate('{author}: {text} ({chat})', notification, 'UTC');
+            assert.equal(html, 'Анна &lt;b&gt;: Привет &amp; &lt;script&gt;alert(1)&lt;/script&gt; (Фриланс &amp; Дизайн)');
+        });
+
+        it('убирает строки, в которых все плейсхолдеры пустые', () => {
+            const html = renderTemplate('{author}\nUsername: {username}\nID: {author_id}', notification, 'UTC');
+            assert.equal(html, 'Анна &lt;b&gt;\nID: 123');
+        });
+
+        it('обрезает текст до {text:N} и по умолчанию до 500 символов', () => {
+            const data = { ...notification, messageText: 'а'.repeat(1000) };
+            assert.equal(renderTemplate('{text:10}', data), 'ааааааа...');
+            assert.equal(renderTemplate('{text}', data).length, 500);
+        });
+
+        it('подставляет ссылку, время в поясе пользователя и балл', () => {
+            const html = renderTemplate('<a href="{link}">{chat}</a> {time} {score}', notification, 'Europe/Moscow');
+            assert.equal(html, '<a href="https://t.me/c/1234567890/42">Фриланс &amp; Дизайн</a> 19.10.2026, 12:05 86');
+        });
+    });
+
+    describe('formatNotification', () => {
+        it('использует подробный пресет по умолчанию и компактный по настройке', () => {
+            assert.match(formatNotification(notification), /^<b>🎯 Найдено совпадение!<\/b>/);
+            assert.match(formatNotification(notification, { notification_template: 'compact' }), /^🔑 <b>дизайнер<\/b> · 📊 86/);
+        });
+
+        it('ограничивает сохраненный раньше {text:9999}', () => {
+            const data = { ...notification, messageText: 'а'.repeat(5000) };
+            assert.equal(formatNotification(data, custom('{text:9999}')).length, 3000);
+        });
+
+        it('не превышает лимит Telegram и оставляет HTML корректным', () => {
+            const data = { ...notification, messageText: 'a & b '.repeat(1000) };
+            const html = formatNotification(data, custom('<b>{full_text}</b>\n<i>{full_text}</i>'));
+            assert.ok(html.length <= 4096);
+            assert.match(html, /…<\/b>$/);
+            assert.doesNotMatch(html, /&[a-z]*…/);
+        });
+    });
+
+    describe('truncateHtml', () => {
+        it('не меняет короткий HTML', () => {
+            assert.equal(truncateHtml('<b>ok</b>', 100), '<b>ok</b>');
+        });
+
+        it('не разрывает теги и сущности и закрывает открытые теги', () => {
+            assert.equal(truncateHtml('<b>ab &amp; cd</b>', 9), '<b>a…</b>');
+            assert.equal(truncateHtml('<b>ab &amp; cd</b>', 15), '<b>ab …</b>');
+            assert.equal(truncateHtml('<b>ab &amp; cd</b>', 16), '<b>ab &amp;…</b>');
+            assert.equal(truncateHtml('<a href="https://t.me/c/1/2">link</a> tail', 25), '…');
+        });
+    });
+
+    describe('normalizeTemplateSettings', () => {
+        it('проверяет режим и свой шаблон', () => {
+            assert.deepEqual(normalizeTemplateSettings({ template: 'compact' }), { template: 'compact', customTemplate: null });
+            assert.throws(() => normalizeTemplateSettings({ template: 'fancy' }), /compact, detailed или custom/);
+            assert.throws(() => normalizeTemplateSettings({ template: 'custom', customTemplate: '  ' }), /Введите текст/);
+            assert.throws(() => normalizeTemplateSettings({ template: 'custom', customTemplate: 'x'.repeat(1001) }), /длиннее 1000/);
+        });
+
+        it('ограничивает длину {text:N}', () => {
+            assert.doesNotThrow(() => normalizeTemplateSettings({ template: 'custom', customTemplate: '{text:3000}' }));
+            assert.throws(() => normalizeTemplateSettings({ template: 'custom', customTemplate: '{text:9999}' }), /\{text:9999\}: не больше 3000/);
+        });
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { isPrivateAddress, normalizeWebhookUrl, resolveWebhookHost, signPayload, getRetryDelay } = require('../server/webhooks');
+
+const resolvesTo = (...addresses) => async () => addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+
+describe('webhooks', () => {
+    afterEach(() => {
+        delete process.env.WEBHOOK_ALLOW_PRIVATE;
+    });
+
+    describe('isPrivateAddress', () => {
+        it('внутренние и служебные адреса', () => {
+            for (const address of [
+                '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+                '0.0.0.0', '0.1.2.3', '224.0.0.1', '::', '::1', 'fd00::1', 'fe80::1',
+                '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:10.0.0.1', '::ffff:0.0.0.0'
+            ]) {
+                assert.equal(isPrivateAddress(address), true, address);
+            }
+        });
+
+        it('публичные адреса и не IP', () => {
+            for (const address of ['8.8.8.8', '172.32.0.1', '2a00:1450:4010::1', '::ffff:8.8.8.8', 'example.com']) {
+                assert.equal(isPrivateAddress(address), false, address);
+            }
+        });
+    });
+
+    describe('normalizeWebhookUrl', () => {
+        it('принимает http(s) и нормализует адрес', () => {
+            assert.equal(normalizeWebhookUrl(' https://Example.com/hook '), 'https://example.com/hook');
+        });
+
+        it('отклоняет другие схемы и некорректные адреса', () => {
+            assert.throws(() => normalizeWebhookUrl('ftp://example.com'), /https:\/\//);
+            assert.throws(() => normalizeWebhookUrl('not a url'), /Некорректный/);
+        });
+
+        it('отклоняет внутренние адреса в любой записи', () => {
+            for (const url of [
+                'http://localhost/', 'http://api.localhost/', 'http://127.0.0.1/', 'http://2130706433/', 'http://0x7f.1/',
+                'http://0.0.0.0/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'http://[::ffff:7f00:1]/'
+            ]) {
+                assert.throws(() => normalizeWebhookUrl(url), /локальной сети/, url);
+            }
+        });
+
+        it('WEBHOOK_ALLOW_PRIVATE разрешает внутренние адреса', () => {
+            process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+            assert.equal(normalizeWebhookUrl('http://localhost:8080/hook'), 'http://localhost:8080/hook');
+        });
+    });
+
+    describe('resolveWebhookHost', () => {
+        it('возвращает адреса публичного хоста', async () => {
+            assert.deepEqual(await resolveWebhookHost('example.com', resolvesTo('93.184.216.34')), [{ address: '93.184.216.34', family: 4 }]);
+        });
+
+        it('отклоняет имя, если хотя бы один адрес внутренний', async () => {
+            await assert.rejects(resolveWebhookHost('rebind.example', resolvesTo('93.184.216.34', '127.0.0.1')), /локальной сети/);
+            await assert.rejects(resolveWebhookHost('mapped.example', resolvesTo('::ffff:10.0.0.1')), /локальной сети/);
+        });
+
+        it('проверяет IP-адрес без DNS', async () => {
+            const lookup = () => assert.fail('lookup не нужен для IP-адреса');
+            await assert.rejects(resolveWebhookHost('[::ffff:7f00:1]', lookup), /локальной сети/);
+            assert.deepEqual(await resolveWebhookHost('8.8.8.8', lookup), [{ address: '8.8.8.8', family: 4 }]);
+        });
+
+        it('WEBHOOK_ALLOW_PRIVATE пропускает внутренние адреса', async () => {
+            process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+            assert.equal((await resolveWebhookHost('dev.example', resolvesTo('10.0.0.5')))[0].address, '10.0.0.5');
+        });
+    });
+
+    it('signPayload: HMAC-SHA256 от "timestamp.body"', () => {
+        const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+        assert.equal(signPayload('secret', '1700000000', '{"a":1}'), `sha256=${expected}`);
+    });
+
+    it('getRetryDelay: нарастающие задержки, затем null', () => {
+        assert.deepEqual([1, 2, 3, 4, 5, 6].map(getRetryDelay), [60, 300, 1800, 7200, 21600, null]);
+    });
+});